@@ -0,0 +1,223 @@
+// API key authentication
+//
+// Clients send a key as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+// In OAuth mode the Bearer token may also be a user's access token.
+// Each key is limited to an allow-list of spreadsheet IDs and log types ('*'
+// allows all). Keys are stored hashed in a JSON file, which can be edited by
+// hand or through the /api/admin/keys endpoints:
+//
+//   {
+//     "keys": [
+//       {
+//         "id": "key-abc123",
+//         "name": "My GPT",
+//         "keyHash": "<sha256 of the key>",   // or "key": "<plaintext>", hashed on load
+//         "spreadsheets": ["1zlC8E46..."],
+//         "logTypes": ["transactions", "food"],
+//         "admin": false,
+//         "disabled": false
+//       }
+//     ]
+//   }
+
+const fsSync = require('fs');
+const path = require('path');
+const { createHash, randomBytes, timingSafeEqual } = require('crypto');
+const { HttpError } = require('./errors');
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+// Compare secrets in constant time: their hashes have the same length whatever
+// was sent, so neither the length nor a matching prefix shows in the timing
+const secretsEqual = (given, expected) =>
+  timingSafeEqual(Buffer.from(hashKey(String(given ?? '')), 'hex'), Buffer.from(hashKey(String(expected ?? '')), 'hex'));
+
+const generateKey = () => `gts_${randomBytes(24).toString('base64url')}`;
+
+const generateKeyId = () => `key-${randomBytes(4).toString('hex')}`;
+
+// Only these fields are ever returned to clients
+const describeKey = ({ id, name, spreadsheets, logTypes, admin, disabled, createdAt }) =>
+  ({ id, name, spreadsheets, logTypes, admin, disabled, createdAt });
+
+const normalizeList = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+const createApiKeyStore = ({ filePath }) => {
+  let keys = [];
+
+  const save = () => {
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ keys }, null, 2) + '\n');
+  };
+
+  // Plaintext keys in a hand-edited file are hashed and rewritten on load
+  const load = () => {
+    if (!fsSync.existsSync(filePath)) {
+      keys = [];
+      return;
+    }
+    const config = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+    let hashed = false;
+    keys = (config.keys || []).map(entry => {
+      const { key, ...rest } = entry;
+      if (key) hashed = true;
+      return {
+        id: rest.id || generateKeyId(),
+        name: rest.name || '',
+        keyHash: key ? hashKey(key) : rest.keyHash,
+        spreadsheets: normalizeList(rest.spreadsheets, ['*']),
+        logTypes: normalizeList(rest.logTypes, ['*']),
+        admin: Boolean(rest.admin),
+        disabled: Boolean(rest.disabled),
+        createdAt: rest.createdAt || new Date().toISOString()
+      };
+    });
+    if (hashed) save();
+    console.log(`Loaded ${keys.length} API key(s) from ${filePath}`);
+  };
+
+  const authenticate = (token) => {
+    const keyHash = hashKey(token);
+    return keys.find(entry => entry.keyHash === keyHash && !entry.disabled) || null;
+  };
+
+  const list = () => keys.map(describeKey);
+
+  // Returns the plaintext key once; only its hash is stored
+  const create = ({ name = '', spreadsheets, logTypes, admin = false } = {}) => {
+    const key = generateKey();
+    const entry = {
+      id: generateKeyId(),
+      name,
+      keyHash: hashKey(key),
+      spreadsheets: normalizeList(spreadsheets, ['*']),
+      logTypes: normalizeList(logTypes, ['*']),
+      admin: Boolean(admin),
+      disabled: false,
+      createdAt: new Date().toISOString()
+    };
+    keys.push(entry);
+    save();
+    return { key, ...describeKey(entry) };
+  };
+
+  const update = (id, changes = {}) => {
+    const entry = keys.find(candidate => candidate.id === id);
+    if (!entry) return null;
+    if (changes.name !== undefined) entry.name = String(changes.name);
+    if (changes.spreadsheets !== undefined) entry.spreadsheets = normalizeList(changes.spreadsheets);
+    if (changes.logTypes !== undefined) entry.logTypes = normalizeList(changes.logTypes);
+    if (changes.admin !== undefined) entry.admin = Boolean(changes.admin);
+    if (changes.disabled !== undefined) entry.disabled = Boolean(changes.disabled);
+    save();
+    return describeKey(entry);
+  };
+
+  const remove = (id) => {
+    const before = keys.length;
+    keys = keys.filter(entry => entry.id !== id);
+    if (keys.length === before) return false;
+    save();
+    return true;
+  };
+
+  load();
+  return { authenticate, list, create, update, remove, reload: load };
+};
+
+const extractToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('X-API-Key') || '').trim() || null;
+};
+
+// Rejects requests without a valid key before any handler runs. Sets
+// `req.apiKey` to the key entry, or to null when auth is disabled.
+// `adminKey` (ADMIN_API_KEY) is accepted as an admin key with full scope.
+// With `oauth` (see lib/oauth.js), a user's access token is accepted too: it
+// sets `req.user`, and the user's own Google credentials limit what it reaches.
+// `publicPaths` are exact paths or RegExps that need no key.
+const createAuthMiddleware = ({ store, adminKey, oauth = null, disabled = false, publicPaths = [] }) => {
+  const isAdminKey = (token) => Boolean(adminKey) && secretsEqual(token, adminKey);
+
+  return (req, res, next) => {
+    req.apiKey = null;
+    req.user = null;
+    if (disabled || publicPaths.some(pattern => (pattern instanceof RegExp ? pattern.test(req.path) : pattern === req.path))) {
+      return next();
+    }
+
+    const token = extractToken(req);
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ success: false, message: 'Missing API key' });
+    }
+
+    if (isAdminKey(token)) {
+      req.apiKey = { id: 'admin', name: 'ADMIN_API_KEY', spreadsheets: ['*'], logTypes: ['*'], admin: true };
+      return next();
+    }
+
+    const user = oauth && oauth.authenticate(token);
+    if (user) {
+      req.user = user;
+      req.apiKey = { id: `user:${user.id}`, name: user.email, spreadsheets: ['*'], logTypes: ['*'], admin: false };
+      return next();
+    }
+
+    const entry = store.authenticate(token);
+    if (!entry) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ success: false, message: 'Invalid API key' });
+    }
+
+    req.apiKey = entry;
+    next();
+  };
+};
+
+const allows = (list, value) => list.includes('*') || list.includes(value);
+
+// Why a key may not touch this spreadsheet and log type, or null if it may.
+// A null `type` means raw sheet access, which needs all log types.
+const scopeError = (key, { spreadsheetId, type = null }) => {
+  if (!allows(key.spreadsheets, spreadsheetId)) {
+    return `API key is not allowed to access spreadsheet ${spreadsheetId}`;
+  }
+  if (type && !allows(key.logTypes, type)) {
+    return `API key is not allowed to access ${type}`;
+  }
+  if (!type && !key.logTypes.includes('*')) {
+    return 'API key is not allowed raw sheet access';
+  }
+  return null;
+};
+
+const hasScope = (req, scope) => !req.apiKey || !scopeError(req.apiKey, scope);
+
+// Throw a 403 unless the request's key covers the scope
+const assertScope = (req, scope) => {
+  const message = req.apiKey && scopeError(req.apiKey, scope);
+  if (message) {
+    throw new HttpError(403, message);
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  if (req.apiKey && !req.apiKey.admin) {
+    return res.status(403).json({ success: false, message: 'Admin API key required' });
+  }
+  next();
+};
+
+module.exports = {
+  createApiKeyStore,
+  createAuthMiddleware,
+  hasScope,
+  assertScope,
+  requireAdmin,
+  secretsEqual
+};
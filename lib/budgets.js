@@ -0,0 +1,107 @@
+// Budgets for transactions
+//
+// A budget caps spending in one linked budget category per week or month.
+// Budgets are rows of a Budgets tab (a CSV file with the local backend),
+// described with the same column format as the log type registry (see
+// lib/log-types.js), so they are validated and parsed back the same way.
+//
+// Within a budget's period (calendar month, or ISO week from Monday), the
+// transactions whose linkedBudgetCategory matches its category count as:
+//   spent     - amounts of every transaction that isn't Income or a Transfer
+//               (untyped ones included), plus any amount in `deductions`
+//   available - the limit, plus any amount in `allowances` (e.g. a top-up)
+
+const { getPeriod, readNumber } = require('./summary');
+
+const PERIODS = { Monthly: 'month', Weekly: 'week' };
+
+const BUDGET_TYPE = {
+  sheetName: 'Budgets',
+  label: 'Budget',
+  plural: 'budgets',
+  schemaName: 'BudgetData',
+  columns: [
+    { key: 'budgetId', header: 'Budget ID', type: 'string', generated: true, description: 'Server-generated budget ID (BUD-…)' },
+    { key: 'category', header: 'Budget Category', type: 'string', default: 'NA', required: true, description: 'Linked budget category of the transactions it covers (case-insensitive)' },
+    { key: 'period', header: 'Period', type: 'string', default: 'Monthly', options: Object.keys(PERIODS), description: 'Budget period (Monthly or Weekly); defaults to Monthly' },
+    { key: 'limit', header: 'Limit', type: 'number', default: 0, required: true, format: 'currency', description: 'Amount that can be spent per period' },
+    { key: 'notes', header: 'Notes', type: 'string', default: 'NA', description: 'Additional notes' }
+  ]
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sameCategory = (a, b) => a !== null && b !== null && a !== undefined && b !== undefined &&
+  String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+// How much of a budget is used in the period containing `date` (YYYY-MM-DD)
+// Income and Transfers don't use up a budget; every other transaction does,
+// including those logged without a type (the column defaults to NA)
+const NOT_SPENDING = ['income', 'transfer'];
+
+const getBudgetUsage = (budget, transactions, date) => {
+  const { period, start, end } = getPeriod(date, PERIODS[budget.period] || 'month');
+  const matching = transactions.filter(transaction =>
+    sameCategory(transaction.linkedBudgetCategory, budget.category) &&
+    transaction.date >= start && transaction.date <= end);
+
+  const expenses = matching
+    .filter(transaction => !NOT_SPENDING.includes(String(transaction.transactionType || '').trim().toLowerCase()))
+    .reduce((total, transaction) => total + (transaction.amount || 0), 0);
+  const deductions = matching.reduce((total, transaction) => total + (readNumber(transaction.deductions) || 0), 0);
+  const allowances = matching.reduce((total, transaction) => total + (readNumber(transaction.allowances) || 0), 0);
+  const limit = budget.limit || 0;
+  const available = limit + allowances;
+  const spent = expenses + deductions;
+
+  return {
+    budgetId: budget.budgetId,
+    category: budget.category,
+    period: budget.period || 'Monthly',
+    periodLabel: period,
+    start,
+    end,
+    limit,
+    allowances: round(allowances),
+    spent: round(spent),
+    remaining: round(available - spent),
+    percentUsed: available > 0 ? round(spent / available * 100) : null,
+    overBudget: spent > available
+  };
+};
+
+// Usage of every budget touched by newly logged transactions, once per period
+// they fall in. `crossed` marks budgets that these transactions took over
+// their limit; `existing` are the transactions logged before them.
+const checkBudgets = (budgets, existing, added) => {
+  const results = [];
+  budgets.forEach(budget => {
+    const dates = new Map();
+    added
+      .filter(transaction => transaction.date && sameCategory(transaction.linkedBudgetCategory, budget.category))
+      .forEach(transaction => {
+        const { period } = getPeriod(transaction.date, PERIODS[budget.period] || 'month');
+        if (!dates.has(period)) dates.set(period, transaction.date);
+      });
+
+    dates.forEach(date => {
+      const before = getBudgetUsage(budget, existing, date);
+      const after = getBudgetUsage(budget, [...existing, ...added], date);
+      results.push({ ...after, crossed: after.overBudget && !before.overBudget });
+    });
+  });
+  return results;
+};
+
+// One line per budget that is over its limit, for the GPT to relay
+const describeAlerts = (usages) => usages
+  .filter(usage => usage.overBudget)
+  .map(usage => `${usage.category} is ${usage.crossed ? 'now ' : ''}over its ${usage.period.toLowerCase()} budget: ` +
+    `${usage.spent} spent of ${round(usage.limit + usage.allowances)} (${usage.periodLabel})`);
+
+module.exports = {
+  BUDGET_TYPE,
+  getBudgetUsage,
+  checkBudgets,
+  describeAlerts
+};
@@ -0,0 +1,136 @@
+// Chat threads for /api/log-chat and /api/log-chat-backup
+//
+// Every message is one row of a Chat tab, described with the same column
+// format as the log type registry (see lib/log-types.js), so requests are
+// validated, built into rows and parsed back the same way. Both layouts keep
+// their original columns first; the thread columns follow, so existing Chat
+// tabs are extended in place.
+//
+// Within a conversation, messages are numbered in the order they were logged
+// (`sequence`), and each one's parent defaults to the message before it.
+
+const { getHeaders } = require('./log-types');
+
+const ROLES = ['user', 'assistant', 'tool', 'system'];
+
+const threadColumns = [
+  { key: 'messageId', header: 'Message ID', type: 'string', generated: true, description: 'Server-generated message ID (MSG-…)' },
+  { key: 'sequence', header: 'Sequence', type: 'number', generated: true, description: 'Position of the message in its conversation, starting at 1' },
+  { key: 'role', header: 'Role', type: 'string', default: 'NA', options: ROLES, description: 'Who wrote the message; inferred from sender or source when missing' },
+  { key: 'model', header: 'Model', type: 'string', default: 'NA', description: 'Model that wrote the message (e.g. gpt-4o)' },
+  { key: 'promptTokens', header: 'Prompt Tokens', type: 'number', default: 'NA', description: 'Input tokens used' },
+  { key: 'completionTokens', header: 'Completion Tokens', type: 'number', default: 'NA', description: 'Output tokens used' },
+  { key: 'parentMessageId', header: 'Parent Message ID', type: 'string', default: 'NA', description: 'Message this one replies to; defaults to the previous message in the conversation' }
+];
+
+const CHAT_TYPE = {
+  sheetName: 'Chat',
+  label: 'Chat message',
+  schemaName: 'ChatMessage',
+  columns: [
+    { key: 'timestamp', header: 'Timestamp', type: 'datetime', default: 'NA', description: 'When the message was sent (ISO 8601); defaults to now' },
+    { key: 'sender', header: 'Sender', type: 'string', default: 'NA', description: 'Sender label (e.g. me, gpt); defaults to the role' },
+    { key: 'content', header: 'Message', type: 'string', default: 'NA', required: true, description: 'Message text' },
+    { key: 'conversationId', header: 'Conversation ID', type: 'string', generated: true, description: 'Conversation the message belongs to' },
+    ...threadColumns
+  ]
+};
+
+const BACKUP_CHAT_TYPE = {
+  sheetName: 'Chat',
+  label: 'Chat message',
+  schemaName: 'ChatBackupMessage',
+  columns: [
+    { key: 'conversationId', header: 'Chat ID', type: 'string', generated: true, description: 'Conversation the message belongs to' },
+    { key: 'timestamp', header: 'Timestamp', type: 'datetime', default: 'NA', description: 'When the message was sent (ISO 8601); defaults to now' },
+    { key: 'type', header: 'Message Type', type: 'string', default: 'message', description: 'Message type' },
+    { key: 'content', header: 'Message Content', type: 'string', default: 'NA', required: true, description: 'Message text' },
+    { key: 'source', header: 'Source', type: 'string', default: 'user', description: 'Where the message came from' },
+    { key: 'status', header: 'Status', type: 'string', default: 'logged', description: 'Status' },
+    { key: 'notes', header: 'Notes', type: 'string', default: 'Backup log entry', description: 'Notes' },
+    ...threadColumns
+  ]
+};
+
+const CHAT_HEADERS = getHeaders(CHAT_TYPE);
+
+// Best guess at a role from a free-form sender label ("me", "gpt", ...)
+const inferRole = (label) => {
+  const text = String(label || '').trim().toLowerCase();
+  if (['gpt', 'assistant', 'ai', 'bot', 'chatgpt'].includes(text)) return 'assistant';
+  if (text === 'tool' || text === 'system') return text;
+  return 'user';
+};
+
+// `message` is accepted as the original name of `content`
+const normalizeMessage = (item) => {
+  if (!item || typeof item !== 'object' || Array.isArray(item) || item.message === undefined) return item;
+  const { message, ...rest } = item;
+  return { content: message, ...rest };
+};
+
+const normalizeMessages = (data) => Array.isArray(data) ? data.map(normalizeMessage) : normalizeMessage(data);
+
+// The messages of a /api/log-chat body: either `messages`, or one message given
+// by top-level fields (including the original { message, sender } form)
+const getChatMessages = (body = {}) => {
+  if (body.messages !== undefined) return normalizeMessages(body.messages);
+  const { message, content = message, sender, role, model, promptTokens, completionTokens, parentMessageId, timestamp } = body;
+  if (content === undefined) return null;
+  const fields = { content, sender, role, model, promptTokens, completionTokens, parentMessageId, timestamp };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+// Messages of one conversation in thread order. Rows logged before sequence
+// numbers existed sort by timestamp after the numbered ones.
+const sortThread = (entries) => [...entries].sort((a, b) => {
+  if (a.sequence !== b.sequence) {
+    if (a.sequence === null) return 1;
+    if (b.sequence === null) return -1;
+    return a.sequence - b.sequence;
+  }
+  return String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+});
+
+// Where each conversation is up to ({ sequence, lastMessageId }), so numbering
+// doesn't need a sheet read per message. Work on one conversation runs one
+// call at a time; a failed call forgets the position so the next one reloads it.
+const createThreadTracker = () => {
+  const positions = new Map();
+  const chains = new Map();
+
+  // `load()` resolves the position from storage; `fn(position)` resolves to
+  // { position, value } and the new position is kept
+  const run = (key, load, fn) => {
+    const previous = chains.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(async () => {
+      try {
+        const position = positions.get(key) || await load();
+        const result = await fn(position);
+        positions.set(key, result.position);
+        return result.value;
+      } catch (error) {
+        positions.delete(key);
+        throw error;
+      }
+    });
+    chains.set(key, current);
+    current.finally(() => {
+      if (chains.get(key) === current) chains.delete(key);
+    }).catch(() => {});
+    return current;
+  };
+
+  return { run };
+};
+
+module.exports = {
+  CHAT_TYPE,
+  BACKUP_CHAT_TYPE,
+  CHAT_HEADERS,
+  inferRole,
+  normalizeMessages,
+  getChatMessages,
+  sortThread,
+  createThreadTracker
+};
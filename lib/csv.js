@@ -0,0 +1,65 @@
+// CSV reading and writing (RFC 4180)
+//
+// Quoted fields may hold delimiters, quotes ("") and newlines. The local
+// storage backend keeps every row, so row numbers match the file; imported
+// files (statements, exchange rates) skip blank rows and name problems by the
+// line a row started on.
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const serializeCsv = (rows) => rows.map(row => row.map(escapeCell).join(',') + '\n').join('');
+
+// Every row as { line, values }, blank ones included
+const readRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      rowLine = ++line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+  return rows;
+};
+
+// Every row as an array of values
+const parseCsv = (text, delimiter = ',') => readRows(text, delimiter).map(({ values }) => values);
+
+// The rows with a value in them, as { line, values }
+const parseCsvLines = (text, delimiter = ',') =>
+  readRows(text, delimiter).filter(({ values }) => values.some(value => value.trim() !== ''));
+
+module.exports = { parseCsv, parseCsvLines, serializeCsv };
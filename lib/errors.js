@@ -0,0 +1,24 @@
+// Errors that carry an HTTP status. Route handlers send `statusCode` and
+// `message` straight back to the client for anything below 500.
+class HttpError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+// 422 for request data that failed validation. `errors` lists each invalid
+// field as { path, message, value } so a client can fix them and retry.
+class ValidationError extends HttpError {
+  constructor(errors) {
+    super(422, `Invalid data: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`, { errors });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+const isClientError = (error) => Boolean(error.statusCode) && error.statusCode < 500;
+
+module.exports = { HttpError, ValidationError, isClientError };
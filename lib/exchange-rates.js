@@ -0,0 +1,247 @@
+// Exchange rates for transactions in other currencies
+//
+// The Amount column is always in the home currency (HOME_CURRENCY), so
+// summaries and budgets add up without knowing about currencies. A
+// transaction paid in another currency gives `currency` and `originalAmount`;
+// the amount is worked out from the rate table:
+//
+//   amount = originalAmount × the currency's latest rate on or before the
+//            transaction's date
+//
+// A rate is how much one unit of the currency is worth in the home currency
+// (USD 56.25 with a PHP home currency). The rate used and the date it is from
+// are written to the row (exchangeRate, exchangeRateDate) so a converted
+// amount can be checked later. A rate given with the transaction, or implied
+// by giving both amount and originalAmount (what the card was actually
+// charged), wins over the table; its row has no exchangeRateDate.
+//
+// The table is kept in a JSON file and can be filled from a CSV or JSON file
+// with currency, date and rate columns.
+
+const fsSync = require('fs');
+const path = require('path');
+const { HttpError, ValidationError } = require('./errors');
+const { parseCsvLines } = require('./csv');
+
+class ExchangeRateError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'ExchangeRateError';
+  }
+}
+
+// Transaction fields that take part in a conversion
+const CURRENCY_FIELDS = ['currency', 'originalAmount', 'exchangeRate'];
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Headers recognized in an imported CSV
+const HEADER_NAMES = {
+  currency: ['currency', 'currency code', 'code'],
+  date: ['date', 'rate date', 'effective date'],
+  rate: ['rate', 'exchange rate', 'value']
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === 'NA';
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const isValidDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+};
+
+const normalizeCurrency = (value) => String(value ?? '').trim().toUpperCase();
+
+// Check rates sent to the API or read from a file. `path` names them in errors.
+const parseRates = (input, { homeCurrency, path: base = 'rates' }) => {
+  if (!Array.isArray(input) || !input.length) {
+    throw new ExchangeRateError(`${base} must be a non-empty array of { currency, date, rate }`);
+  }
+  return input.map((entry, index) => {
+    const where = `${base}[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ExchangeRateError(`${where} must be an object with currency, date and rate`);
+    }
+    const currency = normalizeCurrency(entry.currency);
+    if (!CURRENCY_PATTERN.test(currency)) {
+      throw new ExchangeRateError(`${where}.currency must be a three-letter currency code, e.g. USD`);
+    }
+    if (currency === homeCurrency) {
+      throw new ExchangeRateError(`${where}.currency is the home currency (${homeCurrency}), which needs no rate`);
+    }
+    const date = String(entry.date ?? '').trim();
+    if (!isValidDate(date)) {
+      throw new ExchangeRateError(`${where}.date must be a date (YYYY-MM-DD)`);
+    }
+    const rate = typeof entry.rate === 'string' ? Number(entry.rate.replace(/,/g, '')) : entry.rate;
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate <= 0) {
+      throw new ExchangeRateError(`${where}.rate must be a positive number`);
+    }
+    return { currency, date, rate };
+  });
+};
+
+// Rates in an uploaded file: JSON (an array, or { "rates": [...] }) or CSV
+// with a header row
+const readRateFile = (text, { fileName = '', homeCurrency }) => {
+  const content = String(text).replace(/^\uFEFF/, '');
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(content)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      throw new ExchangeRateError(`The file is not valid JSON: ${error.message}`);
+    }
+    return parseRates(Array.isArray(parsed) ? parsed : parsed?.rates, { homeCurrency, path: 'rates' });
+  }
+
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes(',') ? ',' : firstLine.includes(';') ? ';' : '\t';
+  const [header, ...rows] = parseCsvLines(content, delimiter);
+  if (!header) {
+    throw new ExchangeRateError('The file is empty');
+  }
+  const headers = header.values.map(value => value.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(HEADER_NAMES).map(([key, names]) =>
+    [key, headers.findIndex(value => names.includes(value))]));
+  const missing = Object.keys(columns).filter(key => columns[key] === -1);
+  if (missing.length) {
+    throw new ExchangeRateError(`The CSV needs a header row with currency, date and rate columns; missing ${missing.join(', ')}`);
+  }
+  if (!rows.length) {
+    throw new ExchangeRateError('The CSV has no rates below its header row');
+  }
+  const entries = rows.map(({ values }) => Object.fromEntries(Object.entries(columns).map(([key, index]) => [key, values[index]])));
+  try {
+    return parseRates(entries, { homeCurrency, path: 'rates' });
+  } catch (error) {
+    // Name the CSV line rather than the array index
+    const match = error.message.match(/^rates\[(\d+)\](.*)$/);
+    if (!match) throw error;
+    throw new ExchangeRateError(`Line ${rows[Number(match[1])].line}:${match[2].replace(/^\./, ' ')}`);
+  }
+};
+
+// Fill in the home-currency amount of a validated transaction and record the
+// rate used. Transactions without a currency or originalAmount are left as
+// they are, and may not give a rate. `findRate(currency, date)` looks a rate
+// up in the table. Throws a ValidationError naming the item by `path`.
+const convertTransaction = (transaction, { homeCurrency, findRate, path: base = 'data' }) => {
+  const { amount, originalAmount, exchangeRate } = transaction;
+  const fail = (field, message) => {
+    throw new ValidationError([{ path: `${base}.${field}`, message, value: transaction[field] }]);
+  };
+  if (isEmpty(transaction.currency) && isEmpty(originalAmount)) {
+    // A rate with nothing to convert would only be a misleading audit trail
+    if (!isEmpty(exchangeRate)) fail('exchangeRate', 'can only be given with currency or originalAmount');
+    return transaction;
+  }
+  const currency = isEmpty(transaction.currency) ? homeCurrency : normalizeCurrency(transaction.currency);
+  if (!CURRENCY_PATTERN.test(currency)) {
+    fail('currency', 'must be a three-letter currency code, e.g. USD');
+  }
+  if (!isEmpty(exchangeRate) && exchangeRate <= 0) {
+    fail('exchangeRate', 'must be a positive number');
+  }
+  // Without originalAmount, amount was given in the transaction's currency
+  const original = isEmpty(originalAmount) ? amount : originalAmount;
+  const converted = { ...transaction, currency, originalAmount: original, exchangeRateDate: null };
+
+  if (currency === homeCurrency) {
+    if (!isEmpty(amount) && !isEmpty(originalAmount) && amount !== originalAmount) {
+      fail('originalAmount', `must equal amount when the currency is the home currency (${homeCurrency})`);
+    }
+    return { ...converted, amount: original, exchangeRate: 1 };
+  }
+  if (!isEmpty(exchangeRate)) {
+    return { ...converted, amount: isEmpty(originalAmount) || isEmpty(amount) ? round(original * exchangeRate) : amount };
+  }
+  if (!isEmpty(amount) && !isEmpty(originalAmount)) {
+    if (original === 0) fail('originalAmount', 'must not be 0 when amount is given');
+    return { ...converted, exchangeRate: round(amount / original, 6) };
+  }
+
+  const found = findRate(currency, transaction.date);
+  if (!found) {
+    fail('currency', `has no exchange rate on or before ${transaction.date}; add one with POST /api/exchange-rates`);
+  }
+  return { ...converted, amount: round(original * found.rate), exchangeRate: found.rate, exchangeRateDate: found.date };
+};
+
+// The rate table, sorted by currency and date
+const createRateStore = ({ filePath, homeCurrency }) => {
+  let rates = [];
+
+  const sort = () => rates.sort((a, b) => a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date));
+
+  const save = () => {
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ homeCurrency, rates }, null, 2) + '\n');
+  };
+
+  const load = () => {
+    if (!fsSync.existsSync(filePath)) return;
+    const stored = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+    if (stored.homeCurrency && stored.homeCurrency !== homeCurrency) {
+      throw new Error(`${filePath} holds rates to ${stored.homeCurrency}, but HOME_CURRENCY is ${homeCurrency}`);
+    }
+    rates = stored.rates || [];
+    sort();
+    if (rates.length) console.log(`Loaded ${rates.length} exchange rate(s) from ${filePath}`);
+  };
+
+  const list = ({ currency, from, to } = {}) => rates.filter(entry =>
+    (!currency || entry.currency === currency) && (!from || entry.date >= from) && (!to || entry.date <= to));
+
+  // The latest rate on or before `date`
+  const find = (currency, date) => {
+    const matches = rates.filter(entry => entry.currency === currency && entry.date <= date);
+    return matches.length ? matches[matches.length - 1] : null;
+  };
+
+  // Add rates, replacing any already held for the same currency and date
+  const upsert = (entries) => {
+    let added = 0;
+    let updated = 0;
+    const now = new Date().toISOString();
+    entries.forEach(entry => {
+      const existing = rates.find(candidate => candidate.currency === entry.currency && candidate.date === entry.date);
+      if (existing) {
+        Object.assign(existing, entry, { updatedAt: now });
+        updated++;
+      } else {
+        rates.push({ ...entry, updatedAt: now });
+        added++;
+      }
+    });
+    sort();
+    save();
+    return { added, updated };
+  };
+
+  // Remove a currency's rates, or only the one for `date`
+  const remove = (currency, date) => {
+    const before = rates.length;
+    rates = rates.filter(entry => entry.currency !== currency || (date && entry.date !== date));
+    if (rates.length === before) return 0;
+    save();
+    return before - rates.length;
+  };
+
+  load();
+  return { homeCurrency, list, find, upsert, remove };
+};
+
+module.exports = {
+  ExchangeRateError,
+  CURRENCY_FIELDS,
+  normalizeCurrency,
+  parseRates,
+  readRateFile,
+  convertTransaction,
+  createRateStore
+};
@@ -0,0 +1,73 @@
+// Header-aware column mapping
+//
+// Rows are built in registry order. When a sheet's header row matches that
+// order (extra columns at the end are fine) rows are written as they are;
+// otherwise each value is placed in the column with the same header, so a
+// reordered or inserted column never shifts data into the wrong place.
+// Sheet columns the registry doesn't know are left untouched.
+//
+// Header rows are cached per sheet so a write doesn't have to read row 1 first.
+
+const { compareHeaders } = require('./migrations');
+
+const createHeaderCache = ({ ttlMs }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.cachedAt > ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.headers;
+  };
+
+  const set = (key, headers) => {
+    entries.set(key, { headers: [...headers], cachedAt: Date.now() });
+  };
+
+  const invalidate = (key) => entries.delete(key);
+
+  return { get, set, invalidate };
+};
+
+// Translate between rows in `expected` order and rows in the sheet's order.
+//   missing        - expected headers with no column in the sheet
+//   toSheet(row)   - a new sheet row; unknown sheet columns are empty
+//   fromSheet(row) - back to expected order; missing columns are undefined
+//   merge(existing, row) - `existing` sheet row with the known columns replaced
+const createColumnMap = (expected, sheetHeaders) => {
+  if (compareHeaders(sheetHeaders, expected) !== 'mismatch') {
+    return {
+      positional: true,
+      missing: [],
+      toSheet: (row) => row,
+      fromSheet: (row) => row,
+      merge: (existing, row) => row
+    };
+  }
+
+  const targets = expected.map(header => sheetHeaders.indexOf(header));
+  const place = (base, row) => {
+    const result = [...base];
+    while (result.length < sheetHeaders.length) result.push('');
+    targets.forEach((target, index) => {
+      if (target !== -1) result[target] = row[index];
+    });
+    return result;
+  };
+
+  return {
+    positional: false,
+    missing: expected.filter((header, index) => targets[index] === -1),
+    toSheet: (row) => place([], row),
+    fromSheet: (row) => targets.map(target => target === -1 ? undefined : row[target]),
+    merge: (existing, row) => place(existing, row)
+  };
+};
+
+module.exports = {
+  createHeaderCache,
+  createColumnMap
+};
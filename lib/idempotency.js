@@ -0,0 +1,165 @@
+// Idempotency keys for POST /api/log-*
+//
+// A client can send an `Idempotency-Key` header or a top-level `requestId`
+// field. The first successful response for a key is stored and replayed for
+// any repeat within the window, so a retried request never writes twice.
+//
+// Records live in memory and in an append-only JSONL file so they survive
+// restarts. Expired records are dropped when the file is loaded.
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { createHash } = require('crypto');
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const createIdempotencyStore = ({ filePath, windowMs = DEFAULT_WINDOW_MS }) => {
+  const records = new Map();
+  let writeChain = Promise.resolve();
+
+  const isExpired = (record) => Date.now() - record.createdAt > windowMs;
+
+  // Load unexpired records and rewrite the file without the expired ones
+  const load = () => {
+    if (!fsSync.existsSync(filePath)) return;
+    let dropped = 0;
+    fsSync.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        if (isExpired(record)) {
+          dropped++;
+        } else {
+          records.set(record.key, record);
+        }
+      } catch (error) {
+        dropped++;
+      }
+    });
+    if (dropped) {
+      const lines = [...records.values()].map(record => JSON.stringify(record) + '\n').join('');
+      fsSync.writeFileSync(filePath, lines);
+    }
+    console.log(`Loaded ${records.size} idempotency key(s) from ${filePath}`);
+  };
+
+  const get = (key) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (isExpired(record)) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  // Appends are serialized so lines never interleave
+  const set = (key, record) => {
+    const stored = { key, createdAt: Date.now(), ...record };
+    records.set(key, stored);
+    writeChain = writeChain
+      .then(() => fs.mkdir(path.dirname(filePath), { recursive: true }))
+      .then(() => fs.appendFile(filePath, JSON.stringify(stored) + '\n'))
+      .catch(error => console.error('Failed to persist idempotency key:', error.message));
+    return stored;
+  };
+
+  load();
+  return { get, set, windowMs };
+};
+
+// Hash of the request body, minus the requestId itself, so a reused key with a
+// different payload can be rejected instead of silently replayed. An uploaded
+// file (multer's req.file) counts as part of the body.
+const fingerprintRequest = (body = {}, file = null) => {
+  const { requestId, ...rest } = body;
+  const upload = file && {
+    name: file.originalname,
+    type: file.mimetype,
+    sha256: createHash('sha256').update(file.buffer).digest('hex')
+  };
+  return createHash('sha256').update(JSON.stringify(upload ? { ...rest, file: upload } : rest)).digest('hex');
+};
+
+// Express middleware for POSTs to paths starting with one of `paths`. For
+// multipart uploads, run it after the body is parsed (e.g. by multer) so the
+// file and form fields are fingerprinted.
+// Handlers that time out after the write may already have gone through can
+// set `res.locals.lateResponse` to a promise of the success body; the key then
+// stays reserved until that promise settles, and a retry gets the late success
+// instead of writing again.
+const createIdempotencyMiddleware = (store, { paths = ['/api/log-'] } = {}) => {
+  const inFlight = new Map();
+
+  return async (req, res, next) => {
+    if (req.method !== 'POST' || !paths.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+    const rawKey = req.get('Idempotency-Key') || req.body?.requestId;
+    if (!rawKey) {
+      return next();
+    }
+
+    // Keys are per API key, so one client can't replay another's response
+    const key = req.apiKey ? `${req.apiKey.id}:${req.path}:${rawKey}` : `${req.path}:${rawKey}`;
+    const fingerprint = fingerprintRequest(req.body, req.file);
+
+    // A retry that arrives while the original is still running waits for it.
+    // Several may be waiting; if the original failed without storing a
+    // response, the first to wake takes the key and the rest wait on it.
+    while (inFlight.has(key)) {
+      await inFlight.get(key);
+    }
+
+    const record = store.get(key);
+    if (record) {
+      if (record.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency key was already used with a different request body'
+        });
+      }
+      console.log(`Replaying response for idempotency key ${rawKey}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status).json(record.body);
+    }
+
+    let release;
+    inFlight.set(key, new Promise(resolve => { release = resolve; }));
+    const done = () => {
+      inFlight.delete(key);
+      release();
+    };
+
+    // Release the key if the connection closes without a JSON response
+    let responded = false;
+    res.on('close', () => {
+      if (!responded) done();
+    });
+
+    res.locals.idempotencyKey = rawKey;
+    const originalJson = res.json;
+    res.json = function(body) {
+      responded = true;
+      if (res.statusCode < 300) {
+        store.set(key, { fingerprint, status: res.statusCode, body });
+        done();
+      } else if (res.locals.lateResponse) {
+        res.locals.lateResponse
+          .then(lateBody => store.set(key, { fingerprint, status: 200, body: lateBody }))
+          .catch(() => {})
+          .finally(done);
+      } else {
+        done();
+      }
+      return originalJson.call(this, body);
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  createIdempotencyStore,
+  createIdempotencyMiddleware
+};
@@ -0,0 +1,84 @@
+// Natural-language ingestion for POST /api/ingest
+//
+// Turns a free-form message ("spent 450 at Jollibee on lunch with GCash, felt
+// sluggish after") into typed entries for the registry's log types. The model
+// is offered one function per log type, whose parameters are that type's JSON
+// Schema (lib/validation.js), and calls one per entry it finds.
+//
+// The model is pluggable: any object with `extract({ system, message, tools })`
+// resolving to a list of { name, arguments } calls works. createOpenAIModel
+// uses the Chat Completions API; OPENAI_BASE_URL can point it at any
+// compatible server, such as a local stub model for tests.
+
+const { OpenAI } = require('openai');
+const { LOG_TYPES } = require('./log-types');
+const { buildDataSchema } = require('./validation');
+
+const toolName = (type) => `log_${type}`;
+
+const buildTools = (types) => types.map(type => ({
+  type: 'function',
+  function: {
+    name: toolName(type),
+    description: `Log one ${LOG_TYPES[type].label.toLowerCase()} to the ${LOG_TYPES[type].sheetName} sheet`,
+    parameters: buildDataSchema(LOG_TYPES[type])
+  }
+}));
+
+const buildSystemPrompt = ({ today }) => [
+  'You turn a message into entries for a personal tracking spreadsheet.',
+  'Call the matching function once for every entry in the message; one message can hold several,',
+  'such as a purchase and the meal it paid for.',
+  'Only fill in fields the message states or clearly implies, and leave the rest out.',
+  `Today is ${today}. Resolve relative dates like "yesterday" against it and write dates as YYYY-MM-DD.`,
+  'If there is nothing to log, call no functions.'
+].join('\n');
+
+const createOpenAIModel = ({ apiKey, baseURL, model = 'gpt-4o-mini', timeoutMs = 30000 }) => {
+  const client = new OpenAI({ apiKey, baseURL, timeout: timeoutMs, maxRetries: 1 });
+
+  const extract = async ({ system, message, tools }) => {
+    const completion = await client.chat.completions.create({
+      model,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: message }
+      ],
+      tools,
+      tool_choice: 'auto'
+    });
+    const calls = completion.choices[0]?.message?.tool_calls || [];
+    return calls.map(call => ({ name: call.function.name, arguments: call.function.arguments }));
+  };
+
+  return { name: model, extract };
+};
+
+const createIngestor = ({ model }) => {
+  // Ask the model for entries of the given types. Resolves to a list of
+  // { type, data }; the data is not validated yet.
+  const extract = async (message, { types = Object.keys(LOG_TYPES), today = new Date().toISOString().slice(0, 10) } = {}) => {
+    const byName = new Map(types.map(type => [toolName(type), type]));
+    const calls = await model.extract({ system: buildSystemPrompt({ today }), message, tools: buildTools(types) });
+
+    return calls.map(call => {
+      const type = byName.get(call.name);
+      if (!type) {
+        throw new Error(`Model called unknown function ${call.name}`);
+      }
+      try {
+        return { type, data: typeof call.arguments === 'string' ? JSON.parse(call.arguments) : call.arguments };
+      } catch (error) {
+        throw new Error(`Model returned invalid arguments for ${call.name}: ${error.message}`);
+      }
+    });
+  };
+
+  return { model: model.name || 'custom', extract };
+};
+
+module.exports = {
+  createOpenAIModel,
+  createIngestor
+};
@@ -0,0 +1,227 @@
+// Log type registry
+//
+// Every /api/log-* endpoint, header check and OpenAPI path is generated from
+// the definitions below. To add a new tracker, add an entry here.
+//
+// Column fields:
+//   key         - camelCase field accepted in request bodies
+//   header      - header cell written to row 1 of the sheet
+//   type        - 'string' | 'number' | 'date' | 'time' | 'datetime'
+//   default     - value written when the field is missing or empty
+//   required    - must be given when logging (see lib/validation.js)
+//   requiredUnless - another field that may be given in place of this one
+//   generated   - filled in by the server, never read from the request. Each
+//                 type has exactly one generated ID column. Workouts, Meals,
+//                 Journal and Status keep theirs last so rows logged before
+//                 IDs were stored keep their column positions.
+//   serverSet   - filled in by the server and never read from the request,
+//                 like generated, but not an ID
+//   filterable  - can be used as an equality filter on GET /api/{type}
+//   format      - 'currency' for money columns (number format in new workbooks)
+//   options     - allowed values, matched case-insensitively; new workbooks
+//                 get a dropdown
+//   description - used for the OpenAPI schema
+
+const LOG_TYPES = {
+  transactions: {
+    route: '/api/log-transactions',
+    sheetName: 'Transactions',
+    label: 'Transaction',
+    plural: 'transactions',
+    tag: 'transactions',
+    operationId: 'logTransactions',
+    schemaName: 'TransactionData',
+    columns: [
+      { key: 'transactionId', header: 'Transaction ID', type: 'string', generated: true, filterable: true, description: 'Server-generated transaction ID (TXN-… or REC-…-ITEM-n)' },
+      { key: 'date', header: 'Date', type: 'date', default: 'NA', required: true, description: 'Transaction date (YYYY-MM-DD)' },
+      { key: 'time', header: 'Time', type: 'time', default: 'NA', description: 'Transaction time (HH:mm:ss; 8:30 AM is accepted)' },
+      { key: 'accountName', header: 'Account Name', type: 'string', default: 'NA', filterable: true, description: 'Account name' },
+      { key: 'transactionType', header: 'Transaction Type', type: 'string', default: 'NA', filterable: true, options: ['Income', 'Expense', 'Transfer'], description: 'Type of transaction' },
+      { key: 'category', header: 'Category', type: 'string', default: 'NA', filterable: true, description: 'Transaction category' },
+      { key: 'allowances', header: 'Allowances', type: 'string', default: 'NA', description: 'Allowances' },
+      { key: 'deductions', header: 'Deductions', type: 'string', default: 'NA', description: 'Deductions' },
+      { key: 'items', header: 'Items', type: 'string', default: 'NA', description: 'Items purchased' },
+      { key: 'establishment', header: 'Establishment', type: 'string', default: 'NA', filterable: true, description: 'Establishment name' },
+      { key: 'receiptNumber', header: 'Receipt Number', type: 'string', default: 'NA', description: 'Receipt number' },
+      { key: 'amount', header: 'Amount', type: 'number', default: 0, required: true, requiredUnless: 'originalAmount', format: 'currency', description: 'Transaction amount in the home currency (worked out from originalAmount when that is given)' },
+      { key: 'paymentMethod', header: 'Payment Method', type: 'string', default: 'NA', filterable: true, description: 'Method of payment' },
+      { key: 'cardUsed', header: 'Card Used', type: 'string', default: 'NA', description: 'Card used for payment' },
+      { key: 'linkedBudgetCategory', header: 'Linked Budget Category', type: 'string', default: 'NA', filterable: true, description: 'Linked budget category' },
+      { key: 'onlineTransactionId', header: 'Online Transaction ID', type: 'string', default: 'NA', description: 'Online transaction ID' },
+      { key: 'mappedOnlineVendor', header: 'Mapped Online Vendor', type: 'string', default: 'NA', description: 'Mapped online vendor' },
+      { key: 'reimbursable', header: 'Reimbursable', type: 'string', default: 'NA', options: ['Yes', 'No'], description: 'Whether transaction is reimbursable' },
+      { key: 'reimbursementStatus', header: 'Reimbursement Status', type: 'string', default: 'NA', description: 'Status of reimbursement' },
+      { key: 'interestType', header: 'Interest Type', type: 'string', default: 'NA', description: 'Type of interest' },
+      { key: 'taxWithheld', header: 'Tax Withheld', type: 'number', default: 0, format: 'currency', description: 'Tax withheld amount' },
+      { key: 'taxDeductible', header: 'Tax Deductible', type: 'string', default: 'NA', options: ['Yes', 'No'], description: 'Whether transaction is tax deductible' },
+      { key: 'taxCategory', header: 'Tax Category', type: 'string', default: 'NA', description: 'Tax category' },
+      { key: 'bankIdentifier', header: 'Bank Identifier', type: 'string', default: 'NA', description: 'Bank identifier' },
+      { key: 'transactionMethod', header: 'Transaction Method', type: 'string', default: 'NA', description: 'Method of transaction' },
+      { key: 'transferMethod', header: 'Transfer Method', type: 'string', default: 'NA', description: 'Method of transfer' },
+      { key: 'referenceId', header: 'Reference ID', type: 'string', default: 'NA', description: 'Reference ID' },
+      { key: 'notes', header: 'Notes', type: 'string', default: 'NA', description: 'Additional notes' },
+      { key: 'processed', header: 'Processed', type: 'string', default: 'No', filterable: true, options: ['Yes', 'No'], description: 'Processing status' },
+      { key: 'receiptImage', header: 'Receipt Image', type: 'string', default: 'NA', description: 'Link to the uploaded receipt (see POST /api/receipts)' },
+      { key: 'currency', header: 'Currency', type: 'string', default: 'NA', filterable: true, description: 'Currency the transaction was paid in (e.g. USD); the home currency when left out' },
+      { key: 'originalAmount', header: 'Original Amount', type: 'number', default: 'NA', description: 'Amount in that currency' },
+      { key: 'exchangeRate', header: 'Exchange Rate', type: 'number', default: 'NA', description: 'Home-currency value of one unit of the currency; looked up in /api/exchange-rates when left out. Only with currency or originalAmount' },
+      { key: 'exchangeRateDate', header: 'Exchange Rate Date', type: 'date', default: 'NA', serverSet: true, description: 'Date of the table rate used (set by the server; empty when the rate was given)' }
+    ]
+  },
+
+  workouts: {
+    route: '/api/log-workouts',
+    sheetName: 'Workouts',
+    label: 'Workout',
+    plural: 'workouts',
+    tag: 'workouts',
+    operationId: 'logWorkouts',
+    schemaName: 'WorkoutData',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date', default: 'NA', required: true, description: 'Workout date (YYYY-MM-DD)' },
+      { key: 'workoutType', header: 'Workout Type', type: 'string', default: 'NA', required: true, filterable: true, options: ['Push', 'Pull', 'Legs', 'Core', 'Full Body', 'Cardio', 'Mobility', 'Rest'], description: 'Type of workout (Push, Pull, Legs, Core, Full Body, Cardio, Mobility, Rest)' },
+      { key: 'exercises', header: 'Exercises', type: 'string', default: 'NA', description: 'List of exercises done' },
+      { key: 'sets', header: 'Sets', type: 'string', default: 'NA', description: 'Number of sets (e.g. 3x)' },
+      { key: 'reps', header: 'Reps', type: 'string', default: 'NA', description: 'Number of reps (e.g. 8-12 or actual reps)' },
+      { key: 'progression', header: 'Progression / Notes', type: 'string', default: 'NA', description: "Progression notes (e.g. 'Struggled on last set', 'Moved to elevated push-ups')" },
+      { key: 'duration', header: 'Time / Duration', type: 'string', default: 'NA', description: 'Time / Duration (e.g. 45 min)' },
+      { key: 'rpe', header: 'RPE', type: 'string', default: 'NA', description: 'Rate of Perceived Exertion (1-10 scale)' },
+      { key: 'energy', header: 'Energy / Mood', type: 'string', default: 'NA', description: "Energy / Mood (e.g. 'Tired', 'Felt strong')" },
+      { key: 'nextFocus', header: 'Next Focus / Adjustment', type: 'string', default: 'NA', description: "Next focus / adjustment (e.g. 'Add reps next time', 'Work on form')" },
+      { key: 'workoutId', header: 'Workout ID', type: 'string', generated: true, filterable: true, description: 'Server-generated workout ID' }
+    ]
+  },
+
+  food: {
+    route: '/api/log-food',
+    sheetName: 'Meals',
+    label: 'Meal',
+    plural: 'food entries',
+    tag: 'food',
+    operationId: 'logFood',
+    schemaName: 'FoodData',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date', default: 'NA', required: true, description: 'Date (YYYY-MM-DD)' },
+      { key: 'mealType', header: 'Meal Type', type: 'string', default: 'NA', required: true, filterable: true, options: ['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Pre/Post-Workout'], description: 'Type of meal (Breakfast, Lunch, Dinner, Snack, Pre/Post-Workout)' },
+      { key: 'timeEaten', header: 'Time Eaten', type: 'time', default: 'NA', description: 'Time eaten (HH:mm:ss; 8:30 AM is accepted)' },
+      { key: 'description', header: 'Food / Meal Description', type: 'string', default: 'NA', description: 'Food / Meal Description (e.g. Chicken rice bowl, banana, protein shake)' },
+      { key: 'portion', header: 'Portion / Serving Size', type: 'string', default: 'NA', description: 'Portion / Serving Size (e.g. 1 cup, 100g)' },
+      { key: 'calories', header: 'Calories', type: 'string', default: 'NA', description: 'Calories (if tracking intake)' },
+      { key: 'macros', header: 'Macros', type: 'string', default: 'NA', description: 'Macros (Protein / Carbs / Fat)' },
+      { key: 'mood', header: 'Mood / Energy After Eating', type: 'string', default: 'NA', description: "Mood / Energy After Eating (e.g. 'Felt full', 'Still hungry', 'Bloated')" },
+      { key: 'notes', header: 'Notes', type: 'string', default: 'NA', description: 'Additional notes (e.g. cravings, digestion, if you skipped or delayed a meal)' },
+      { key: 'mealId', header: 'Meal ID', type: 'string', generated: true, filterable: true, description: 'Server-generated meal ID' }
+    ]
+  },
+
+  journal: {
+    route: '/api/log-journal',
+    sheetName: 'Journal',
+    label: 'Journal entry',
+    plural: 'journal entries',
+    tag: 'journal',
+    operationId: 'logJournal',
+    schemaName: 'JournalData',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date', default: 'NA', required: true, description: 'Date (YYYY-MM-DD)' },
+      { key: 'whatHappened', header: 'What happened?', type: 'string', default: 'NA', description: 'What happened?' },
+      { key: 'whereGod', header: 'Where did I see God?', type: 'string', default: 'NA', description: 'Where did I see God?' },
+      { key: 'teaching', header: 'What is God teaching me?', type: 'string', default: 'NA', description: 'What is God teaching me?' },
+      { key: 'response', header: 'How can I respond in faith?', type: 'string', default: 'NA', description: 'How can I respond in faith?' },
+      { key: 'prayer', header: 'Prayer / Conversation with God', type: 'string', default: 'NA', description: 'Prayer / Conversation with God' },
+      { key: 'scripture', header: 'Scripture', type: 'string', default: 'NA', description: 'Scripture' },
+      { key: 'gratitude', header: 'Gratitude', type: 'string', default: 'NA', description: 'Gratitude' },
+      { key: 'entryId', header: 'Entry ID', type: 'string', generated: true, filterable: true, description: 'Server-generated journal entry ID' }
+    ]
+  },
+
+  status: {
+    route: '/api/log-status',
+    sheetName: 'Status',
+    label: 'Status update',
+    plural: 'status updates',
+    tag: 'status',
+    operationId: 'logStatus',
+    schemaName: 'StatusData',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date', default: 'NA', required: true, description: 'Date (YYYY-MM-DD)' },
+      { key: 'timeBlock', header: 'Time / Time Block', type: 'string', default: 'NA', description: 'Time / Time Block (e.g. 9:00 AM-10:00 AM)' },
+      { key: 'activity', header: 'Activity / Task', type: 'string', default: 'NA', required: true, description: 'Activity / Task (What you were doing)' },
+      { key: 'category', header: 'Category', type: 'string', default: 'NA', filterable: true, description: 'Category (Work, Rest, Social, Chores, Screen Time, Creative, Fitness, etc.)' },
+      { key: 'location', header: 'Location', type: 'string', default: 'NA', filterable: true, description: 'Location (Home, Gym, Café, Office, etc.)' },
+      { key: 'mood', header: 'Mood', type: 'string', default: 'NA', description: 'Mood (Happy, Anxious, Focused, Tired, etc.)' },
+      { key: 'energyLevel', header: 'Energy Level', type: 'string', default: 'NA', description: 'Energy Level (1-10)' },
+      { key: 'focusLevel', header: 'Focus Level', type: 'string', default: 'NA', description: 'Focus Level (1-10)' },
+      { key: 'notes', header: 'Notes / Observations', type: 'string', default: 'NA', description: 'Notes / Observations (Any thoughts, distractions, interruptions, etc.)' },
+      { key: 'statusId', header: 'Status ID', type: 'string', generated: true, filterable: true, description: 'Server-generated status update ID' }
+    ]
+  }
+};
+
+// Convert a 1-based column number to its A1 letter (1 -> A, 29 -> AC)
+const columnLetter = (n) => {
+  let letter = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+};
+
+const getLogType = (type) => LOG_TYPES[type] || null;
+
+const getHeaders = (logType) => logType.columns.map(column => column.header);
+
+const getLastColumn = (logType) => columnLetter(logType.columns.length);
+
+// Full-column range used for appends, e.g. "Transactions!A:AC"
+const getDataRange = (logType, sheetName = logType.sheetName) =>
+  `${sheetName}!A:${getLastColumn(logType)}`;
+
+// Header row range, e.g. "Transactions!A1:AC1"
+const getHeaderRange = (logType, sheetName = logType.sheetName) =>
+  `${sheetName}!A1:${getLastColumn(logType)}1`;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Build a sheet row from a request item, in column order. `generatedValues`
+// supplies the server-side fields (e.g. transactionId).
+const buildRow = (logType, item, generatedValues = {}) =>
+  logType.columns.map(column => {
+    const value = column.generated ? generatedValues[column.key] : item[column.key];
+    return isEmpty(value) ? (column.default ?? 'NA') : value;
+  });
+
+// Parse a sheet row back into a typed object keyed by column key. Default
+// placeholders ('NA') and empty cells come back as null.
+const parseRow = (logType, row) =>
+  Object.fromEntries(logType.columns.map((column, index) => {
+    const raw = row[index];
+    if (isEmpty(raw) || raw === 'NA') return [column.key, null];
+    if (column.type === 'number') {
+      const number = Number(raw);
+      return [column.key, Number.isNaN(number) ? null : number];
+    }
+    return [column.key, String(raw)];
+  }));
+
+// Key of the generated ID column (transactionId, workoutId, ...)
+const getIdKey = (logType) => logType.columns.find(column => column.generated).key;
+
+// Key of the column used for date-range filters, if the type has one
+const getDateKey = (logType) => logType.columns.find(column => column.type === 'date')?.key || null;
+
+module.exports = {
+  LOG_TYPES,
+  columnLetter,
+  getLogType,
+  getHeaders,
+  getLastColumn,
+  getDataRange,
+  getHeaderRange,
+  buildRow,
+  parseRow,
+  getIdKey,
+  getDateKey
+};
@@ -0,0 +1,163 @@
+// Non-destructive header migrations
+//
+// A migration rewrites a sheet so its header row matches the desired headers,
+// moving every data cell along with its column:
+//
+//   keep    - header already present (possibly at another position: move)
+//   rename  - matched through `renames` ({ "Old header": "New header" })
+//   add     - new column, empty in existing rows
+//   retire  - column no longer wanted; moved after the desired columns with
+//             its header and data intact, never deleted
+//   drop    - only in rollbacks: a column the migration added that is still empty
+//
+// Every applied migration is recorded in a JSONL log. Rolling one back is just
+// another migration back to the recorded headers, so it is non-destructive too.
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { columnLetter } = require('./log-types');
+
+const trimHeaders = (headers = []) => {
+  const trimmed = headers.map(header => header === null || header === undefined ? '' : String(header));
+  while (trimmed.length && trimmed[trimmed.length - 1] === '') trimmed.pop();
+  return trimmed;
+};
+
+const startsWith = (headers, prefix) => prefix.every((header, index) => headers[index] === header);
+
+// How a sheet's header row relates to the headers a write expects:
+//   empty    - no headers yet; safe to write them
+//   match    - desired headers are in place (retired columns may follow)
+//   extend   - existing headers are a prefix; new columns can be added at the end
+//   mismatch - columns differ; writes must go by header name (lib/header-map.js)
+const compareHeaders = (current, desired) => {
+  const existing = trimHeaders(current);
+  if (!existing.length) return 'empty';
+  if (startsWith(existing, desired)) return 'match';
+  if (startsWith(desired, existing)) return 'extend';
+  return 'mismatch';
+};
+
+// Work out the new column layout for `rows` (header row first). Returns the
+// layout (each new column's header and source index, -1 for added columns),
+// a list of human-readable changes and whether anything actually moves.
+// With `keepEmptyColumns: false`, unmatched columns with a header but no data
+// are dropped instead of retired (used by rollbacks to remove added columns).
+const planMigration = (rows, desired, { renames = {}, keepEmptyColumns = true } = {}) => {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  const current = Array.from({ length: width }, (_, index) => String(rows[0]?.[index] ?? ''));
+  const used = new Set();
+
+  const findSource = (header) => current.findIndex((existing, index) => existing === header && !used.has(index));
+
+  const columns = desired.map(header => {
+    let source = findSource(header);
+    if (source === -1) {
+      const oldHeader = Object.keys(renames).find(old => renames[old] === header);
+      if (oldHeader !== undefined) source = findSource(oldHeader);
+    }
+    if (source !== -1) used.add(source);
+    return { header, source };
+  });
+
+  // Unmatched columns that hold anything are retired, keeping their order
+  const hasData = (index) => (keepEmptyColumns && current[index] !== '') ||
+    rows.slice(1).some(row => row[index] !== undefined && row[index] !== '');
+  const dropped = [];
+  current.forEach((header, index) => {
+    if (used.has(index)) return;
+    if (hasData(index)) {
+      columns.push({ header, source: index, retired: true });
+    } else if (header !== '') {
+      dropped.push({ op: 'drop', header, from: columnLetter(index + 1) });
+    }
+  });
+
+  const changes = [...dropped];
+  columns.forEach((column, index) => {
+    const to = columnLetter(index + 1);
+    if (column.source === -1) {
+      changes.push({ op: 'add', header: column.header, to });
+      return;
+    }
+    const from = columnLetter(column.source + 1);
+    if (column.retired) {
+      changes.push({ op: 'retire', header: column.header, from, to });
+    } else if (current[column.source] !== column.header) {
+      changes.push({ op: 'rename', from, to, fromHeader: current[column.source], header: column.header });
+    } else if (column.source !== index) {
+      changes.push({ op: 'move', header: column.header, from, to });
+    }
+  });
+
+  const before = trimHeaders(current);
+  const after = columns.map(column => column.header);
+  return {
+    before,
+    after,
+    columns,
+    changes,
+    changed: columns.length !== width || columns.some((column, index) => column.source !== index) ||
+      after.join('\t') !== before.join('\t'),
+    width: Math.max(width, columns.length)
+  };
+};
+
+// Rebuild every row in the planned layout. Added columns start empty.
+const applyPlan = (rows, plan) => rows.map((row, index) => plan.columns.map(column => {
+  if (index === 0) return column.header;
+  return column.source === -1 ? '' : (row[column.source] ?? '');
+}));
+
+const invertRenames = (renames = {}) =>
+  Object.fromEntries(Object.entries(renames).map(([oldHeader, newHeader]) => [newHeader, oldHeader]));
+
+const generateMigrationId = () => `MIG-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+// Append-only record of applied migrations
+const createMigrationLog = ({ filePath }) => {
+  const records = [];
+  let writeChain = Promise.resolve();
+
+  if (fsSync.existsSync(filePath)) {
+    fsSync.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.error('Skipping corrupt migration line:', error.message);
+      }
+    });
+  }
+
+  const record = async (entry) => {
+    const stored = { id: generateMigrationId(), createdAt: new Date().toISOString(), ...entry };
+    const write = writeChain.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify(stored) + '\n');
+    });
+    writeChain = write.catch(() => {});
+    await write;
+    records.push(stored);
+    return stored;
+  };
+
+  const get = (id) => records.find(entry => entry.id === id) || null;
+
+  const list = ({ spreadsheetId, sheetName } = {}) => records.filter(entry =>
+    (!spreadsheetId || entry.spreadsheetId === spreadsheetId) && (!sheetName || entry.sheetName === sheetName));
+
+  // The most recent migration of a sheet, the only one that can be rolled back
+  const latest = (spreadsheetId, sheetName) => list({ spreadsheetId, sheetName }).pop() || null;
+
+  return { record, get, list, latest };
+};
+
+module.exports = {
+  compareHeaders,
+  planMigration,
+  applyPlan,
+  invertRenames,
+  createMigrationLog
+};
@@ -0,0 +1,348 @@
+// Multi-user OAuth
+//
+// The server is an OAuth 2.0 provider for GPT Actions and, behind that, a
+// Google OAuth client, so each user logs to their own Google account:
+//
+//   1. The GPT sends the user to GET /oauth/authorize
+//   2. We redirect to Google's consent screen (Sheets + email scopes)
+//   3. Google redirects to GET /oauth/google/callback; the user's Google
+//      refresh token is stored encrypted and the GPT gets an authorization code
+//   4. The GPT exchanges the code at POST /oauth/token for our own access and
+//      refresh tokens, and sends the access token as a Bearer token
+//
+// Requests made with that access token run with the user's Google credentials.
+// Users, their encrypted Google tokens and hashes of our tokens are kept in a
+// JSON file; authorization codes and pending logins only live in memory.
+
+const fsSync = require('fs');
+const path = require('path');
+const { createHash, createCipheriv, createDecipheriv, randomBytes } = require('crypto');
+const { google } = require('googleapis');
+const { OAuth2Client } = require('google-auth-library');
+const { HttpError } = require('./errors');
+const { secretsEqual } = require('./auth');
+
+const GOOGLE_SCOPES = [
+  'https://www.googleapis.com/auth/spreadsheets',
+  // Only files this app creates, to share new workbooks (POST /api/spreadsheets)
+  'https://www.googleapis.com/auth/drive.file',
+  'openid',
+  'email'
+];
+
+// ChatGPT's callback for GPT Actions; override with OAUTH_REDIRECT_URIS
+const DEFAULT_REDIRECT_PATTERN = /^https:\/\/(chat\.openai\.com|chatgpt\.com)\/aip\/[^/]+\/oauth\/callback$/;
+
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+const CODE_TTL_MS = 10 * 60 * 1000;
+
+// Token endpoint errors use the RFC 6749 shape: { error, error_description }
+class OAuthError extends HttpError {
+  constructor(code, message, statusCode = 400) {
+    super(statusCode, message, { error: code });
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const generateToken = (prefix) => `${prefix}_${randomBytes(32).toString('base64url')}`;
+
+// AES-256-GCM with a key derived from OAUTH_ENCRYPTION_KEY. Output is
+// iv.tag.ciphertext, each base64url-encoded.
+const createTokenCipher = (secret) => {
+  if (!secret) {
+    throw new Error('OAUTH_ENCRYPTION_KEY is required for OAuth mode');
+  }
+  const key = createHash('sha256').update(secret).digest();
+
+  const encrypt = (text) => {
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  };
+
+  const decrypt = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  };
+
+  return { encrypt, decrypt };
+};
+
+// Users and issued tokens, persisted as one JSON file
+const createOAuthStore = ({ filePath }) => {
+  let users = [];
+  let tokens = [];
+
+  const isLive = (token) => !token.expiresAt || token.expiresAt > Date.now();
+
+  const save = () => {
+    tokens = tokens.filter(isLive);
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ users, tokens }, null, 2) + '\n');
+  };
+
+  if (fsSync.existsSync(filePath)) {
+    const data = JSON.parse(fsSync.readFileSync(filePath, 'utf8'));
+    users = data.users || [];
+    tokens = (data.tokens || []).filter(isLive);
+    console.log(`Loaded ${users.length} OAuth user(s) from ${filePath}`);
+  }
+
+  const getUser = (id) => users.find(user => user.id === id) || null;
+
+  const findUserBySub = (googleSub) => users.find(user => user.googleSub === googleSub) || null;
+
+  const saveUser = (user) => {
+    const now = new Date().toISOString();
+    const existing = getUser(user.id);
+    if (existing) {
+      Object.assign(existing, user, { updatedAt: now });
+    } else {
+      users.push({ ...user, createdAt: now, updatedAt: now });
+    }
+    save();
+    return getUser(user.id);
+  };
+
+  // Only the hash of a token is stored
+  const addToken = (token, { type, userId, ttlMs = null }) => {
+    tokens.push({
+      hash: hashToken(token),
+      type,
+      userId,
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    save();
+  };
+
+  const findToken = (token, type) => {
+    const hash = hashToken(token);
+    return tokens.find(entry => entry.hash === hash && entry.type === type && isLive(entry)) || null;
+  };
+
+  return { getUser, findUserBySub, saveUser, addToken, findToken };
+};
+
+// `clients` maps our OAuth client IDs (what the GPT is configured with) to
+// their secrets. `redirectUris` restricts where codes may be sent; when empty,
+// only ChatGPT's GPT Action callback is allowed.
+const createOAuthProvider = ({ store, cipher, clients, redirectUris = [], google: googleConfig }) => {
+  const pendingLogins = new Map();
+  const codes = new Map();
+  const authClients = new Map();
+
+  const createGoogleClient = () => new OAuth2Client(
+    googleConfig.clientId,
+    googleConfig.clientSecret,
+    googleConfig.redirectUri
+  );
+
+  const isAllowedRedirect = (uri) => redirectUris.length
+    ? redirectUris.includes(uri)
+    : DEFAULT_REDIRECT_PATTERN.test(uri || '');
+
+  const withQuery = (uri, params) => {
+    const url = new URL(uri);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    });
+    return url.toString();
+  };
+
+  // Drop expired logins and codes whenever a new one is created
+  const sweep = (map) => {
+    map.forEach((value, key) => {
+      if (value.expiresAt < Date.now()) map.delete(key);
+    });
+  };
+
+  // Step 1: validate the GPT's request and return Google's consent URL
+  const startAuthorization = ({ response_type: responseType, client_id: clientId, redirect_uri: redirectUri, state }) => {
+    if (!clients[clientId]) {
+      throw new OAuthError('invalid_client', 'Unknown client_id');
+    }
+    if (!isAllowedRedirect(redirectUri)) {
+      throw new OAuthError('invalid_request', 'redirect_uri is not allowed');
+    }
+    if (responseType !== 'code') {
+      throw new OAuthError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    sweep(pendingLogins);
+    const googleState = randomBytes(16).toString('base64url');
+    pendingLogins.set(googleState, { clientId, redirectUri, state, expiresAt: Date.now() + CODE_TTL_MS });
+
+    return createGoogleClient().generateAuthUrl({
+      access_type: 'offline',
+      // Always ask for consent so Google returns a refresh token
+      prompt: 'consent',
+      scope: GOOGLE_SCOPES,
+      state: googleState
+    });
+  };
+
+  // Step 3: store the user's Google tokens and return the GPT's redirect URL
+  const finishAuthorization = async ({ code, state: googleState, error }) => {
+    const pending = pendingLogins.get(googleState);
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw new HttpError(400, 'Login expired or was not started here; start again from the GPT');
+    }
+    pendingLogins.delete(googleState);
+
+    if (error || !code) {
+      return withQuery(pending.redirectUri, { error: 'access_denied', state: pending.state });
+    }
+
+    const googleClient = createGoogleClient();
+    const { tokens } = await googleClient.getToken(code);
+    const info = await googleClient.getTokenInfo(tokens.access_token);
+    if (!info.sub) {
+      throw new HttpError(400, 'Google did not return an account ID; check the OAuth scopes');
+    }
+
+    const existing = store.findUserBySub(info.sub);
+    if (!tokens.refresh_token && !existing) {
+      throw new HttpError(400, 'Google did not return a refresh token; remove the app from your Google account and try again');
+    }
+    const user = store.saveUser({
+      id: existing ? existing.id : `user-${randomBytes(6).toString('hex')}`,
+      googleSub: info.sub,
+      email: info.email || existing?.email || null,
+      refreshToken: tokens.refresh_token ? cipher.encrypt(tokens.refresh_token) : existing.refreshToken,
+      defaultSpreadsheetId: existing?.defaultSpreadsheetId || null
+    });
+    authClients.delete(user.id);
+    console.log(`OAuth login for ${user.email} (${user.id})`);
+
+    sweep(codes);
+    const authCode = generateToken('code');
+    codes.set(hashToken(authCode), {
+      userId: user.id,
+      clientId: pending.clientId,
+      redirectUri: pending.redirectUri,
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    return withQuery(pending.redirectUri, { code: authCode, state: pending.state });
+  };
+
+  const issueTokens = (userId, refreshToken = null) => {
+    const accessToken = generateToken('gta');
+    store.addToken(accessToken, { type: 'access', userId, ttlMs: ACCESS_TOKEN_TTL_MS });
+    let newRefreshToken = refreshToken;
+    if (!newRefreshToken) {
+      newRefreshToken = generateToken('gtr');
+      store.addToken(newRefreshToken, { type: 'refresh', userId });
+    }
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_MS / 1000,
+      refresh_token: newRefreshToken
+    };
+  };
+
+  // Step 4: the token endpoint. Client credentials may come in the body or as
+  // HTTP Basic auth (both are options in the GPT Action settings).
+  const exchangeToken = (body = {}, basicAuth = null) => {
+    const clientId = basicAuth?.clientId || body.client_id;
+    const clientSecret = basicAuth?.clientSecret || body.client_secret;
+    if (!Object.hasOwn(clients, clientId) || !secretsEqual(clientSecret, clients[clientId])) {
+      throw new OAuthError('invalid_client', 'Invalid client credentials', 401);
+    }
+
+    if (body.grant_type === 'authorization_code') {
+      const key = hashToken(body.code || '');
+      const entry = codes.get(key);
+      // Codes are single-use
+      codes.delete(key);
+      if (!entry || entry.expiresAt < Date.now() || entry.clientId !== clientId) {
+        throw new OAuthError('invalid_grant', 'Authorization code is invalid or expired');
+      }
+      if (body.redirect_uri && body.redirect_uri !== entry.redirectUri) {
+        throw new OAuthError('invalid_grant', 'redirect_uri does not match the authorization request');
+      }
+      return issueTokens(entry.userId);
+    }
+
+    if (body.grant_type === 'refresh_token') {
+      const entry = body.refresh_token && store.findToken(body.refresh_token, 'refresh');
+      if (!entry || !store.getUser(entry.userId)) {
+        throw new OAuthError('invalid_grant', 'Refresh token is invalid');
+      }
+      return issueTokens(entry.userId, body.refresh_token);
+    }
+
+    throw new OAuthError('unsupported_grant_type', 'grant_type must be authorization_code or refresh_token');
+  };
+
+  // The user behind one of our access tokens, or null
+  const authenticate = (token) => {
+    const entry = store.findToken(token, 'access');
+    return entry ? store.getUser(entry.userId) : null;
+  };
+
+  // Google clients acting as the user, sharing one refreshing auth client
+  const getAuth = (userId) => {
+    if (!authClients.has(userId)) {
+      const user = store.getUser(userId);
+      if (!user) {
+        throw new Error(`Unknown OAuth user: ${userId}`);
+      }
+      const auth = createGoogleClient();
+      auth.setCredentials({ refresh_token: cipher.decrypt(user.refreshToken) });
+      authClients.set(userId, auth);
+    }
+    return authClients.get(userId);
+  };
+
+  const getSheets = async (userId) => google.sheets({ version: 'v4', auth: getAuth(userId), timeout: 30000 });
+
+  const getDrive = async (userId) => google.drive({ version: 'v3', auth: getAuth(userId), timeout: 30000 });
+
+  const updateUser = (userId, { defaultSpreadsheetId }) => {
+    const user = store.getUser(userId);
+    if (!user) return null;
+    return store.saveUser({ ...user, defaultSpreadsheetId: defaultSpreadsheetId || null });
+  };
+
+  return { startAuthorization, finishAuthorization, exchangeToken, authenticate, getSheets, getDrive, updateUser };
+};
+
+// Parse `Authorization: Basic base64(client_id:client_secret)`. Malformed
+// credentials (like a stray `%E0`) count as none, so the client gets
+// invalid_client rather than a server error.
+const parseBasicAuth = (header = '') => {
+  const match = header.match(/^Basic\s+(.+)$/i);
+  if (!match) return null;
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator)),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+    };
+  } catch (error) {
+    if (error instanceof URIError) return null;
+    throw error;
+  }
+};
+
+// Only what clients need to see about a user
+const describeUser = ({ id, email, defaultSpreadsheetId, createdAt }) =>
+  ({ id, email, defaultSpreadsheetId, createdAt });
+
+module.exports = {
+  OAuthError,
+  createTokenCipher,
+  createOAuthStore,
+  createOAuthProvider,
+  parseBasicAuth,
+  describeUser
+};
@@ -0,0 +1,74 @@
+// Local OCR for uploaded receipts
+//
+// Photos are read with Tesseract (tesseract.js, WebAssembly; no external
+// service). PDFs are read from their text layer; scanned PDFs without one are
+// rendered page by page and read like photos.
+//
+// The Tesseract worker is started on first use and kept for later uploads.
+// Its language data (OCR_LANG, default eng) is downloaded once and cached in
+// OCR_CACHE_PATH; set OCR_LANG_PATH to a local directory to run offline.
+
+const { createWorker } = require('tesseract.js');
+const { PDFParse } = require('pdf-parse');
+
+const PDF_TYPE = 'application/pdf';
+
+const createOcrEngine = ({ lang = 'eng', langPath, cachePath, maxPdfPages = 3 } = {}) => {
+  let worker = null;
+
+  const getWorker = () => {
+    if (!worker) {
+      const options = Object.fromEntries(Object.entries({ langPath, cachePath }).filter(([, value]) => value));
+      // Without an errorHandler, a failed job is thrown on the worker's message
+      // handler and ends the process; and if the language data can't be
+      // downloaded, createWorker never settles, so the handler rejects for it
+      worker = new Promise((resolve, reject) => {
+        const fail = (error) => reject(error instanceof Error ? error : new Error(`OCR failed: ${error}`));
+        createWorker(lang, 1, { ...options, errorHandler: fail }).then(resolve, fail);
+      }).catch(error => {
+        worker = null;
+        throw error;
+      });
+    }
+    return worker;
+  };
+
+  const readImage = async (buffer) => {
+    const { data } = await (await getWorker()).recognize(buffer);
+    return data.text || '';
+  };
+
+  const readPdf = async (buffer) => {
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const { text } = await parser.getText({ first: maxPdfPages });
+      if (text && text.trim()) return text;
+
+      const { pages } = await parser.getScreenshot({ first: maxPdfPages, scale: 2, imageBuffer: true, imageDataUrl: false });
+      const texts = [];
+      for (const page of pages) {
+        texts.push(await readImage(Buffer.from(page.data)));
+      }
+      return texts.join('\n');
+    } finally {
+      await parser.destroy();
+    }
+  };
+
+  // Text of an image or PDF
+  const recognize = (buffer, mimeType) => (mimeType === PDF_TYPE ? readPdf(buffer) : readImage(buffer));
+
+  const terminate = async () => {
+    if (!worker) return;
+    const current = worker;
+    worker = null;
+    await (await current).terminate();
+  };
+
+  return { name: `tesseract:${lang}`, recognize, terminate };
+};
+
+module.exports = {
+  PDF_TYPE,
+  createOcrEngine
+};
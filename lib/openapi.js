@@ -0,0 +1,305 @@
+// OpenAPI generation
+//
+// The log-type paths and their data schemas are generated from the registry in
+// log-types.js (the schemas come from lib/validation.js, which checks requests
+// against them); everything else comes from the hand-written openapi.json.
+// Run `npm run openapi` to rewrite openapi.json after changing the registry.
+
+const fsSync = require('fs');
+const path = require('path');
+const { LOG_TYPES, getIdKey } = require('./log-types');
+const { columnToProperty, buildDataSchema } = require('./validation');
+const { CHAT_TYPE, BACKUP_CHAT_TYPE } = require('./chat');
+const { BUDGET_TYPE } = require('./budgets');
+
+const SPEC_PATH = path.join(__dirname, '..', 'openapi.json');
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { $ref: '#/components/schemas/ErrorResponse' }
+    }
+  }
+});
+
+// Every generated path requires an API key; see lib/auth.js
+const authResponses = {
+  401: errorResponse('Missing or invalid API key'),
+  403: errorResponse('API key is not allowed to access this spreadsheet or log type')
+};
+
+// Accepted by every /api/log-* endpoint; see lib/idempotency.js
+const idempotencyKeyParameter = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  required: false,
+  description: 'Unique key for this request. Retries with the same key return the original response instead of logging again.',
+  schema: { type: 'string' }
+};
+
+const buildLogPath = (logType) => {
+  const ref = { $ref: `#/components/schemas/${logType.schemaName}` };
+  return {
+    post: {
+      tags: [logType.tag],
+      summary: `Log ${logType.label.toLowerCase()} to Google Sheets`,
+      description: `Logs single or bulk ${logType.plural} to a specified Google Sheet using service account authentication.`,
+      operationId: logType.operationId,
+      parameters: [idempotencyKeyParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['data'],
+              properties: {
+                spreadsheetId: {
+                  type: 'string',
+                  description: 'The ID of the Google Sheet to write to (optional, defaults to configured sheet)'
+                },
+                sheetName: {
+                  type: 'string',
+                  description: `The name of the sheet within the spreadsheet (optional, defaults to '${logType.sheetName}')`
+                },
+                requestId: {
+                  type: 'string',
+                  description: 'Alternative to the Idempotency-Key header'
+                },
+                data: {
+                  oneOf: [ref, { type: 'array', items: ref }]
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: {
+          description: `Successfully logged the ${logType.plural}`,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/LogResponse' }
+            }
+          }
+        },
+        202: {
+          description: `Google Sheets was unavailable; the ${logType.plural} are queued and will be retried`,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/LogResponse' }
+            }
+          }
+        },
+        400: errorResponse('Missing required parameters'),
+        ...authResponses,
+        422: errorResponse('Invalid data (each field is listed in errors), or idempotency key reused with a different request body'),
+        500: errorResponse('Failed to write to sheet')
+      }
+    }
+  };
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// PATCH body: the same fields, none required
+const getUpdateSchemaName = (logType) => `${logType.schemaName.replace(/Data$/, '')}Update`;
+
+// Read-back schema: every column, including server-generated ones
+const getEntrySchemaName = (logType) => `${logType.schemaName.replace(/Data$/, '')}Entry`;
+
+const buildEntrySchema = (logType) => ({
+  type: 'object',
+  properties: Object.fromEntries(
+    logType.columns.map(column => [
+      column.key,
+      { ...columnToProperty(column), type: [column.type === 'number' ? 'number' : 'string', 'null'] }
+    ])
+  )
+});
+
+const queryParameter = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema
+});
+
+const buildQueryPath = (type, logType) => ({
+  get: {
+    tags: [logType.tag],
+    summary: `Query logged ${logType.plural}`,
+    description: `Returns ${logType.plural} as typed objects, with optional date-range and equality filters, sorting and cursor pagination.`,
+    operationId: `query${capitalize(type)}`,
+    parameters: [
+      queryParameter('spreadsheetId', 'The ID of the Google Sheet to read from (optional, defaults to configured sheet)'),
+      queryParameter('sheetName', `The name of the sheet within the spreadsheet (optional, defaults to '${logType.sheetName}')`),
+      queryParameter('from', 'Earliest date to include (YYYY-MM-DD)', { type: 'string', format: 'date' }),
+      queryParameter('to', 'Latest date to include (YYYY-MM-DD)', { type: 'string', format: 'date' }),
+      ...logType.columns
+        .filter(column => column.filterable)
+        .map(column => queryParameter(column.key, `Only return entries whose ${column.key} equals this value (case-insensitive)`)),
+      queryParameter('sort', "Field to sort by; prefix with '-' for descending (e.g. -date)"),
+      queryParameter('limit', 'Maximum number of entries to return (default 50, max 500)', { type: 'integer', minimum: 1, maximum: 500 }),
+      queryParameter('cursor', 'nextCursor value from a previous response')
+    ],
+    responses: {
+      200: {
+        description: `Matching ${logType.plural}`,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                success: { type: 'boolean' },
+                type: { type: 'string' },
+                count: { type: 'integer', description: 'Number of entries in this page' },
+                total: { type: 'integer', description: 'Number of entries matching the filters' },
+                items: {
+                  type: 'array',
+                  items: { $ref: `#/components/schemas/${getEntrySchemaName(logType)}` }
+                },
+                nextCursor: {
+                  type: ['string', 'null'],
+                  description: 'Pass as cursor to fetch the next page; null on the last page'
+                }
+              }
+            }
+          }
+        }
+      },
+      400: errorResponse('Invalid query parameters'),
+      ...authResponses,
+      500: errorResponse('Failed to read from sheet')
+    }
+  }
+});
+
+const buildEntryPath = (type, logType) => {
+  const idKey = getIdKey(logType);
+  const label = logType.label.toLowerCase();
+  const idParameter = {
+    name: idKey,
+    in: 'path',
+    required: true,
+    description: `The ${idKey} returned when the ${label} was logged`,
+    schema: { type: 'string' }
+  };
+  const entryResponse = (description) => ({
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            transactionId: { type: 'string' },
+            entry: { $ref: `#/components/schemas/${getEntrySchemaName(logType)}` }
+          }
+        }
+      }
+    }
+  });
+
+  return {
+    patch: {
+      tags: [logType.tag],
+      summary: `Update a logged ${label}`,
+      description: `Changes only the given fields of the ${label} with this ID.`,
+      operationId: `update${capitalize(type)}Entry`,
+      parameters: [idParameter],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['data'],
+              properties: {
+                spreadsheetId: { type: 'string', description: 'The ID of the Google Sheet (optional, defaults to configured sheet)' },
+                sheetName: { type: 'string', description: `The name of the sheet within the spreadsheet (optional, defaults to '${logType.sheetName}')` },
+                data: { $ref: `#/components/schemas/${getUpdateSchemaName(logType)}` }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: entryResponse(`The updated ${label}`),
+        400: errorResponse('Missing data'),
+        ...authResponses,
+        404: errorResponse('No entry with this ID'),
+        422: errorResponse('Invalid data (each field is listed in errors)'),
+        500: errorResponse('Failed to write to sheet')
+      }
+    },
+    delete: {
+      tags: [logType.tag],
+      summary: `Delete a logged ${label}`,
+      description: `Removes the row of the ${label} with this ID from the sheet.`,
+      operationId: `delete${capitalize(type)}Entry`,
+      parameters: [
+        idParameter,
+        queryParameter('spreadsheetId', 'The ID of the Google Sheet (optional, defaults to configured sheet)'),
+        queryParameter('sheetName', `The name of the sheet within the spreadsheet (optional, defaults to '${logType.sheetName}')`)
+      ],
+      responses: {
+        200: entryResponse(`The deleted ${label}`),
+        ...authResponses,
+        404: errorResponse('No entry with this ID'),
+        500: errorResponse('Failed to write to sheet')
+      }
+    }
+  };
+};
+
+// Merge registry-generated paths and schemas into the base spec
+const buildOpenApiSpec = (base = JSON.parse(fsSync.readFileSync(SPEC_PATH, 'utf8'))) => {
+  const logTypes = Object.values(LOG_TYPES);
+
+  const paths = {};
+  logTypes.forEach(logType => {
+    paths[logType.route] = buildLogPath(logType);
+  });
+  Object.entries(LOG_TYPES).forEach(([type, logType]) => {
+    paths[`/api/${type}`] = buildQueryPath(type, logType);
+    paths[`/api/${type}/{${getIdKey(logType)}}`] = buildEntryPath(type, logType);
+  });
+  const generatedRoutes = new Set(Object.keys(paths));
+  Object.entries(base.paths || {}).forEach(([route, spec]) => {
+    if (!generatedRoutes.has(route)) paths[route] = spec;
+  });
+
+  const schemas = { ...(base.components?.schemas || {}) };
+  logTypes.forEach(logType => {
+    schemas[logType.schemaName] = buildDataSchema(logType);
+    schemas[getUpdateSchemaName(logType)] = buildDataSchema(logType, { partial: true });
+    schemas[getEntrySchemaName(logType)] = buildEntrySchema(logType);
+  });
+  // Chat messages use the same column format (see lib/chat.js)
+  [CHAT_TYPE, BACKUP_CHAT_TYPE].forEach(chatType => {
+    schemas[chatType.schemaName] = buildDataSchema(chatType);
+    schemas[getEntrySchemaName(chatType)] = buildEntrySchema(chatType);
+  });
+  // So do budgets (see lib/budgets.js)
+  schemas[BUDGET_TYPE.schemaName] = buildDataSchema(BUDGET_TYPE);
+  schemas[getUpdateSchemaName(BUDGET_TYPE)] = buildDataSchema(BUDGET_TYPE, { partial: true });
+  schemas[getEntrySchemaName(BUDGET_TYPE)] = buildEntrySchema(BUDGET_TYPE);
+
+  return {
+    ...base,
+    paths,
+    components: { ...base.components, schemas }
+  };
+};
+
+module.exports = { buildOpenApiSpec };
+
+// `node lib/openapi.js` rewrites openapi.json from the registry
+if (require.main === module) {
+  fsSync.writeFileSync(SPEC_PATH, JSON.stringify(buildOpenApiSpec(), null, 2) + '\n');
+  console.log(`Wrote ${SPEC_PATH}`);
+}
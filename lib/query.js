@@ -0,0 +1,140 @@
+// Query helpers for GET /api/{type}
+//
+// Rows are read from the sheet, parsed into typed objects (see parseRow) and
+// then filtered, sorted and paginated in memory.
+
+const { getDateKey } = require('./log-types');
+const { HttpError } = require('./errors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Thrown for bad query parameters; handlers turn it into a 400
+class QueryError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'QueryError';
+  }
+}
+
+// Normalize a date-ish value to YYYY-MM-DD, or null if it can't be parsed
+const normalizeDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  // Use local date parts so "5/7/2024" doesn't shift a day across time zones
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON holding the offset
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(offset) || offset < 0) throw new Error('bad offset');
+    return offset;
+  } catch (error) {
+    throw new QueryError('Invalid cursor');
+  }
+};
+
+// Repeated parameters (?sort=a&sort=b) arrive as arrays and nested ones
+// (?sort[a]=b) as objects; each parameter read here takes a single value
+const assertSingleValues = (query, keys) => {
+  const repeated = keys.find(key => query[key] !== undefined && typeof query[key] !== 'string');
+  if (repeated) {
+    throw new QueryError(`${repeated} must be given once`);
+  }
+};
+
+// Nulls sort last regardless of direction
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+// Keep the entries matching the date range and column filters of a query:
+//   from, to     - inclusive date range on the type's date column
+//   <key>=value  - case-insensitive equality on any filterable column
+const filterEntries = (logType, entries, query = {}) => {
+  let results = entries;
+  assertSingleValues(query, ['from', 'to', ...logType.columns.filter(column => column.filterable).map(column => column.key)]);
+
+  const dateKey = getDateKey(logType);
+  if ((query.from || query.to) && dateKey) {
+    const from = query.from ? normalizeDate(query.from) : null;
+    const to = query.to ? normalizeDate(query.to) : null;
+    if ((query.from && !from) || (query.to && !to)) {
+      throw new QueryError('from/to must be dates (YYYY-MM-DD)');
+    }
+    results = results.filter(entry => {
+      const date = normalizeDate(entry[dateKey]);
+      if (!date) return false;
+      return (!from || date >= from) && (!to || date <= to);
+    });
+  }
+
+  logType.columns
+    .filter(column => column.filterable && query[column.key] !== undefined)
+    .forEach(column => {
+      const expected = String(query[column.key]).toLowerCase();
+      results = results.filter(entry =>
+        entry[column.key] !== null && String(entry[column.key]).toLowerCase() === expected);
+    });
+
+  return results;
+};
+
+// Apply filters, sorting and pagination to parsed entries. Besides the
+// filters above:
+//   sort         - column key, prefix with '-' for descending
+//   limit        - page size (default 50, max 500)
+//   cursor       - nextCursor from a previous page
+const queryEntries = (logType, entries, query = {}) => {
+  const columns = new Map(logType.columns.map(column => [column.key, column]));
+  assertSingleValues(query, ['sort', 'limit', 'cursor']);
+  let results = filterEntries(logType, entries, query);
+
+  if (query.sort) {
+    const descending = query.sort.startsWith('-');
+    const key = descending ? query.sort.slice(1) : query.sort;
+    const column = columns.get(key);
+    if (!column) {
+      throw new QueryError(`Unknown sort field: ${key}`);
+    }
+    const normalize = column.type === 'date' ? normalizeDate : (value) => value;
+    results = [...results].sort((a, b) => {
+      const order = compareValues(normalize(a[key]), normalize(b[key]));
+      return descending && a[key] !== null && b[key] !== null ? -order : order;
+    });
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new QueryError('limit must be a positive integer');
+  }
+  const pageSize = Math.min(limit, MAX_LIMIT);
+  const offset = query.cursor ? decodeCursor(query.cursor) : 0;
+  const items = results.slice(offset, offset + pageSize);
+  const nextOffset = offset + items.length;
+
+  return {
+    items,
+    total: results.length,
+    nextCursor: nextOffset < results.length ? encodeCursor(nextOffset) : null
+  };
+};
+
+module.exports = {
+  QueryError,
+  normalizeDate,
+  filterEntries,
+  queryEntries
+};
@@ -0,0 +1,248 @@
+// Durable write-ahead queue for log writes
+//
+// Every log request is persisted here before the Sheets append is attempted.
+// If the append fails the job stays on disk and a background worker retries it
+// with exponential backoff, so an outage delays entries instead of losing them.
+//
+// The queue file is append-only JSONL: a `job` line holds a full job and an
+// `update` line patches one. On startup the file is replayed and compacted.
+//
+// Job statuses:
+//   pending    - waiting for its next attempt
+//   processing - an attempt is running
+//   verifying  - the append timed out but may still land; waiting to find out
+//   done       - written successfully
+//   failed     - gave up after maxAttempts, or at once on an error that
+//                `isPermanent` says no retry can fix (still kept; can be retried)
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { randomBytes } = require('crypto');
+
+const DEFAULTS = {
+  baseDelayMs: 5000,
+  maxDelayMs: 15 * 60 * 1000,
+  maxAttempts: 50,
+  pollMs: 5000,
+  retentionMs: 7 * 24 * 60 * 60 * 1000,
+  isPermanent: () => false
+};
+
+const generateQueueId = () => `Q-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+// `handler(payload, context)` performs the write and resolves with its result.
+// A write to several targets can record each finished target with
+// `context.complete(step)` and skip it on retry via `context.isComplete(step)`.
+// If the handler rejects with an error carrying `lateResult` (a timed-out write
+// that may still succeed), the job waits on that promise instead of being
+// retried right away. An error `isPermanent(error)` accepts fails the job at
+// once, and `attempt` rejects with it so the caller can report it.
+const createWriteQueue = ({ filePath, handler, ...options }) => {
+  const config = { ...DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) config[key] = value;
+  });
+  const jobs = new Map();
+  let writeChain = Promise.resolve();
+  let timer = null;
+  let ticking = false;
+
+  // Append one event and flush it to disk before resolving
+  const persist = (event) => {
+    const write = writeChain.then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const handle = await fs.open(filePath, 'a');
+      try {
+        await handle.appendFile(JSON.stringify(event) + '\n');
+        await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+    });
+    writeChain = write.catch(error => console.error('Failed to persist queue event:', error.message));
+    return write;
+  };
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+    persist({ op: 'update', id: job.id, changes: { ...changes, updatedAt: job.updatedAt } }).catch(() => {});
+    return job;
+  };
+
+  // Replay the file, then rewrite it with one line per job that is still
+  // relevant. Jobs caught mid-attempt by a restart are retried: a possible
+  // duplicate row is better than a lost entry.
+  const load = () => {
+    if (!fsSync.existsSync(filePath)) return;
+    fsSync.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      try {
+        const event = JSON.parse(line);
+        if (event.op === 'job') {
+          jobs.set(event.job.id, event.job);
+        } else if (event.op === 'update' && jobs.has(event.id)) {
+          Object.assign(jobs.get(event.id), event.changes);
+        } else if (event.op === 'remove') {
+          jobs.delete(event.id);
+        }
+      } catch (error) {
+        console.error('Skipping corrupt queue line:', error.message);
+      }
+    });
+
+    const cutoff = Date.now() - config.retentionMs;
+    jobs.forEach(job => {
+      if (job.status === 'done' && job.updatedAt < cutoff) {
+        jobs.delete(job.id);
+      } else if (job.status === 'processing' || job.status === 'verifying') {
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now();
+      }
+    });
+
+    const lines = [...jobs.values()].map(job => JSON.stringify({ op: 'job', job }) + '\n').join('');
+    fsSync.writeFileSync(filePath, lines);
+    const pending = [...jobs.values()].filter(job => job.status === 'pending').length;
+    console.log(`Loaded ${jobs.size} queued job(s) from ${filePath}, ${pending} pending`);
+  };
+
+  const backoff = (attempts) => {
+    const delay = Math.min(config.baseDelayMs * 2 ** (attempts - 1), config.maxDelayMs);
+    // Up to 20% jitter so retries after an outage don't all fire at once
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  };
+
+  const markDone = (job, result) => update(job, {
+    status: 'done',
+    result,
+    lastError: null,
+    nextAttemptAt: null
+  });
+
+  const markFailed = (job, error) => {
+    if (job.attempts >= config.maxAttempts) {
+      console.error(`Queue job ${job.id} failed permanently after ${job.attempts} attempt(s):`, error.message);
+      return update(job, { status: 'failed', lastError: error.message, nextAttemptAt: null });
+    }
+    const delay = backoff(job.attempts);
+    console.log(`Queue job ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    return update(job, { status: 'pending', lastError: error.message, nextAttemptAt: Date.now() + delay });
+  };
+
+  // Run one attempt and resolve with the job once its status is known
+  const attempt = async (id) => {
+    const job = jobs.get(id);
+    if (!job || job.status === 'processing' || job.status === 'verifying' || job.status === 'done') {
+      return job || null;
+    }
+
+    update(job, { status: 'processing', attempts: job.attempts + 1 });
+    const context = {
+      isComplete: (step) => (job.completedSteps || []).includes(step),
+      complete: (step) => update(job, { completedSteps: [...(job.completedSteps || []), step] })
+    };
+    try {
+      const result = await handler(job.payload, context);
+      return markDone(job, result);
+    } catch (error) {
+      if (error.lateResult) {
+        update(job, { status: 'verifying', lastError: error.message });
+        error.lateResult.then(
+          result => {
+            // With `error.step`, only that step landed; run the rest next tick
+            if (error.step) {
+              context.complete(error.step);
+              update(job, { status: 'pending', nextAttemptAt: Date.now() });
+            } else {
+              markDone(job, result);
+            }
+          },
+          lateError => markFailed(job, lateError)
+        );
+        return job;
+      }
+      if (config.isPermanent(error)) {
+        console.error(`Queue job ${job.id} failed permanently:`, error.message);
+        update(job, { status: 'failed', lastError: error.message, nextAttemptAt: null });
+        throw error;
+      }
+      return markFailed(job, error);
+    }
+  };
+
+  // Persist a new job. Resolves only once it is safely on disk.
+  const enqueue = async (payload, meta = {}) => {
+    const now = Date.now();
+    const job = {
+      id: generateQueueId(),
+      status: 'pending',
+      attempts: 0,
+      completedSteps: [],
+      payload,
+      meta,
+      result: null,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now
+    };
+    await persist({ op: 'job', job });
+    jobs.set(job.id, job);
+    return job;
+  };
+
+  // Process due jobs one at a time, oldest first
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const due = [...jobs.values()]
+        .filter(job => job.status === 'pending' && job.nextAttemptAt <= Date.now())
+        .sort((a, b) => a.createdAt - b.createdAt);
+      for (const job of due) {
+        // A permanent failure is already recorded on the job
+        await attempt(job.id).catch(() => {});
+      }
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(() => {
+      tick().catch(error => console.error('Queue worker error:', error));
+    }, config.pollMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Put a failed job back in line for an immediate attempt
+  const retry = (id) => {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'failed') return job || null;
+    return update(job, { status: 'pending', attempts: 0, nextAttemptAt: Date.now() });
+  };
+
+  // Forget a job, e.g. one that failed before writing anything and whose
+  // caller was told so
+  const remove = (id) => {
+    if (!jobs.delete(id)) return false;
+    persist({ op: 'remove', id }).catch(() => {});
+    return true;
+  };
+
+  const get = (id) => jobs.get(id) || null;
+
+  const list = ({ status } = {}) =>
+    [...jobs.values()].filter(job => !status || job.status === status);
+
+  load();
+  return { enqueue, attempt, retry, remove, get, list, start, stop, tick };
+};
+
+module.exports = { createWriteQueue };
@@ -0,0 +1,243 @@
+// Receipt uploads
+//
+// The OCR text of a receipt (see lib/ocr.js) is read line by line:
+//
+//   merchant - the first line with a name in it
+//   date     - 2024-05-07, 05/07/2024 (month first, unless the first number
+//              can't be a month) or written-out dates; time likewise
+//   items    - lines ending in an amount, up to the total. "2 x Coffee" and
+//              "Coffee x2" set a quantity; discount and coupon lines are taken
+//              off the item above them
+//   subtotal, tax, total - labelled lines; payment lines (cash, change, card,
+//              ...) are skipped
+//
+// The draft is a receipt in the transactions format - one Expense per item,
+// logged as REC-…-ITEM-n - so it can be shown for confirmation and then sent
+// to /api/log-transactions as is. When the items don't add up to the subtotal
+// or total, `checks` says so and lists the warnings.
+//
+// Uploaded files are kept in DATA_DIR/receipts under a name that can't be
+// guessed, and linked from each row's Receipt Image column.
+
+const fsSync = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+
+const FILE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tif',
+  'application/pdf': 'pdf'
+};
+
+// Transaction fields a draft can be given up front; they win over what was read
+const DRAFT_FIELDS = ['date', 'time', 'accountName', 'category', 'establishment', 'receiptNumber', 'paymentMethod',
+  'cardUsed', 'linkedBudgetCategory', 'reimbursable', 'taxDeductible', 'taxCategory', 'notes'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// An amount at the end of a line: "4.50", "$1,234.50", "12,50", "3.00-" (a
+// credit), optionally followed by a tax flag like "T" or "*"
+const AMOUNT_PATTERN = /(-)?\s*[$€£¥₱]?\s*(\d{1,3}(?:[,.]\d{3})+|\d+)[.,](\d{2})(-)?(?:\s+[A-Z*]{1,2})?\s*$/;
+
+const LINE_KINDS = [
+  ['subtotal', /\bsub\s*-?\s*total\b/i],
+  ['ignore', /\btotal\s+(?:savings|discount|items?|qty|quantity)\b|\bitems?\s+sold\b/i],
+  ['total', /\b(?:grand\s+total|total\s+due|amount\s+due|balance\s+due|total)\b/i],
+  ['ignore', /\b(?:exempt|zero[\s-]?rated|vatable)\b/i],
+  ['tax', /\b(?:tax|vat|gst|hst|pst)\b/i],
+  ['payment', /\b(?:cash|change|tender(?:ed)?|card|visa|mastercard|amex|debit|credit|payment|paid|rounding|points|you\s+saved|loyalty|approved|auth)\b/i],
+  ['discount', /\b(?:discount|disc|coupon|promo|markdown)\b/i]
+];
+
+const classify = (label) => (LINE_KINDS.find(([, pattern]) => pattern.test(label)) || ['item'])[0];
+
+const readAmount = (line) => {
+  const match = line.match(AMOUNT_PATTERN);
+  if (!match) return null;
+  const value = Number(`${match[2].replace(/[,.]/g, '')}.${match[3]}`);
+  return {
+    amount: match[1] || match[4] ? -value : value,
+    label: line.slice(0, match.index).replace(/[\s.:$€£¥₱@-]+$/, '').trim()
+  };
+};
+
+// "2 x Coffee", "2 @ 3.50 Coffee", "Coffee x2" -> { quantity, description }
+const readQuantity = (label) => {
+  const leading = label.match(/^(\d{1,3})\s*(?:[x×]|@\s*\d+(?:[.,]\d{2})?|pcs?)\s+(.+)$/i);
+  if (leading) return { quantity: Number(leading[1]), description: leading[2] };
+  const trailing = label.match(/^(.+?)\s+(?:[x×]\s*(\d{1,3})|(\d{1,3})\s*(?:(?:[x×]|pcs?)?\s*@\s*\d+(?:[.,]\d{2})?|[x×]|pcs?))$/i);
+  if (trailing) return { quantity: Number(trailing[2] || trailing[3]), description: trailing[1] };
+  return { quantity: 1, description: label };
+};
+
+const toDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? `${fullYear}-${pad(month)}-${pad(day)}`
+    : null;
+};
+
+const findDate = (text) => {
+  let match = text.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) return toDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+  match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (match) {
+    const [first, second, year] = match.slice(1).map(Number);
+    return first > 12 ? toDate(year, second, first) : toDate(year, first, second);
+  }
+
+  const month = `(${MONTHS.join('|')})[a-z]*\\.?`;
+  match = text.match(new RegExp(`\\b(\\d{1,2})\\s+${month},?\\s+(\\d{4})\\b`, 'i'));
+  if (match) return toDate(Number(match[3]), MONTHS.indexOf(match[2].toLowerCase()) + 1, Number(match[1]));
+  match = text.match(new RegExp(`\\b${month}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'i'));
+  if (match) return toDate(Number(match[3]), MONTHS.indexOf(match[1].toLowerCase()) + 1, Number(match[2]));
+  return null;
+};
+
+const findTime = (text) => {
+  const match = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?\s*([ap])?\.?m?\b/i);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  if (match[4]) hours = hours % 12 + (match[4].toLowerCase() === 'p' ? 12 : 0);
+  return `${pad(hours)}:${match[2]}:${match[3] || '00'}`;
+};
+
+const RECEIPT_NUMBER_PATTERN = /\b(?:receipt|rcpt|invoice|inv|trans(?:action)?|txn|ref|or|si)\s*(?:no\.?|number|num|#)\s*[:.]?\s*([A-Z0-9][A-Z0-9-]{2,})/i;
+
+const findMerchant = (lines) => {
+  const line = lines.find(candidate => (candidate.match(/[a-z]/gi) || []).length >= 3 &&
+    !readAmount(candidate) && !findDate(candidate) && !RECEIPT_NUMBER_PATTERN.test(candidate));
+  return line ? line.replace(/[^\w&'’.)]+$/, '').replace(/^[^\w(]+/, '').trim() : null;
+};
+
+// Merchant, date, items and totals read from a receipt's text
+const parseReceiptText = (text) => {
+  const lines = String(text || '').split(/\r?\n/).map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const items = [];
+  let subtotal = null;
+  let tax = null;
+  let total = null;
+
+  for (const line of lines) {
+    const read = readAmount(line);
+    if (!read) continue;
+    const kind = classify(read.label);
+    if (kind === 'subtotal') {
+      subtotal = subtotal ?? read.amount;
+    } else if (kind === 'total') {
+      total = read.amount;
+      break;
+    } else if (kind === 'tax') {
+      tax = round((tax || 0) + read.amount);
+    } else if (kind === 'discount') {
+      const discount = -Math.abs(read.amount);
+      const previous = items[items.length - 1];
+      if (previous) {
+        previous.amount = round(previous.amount + discount);
+        previous.discount = round((previous.discount || 0) - discount);
+      } else {
+        items.push({ description: read.label || 'Discount', quantity: 1, amount: discount });
+      }
+    } else if (kind === 'item' && /[a-z]/i.test(read.label)) {
+      items.push({ ...readQuantity(read.label), amount: read.amount });
+    }
+  }
+
+  const receiptNumber = lines.map(line => line.match(RECEIPT_NUMBER_PATTERN)).find(Boolean);
+  const itemsTotal = round(items.reduce((sum, item) => sum + item.amount, 0));
+  const warnings = [];
+  let expected = subtotal ?? (total !== null ? round(total - (tax || 0)) : null);
+  // Prices that include tax add up to the total instead
+  if (expected !== null && total !== null && Math.abs(itemsTotal - total) < 0.01) expected = total;
+  if (!items.length) warnings.push('No line items found');
+  if (total === null) warnings.push('No total found');
+  if (items.length && expected !== null && Math.abs(itemsTotal - expected) >= 0.01) {
+    warnings.push(`Items add up to ${itemsTotal}, but the receipt says ${expected}; some lines may have been misread`);
+  }
+
+  return {
+    merchant: findMerchant(lines),
+    date: findDate(text),
+    time: findTime(text),
+    receiptNumber: receiptNumber ? receiptNumber[1] : null,
+    items,
+    subtotal,
+    tax,
+    total,
+    checks: { itemsTotal, expected, matches: expected === null || Math.abs(itemsTotal - expected) < 0.01, warnings }
+  };
+};
+
+// Transactions for a parsed receipt, one per item. Tax that the items leave
+// out becomes an item of its own so the rows add up to what was paid; a
+// receipt with no readable items becomes a single row for its total.
+const buildReceiptDraft = (receipt, { fields = {}, receiptImage } = {}) => {
+  const lines = receipt.items.map(item => ({
+    items: item.quantity > 1 ? `${item.quantity} x ${item.description}` : item.description,
+    amount: item.amount
+  }));
+  if (lines.length && receipt.tax && receipt.total !== null &&
+      Math.abs(round(receipt.checks.itemsTotal + receipt.tax) - receipt.total) < 0.01) {
+    lines.push({ items: 'Tax', amount: receipt.tax });
+  }
+  if (!lines.length && receipt.total !== null) {
+    lines.push({ items: receipt.merchant || 'Receipt total', amount: receipt.total });
+  }
+
+  const shared = Object.fromEntries(Object.entries({
+    date: receipt.date,
+    time: receipt.time,
+    transactionType: 'Expense',
+    establishment: receipt.merchant,
+    receiptNumber: receipt.receiptNumber,
+    receiptImage
+  }).filter(([, value]) => value !== null && value !== undefined));
+
+  return lines.map(line => ({ ...shared, ...line, ...fields }));
+};
+
+// Originals of uploaded receipts. A file's name is picked before it is saved,
+// so the rows linking to it can be checked first.
+const createReceiptFileStore = ({ dir }) => {
+  // Named after the receipt ID its rows are logged under, when there is one
+  const createFileName = ({ receiptId, mimeType }) =>
+    `${receiptId || 'receipt'}-${randomBytes(12).toString('hex')}.${FILE_TYPES[mimeType]}`;
+
+  const save = (fileName, buffer) => {
+    fsSync.mkdirSync(dir, { recursive: true });
+    fsSync.writeFileSync(path.join(dir, fileName), buffer);
+    return fileName;
+  };
+
+  // Path of a stored file, or null for a name this store can't have written
+  const resolve = (fileName) => {
+    if (!/^[A-Za-z0-9-]+\.[a-z]+$/.test(fileName)) return null;
+    const filePath = path.join(dir, fileName);
+    return fsSync.existsSync(filePath) ? filePath : null;
+  };
+
+  const remove = (fileName) => {
+    const filePath = resolve(fileName);
+    if (filePath) fsSync.unlinkSync(filePath);
+  };
+
+  return { dir, createFileName, save, resolve, remove };
+};
+
+module.exports = {
+  FILE_TYPES,
+  DRAFT_FIELDS,
+  parseReceiptText,
+  buildReceiptDraft,
+  createReceiptFileStore
+};
@@ -0,0 +1,175 @@
+// Recurring entries
+//
+// A template is the `data` of a log request (a transaction, a workout, a
+// status block, ...) plus a schedule (see lib/schedule.js). Templates are kept
+// in a JSON file; the scheduler checks them every minute and hands each
+// occurrence that has come due to `run`, oldest first, recording it once it
+// has been logged.
+//
+// Occurrences missed while the server was down are caught up on the next
+// check (at most maxCatchUp per template per check; the rest follow on the
+// next one). A paused template skips its occurrences, and resuming it doesn't
+// backfill them. A template whose entries are rejected (a 4xx, e.g. data that
+// no longer validates) is paused with the error; any other failure is retried
+// on the next check.
+
+const fsSync = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { isClientError } = require('./errors');
+const { parseSchedule, listOccurrences } = require('./schedule');
+
+const DEFAULTS = {
+  pollMs: 60 * 1000,
+  maxCatchUp: 50
+};
+
+const generateTemplateId = () => `RCR-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ID of the entry logged for one occurrence: <templateId>-<yyyymmddHHMM>
+const getOccurrenceId = (template, occurrence) => `${template.id}-${occurrence.getUTCFullYear()}` +
+  `${pad(occurrence.getUTCMonth() + 1)}${pad(occurrence.getUTCDate())}${pad(occurrence.getUTCHours())}${pad(occurrence.getUTCMinutes())}`;
+
+// Occurrences of a template after `after` (default: its last logged one)
+const listUpcoming = (template, { after, before, limit = 10 } = {}) => {
+  const start = new Date(template.startAt);
+  const last = after || (template.lastOccurrenceAt ? new Date(template.lastOccurrenceAt) : null);
+  return listOccurrences(parseSchedule(template.schedule, start), start, { after: last, before, limit });
+};
+
+const createRecurringStore = ({ filePath }) => {
+  let templates = [];
+
+  const save = () => {
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ templates }, null, 2) + '\n');
+  };
+
+  const load = () => {
+    templates = fsSync.existsSync(filePath)
+      ? JSON.parse(fsSync.readFileSync(filePath, 'utf8')).templates || []
+      : [];
+    if (templates.length) console.log(`Loaded ${templates.length} recurring template(s) from ${filePath}`);
+  };
+
+  const list = () => templates;
+
+  const get = (id) => templates.find(template => template.id === id) || null;
+
+  const create = (fields) => {
+    const template = {
+      id: generateTemplateId(),
+      paused: false,
+      lastOccurrenceAt: null,
+      runs: 0,
+      lastRunAt: null,
+      lastEntryId: null,
+      lastQueueId: null,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      ...fields
+    };
+    templates.push(template);
+    save();
+    return template;
+  };
+
+  const update = (id, changes) => {
+    const template = get(id);
+    if (!template) return null;
+    Object.assign(template, changes);
+    save();
+    return template;
+  };
+
+  const remove = (id) => {
+    const before = templates.length;
+    templates = templates.filter(template => template.id !== id);
+    if (templates.length === before) return false;
+    save();
+    return true;
+  };
+
+  load();
+  return { list, get, create, update, remove };
+};
+
+// `run(template, occurrence, entryId)` logs one occurrence and resolves with
+// anything worth keeping (e.g. { queueId })
+const createRecurringScheduler = ({ store, run, ...options }) => {
+  const config = { ...DEFAULTS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+  let timer = null;
+  let ticking = false;
+
+  const runDue = async (template, now) => {
+    let due;
+    try {
+      due = listUpcoming(template, { before: now, limit: config.maxCatchUp });
+    } catch (error) {
+      // Only a hand-edited file can hold a schedule that doesn't parse
+      console.error(`Recurring template ${template.id} has an invalid schedule:`, error.message);
+      store.update(template.id, { lastError: error.message, paused: true });
+      return;
+    }
+
+    for (const occurrence of due) {
+      // Paused or deleted while earlier occurrences were being logged
+      if (template.paused || !store.get(template.id)) return;
+      const entryId = getOccurrenceId(template, occurrence);
+      try {
+        const result = await run(template, occurrence, entryId);
+        store.update(template.id, {
+          lastOccurrenceAt: occurrence.toISOString(),
+          runs: template.runs + 1,
+          lastRunAt: new Date().toISOString(),
+          lastEntryId: entryId,
+          lastQueueId: result?.queueId || null,
+          lastError: null
+        });
+        console.log(`Logged recurring ${template.type} ${entryId}`);
+      } catch (error) {
+        console.error(`Recurring template ${template.id} failed:`, error.message);
+        store.update(template.id, { lastError: error.message, ...(isClientError(error) ? { paused: true } : {}) });
+        return;
+      }
+    }
+  };
+
+  const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+      const now = new Date();
+      for (const template of store.list().filter(candidate => !candidate.paused)) {
+        await runDue(template, now);
+      }
+    } finally {
+      ticking = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    tick().catch(error => console.error('Recurring scheduler error:', error));
+    timer = setInterval(() => {
+      tick().catch(error => console.error('Recurring scheduler error:', error));
+    }, config.pollMs);
+    timer.unref();
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, tick };
+};
+
+module.exports = {
+  getOccurrenceId,
+  listUpcoming,
+  createRecurringStore,
+  createRecurringScheduler
+};
@@ -0,0 +1,42 @@
+// Backup replication for log entries
+//
+// Every row a /api/log-* endpoint writes with the service account is copied to
+// a backup target in the background. REPLICATION selects the target:
+//   off    - not used (default)
+//   sheets - another spreadsheet (REPLICA_SPREADSHEET_ID, tabs named as in the primary)
+//   local  - CSV files under data/replica, like the local storage backend
+//
+// Copies go through their own write-ahead queue, so a backup outage never
+// slows or fails the primary write; rows waiting in that queue are the known
+// gaps. Reconciling compares the primary and backup tabs by entry ID and
+// copies whatever the backup is missing (rows logged before replication was
+// turned on, or copies that failed for good).
+
+const { createColumnMap } = require('./header-map');
+const { getHeaders, getIdKey } = require('./log-types');
+
+const REPLICATION_MODES = ['off', 'sheets', 'local'];
+
+// Rows of a sheet (header row included) in registry order, mapped by header name
+const toRegistryRows = (logType, rows) => {
+  const [sheetHeaders = [], ...data] = rows;
+  const columnMap = createColumnMap(getHeaders(logType), sheetHeaders);
+  return data.map(row => columnMap.fromSheet(row).map(value => value ?? ''));
+};
+
+const getIdIndex = (logType) => logType.columns.findIndex(column => column.key === getIdKey(logType));
+
+// Rows of the primary sheet whose ID is neither in the backup sheet nor in
+// `pendingIds` (copies still queued). Rows come back in registry order.
+const findMissingRows = (logType, primaryRows, backupRows, pendingIds = new Set()) => {
+  const index = getIdIndex(logType);
+  const present = new Set(toRegistryRows(logType, backupRows).map(row => row[index]));
+  return toRegistryRows(logType, primaryRows)
+    .filter(row => row[index] && !present.has(row[index]) && !pendingIds.has(row[index]));
+};
+
+module.exports = {
+  REPLICATION_MODES,
+  getIdIndex,
+  findMissingRows
+};
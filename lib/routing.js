@@ -0,0 +1,162 @@
+// Spreadsheet routing
+//
+// Decides which spreadsheet and tab each request goes to. Routes are checked
+// in order and the first one matching the request's type and namespace wins;
+// the built-in routes (DEFAULT_SPREADSHEET_ID for everything, the backup
+// spreadsheet for chat-backup) are checked last. A route with several targets
+// fans every write out to all of them; the first target is the primary, which
+// reads come from. A target without a spreadsheetId means the caller's default
+// spreadsheet, and one without a sheetName means the type's own tab.
+//
+//   {
+//     "allowedSpreadsheets": ["1zlC8E46...", "1m6e-HTb..."],
+//     "routes": [
+//       {
+//         "namespaces": ["key:key-abc123", "user:u-1f2e3d"],   // optional, default all
+//         "types": ["transactions"],                           // log types, chat, chat-backup, budgets or *
+//         "targets": [
+//           { "spreadsheetId": "1zlC8E46..." },
+//           { "spreadsheetId": "1m6e-HTb...", "sheetName": "Transactions Backup" }
+//         ]
+//       }
+//     ]
+//   }
+//
+// The config comes from ROUTING_CONFIG (inline JSON) or the routing file, and
+// is reloaded with reload(); a config that fails to load leaves the previous
+// one in place. A caller's own spreadsheetId must be in allowedSpreadsheets
+// ('*' allows all, the default) or be a target of some route.
+
+const fsSync = require('fs');
+const { HttpError } = require('./errors');
+
+const normalizeList = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+};
+
+const parseTarget = (target, where) => {
+  if (!target || typeof target !== 'object' || Array.isArray(target)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const { spreadsheetId, sheetName } = target;
+  if (spreadsheetId !== undefined && (typeof spreadsheetId !== 'string' || !spreadsheetId)) {
+    throw new Error(`${where}.spreadsheetId must be a non-empty string`);
+  }
+  if (sheetName !== undefined && (typeof sheetName !== 'string' || !sheetName)) {
+    throw new Error(`${where}.sheetName must be a non-empty string`);
+  }
+  return { spreadsheetId: spreadsheetId || null, sheetName: sheetName || null };
+};
+
+const parseRoute = (route, index, types) => {
+  const where = `routes[${index}]`;
+  if (!route || typeof route !== 'object' || Array.isArray(route)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const routeTypes = normalizeList(route.types, ['*']);
+  const unknown = routeTypes.filter(type => type !== '*' && !types.includes(type));
+  if (unknown.length) {
+    throw new Error(`${where}.types has unknown type(s): ${unknown.join(', ')}`);
+  }
+  if (!Array.isArray(route.targets) || !route.targets.length) {
+    throw new Error(`${where}.targets must be a non-empty list`);
+  }
+  return {
+    namespaces: normalizeList(route.namespaces, ['*']),
+    types: routeTypes,
+    targets: route.targets.map((target, targetIndex) => parseTarget(target, `${where}.targets[${targetIndex}]`))
+  };
+};
+
+const parseConfig = (config, types) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Routing config must be an object');
+  }
+  return {
+    allowedSpreadsheets: normalizeList(config.allowedSpreadsheets, ['*']),
+    routes: (config.routes || []).map((route, index) => parseRoute(route, index, types))
+  };
+};
+
+const allows = (list, value) => list.includes('*') || list.includes(value);
+
+// `types` are the routable types; `builtInRoutes` are checked after the
+// configured ones, so the last of them should match everything
+const createRouter = ({ filePath, inline, types, builtInRoutes, allowedSpreadsheets }) => {
+  let config = { allowedSpreadsheets: ['*'], routes: [] };
+  let source = null;
+  const fallback = builtInRoutes.map((route, index) => parseRoute(route, index, types));
+
+  const read = () => {
+    if (inline) return { source: 'ROUTING_CONFIG', raw: JSON.parse(inline) };
+    if (filePath && fsSync.existsSync(filePath)) {
+      return { source: filePath, raw: JSON.parse(fsSync.readFileSync(filePath, 'utf8')) };
+    }
+    return { source: null, raw: {} };
+  };
+
+  const load = () => {
+    const loaded = read();
+    const parsed = parseConfig(loaded.raw, types);
+    if (loaded.raw.allowedSpreadsheets === undefined && allowedSpreadsheets) {
+      parsed.allowedSpreadsheets = allowedSpreadsheets;
+    }
+    config = parsed;
+    source = loaded.source;
+    console.log(`Loaded ${config.routes.length} spreadsheet route(s)${source ? ` from ${source}` : ''}`);
+    return describe();
+  };
+
+  // Targets of the first route matching the type and namespace (e.g. key:key-abc123)
+  const resolve = (type, namespace = null) => {
+    const route = [...config.routes, ...fallback].find(candidate =>
+      allows(candidate.types, type) &&
+      (candidate.namespaces.includes('*') || (namespace && candidate.namespaces.includes(namespace))));
+    return route.targets.map(target => ({ ...target }));
+  };
+
+  // The primary target of every route a request of this type can reach, for
+  // jobs that walk all of a type's sheets. Routes after one that matches every
+  // namespace are unreachable and left out.
+  const listPrimaryTargets = (type) => {
+    const targets = [];
+    for (const route of [...config.routes, ...fallback]) {
+      if (!allows(route.types, type)) continue;
+      targets.push({ ...route.targets[0] });
+      if (route.namespaces.includes('*')) break;
+    }
+    return targets;
+  };
+
+  const isAllowed = (spreadsheetId) => allows(config.allowedSpreadsheets, spreadsheetId) ||
+    [...config.routes, ...fallback].some(route => route.targets.some(target => target.spreadsheetId === spreadsheetId));
+
+  // Throw a 403 unless a caller may name this spreadsheet
+  const assertAllowed = (spreadsheetId) => {
+    if (!isAllowed(spreadsheetId)) {
+      throw new HttpError(403, `Spreadsheet ${spreadsheetId} is not in the routing allow-list`);
+    }
+  };
+
+  // Which type writes to a tab by this name, for tabs renamed by routes
+  const findSheetType = (sheetName) => {
+    const route = config.routes.find(candidate => candidate.types.length === 1 && candidate.types[0] !== '*' &&
+      candidate.targets.some(target => target.sheetName === sheetName));
+    return route ? route.types[0] : null;
+  };
+
+  const describe = () => ({
+    source,
+    allowedSpreadsheets: config.allowedSpreadsheets,
+    routes: config.routes,
+    builtInRoutes: fallback
+  });
+
+  load();
+  return { resolve, listPrimaryTargets, isAllowed, assertAllowed, findSheetType, describe, reload: load };
+};
+
+module.exports = {
+  createRouter
+};
@@ -0,0 +1,364 @@
+// Vendor and category rules for transactions
+//
+// A rule matches transactions on their text fields and amount, and sets the
+// fields people (and the GPT) fill in inconsistently:
+//
+//   {
+//     "match": {
+//       "establishment": { "contains": "jollibee" },
+//       "onlineTransactionId": { "startsWith": "GC-" },
+//       "amount": { "min": 0, "max": 1000 }
+//     },
+//     "set": { "mappedOnlineVendor": "Jollibee", "category": "Food", "linkedBudgetCategory": "Dining" }
+//   }
+//
+// Text conditions are case-insensitive: `contains`, `startsWith`, `glob` for
+// the whole value with `*` (any text) and `?` (any one character), or `regex`.
+// A plain string means `contains`. Patterns are at most MAX_PATTERN_LENGTH
+// characters and only the first MAX_TEXT_LENGTH characters of a field are
+// matched. A regex can't repeat a group that holds a quantifier or `|` (such
+// as `(a+)+`), the patterns that make backtracking take exponential time.
+// Every condition of a rule must hold. Rules are applied in order to each
+// transaction before it is written: the first matching rule that sets a field
+// wins it. A rule overwrites values already given unless `overwrite` is false,
+// in which case it only fills fields that are empty.
+//
+// suggestRules learns rules from logged transactions: an establishment seen at
+// least `minCount` times with the same category (etc.) in at least
+// `minConfidence` of its rows becomes a suggested rule.
+
+const fsSync = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { HttpError } = require('./errors');
+
+class RuleError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'RuleError';
+  }
+}
+
+const MATCH_FIELDS = ['establishment', 'items', 'onlineTransactionId'];
+const SET_FIELDS = ['mappedOnlineVendor', 'category', 'linkedBudgetCategory', 'taxCategory'];
+
+const TEXT_MATCHERS = ['contains', 'startsWith', 'glob', 'regex'];
+
+// Longest pattern a rule may hold, and the most of a field it looks at
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TEXT_LENGTH = 1000;
+
+const generateRuleId = () => `RUL-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === 'NA';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The quantifier at `index`: 'repeat' for *, + and {n,m}, 'optional' for ?
+const quantifierAt = (pattern, index) => {
+  if (pattern[index] === '*' || pattern[index] === '+') return 'repeat';
+  if (pattern[index] === '?') return 'optional';
+  if (pattern[index] === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(index))) return 'repeat';
+  return null;
+};
+
+// Whether a regex repeats a group that holds a quantifier or an alternation,
+// like (a+)+, (a|ab)* or ((a*)b)+
+const hasNestedRepeat = (pattern) => {
+  // One entry per open group: whether it holds a quantifier or `|`
+  const groups = [false];
+  let inClass = false;
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index++;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // Skip the ?:, ?=, ?!, ?<=, ?<! or ?<name> after the parenthesis
+      if (pattern[index + 1] === '?') {
+        index += 2;
+        if (pattern[index] === '<' && !['=', '!'].includes(pattern[index + 1])) {
+          index = Math.max(pattern.indexOf('>', index), index);
+        } else if (pattern[index] === '<') {
+          index++;
+        }
+      }
+    } else if (char === ')' && groups.length > 1) {
+      const holdsRepeat = groups.pop();
+      const quantifier = quantifierAt(pattern, index + 1);
+      if (holdsRepeat && quantifier === 'repeat') return true;
+      groups[groups.length - 1] = groups[groups.length - 1] || holdsRepeat || Boolean(quantifier);
+    } else if (char === '|' || quantifierAt(pattern, index)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+const parseTextCondition = (field, condition) => {
+  const parsed = typeof condition === 'string' ? { contains: condition } : condition;
+  if (!isPlainObject(parsed) || Object.keys(parsed).length !== 1 || !TEXT_MATCHERS.includes(Object.keys(parsed)[0])) {
+    throw new RuleError(`match.${field} must be a string, or one of ${TEXT_MATCHERS.map(kind => `{ "${kind}": "..." }`).join(', ')}`);
+  }
+  const [[kind, value]] = Object.entries(parsed);
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new RuleError(`match.${field}.${kind} must be a non-empty string`);
+  }
+  if (value.length > MAX_PATTERN_LENGTH) {
+    throw new RuleError(`match.${field}.${kind} can be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  if (kind === 'regex') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      throw new RuleError(`match.${field}.regex is not a valid regular expression: ${error.message}`);
+    }
+    if (hasNestedRepeat(value)) {
+      throw new RuleError(`match.${field}.regex can't repeat a group that holds a quantifier or |, like (a+)+`);
+    }
+  }
+  return { [kind]: value };
+};
+
+const parseAmountCondition = (condition) => {
+  if (!isPlainObject(condition) || !Object.keys(condition).length ||
+      Object.keys(condition).some(key => !['min', 'max'].includes(key)) ||
+      Object.values(condition).some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+    throw new RuleError('match.amount must be { "min": number, "max": number } (either may be left out)');
+  }
+  if (condition.min !== undefined && condition.max !== undefined && condition.min > condition.max) {
+    throw new RuleError('match.amount.min must not be greater than match.amount.max');
+  }
+  return { ...condition };
+};
+
+// Check a rule sent to the API and keep only its known parts
+const parseRule = (input) => {
+  if (!isPlainObject(input)) {
+    throw new RuleError('A rule must be an object with match and set');
+  }
+  const { name = '', match, set, overwrite = true, enabled = true } = input;
+  if (!isPlainObject(match) || !Object.keys(match).length) {
+    throw new RuleError(`match must name at least one of: ${[...MATCH_FIELDS, 'amount'].join(', ')}`);
+  }
+  const unknownMatch = Object.keys(match).filter(field => ![...MATCH_FIELDS, 'amount'].includes(field));
+  if (unknownMatch.length) {
+    throw new RuleError(`Rules can't match on ${unknownMatch.join(', ')}; use ${[...MATCH_FIELDS, 'amount'].join(', ')}`);
+  }
+  if (!isPlainObject(set) || !Object.keys(set).length) {
+    throw new RuleError(`set must give at least one of: ${SET_FIELDS.join(', ')}`);
+  }
+  const unknownSet = Object.keys(set).filter(field => !SET_FIELDS.includes(field));
+  if (unknownSet.length) {
+    throw new RuleError(`Rules can't set ${unknownSet.join(', ')}; use ${SET_FIELDS.join(', ')}`);
+  }
+  const notText = Object.entries(set).filter(([, value]) => typeof value !== 'string' || !value.trim());
+  if (notText.length) {
+    throw new RuleError(`set.${notText[0][0]} must be a non-empty string`);
+  }
+  if (typeof overwrite !== 'boolean' || typeof enabled !== 'boolean') {
+    throw new RuleError('overwrite and enabled must be true or false');
+  }
+
+  return {
+    name: String(name),
+    match: Object.fromEntries(Object.entries(match).map(([field, condition]) =>
+      [field, field === 'amount' ? parseAmountCondition(condition) : parseTextCondition(field, condition)])),
+    set: Object.fromEntries(Object.entries(set).map(([field, value]) => [field, value.trim()])),
+    overwrite,
+    enabled
+  };
+};
+
+// `*` and `?` wildcards over the whole text. Backtracks only to the last `*`,
+// so it takes at most pattern × text steps.
+const matchesGlob = (pattern, text) => {
+  let p = 0;
+  let t = 0;
+  let star = -1;
+  let mark = 0;
+  while (t < text.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === text[t])) {
+      p++;
+      t++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      mark = t;
+    } else if (star !== -1) {
+      p = star + 1;
+      t = ++mark;
+    } else {
+      return false;
+    }
+  }
+  while (pattern[p] === '*') p++;
+  return p === pattern.length;
+};
+
+const matchesText = (condition, value) => {
+  if (isEmpty(value)) return false;
+  const text = String(value).slice(0, MAX_TEXT_LENGTH).toLowerCase();
+  if (condition.regex !== undefined) return new RegExp(condition.regex, 'i').test(text);
+  if (condition.contains !== undefined) return text.includes(condition.contains.toLowerCase());
+  if (condition.startsWith !== undefined) return text.startsWith(condition.startsWith.toLowerCase());
+  if (condition.glob !== undefined) return matchesGlob(condition.glob.toLowerCase(), text);
+  return false;
+};
+
+const matchesRule = (rule, transaction) => Object.entries(rule.match).every(([field, condition]) => {
+  if (field !== 'amount') return matchesText(condition, transaction[field]);
+  const amount = typeof transaction.amount === 'number' ? transaction.amount : Number(transaction.amount);
+  return Number.isFinite(amount) &&
+    (condition.min === undefined || amount >= condition.min) &&
+    (condition.max === undefined || amount <= condition.max);
+});
+
+// Apply rules in order to one transaction. Returns the updated data and
+// the rules that changed it: [{ ruleId, name, fields }]
+const applyRules = (rules, transaction) => {
+  const data = { ...transaction };
+  const claimed = new Set();
+  const applied = [];
+  rules.filter(rule => rule.enabled !== false && matchesRule(rule, transaction)).forEach(rule => {
+    const fields = Object.keys(rule.set).filter(field =>
+      !claimed.has(field) && (rule.overwrite !== false || isEmpty(transaction[field])));
+    fields.forEach(field => {
+      data[field] = rule.set[field];
+      claimed.add(field);
+    });
+    if (fields.length) applied.push({ ruleId: rule.id, name: rule.name, fields });
+  });
+  return { data, applied };
+};
+
+// An establishment without branch numbers and codes: "JOLLIBEE MAKATI #123" -> "jollibee makati"
+const normalizeEstablishment = (value) => String(value).toLowerCase()
+  .replace(/(?:\s*(?:#|no\.?\s*|store\s*)?\d[\d-]*)+$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))[0];
+};
+
+// Rules suggested by logged transactions, most supported first. Fields the
+// current rules already set to the same value are left out.
+const suggestRules = (transactions, rules = [], { minCount = 3, minConfidence = 0.8 } = {}) => {
+  const groups = new Map();
+  transactions.forEach(transaction => {
+    if (isEmpty(transaction.establishment)) return;
+    const key = normalizeEstablishment(transaction.establishment);
+    if (key.length < 3) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  });
+
+  const suggestions = [];
+  groups.forEach((group, key) => {
+    if (group.length < minCount) return;
+    const set = {};
+    const confidence = {};
+    const current = group.map(transaction => applyRules(rules, transaction));
+    SET_FIELDS.forEach(field => {
+      const values = group.map(transaction => transaction[field]).filter(value => !isEmpty(value)).map(String);
+      if (values.length < minCount) return;
+      const [value, count] = mostCommon(values);
+      const share = count / group.length;
+      if (share < minConfidence) return;
+      // Already handled by an existing rule
+      if (current.every(({ data, applied }) => data[field] === value && applied.some(match => match.fields.includes(field)))) return;
+      set[field] = value;
+      confidence[field] = Math.round(share * 100) / 100;
+    });
+    if (!Object.keys(set).length) return;
+    suggestions.push({
+      name: key,
+      match: { establishment: { contains: key } },
+      set,
+      support: group.length,
+      confidence,
+      examples: [...new Set(group.map(transaction => String(transaction.establishment)))].slice(0, 5)
+    });
+  });
+  return suggestions.sort((a, b) => b.support - a.support || a.name.localeCompare(b.name));
+};
+
+// Rules are kept in order in a JSON file. A rule added by an OAuth user
+// (userId) only applies to that user's transactions.
+const createRuleStore = ({ filePath }) => {
+  let rules = [];
+
+  const save = () => {
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ rules }, null, 2) + '\n');
+  };
+
+  const load = () => {
+    rules = fsSync.existsSync(filePath)
+      ? JSON.parse(fsSync.readFileSync(filePath, 'utf8')).rules || []
+      : [];
+    if (rules.length) console.log(`Loaded ${rules.length} transaction rule(s) from ${filePath}`);
+  };
+
+  const list = (userId = null) => rules.filter(rule => (rule.userId || null) === (userId || null));
+
+  const get = (id) => rules.find(rule => rule.id === id) || null;
+
+  // `position` (0-based, among the user's rules) puts the rule ahead of others
+  const create = (fields, { position } = {}) => {
+    const rule = { id: generateRuleId(), ...fields, createdAt: new Date().toISOString() };
+    const before = position === undefined ? undefined : list(rule.userId)[position];
+    const index = before ? rules.indexOf(before) : rules.length;
+    rules.splice(index, 0, rule);
+    save();
+    return rule;
+  };
+
+  const update = (id, changes) => {
+    const rule = get(id);
+    if (!rule) return null;
+    Object.assign(rule, changes, { updatedAt: new Date().toISOString() });
+    save();
+    return rule;
+  };
+
+  // Put a rule at `position` among its user's rules
+  const move = (id, position) => {
+    const rule = get(id);
+    if (!rule) return null;
+    rules.splice(rules.indexOf(rule), 1);
+    const before = list(rule.userId)[position];
+    rules.splice(before ? rules.indexOf(before) : rules.length, 0, rule);
+    save();
+    return rule;
+  };
+
+  const remove = (id) => {
+    const before = rules.length;
+    rules = rules.filter(rule => rule.id !== id);
+    if (rules.length === before) return false;
+    save();
+    return true;
+  };
+
+  load();
+  return { list, get, create, update, move, remove };
+};
+
+module.exports = {
+  RuleError,
+  MATCH_FIELDS,
+  TEXT_MATCHERS,
+  SET_FIELDS,
+  parseRule,
+  matchesRule,
+  applyRules,
+  suggestRules,
+  createRuleStore
+};
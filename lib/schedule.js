@@ -0,0 +1,253 @@
+// Schedules for recurring entries (see lib/recurring.js)
+//
+// Two formats are accepted, both evaluated in UTC:
+//
+//   cron  - five fields: minute hour day-of-month month day-of-week, e.g.
+//           "0 9 1 * *" (09:00 on the 1st of every month). Fields take *,
+//           lists (1,15), ranges (1-5) and steps (*/15, 1-31/2); day-of-week
+//           runs 0-6 from Sunday (7 is Sunday too). As in cron, when both day
+//           fields are restricted a day matching either one counts.
+//   rrule - an iCalendar RRULE, e.g. "FREQ=MONTHLY;BYMONTHDAY=1" or
+//           "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH". Supported parts: FREQ
+//           (DAILY, WEEKLY, MONTHLY or YEARLY), INTERVAL, COUNT, UNTIL,
+//           BYMONTH, BYMONTHDAY (negative counts back from the month's end),
+//           BYDAY (with an ordinal such as 1MO or -1FR in monthly and yearly
+//           rules), BYHOUR and BYMINUTE. The start time plays the part of
+//           DTSTART: INTERVAL and COUNT count from it, and any part left out
+//           takes its value from it, as in RFC 5545.
+//
+// Invalid schedules throw a ScheduleError (400) naming the problem.
+
+const { HttpError } = require('./errors');
+
+class ScheduleError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'ScheduleError';
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for the next occurrence before giving up, so a rule
+// that can never match (e.g. February 30th) doesn't loop forever
+const MAX_DAYS = 366 * 30;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'BYHOUR', 'BYMINUTE', 'WKST'];
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const daysInMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+// Every [hour, minute] pair of the given sets, in order
+const listTimes = (hours, minutes) => [...hours].sort((a, b) => a - b)
+  .flatMap(hour => [...minutes].sort((a, b) => a - b).map(minute => [hour, minute]));
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  text.split(',').forEach(part => {
+    const match = part.match(/^(?:\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new ScheduleError(`Invalid cron ${name}: ${part}`);
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+    const from = match[1] === undefined ? min : Number(match[1]);
+    const to = match[1] === undefined || (match[2] === undefined && match[3])
+      ? max
+      : Number(match[2] ?? match[1]);
+    if (from < min || to > max || from > to || step < 1) {
+      throw new ScheduleError(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+};
+
+const parseCron = (expression) => {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new ScheduleError('A cron schedule has five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  if (weekdays.has(7)) weekdays.add(0);
+  const daysRestricted = !fields[2].startsWith('*');
+  const weekdaysRestricted = !fields[4].startsWith('*');
+
+  return {
+    kind: 'cron',
+    times: listTimes(hours, minutes),
+    count: null,
+    until: null,
+    matchesDay: (date) => {
+      if (!months.has(date.getUTCMonth() + 1)) return false;
+      const dayMatches = days.has(date.getUTCDate());
+      const weekdayMatches = weekdays.has(date.getUTCDay());
+      return daysRestricted && weekdaysRestricted ? dayMatches || weekdayMatches : dayMatches && weekdayMatches;
+    }
+  };
+};
+
+const parsePositive = (key, value) => {
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new ScheduleError(`RRULE ${key} must be a positive whole number`);
+  }
+  return Number(value);
+};
+
+const parseNumberList = (key, value, min, max, { negative = false } = {}) => value.split(',').map(item => {
+  const number = Number(item);
+  const magnitude = Math.abs(number);
+  if (!/^[+-]?\d+$/.test(item) || (number < 0 && !negative) || magnitude < min || magnitude > max) {
+    throw new ScheduleError(`RRULE ${key} has an invalid value: ${item}`);
+  }
+  return number;
+});
+
+// 20241231, 20241231T235959 or 20241231T235959Z
+const parseUntil = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    throw new ScheduleError('RRULE UNTIL must look like 20241231 or 20241231T235959Z');
+  }
+  const [, year, month, day, hour = '23', minute = '59', second = '59'] = match;
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+};
+
+const parseByDay = (value, frequency) => value.split(',').map(item => {
+  const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+  if (!match || match[1] === '0' || Math.abs(Number(match[1] || 1)) > 53) {
+    throw new ScheduleError(`RRULE BYDAY has an invalid value: ${item}`);
+  }
+  if (match[1] && !['MONTHLY', 'YEARLY'].includes(frequency)) {
+    throw new ScheduleError('RRULE BYDAY ordinals (e.g. 1MO) need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  return { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+});
+
+// Whether `date` is the nth (or, negative, nth from last) of its weekday
+// within its month or year
+const matchesOrdinal = (date, ordinal, within) => {
+  const position = within === 'year'
+    ? Math.round((startOfDay(date) - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS) + 1
+    : date.getUTCDate();
+  const length = within === 'year'
+    ? Math.round((Date.UTC(date.getUTCFullYear() + 1, 0, 1) - Date.UTC(date.getUTCFullYear(), 0, 1)) / DAY_MS)
+    : daysInMonth(date);
+  return ordinal > 0
+    ? Math.ceil(position / 7) === ordinal
+    : Math.ceil((length - position + 1) / 7) === -ordinal;
+};
+
+const parseRRule = (text, start) => {
+  const rule = {};
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value] = part.split('=');
+    const name = String(key).toUpperCase();
+    if (!RRULE_PARTS.includes(name) || !value) {
+      throw new ScheduleError(`Unsupported RRULE part: ${part}`);
+    }
+    rule[name] = value.toUpperCase();
+  });
+
+  const frequency = rule.FREQ;
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ScheduleError(`RRULE FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  const interval = rule.INTERVAL ? parsePositive('INTERVAL', rule.INTERVAL) : 1;
+  let byMonth = rule.BYMONTH ? parseNumberList('BYMONTH', rule.BYMONTH, 1, 12) : null;
+  let byMonthDay = rule.BYMONTHDAY ? parseNumberList('BYMONTHDAY', rule.BYMONTHDAY, 1, 31, { negative: true }) : null;
+  let byDay = rule.BYDAY ? parseByDay(rule.BYDAY, frequency) : null;
+  const hours = rule.BYHOUR ? parseNumberList('BYHOUR', rule.BYHOUR, 0, 23) : [start.getUTCHours()];
+  const minutes = rule.BYMINUTE ? parseNumberList('BYMINUTE', rule.BYMINUTE, 0, 59) : [start.getUTCMinutes()];
+
+  // Parts left out come from the start, as in RFC 5545
+  if (frequency === 'WEEKLY' && !byDay) byDay = [{ ordinal: null, weekday: start.getUTCDay() }];
+  if (frequency === 'MONTHLY' && !byDay && !byMonthDay) byMonthDay = [start.getUTCDate()];
+  if (frequency === 'YEARLY' && !byDay && !byMonthDay) {
+    byMonth = byMonth || [start.getUTCMonth() + 1];
+    byMonthDay = [start.getUTCDate()];
+  }
+
+  const first = startOfDay(start);
+  // Weeks start on Monday
+  const firstMonday = first.getTime() - ((first.getUTCDay() + 6) % 7) * DAY_MS;
+  const inInterval = (date) => {
+    if (interval === 1) return true;
+    if (frequency === 'DAILY') return Math.round((date - first) / DAY_MS) % interval === 0;
+    if (frequency === 'WEEKLY') return Math.floor(Math.round((date - firstMonday) / DAY_MS) / 7) % interval === 0;
+    const months = (date.getUTCFullYear() - first.getUTCFullYear()) * 12 + date.getUTCMonth() - first.getUTCMonth();
+    return frequency === 'MONTHLY' ? months % interval === 0 : (date.getUTCFullYear() - first.getUTCFullYear()) % interval === 0;
+  };
+
+  return {
+    kind: 'rrule',
+    times: listTimes(hours, minutes),
+    count: rule.COUNT ? parsePositive('COUNT', rule.COUNT) : null,
+    until: rule.UNTIL ? parseUntil(rule.UNTIL) : null,
+    matchesDay: (date) => {
+      if (!inInterval(date)) return false;
+      if (byMonth && !byMonth.includes(date.getUTCMonth() + 1)) return false;
+      if (byMonthDay) {
+        const last = daysInMonth(date);
+        if (!byMonthDay.some(day => (day > 0 ? day : last + day + 1) === date.getUTCDate())) return false;
+      }
+      if (byDay) {
+        const within = frequency === 'YEARLY' && !byMonth ? 'year' : 'month';
+        return byDay.some(({ ordinal, weekday }) => weekday === date.getUTCDay() &&
+          (ordinal === null || matchesOrdinal(date, ordinal, within)));
+      }
+      return true;
+    }
+  };
+};
+
+// Parse a cron expression or RRULE; `start` is when the schedule begins
+const parseSchedule = (schedule, start) => {
+  if (typeof schedule !== 'string' || !schedule.trim()) {
+    throw new ScheduleError('schedule must be a cron expression (e.g. "0 9 1 * *") or an RRULE (e.g. "FREQ=MONTHLY;BYMONTHDAY=1")');
+  }
+  return /FREQ=/i.test(schedule) ? parseRRule(schedule, start) : parseCron(schedule);
+};
+
+// Occurrences of a parsed schedule that begins at `start`: those after `after`
+// (exclusive) and up to `before` (inclusive), oldest first, at most `limit`.
+// COUNT is counted from the start, so rules with one are walked from there.
+const listOccurrences = (schedule, start, { after = null, before = null, limit = 10 } = {}) => {
+  const results = [];
+  const from = schedule.count || !after || after < start ? start : after;
+  const firstDay = startOfDay(from);
+  let seen = 0;
+
+  for (let offset = 0; offset < MAX_DAYS && results.length < limit; offset++) {
+    const day = new Date(firstDay.getTime() + offset * DAY_MS);
+    if (before && day > before) break;
+    if (!schedule.matchesDay(day)) continue;
+    for (const [hour, minute] of schedule.times) {
+      const at = new Date(day.getTime() + (hour * 60 + minute) * 60 * 1000);
+      if (at < start) continue;
+      if ((schedule.until && at > schedule.until) || (before && at > before)) return results;
+      seen += 1;
+      if (!after || at > after) results.push(at);
+      if ((schedule.count && seen >= schedule.count) || results.length >= limit) return results;
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  ScheduleError,
+  parseSchedule,
+  listOccurrences
+};
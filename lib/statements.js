@@ -0,0 +1,439 @@
+// Bank and e-wallet statement import
+//
+// Statements are read into one row per transaction, then turned into
+// transactions (see LOG_TYPES.transactions):
+//
+//   csv - columns picked by a mapping: header names for date, description,
+//         amount (signed) or debit/credit, and optionally time, memo and
+//         reference. Without one, common headers are recognized
+//         ("Posting Date", "Withdrawals", "Reference No.", ...)
+//   ofx - <STMTTRN> blocks of OFX 1.x (SGML) or 2.x (XML) files
+//   qif - !Type:Bank / CCard / Cash records
+//
+// Amounts are signed from the account's side: money out is an Expense, money
+// in is Income, and QIF [Account] categories and OFX XFER are Transfers. The
+// bank's own transaction ID (OFX FITID, QIF N, a CSV reference column) becomes
+// onlineTransactionId. Every row also gets a referenceId fingerprinted from
+// the bank, account, date, amount and description, so re-importing an
+// overlapping statement finds the rows that are already logged even when the
+// bank gives no IDs.
+//
+// Numeric dates are read year first, month first or day first (`dateOrder`);
+// by default a file whose dates can't all be month first is read day first.
+//
+// Named CSV mappings are kept in a JSON file so each bank's layout is set up once.
+
+const fsSync = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const { HttpError } = require('./errors');
+const { parseCsvLines } = require('./csv');
+
+class StatementError extends HttpError {
+  constructor(message) {
+    super(400, message);
+    this.name = 'StatementError';
+  }
+}
+
+const FORMATS = ['csv', 'ofx', 'qif'];
+const DATE_ORDERS = ['YMD', 'MDY', 'DMY'];
+const MAPPING_COLUMNS = ['date', 'time', 'description', 'memo', 'amount', 'debit', 'credit', 'reference'];
+
+// Transaction fields an import can set for rows that don't have them
+const DEFAULT_FIELDS = ['category', 'paymentMethod', 'cardUsed', 'linkedBudgetCategory', 'reimbursable', 'taxDeductible', 'taxCategory', 'notes'];
+
+// Headers recognized when a CSV has no mapping, most specific first
+const HEADER_NAMES = {
+  date: ['posting date', 'posted date', 'transaction date', 'trans date', 'booking date', 'date', 'value date'],
+  time: ['time', 'transaction time'],
+  description: ['description', 'payee', 'merchant', 'name', 'transaction details', 'details', 'particulars', 'narrative'],
+  memo: ['memo', 'remarks', 'notes'],
+  amount: ['amount', 'transaction amount', 'amount php', 'amount usd'],
+  debit: ['debit', 'debits', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out'],
+  credit: ['credit', 'credits', 'credit amount', 'deposit', 'deposits', 'money in', 'paid in'],
+  reference: ['reference', 'reference no', 'reference number', 'ref no', 'ref', 'transaction id', 'transaction no', 'fitid']
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// "1,234.50", "-12", "(12.00)", "12.00 DR", "₱450" -> signed number, or null
+const parseAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text) return null;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\bdr\.?$/i.test(text)) {
+    sign = -sign;
+    text = text.replace(/\s*dr\.?$/i, '');
+  }
+  text = text.replace(/\s*cr\.?$/i, '').replace(/[\s,$€£¥₱]|PHP|USD/gi, '');
+  if (/-$/.test(text)) text = `-${text.slice(0, -1)}`;
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? sign * Number(text) : null;
+};
+
+const NUMERIC_DATE = /^(\d{1,4})[-/.](\d{1,2})[-/.'](\d{2,4})$/;
+
+const toDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    ? `${fullYear}-${pad(month)}-${pad(day)}`
+    : null;
+};
+
+// Day first if some numeric date in the file can't be month first
+const detectDateOrder = (values) => values.some(value => {
+  const match = String(value || '').trim().split(/\s+/)[0].match(NUMERIC_DATE);
+  return match && match[1].length <= 2 && Number(match[1]) > 12;
+}) ? 'DMY' : 'MDY';
+
+// A statement date as YYYY-MM-DD. Written-out dates ("15 Jan 2024") are left
+// to the transaction validation, which coerces them.
+const parseDate = (value, dateOrder) => {
+  const text = String(value || '').trim().split(/\s+/)[0];
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) return toDate(Number(compact[1]), Number(compact[2]), Number(compact[3]));
+  const match = text.match(NUMERIC_DATE);
+  if (!match) return String(value || '').trim() || null;
+  const [first, second, third] = match.slice(1).map(Number);
+  if (match[1].length === 4 || dateOrder === 'YMD') return toDate(first, second, third);
+  return dateOrder === 'DMY' ? toDate(third, second, first) : toDate(third, first, second);
+};
+
+const parseTime = (value) => {
+  const match = String(value || '').match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?m?\b/i);
+  if (!match) return null;
+  let hours = Number(match[1]);
+  if (match[4]) hours = hours % 12 + (match[4].toLowerCase() === 'p' ? 12 : 0);
+  return `${pad(hours)}:${match[2]}:${match[3] || '00'}`;
+};
+
+const detectDelimiter = (text) => {
+  const firstLines = text.split(/\r?\n/).slice(0, 10).join('\n');
+  return [',', ';', '\t', '|']
+    .map(delimiter => [delimiter, firstLines.split(delimiter).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Check a mapping given in a request or saved by name
+const parseMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new StatementError('mapping must be an object of column headers, e.g. { "date": "Posting Date", "amount": "Amount" }');
+  }
+  const unknown = Object.keys(mapping).filter(key => ![...MAPPING_COLUMNS, 'dateOrder', 'invert', 'delimiter', 'bank'].includes(key));
+  if (unknown.length) {
+    throw new StatementError(`Unknown mapping field(s): ${unknown.join(', ')}`);
+  }
+  const notText = MAPPING_COLUMNS.filter(key => mapping[key] !== undefined && (typeof mapping[key] !== 'string' || !mapping[key].trim()));
+  if (notText.length) {
+    throw new StatementError(`Mapping column(s) must be header names: ${notText.join(', ')}`);
+  }
+  if (!mapping.date || (!mapping.amount && !mapping.debit && !mapping.credit)) {
+    throw new StatementError('mapping needs a date column and an amount column (or debit and credit columns)');
+  }
+  if (mapping.dateOrder !== undefined && !DATE_ORDERS.includes(mapping.dateOrder)) {
+    throw new StatementError(`mapping.dateOrder must be one of: ${DATE_ORDERS.join(', ')}`);
+  }
+  if (mapping.invert !== undefined && typeof mapping.invert !== 'boolean') {
+    throw new StatementError('mapping.invert must be true or false');
+  }
+  if (mapping.delimiter !== undefined && (typeof mapping.delimiter !== 'string' || mapping.delimiter.length !== 1)) {
+    throw new StatementError('mapping.delimiter must be a single character');
+  }
+  return mapping;
+};
+
+// Column indexes of a mapping in a header row, or null if its columns aren't all there
+const locateColumns = (headers, mapping) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  for (const key of MAPPING_COLUMNS) {
+    if (!mapping[key]) continue;
+    const index = normalized.indexOf(normalizeHeader(mapping[key]));
+    if (index === -1) return null;
+    columns[key] = index;
+  }
+  return columns;
+};
+
+// Guess a mapping from a header row
+const detectMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const taken = new Set();
+  const mapping = {};
+  Object.entries(HEADER_NAMES).forEach(([key, names]) => {
+    const name = names.find(candidate => normalized.includes(candidate) && !taken.has(candidate));
+    if (name) {
+      mapping[key] = headers[normalized.indexOf(name)].trim();
+      taken.add(name);
+    }
+  });
+  return mapping.date && (mapping.amount || mapping.debit || mapping.credit) ? mapping : null;
+};
+
+const readCsv = (text, { mapping, dateOrder } = {}) => {
+  const rows = parseCsvLines(text, mapping?.delimiter || detectDelimiter(text));
+  // Exports often start with a few lines about the account; the header row is
+  // the first one the mapping's columns are found in
+  let headerIndex = -1;
+  let columns = null;
+  let used = mapping;
+  for (let index = 0; index < Math.min(rows.length, 30) && !columns; index++) {
+    used = mapping || detectMapping(rows[index].values);
+    columns = used && locateColumns(rows[index].values, used);
+    if (columns) headerIndex = index;
+  }
+  if (!columns) {
+    throw new StatementError(mapping
+      ? `The CSV has no header row with the mapping's columns (${MAPPING_COLUMNS.filter(key => mapping[key]).map(key => mapping[key]).join(', ')})`
+      : 'Could not find the date and amount columns of the CSV; send a mapping');
+  }
+
+  const dataRows = rows.slice(headerIndex + 1);
+  const order = used.dateOrder || dateOrder || detectDateOrder(dataRows.map(({ values }) => values[columns.date]));
+  const cell = (values, key) => (columns[key] === undefined ? '' : String(values[columns[key]] ?? '').trim());
+
+  return {
+    account: { bank: used.bank || null, accountId: null, currency: null },
+    mapping: used,
+    rows: dataRows.map(({ line, values }) => {
+      let amount;
+      if (columns.amount !== undefined) {
+        amount = parseAmount(cell(values, 'amount'));
+      } else {
+        const debit = parseAmount(cell(values, 'debit'));
+        const credit = parseAmount(cell(values, 'credit'));
+        amount = debit === null && credit === null ? null : (credit || 0) - Math.abs(debit || 0);
+      }
+      if (amount !== null && used.invert) amount = -amount;
+      const date = parseDate(cell(values, 'date'), order);
+      if (!date) return { line, error: `Unreadable date "${cell(values, 'date')}"` };
+      if (amount === null) return { line, error: 'No amount' };
+      return {
+        line,
+        date,
+        time: parseTime(cell(values, 'time')) || parseTime(cell(values, 'date')),
+        amount,
+        description: cell(values, 'description') || cell(values, 'memo') || null,
+        memo: cell(values, 'description') ? cell(values, 'memo') || null : null,
+        sourceId: cell(values, 'reference') || null
+      };
+    })
+  };
+};
+
+// Value of an OFX element; SGML elements have no closing tag
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() || null : null;
+};
+
+const readOfx = (text) => {
+  const blocks = [];
+  const pattern = /<STMTTRN>([\s\S]*?)(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi;
+  let match;
+  while ((match = pattern.exec(text))) {
+    blocks.push({ line: text.slice(0, match.index).split('\n').length, block: match[1] });
+  }
+  if (!blocks.length && !/<OFX>/i.test(text)) {
+    throw new StatementError('Not an OFX file');
+  }
+
+  return {
+    account: {
+      bank: ofxValue(text, 'ORG') || ofxValue(text, 'BANKID'),
+      accountId: ofxValue(text, 'ACCTID'),
+      currency: ofxValue(text, 'CURDEF')
+    },
+    rows: blocks.map(({ line, block }) => {
+      const posted = ofxValue(block, 'DTPOSTED') || '';
+      const date = parseDate(posted.slice(0, 8));
+      const amount = parseAmount(ofxValue(block, 'TRNAMT'));
+      if (!date) return { line, error: `Unreadable DTPOSTED "${posted}"` };
+      if (amount === null) return { line, error: 'No TRNAMT' };
+      const time = /^\d{14}/.test(posted) && posted.slice(8, 14) !== '000000'
+        ? `${posted.slice(8, 10)}:${posted.slice(10, 12)}:${posted.slice(12, 14)}`
+        : null;
+      const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE');
+      const memo = ofxValue(block, 'MEMO');
+      return {
+        line,
+        date,
+        time,
+        amount,
+        description: name || memo,
+        memo: name ? memo : null,
+        sourceId: ofxValue(block, 'FITID') || ofxValue(block, 'REFNUM') || ofxValue(block, 'CHECKNUM'),
+        method: ofxValue(block, 'TRNTYPE'),
+        transfer: /^XFER$/i.test(ofxValue(block, 'TRNTYPE') || '')
+      };
+    })
+  };
+};
+
+const readQif = (text, { dateOrder } = {}) => {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  let current = null;
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('!')) return;
+    if (line === '^') {
+      if (current) records.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = { line: index + 1, fields: {} };
+    const code = line[0];
+    // Split lines (S/E/$) describe parts of the record; the record's T is the whole
+    if (!(code in current.fields)) current.fields[code] = line.slice(1).trim();
+  });
+  if (current) records.push(current);
+  if (!records.length && !/^!Type:/im.test(text)) {
+    throw new StatementError('Not a QIF file');
+  }
+
+  const order = dateOrder || detectDateOrder(records.map(record => record.fields.D));
+  return {
+    account: { bank: null, accountId: null, currency: null },
+    rows: records.map(({ line, fields }) => {
+      const date = parseDate(fields.D, order);
+      const amount = parseAmount(fields.T ?? fields.U);
+      if (!date) return { line, error: `Unreadable date "${fields.D || ''}"` };
+      if (amount === null) return { line, error: 'No amount' };
+      const category = fields.L || null;
+      const transfer = Boolean(category && /^\[.*\]$/.test(category));
+      return {
+        line,
+        date,
+        time: null,
+        amount,
+        description: fields.P || fields.M || null,
+        memo: fields.P ? fields.M || null : null,
+        sourceId: fields.N || null,
+        category: transfer ? null : category,
+        transfer
+      };
+    })
+  };
+};
+
+const detectFormat = (text, fileName = '') => {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+  if (/<OFX>|OFXHEADER/i.test(text)) return 'ofx';
+  if (/^!Type:/im.test(text)) return 'qif';
+  return 'csv';
+};
+
+// Rows of a statement: { format, account, mapping, rows }. Each row is
+// { line, date, time, amount, description, memo, sourceId, ... } or
+// { line, error } when it can't be read.
+const readStatement = (text, { format, fileName, mapping, dateOrder } = {}) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  if (!content.trim()) {
+    throw new StatementError('The statement is empty');
+  }
+  const resolved = format || detectFormat(content, fileName);
+  if (!FORMATS.includes(resolved)) {
+    throw new StatementError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (dateOrder !== undefined && !DATE_ORDERS.includes(dateOrder)) {
+    throw new StatementError(`dateOrder must be one of: ${DATE_ORDERS.join(', ')}`);
+  }
+  if (resolved === 'csv') {
+    return { format: resolved, ...readCsv(content, { mapping: mapping && parseMapping(mapping), dateOrder }) };
+  }
+  return { format: resolved, mapping: null, ...(resolved === 'ofx' ? readOfx(content) : readQif(content, { dateOrder })) };
+};
+
+// Transactions for the readable rows of a statement. `bank` and `accountName`
+// default to what the statement says; `defaults` fill in fields a row has no
+// value for.
+// Rows that look the same (same day, amount and description) are told apart
+// by their order, so the fingerprints of a re-imported statement match.
+const toTransactions = (statement, { bank, accountName, defaults = {} } = {}) => {
+  const bankIdentifier = bank || statement.account.bank || null;
+  const account = accountName || statement.account.accountId || null;
+  const seen = new Map();
+
+  return statement.rows.filter(row => !row.error).map(row => {
+    const key = [bankIdentifier, account, row.date, row.amount, row.description, row.sourceId].join('\u0000');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+    const fingerprint = createHash('sha256').update(`${key}\u0000${occurrence}`).digest('hex').slice(0, 16);
+
+    const data = Object.fromEntries(Object.entries({
+      date: row.date,
+      time: row.time,
+      accountName: account,
+      transactionType: row.transfer ? 'Transfer' : row.amount < 0 ? 'Expense' : 'Income',
+      category: row.category,
+      establishment: row.description,
+      amount: Math.abs(row.amount),
+      currency: statement.account.currency,
+      bankIdentifier,
+      onlineTransactionId: row.sourceId,
+      transactionMethod: row.method,
+      referenceId: `STM-${fingerprint}`,
+      notes: row.memo
+    }).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    return { line: row.line, data: { ...defaults, ...data } };
+  });
+};
+
+// Named CSV mappings, one per bank or wallet layout
+const createMappingStore = ({ filePath }) => {
+  let mappings = {};
+
+  const save = () => {
+    fsSync.mkdirSync(path.dirname(filePath), { recursive: true });
+    fsSync.writeFileSync(filePath, JSON.stringify({ mappings }, null, 2) + '\n');
+  };
+
+  const load = () => {
+    mappings = fsSync.existsSync(filePath)
+      ? JSON.parse(fsSync.readFileSync(filePath, 'utf8')).mappings || {}
+      : {};
+  };
+
+  const list = () => mappings;
+
+  const get = (name) => mappings[name] || null;
+
+  const set = (name, mapping) => {
+    mappings[name] = parseMapping(mapping);
+    save();
+    return mappings[name];
+  };
+
+  const remove = (name) => {
+    if (!mappings[name]) return false;
+    delete mappings[name];
+    save();
+    return true;
+  };
+
+  load();
+  return { list, get, set, remove };
+};
+
+module.exports = {
+  StatementError,
+  FORMATS,
+  DATE_ORDERS,
+  DEFAULT_FIELDS,
+  parseAmount,
+  parseDate,
+  parseMapping,
+  detectMapping,
+  readStatement,
+  toTransactions,
+  createMappingStore
+};
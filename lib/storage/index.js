@@ -0,0 +1,35 @@
+// Storage backends
+//
+// Every backend implements the same interface, addressed by spreadsheet ID and
+// sheet (tab) name. Row numbers are 1-based and include the header row.
+//
+//   ensureHeaders(spreadsheetId, sheetName, headers) -> true if row 1 was rewritten
+//   append(spreadsheetId, sheetName, rows)           -> { updatedRange }
+//   appendMany(spreadsheetId, sheets)                -> append [{ sheetName, rows }] to several tabs at once
+//   read(spreadsheetId, sheetName)                   -> rows, header row included
+//   readHeaders(spreadsheetId, sheetName)            -> row 1
+//   writeRows(spreadsheetId, sheetName, rows, width) -> overwrite from A1, blanking up to `width` columns
+//   update(spreadsheetId, sheetName, rowNumber, row)
+//   deleteRow(spreadsheetId, sheetName, rowNumber)
+//   clear(spreadsheetId, sheetName)
+//   listSheets(spreadsheetId)                        -> sheet names
+//   createSpreadsheet(title, tabs, { shareWith })    -> { spreadsheetId, spreadsheetUrl }
+//
+// STORAGE_BACKEND selects the backend: 'sheets' (default) or 'local'.
+
+const path = require('path');
+const { createSheetsStorage } = require('./sheets');
+const { createLocalStorage } = require('./local');
+
+const createStorage = ({ backend = 'sheets', getSheets, getDrive, dataDir }) => {
+  switch (backend) {
+    case 'sheets':
+      return createSheetsStorage({ getSheets, getDrive });
+    case 'local':
+      return createLocalStorage({ dir: path.join(dataDir, 'sheets') });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+};
+
+module.exports = { createStorage };
@@ -0,0 +1,144 @@
+// Local CSV storage backend
+//
+// Stores each sheet as a CSV file at <dir>/<spreadsheetId>/<sheetName>.csv so
+// the API can run offline, in CI and in development without a Google account.
+// Values are read back as strings, matching what the Sheets API returns.
+
+const fsSync = require('fs');
+const fs = require('fs').promises;
+const path = require('path');
+const { randomBytes } = require('crypto');
+const { parseCsv, serializeCsv } = require('../csv');
+
+// Like the Sheets API, drop trailing empty cells from each row
+const trimRow = (row) => {
+  const trimmed = row.map(value => value === null || value === undefined ? '' : String(value));
+  while (trimmed.length && trimmed[trimmed.length - 1] === '') trimmed.pop();
+  return trimmed;
+};
+
+const createLocalStorage = ({ dir }) => {
+  // Writes to the same file are serialized through a per-file promise chain
+  const locks = new Map();
+
+  const sheetPath = (spreadsheetId, sheetName) =>
+    path.join(dir, encodeURIComponent(spreadsheetId), `${encodeURIComponent(sheetName)}.csv`);
+
+  const withLock = (file, fn) => {
+    const run = (locks.get(file) || Promise.resolve()).then(fn);
+    locks.set(file, run.catch(() => {}));
+    return run;
+  };
+
+  const load = async (file) => {
+    try {
+      return parseCsv(await fs.readFile(file, 'utf8')).map(trimRow);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves a half-written sheet
+  const save = async (file, rows) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, serializeCsv(rows));
+    await fs.rename(temp, file);
+  };
+
+  const modify = (spreadsheetId, sheetName, fn) => {
+    const file = sheetPath(spreadsheetId, sheetName);
+    return withLock(file, async () => {
+      const rows = await load(file);
+      const result = await fn(rows);
+      await save(file, rows);
+      return result;
+    });
+  };
+
+  const ensureHeaders = (spreadsheetId, sheetName, headers) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      const current = rows[0] || [];
+      if (current.join('\t') === headers.join('\t')) return false;
+      rows[0] = [...headers];
+      return true;
+    });
+
+  const append = (spreadsheetId, sheetName, newRows) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      const first = rows.length + 1;
+      newRows.forEach(row => rows.push(trimRow(row)));
+      return { updatedRange: `${sheetName}!A${first}:A${rows.length}` };
+    });
+
+  // One file per tab, so unlike Sheets a failure can leave earlier tabs written
+  const appendMany = async (spreadsheetId, tabs) => {
+    for (const { sheetName, rows } of tabs) {
+      await append(spreadsheetId, sheetName, rows);
+    }
+    return { appended: tabs.reduce((sum, tab) => sum + tab.rows.length, 0) };
+  };
+
+  const read = (spreadsheetId, sheetName) => load(sheetPath(spreadsheetId, sheetName));
+
+  const readHeaders = async (spreadsheetId, sheetName) => (await read(spreadsheetId, sheetName))[0] || [];
+
+  const writeRows = (spreadsheetId, sheetName, newRows) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      rows.splice(0, rows.length, ...newRows.map(trimRow));
+    });
+
+  const update = (spreadsheetId, sheetName, rowNumber, row) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      while (rows.length < rowNumber) rows.push([]);
+      rows[rowNumber - 1] = trimRow(row);
+    });
+
+  const deleteRow = (spreadsheetId, sheetName, rowNumber) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      rows.splice(rowNumber - 1, 1);
+    });
+
+  const clear = (spreadsheetId, sheetName) =>
+    modify(spreadsheetId, sheetName, (rows) => {
+      rows.length = 0;
+    });
+
+  const listSheets = async (spreadsheetId) => {
+    const folder = path.join(dir, encodeURIComponent(spreadsheetId));
+    if (!fsSync.existsSync(folder)) return [];
+    const files = await fs.readdir(folder);
+    return files
+      .filter(file => file.endsWith('.csv'))
+      .map(file => decodeURIComponent(file.slice(0, -'.csv'.length)));
+  };
+
+  // New "workbook": a folder with a header-only CSV per tab. Formatting and
+  // sharing have no local equivalent and are skipped.
+  const createSpreadsheet = async (title, tabs) => {
+    const spreadsheetId = `local-${randomBytes(8).toString('hex')}`;
+    for (const tab of tabs) {
+      await ensureHeaders(spreadsheetId, tab.name, tab.columns.map(column => column.header));
+    }
+    return { spreadsheetId, spreadsheetUrl: null };
+  };
+
+  return {
+    name: 'local',
+    method: 'local',
+    ensureHeaders,
+    append,
+    appendMany,
+    read,
+    readHeaders,
+    writeRows,
+    update,
+    deleteRow,
+    clear,
+    listSheets,
+    createSpreadsheet
+  };
+};
+
+module.exports = { createLocalStorage };
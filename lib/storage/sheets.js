@@ -0,0 +1,329 @@
+// Google Sheets storage backend
+//
+// Implements the storage interface (see ./index.js) on top of the Sheets v4
+// values API. Every call is wrapped in a timeout; a timed-out call keeps
+// running and is attached to the error as `pending`.
+
+const { columnLetter } = require('../log-types');
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.pending = promise;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Number formats for new workbooks, by column type/format
+const NUMBER_FORMATS = {
+  date: { type: 'DATE', pattern: 'yyyy-mm-dd' },
+  time: { type: 'TIME', pattern: 'hh:mm:ss' },
+  currency: { type: 'CURRENCY', pattern: '#,##0.00' }
+};
+
+// batchUpdate requests that format one new tab: bold frozen header row,
+// number formats and (non-strict) dropdowns below it
+const buildFormatRequests = (sheetId, columns) => {
+  const requests = [{
+    repeatCell: {
+      range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+      cell: { userEnteredFormat: { textFormat: { bold: true } } },
+      fields: 'userEnteredFormat.textFormat.bold'
+    }
+  }];
+  columns.forEach((column, index) => {
+    const range = { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 };
+    const numberFormat = NUMBER_FORMATS[column.format] || NUMBER_FORMATS[column.type];
+    if (numberFormat) {
+      requests.push({
+        repeatCell: {
+          range,
+          cell: { userEnteredFormat: { numberFormat } },
+          fields: 'userEnteredFormat.numberFormat'
+        }
+      });
+    }
+    if (column.options) {
+      requests.push({
+        setDataValidation: {
+          range,
+          rule: {
+            condition: { type: 'ONE_OF_LIST', values: column.options.map(value => ({ userEnteredValue: value })) },
+            strict: false,
+            showCustomUi: true
+          }
+        }
+      });
+    }
+  });
+  return requests;
+};
+
+// `getSheets` resolves with an authorized google.sheets({ version: 'v4' }) client,
+// `getDrive` with a google.drive({ version: 'v3' }) client for sharing new workbooks
+const createSheetsStorage = ({ getSheets, getDrive }) => {
+  const readRange = async (spreadsheetId, range, timeoutMessage = 'Timeout reading data') => {
+    const sheets = await getSheets();
+    const response = await withTimeout(
+      sheets.spreadsheets.values.get({ spreadsheetId, range }),
+      15000,
+      timeoutMessage
+    );
+    return response.data.values || [];
+  };
+
+  const writeRange = async (spreadsheetId, range, values, timeoutMessage = 'Timeout updating data') => {
+    const sheets = await getSheets();
+    await withTimeout(
+      sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values
+        }
+      }),
+      20000,
+      timeoutMessage
+    );
+  };
+
+  // Make sure row 1 holds `headers`; rewrites it if it doesn't match
+  const ensureHeaders = async (spreadsheetId, sheetName, headers) => {
+    const range = `${sheetName}!A1:${columnLetter(headers.length)}1`;
+    const existing = await readRange(spreadsheetId, range, 'Timeout checking headers');
+    if (!existing.length || existing[0].join('\t') !== headers.join('\t')) {
+      console.log(`Setting headers in sheet ${sheetName}`);
+      await writeRange(spreadsheetId, range, [headers]);
+      return true;
+    }
+    return false;
+  };
+
+  const append = async (spreadsheetId, sheetName, rows) => {
+    const sheets = await getSheets();
+    const width = Math.max(1, ...rows.map(row => row.length));
+    const response = await withTimeout(
+      sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${sheetName}!A:${columnLetter(width)}`,
+        valueInputOption: 'RAW',
+        requestBody: {
+          values: rows
+        }
+      }),
+      20000,
+      'Timeout appending data'
+    );
+    return { updatedRange: response.data.updates?.updatedRange };
+  };
+
+  // Cell values for appendCells; empty cells are left out so they stay blank
+  const toCellData = (value) => {
+    if (value === null || value === undefined || value === '') return {};
+    return { userEnteredValue: typeof value === 'number' ? { numberValue: value } : { stringValue: String(value) } };
+  };
+
+  // Append to several tabs of one spreadsheet in a single batchUpdate, which
+  // Sheets applies all or nothing
+  const appendMany = async (spreadsheetId, tabs) => {
+    const sheets = await getSheets();
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)'
+    });
+    const sheetIds = new Map(spreadsheet.data.sheets.map(sheet => [sheet.properties.title, sheet.properties.sheetId]));
+    const requests = tabs.map(({ sheetName, rows }) => {
+      if (!sheetIds.has(sheetName)) {
+        throw new Error(`Sheet not found: ${sheetName}`);
+      }
+      return {
+        appendCells: {
+          sheetId: sheetIds.get(sheetName),
+          rows: rows.map(row => ({ values: row.map(toCellData) })),
+          fields: 'userEnteredValue'
+        }
+      };
+    });
+    await withTimeout(
+      sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } }),
+      20000,
+      'Timeout appending data'
+    );
+    return { appended: tabs.reduce((sum, tab) => sum + tab.rows.length, 0) };
+  };
+
+  // All rows of a sheet, header row included
+  const read = (spreadsheetId, sheetName) => readRange(spreadsheetId, sheetName);
+
+  const readHeaders = async (spreadsheetId, sheetName) =>
+    (await readRange(spreadsheetId, `${sheetName}!1:1`, 'Timeout checking headers'))[0] || [];
+
+  // Rewrite the whole sheet in one call. Rows are padded to `width` so cells
+  // of the old layout that have no new value are blanked, not left behind.
+  const writeRows = (spreadsheetId, sheetName, rows, width) => {
+    const padded = rows.map(row => [...row, ...Array(Math.max(0, width - row.length)).fill('')]);
+    return writeRange(
+      spreadsheetId,
+      `${sheetName}!A1:${columnLetter(width)}${rows.length}`,
+      padded,
+      'Timeout rewriting sheet'
+    );
+  };
+
+  // Overwrite one row; `rowNumber` is 1-based like the sheet itself
+  const update = (spreadsheetId, sheetName, rowNumber, row) =>
+    writeRange(
+      spreadsheetId,
+      `${sheetName}!A${rowNumber}:${columnLetter(row.length)}${rowNumber}`,
+      [row],
+      'Timeout updating row'
+    );
+
+  const getSheetId = async (spreadsheetId, sheetName) => {
+    const sheets = await getSheets();
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)'
+    });
+    const sheet = spreadsheet.data.sheets.find(s => s.properties.title === sheetName);
+    return sheet ? sheet.properties.sheetId : null;
+  };
+
+  // Remove one row entirely, shifting the rows below it up
+  const deleteRow = async (spreadsheetId, sheetName, rowNumber) => {
+    // Row deletion needs the numeric sheet ID, not the tab name
+    const sheetId = await getSheetId(spreadsheetId, sheetName);
+    if (sheetId === null) {
+      throw new Error(`Sheet not found: ${sheetName}`);
+    }
+    const sheets = await getSheets();
+    await withTimeout(
+      sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: [{
+            deleteDimension: {
+              range: {
+                sheetId,
+                dimension: 'ROWS',
+                startIndex: rowNumber - 1,
+                endIndex: rowNumber
+              }
+            }
+          }]
+        }
+      }),
+      20000,
+      'Timeout deleting row'
+    );
+  };
+
+  // Empty a sheet, header row included
+  const clear = async (spreadsheetId, sheetName) => {
+    const sheets = await getSheets();
+    await withTimeout(
+      sheets.spreadsheets.values.clear({ spreadsheetId, range: sheetName }),
+      20000,
+      'Timeout clearing sheet'
+    );
+  };
+
+  const listSheets = async (spreadsheetId) => {
+    const sheets = await getSheets();
+    const spreadsheet = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties.title'
+    });
+    return spreadsheet.data.sheets.map(sheet => sheet.properties.title);
+  };
+
+  // Create a workbook from a template (see lib/workbook.js) and share it with
+  // `shareWith` emails, since a service account's files are invisible to others
+  const createSpreadsheet = async (title, tabs, { shareWith = [] } = {}) => {
+    const sheets = await getSheets();
+    const created = await withTimeout(
+      sheets.spreadsheets.create({
+        requestBody: {
+          properties: { title },
+          sheets: tabs.map(tab => ({
+            properties: {
+              title: tab.name,
+              gridProperties: { frozenRowCount: 1, columnCount: Math.max(26, tab.columns.length) }
+            }
+          }))
+        },
+        fields: 'spreadsheetId,spreadsheetUrl,sheets.properties(sheetId,title)'
+      }),
+      30000,
+      'Timeout creating spreadsheet'
+    );
+    const { spreadsheetId, spreadsheetUrl } = created.data;
+    const sheetIds = new Map(created.data.sheets.map(sheet => [sheet.properties.title, sheet.properties.sheetId]));
+
+    await withTimeout(
+      sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: tabs.map(tab => ({
+            range: `${tab.name}!A1:${columnLetter(tab.columns.length)}1`,
+            values: [tab.columns.map(column => column.header)]
+          }))
+        }
+      }),
+      20000,
+      'Timeout writing headers'
+    );
+
+    await withTimeout(
+      sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          requests: tabs.flatMap(tab => buildFormatRequests(sheetIds.get(tab.name), tab.columns))
+        }
+      }),
+      20000,
+      'Timeout formatting spreadsheet'
+    );
+
+    if (shareWith.length) {
+      const drive = await getDrive();
+      for (const emailAddress of shareWith) {
+        await withTimeout(
+          drive.permissions.create({
+            fileId: spreadsheetId,
+            sendNotificationEmail: false,
+            requestBody: { type: 'user', role: 'writer', emailAddress }
+          }),
+          20000,
+          `Timeout sharing spreadsheet with ${emailAddress}`
+        );
+      }
+    }
+
+    return { spreadsheetId, spreadsheetUrl };
+  };
+
+  return {
+    name: 'sheets',
+    method: 'serviceAccount',
+    ensureHeaders,
+    append,
+    appendMany,
+    read,
+    readHeaders,
+    writeRows,
+    update,
+    deleteRow,
+    clear,
+    listSheets,
+    createSpreadsheet
+  };
+};
+
+module.exports = { createSheetsStorage, withTimeout };
@@ -0,0 +1,275 @@
+// Aggregates for GET /api/summary/{type}
+//
+// Entries (already parsed and filtered, see lib/query.js) are grouped into
+// periods by their date - day, ISO week (Monday to Sunday) or month - and
+// each period gets the type's metrics, optionally broken down by a column:
+//
+//   transactions - total, income, expense, transfer and net amounts; by category,
+//                  paymentMethod, linkedBudgetCategory, ...
+//   food         - calories and protein/carbs/fat totals, calories per day
+//   workouts     - volume (sets x reps) and average RPE; by workoutType
+//   status       - average energy and focus (1-10) and the most common moods
+//   journal      - entry count
+//
+// Many of these columns are free text ("650 kcal", "3x10", "P30/C45/F20"), so
+// numbers are read out of them where the intent is clear. Entries whose value
+// can't be read are left out of that metric and counted as `unparsed`.
+
+const { getDateKey } = require('./log-types');
+const { QueryError, normalizeDate } = require('./query');
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const sum = (values) => round(values.reduce((total, value) => total + value, 0));
+
+const average = (values) => values.length ? round(values.reduce((total, value) => total + value, 0) / values.length) : null;
+
+// The numbers in a free-text value: "8-12" -> [8, 12], "650 kcal" -> [650]
+const readNumbers = (value) => {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'number') return [value];
+  return (String(value).replace(/(\d),(\d{3})/g, '$1$2').match(/\d+(?:\.\d+)?/g) || []).map(Number);
+};
+
+const readNumber = (value) => {
+  const numbers = readNumbers(value);
+  return numbers.length ? numbers[0] : null;
+};
+
+// A 1-10 score: "7", "7/10", or a range like "6-8" (its midpoint)
+const readScore = (value) => {
+  const text = String(value ?? '');
+  const numbers = readNumbers(text);
+  if (!numbers.length) return null;
+  if (/\/\s*10\b/.test(text)) return numbers[0];
+  if (numbers.length === 2 && /\d\s*[-–]\s*\d/.test(text)) return (numbers[0] + numbers[1]) / 2;
+  return numbers[0];
+};
+
+// Protein/carbs/fat in grams. Labelled values ("30g protein", "P30 C45 F20")
+// win; otherwise three numbers are read in the column's P / C / F order.
+const MACRO_LABELS = {
+  protein: /(?:\b(?:protein|prot|p)\s*:?\s*(\d+(?:\.\d+)?))|(?:(\d+(?:\.\d+)?)\s*g?\s*(?:of\s+)?(?:protein|prot|p)\b)/i,
+  carbs: /(?:\b(?:carbohydrates|carbs|carb|c)\s*:?\s*(\d+(?:\.\d+)?))|(?:(\d+(?:\.\d+)?)\s*g?\s*(?:of\s+)?(?:carbohydrates|carbs|carb|c)\b)/i,
+  fat: /(?:\b(?:fats|fat|f)\s*:?\s*(\d+(?:\.\d+)?))|(?:(\d+(?:\.\d+)?)\s*g?\s*(?:of\s+)?(?:fats|fat|f)\b)/i
+};
+
+const readMacros = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value);
+  const labelled = Object.fromEntries(Object.entries(MACRO_LABELS).map(([key, pattern]) => {
+    const match = text.match(pattern);
+    return [key, match ? Number(match[1] ?? match[2]) : null];
+  }));
+  if (Object.values(labelled).some(amount => amount !== null)) return labelled;
+
+  const numbers = readNumbers(text);
+  return numbers.length === 3 ? { protein: numbers[0], carbs: numbers[1], fat: numbers[2] } : null;
+};
+
+// Total reps of a workout entry. Reps listed per set ("10, 10, 8") are added
+// up; otherwise sets ("3", "3x", "3x10") times reps ("10", or "8-12" as 10).
+const readVolume = (sets, reps) => {
+  const repText = String(reps ?? '');
+  const repNumbers = readNumbers(repText);
+  if (repNumbers.length > 1 && /[,;/]/.test(repText)) return sum(repNumbers);
+
+  const setText = String(sets ?? '');
+  const perSet = setText.match(/(\d+)\s*[x×]\s*(\d+)/i);
+  const setCount = perSet ? Number(perSet[1]) : readNumber(setText);
+  let repCount = repNumbers.length === 2 && /\d\s*[-–]\s*\d/.test(repText)
+    ? (repNumbers[0] + repNumbers[1]) / 2
+    : repNumbers[0] ?? null;
+  if (repCount === null && perSet) repCount = Number(perSet[2]);
+
+  return setCount !== null && repCount !== null ? round(setCount * repCount) : null;
+};
+
+// Values read from each entry, reported with how many couldn't be read
+const collect = (entries, read) => {
+  const values = [];
+  let unparsed = 0;
+  entries.forEach(entry => {
+    const value = read(entry);
+    if (value === null || value === undefined || Number.isNaN(value)) unparsed++;
+    else values.push(value);
+  });
+  return { values, unparsed };
+};
+
+const countValues = (values, limit = 5) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const key = String(value).trim();
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+};
+
+const isAmount = (transactionType) => (entry) =>
+  String(entry.transactionType || '').toLowerCase() === transactionType ? entry.amount : null;
+
+// Metrics and breakdown columns of each type. `sortBy` orders breakdown rows.
+const SUMMARIES = {
+  transactions: {
+    by: ['category', 'paymentMethod', 'linkedBudgetCategory', 'transactionType', 'accountName', 'establishment', 'cardUsed'],
+    sortBy: 'total',
+    measure: (entries) => {
+      const amounts = collect(entries, entry => entry.amount);
+      const income = sum(collect(entries, isAmount('income')).values);
+      const expense = sum(collect(entries, isAmount('expense')).values);
+      const transfer = sum(collect(entries, isAmount('transfer')).values);
+      return { total: sum(amounts.values), income, expense, transfer, net: round(income - expense), unparsed: amounts.unparsed };
+    }
+  },
+  food: {
+    by: ['mealType'],
+    sortBy: 'calories',
+    measure: (entries) => {
+      const calories = collect(entries, entry => readNumber(entry.calories));
+      const macros = collect(entries, entry => readMacros(entry.macros));
+      const total = (key) => sum(macros.values.map(value => value[key]).filter(amount => amount !== null));
+      const days = new Set(entries.map(entry => normalizeDate(entry.date))).size;
+      return {
+        calories: sum(calories.values),
+        caloriesPerDay: days ? round(sum(calories.values) / days) : null,
+        protein: total('protein'),
+        carbs: total('carbs'),
+        fat: total('fat'),
+        days,
+        unparsed: { calories: calories.unparsed, macros: macros.unparsed }
+      };
+    }
+  },
+  workouts: {
+    by: ['workoutType'],
+    sortBy: 'volume',
+    measure: (entries) => {
+      const volume = collect(entries, entry => readVolume(entry.sets, entry.reps));
+      const rpe = collect(entries, entry => readScore(entry.rpe));
+      return {
+        volume: sum(volume.values),
+        averageRpe: average(rpe.values),
+        unparsed: { volume: volume.unparsed, rpe: rpe.unparsed }
+      };
+    }
+  },
+  status: {
+    by: ['category', 'location', 'mood'],
+    sortBy: 'count',
+    measure: (entries) => {
+      const energy = collect(entries, entry => readScore(entry.energyLevel));
+      const focus = collect(entries, entry => readScore(entry.focusLevel));
+      return {
+        averageEnergy: average(energy.values),
+        averageFocus: average(focus.values),
+        moods: countValues(entries.map(entry => entry.mood).filter(mood => mood !== null && mood !== '')),
+        unparsed: { energy: energy.unparsed, focus: focus.unparsed }
+      };
+    }
+  },
+  journal: {
+    by: [],
+    sortBy: 'count',
+    measure: () => ({})
+  }
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toDateString = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+// The period a YYYY-MM-DD date falls in: { period, start, end }
+const getPeriod = (dateString, groupBy) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  if (groupBy === 'day') {
+    return { period: dateString, start: dateString, end: dateString };
+  }
+  if (groupBy === 'month') {
+    const last = new Date(Date.UTC(year, month, 0));
+    return { period: dateString.slice(0, 7), start: `${dateString.slice(0, 7)}-01`, end: toDateString(last) };
+  }
+  // ISO week: starts on Monday; its year is the year of its Thursday
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const monday = new Date(date);
+  monday.setUTCDate(date.getUTCDate() - (date.getUTCDay() + 6) % 7);
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+  firstThursday.setUTCDate(firstThursday.getUTCDate() - (firstThursday.getUTCDay() + 6) % 7 + 3);
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return { period: `${thursday.getUTCFullYear()}-W${pad(week)}`, start: toDateString(monday), end: toDateString(sunday) };
+};
+
+const hasSummary = (type) => Boolean(SUMMARIES[type]);
+
+// Summarize entries of one type. `groupBy` is day, week or month (default);
+// `by` is a breakdown column of the type (optional).
+const summarizeEntries = (type, logType, entries, { groupBy = 'month', by } = {}) => {
+  const spec = SUMMARIES[type];
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new QueryError(`groupBy must be one of: ${GROUP_BY.join(', ')}`);
+  }
+  if (by !== undefined && !spec.by.includes(by)) {
+    throw new QueryError(spec.by.length
+      ? `by must be one of: ${spec.by.join(', ')}`
+      : `${logType.plural} can't be broken down`);
+  }
+
+  const measure = (group) => ({ count: group.length, ...spec.measure(group) });
+  const breakdown = (group) => {
+    const buckets = new Map();
+    group.forEach(entry => {
+      const key = entry[by] === null || entry[by] === undefined || entry[by] === '' ? null : String(entry[by]);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(entry);
+    });
+    return [...buckets]
+      .map(([key, bucket]) => ({ key, ...measure(bucket) }))
+      .sort((a, b) => (b[spec.sortBy] ?? 0) - (a[spec.sortBy] ?? 0) || String(a.key).localeCompare(String(b.key)));
+  };
+
+  const dateKey = getDateKey(logType);
+  const periods = new Map();
+  let undated = 0;
+  entries.forEach(entry => {
+    const date = normalizeDate(entry[dateKey]);
+    if (!date) {
+      undated++;
+      return;
+    }
+    const { period, start, end } = getPeriod(date, groupBy);
+    if (!periods.has(period)) periods.set(period, { period, start, end, entries: [] });
+    periods.get(period).entries.push(entry);
+  });
+
+  const dated = [...periods.values()].flatMap(period => period.entries);
+  return {
+    groupBy,
+    by: by || null,
+    totals: { ...measure(dated), ...(by ? { breakdown: breakdown(dated) } : {}) },
+    periods: [...periods.values()]
+      .sort((a, b) => a.start.localeCompare(b.start))
+      .map(({ entries: group, ...period }) => ({ ...period, ...measure(group), ...(by ? { breakdown: breakdown(group) } : {}) })),
+    undated
+  };
+};
+
+module.exports = {
+  GROUP_BY,
+  SUMMARIES,
+  hasSummary,
+  getPeriod,
+  readNumber,
+  readScore,
+  readMacros,
+  readVolume,
+  summarizeEntries
+};
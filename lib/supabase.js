@@ -0,0 +1,101 @@
+// Supabase mirror for logged entries
+//
+// Each log type gets its own Postgres table (log_transactions, log_workouts,
+// ...) whose columns follow the registry: camelCase keys become snake_case
+// columns and the generated ID column is the primary key. Writes are upserts
+// on that key, so retrying a queued write never creates duplicates.
+//
+// SUPABASE_MODE controls how it is used:
+//   off  - not used (default)
+//   dual - every write goes to the storage backend and to Supabase
+//   only - Supabase replaces the storage backend for log entries
+//
+// SUPABASE_URL can point at any PostgREST-compatible server for local tests.
+// `npm run supabase-schema` prints the CREATE TABLE statements.
+
+const { createClient } = require('@supabase/supabase-js');
+const { LOG_TYPES, getIdKey } = require('./log-types');
+
+const SUPABASE_MODES = ['off', 'dual', 'only'];
+
+const toSnakeCase = (key) => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Dates and times stay text: the sheets accept free-form values like "8:30 AM"
+const SQL_TYPES = {
+  number: 'numeric',
+  string: 'text',
+  date: 'text',
+  time: 'text'
+};
+
+const getTableName = (type, prefix = 'log_') => `${prefix}${type}`;
+
+const buildTableSql = (type, logType, prefix) => {
+  const idKey = getIdKey(logType);
+  const columns = logType.columns.map(column => {
+    const name = toSnakeCase(column.key);
+    const constraint = column.key === idKey ? ' primary key' : '';
+    return `  ${name} ${SQL_TYPES[column.type] || 'text'}${constraint}`;
+  });
+  columns.push('  created_at timestamptz not null default now()');
+  return `create table if not exists ${getTableName(type, prefix)} (\n${columns.join(',\n')}\n);`;
+};
+
+const buildSchemaSql = (prefix) =>
+  Object.entries(LOG_TYPES).map(([type, logType]) => buildTableSql(type, logType, prefix)).join('\n\n') + '\n';
+
+// Entries use camelCase keys (see parseRow); the tables use snake_case
+const toRecord = (entry) =>
+  Object.fromEntries(Object.entries(entry).map(([key, value]) => [toSnakeCase(key), value]));
+
+const fromRecord = (logType, record) =>
+  Object.fromEntries(logType.columns.map(column => [column.key, record[toSnakeCase(column.key)] ?? null]));
+
+const createSupabaseStore = ({ url, key, tablePrefix = 'log_' }) => {
+  const client = createClient(url, key, { auth: { persistSession: false } });
+
+  const table = (type) => client.from(getTableName(type, tablePrefix));
+
+  // Supabase returns errors instead of throwing
+  const check = ({ data, error }, action) => {
+    if (error) {
+      throw new Error(`Supabase ${action} failed: ${error.message}`);
+    }
+    return data;
+  };
+
+  const insert = async (type, entries) => {
+    const idColumn = toSnakeCase(getIdKey(LOG_TYPES[type]));
+    check(await table(type).upsert(entries.map(toRecord), { onConflict: idColumn }), `insert into ${type}`);
+  };
+
+  const select = async (type) => {
+    const logType = LOG_TYPES[type];
+    const data = check(await table(type).select('*').order('created_at', { ascending: true }), `select from ${type}`);
+    return data.map(record => fromRecord(logType, record));
+  };
+
+  const update = async (type, id, entry) => {
+    const idColumn = toSnakeCase(getIdKey(LOG_TYPES[type]));
+    check(await table(type).update(toRecord(entry)).eq(idColumn, id), `update of ${type}`);
+  };
+
+  const remove = async (type, id) => {
+    const idColumn = toSnakeCase(getIdKey(LOG_TYPES[type]));
+    check(await table(type).delete().eq(idColumn, id), `delete from ${type}`);
+  };
+
+  return { insert, select, update, remove };
+};
+
+module.exports = {
+  SUPABASE_MODES,
+  createSupabaseStore,
+  buildSchemaSql,
+  toSnakeCase
+};
+
+// `node lib/supabase.js` prints the table definitions
+if (require.main === module) {
+  process.stdout.write(buildSchemaSql(process.env.SUPABASE_TABLE_PREFIX || 'log_'));
+}
@@ -0,0 +1,217 @@
+// Request validation for log data
+//
+// Each log type's JSON Schema is built from the registry (the same schema is
+// published in openapi.json). Before validating, values are coerced where the
+// intent is clear:
+//
+//   number  - "1,234.50" and "$12" become numbers
+//   date    - ISO timestamps and written-out dates ("May 7, 2024") become
+//             YYYY-MM-DD; numeric forms like 05/07/2024 are ambiguous and rejected
+//   time    - "8:30 AM", "14:05" become HH:mm:ss
+//   datetime - anything Date can parse becomes an ISO 8601 timestamp
+//   options - matched case-insensitively; true/false become Yes/No
+//
+// Empty values and the 'NA' placeholder count as missing, so they are caught
+// by `required` instead of being written. Unknown fields are rejected, which
+// catches typos like "amout". Failures throw a ValidationError (422) listing
+// every invalid field with its path, e.g. "data[1].amount".
+
+const Ajv = require('ajv');
+const { ValidationError } = require('./errors');
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d:[0-5]\d$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+const isValidDate = (value) => {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCMonth() === Number(match[2]) - 1 && date.getUTCDate() === Number(match[3]);
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || value === 'NA';
+
+// Coercions return the value unchanged when they can't make sense of it, and
+// the schema check reports it
+const coerceNumber = (value) => {
+  if (typeof value !== 'string') return value;
+  const text = value.replace(/[\s,]/g, '').replace(/^([-+]?)[$€£¥₱]/, '$1');
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : value;
+};
+
+const coerceDate = (value) => {
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})(T.*)?$/);
+  if (iso) return iso[1];
+  if (/[a-z]/i.test(text)) {
+    const parsed = new Date(text);
+    if (!Number.isNaN(parsed.getTime())) {
+      return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+    }
+  }
+  return text;
+};
+
+const coerceTime = (value) => {
+  const text = String(value).trim();
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(?:([ap])\.?m\.?)?$/i);
+  if (!match || (!match[2] && !match[4])) return text;
+  let hours = Number(match[1]);
+  if (match[4]) {
+    if (hours < 1 || hours > 12) return text;
+    hours = hours % 12 + (match[4].toLowerCase() === 'p' ? 12 : 0);
+  }
+  return `${pad(hours)}:${match[2] || '00'}:${match[3] || '00'}`;
+};
+
+const coerceDateTime = (value) => {
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString();
+};
+
+const coerceOption = (options, value) => {
+  if (typeof value === 'boolean' && options.includes('Yes') && options.includes('No')) {
+    return value ? 'Yes' : 'No';
+  }
+  const text = String(value).trim().toLowerCase();
+  return options.find(option => option.toLowerCase() === text) ?? value;
+};
+
+const coerceValue = (column, value) => {
+  if (column.options) return coerceOption(column.options, value);
+  if (column.type === 'number') return coerceNumber(value);
+  if (column.type === 'date') return coerceDate(value);
+  if (column.type === 'time') return coerceTime(value);
+  if (column.type === 'datetime') return coerceDateTime(value);
+  return value;
+};
+
+// Map a registry column to a JSON Schema property
+const columnToProperty = (column) => {
+  const property = {
+    type: column.type === 'number' ? 'number' : 'string',
+    description: column.description
+  };
+  if (column.type === 'number') property.format = 'float';
+  if (column.type === 'date') property.format = 'date';
+  if (column.type === 'time') property.format = 'time';
+  if (column.type === 'datetime') property.format = 'date-time';
+  return property;
+};
+
+// Schema of a log request's `data` item. With `partial` (PATCH) nothing is required.
+const buildDataSchema = (logType, { partial = false } = {}) => {
+  const columns = logType.columns.filter(column => !column.generated && !column.serverSet);
+  // requiredUnless columns are checked in validateLogData, since either field will do
+  const required = columns.filter(column => column.required && !column.requiredUnless).map(column => column.key);
+  return {
+    type: 'object',
+    ...(!partial && required.length ? { required } : {}),
+    properties: Object.fromEntries(columns.map(column => [
+      column.key,
+      column.options ? { ...columnToProperty(column), enum: column.options } : columnToProperty(column)
+    ])),
+    additionalProperties: false
+  };
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+ajv.addFormat('date', { type: 'string', validate: isValidDate });
+ajv.addFormat('time', { type: 'string', validate: (value) => TIME_PATTERN.test(value) });
+ajv.addFormat('date-time', { type: 'string', validate: (value) => DATETIME_PATTERN.test(value) });
+ajv.addFormat('float', { type: 'number', validate: Number.isFinite });
+
+const FORMAT_MESSAGES = {
+  date: 'must be a date (YYYY-MM-DD)',
+  time: 'must be a time (HH:mm:ss, or e.g. 8:30 AM)',
+  'date-time': 'must be a date and time (ISO 8601)',
+  float: 'must be a finite number'
+};
+
+const validators = new Map();
+const getValidator = (logType, partial) => {
+  const key = `${logType.schemaName}:${partial}`;
+  if (!validators.has(key)) validators.set(key, ajv.compile(buildDataSchema(logType, { partial })));
+  return validators.get(key);
+};
+
+const describeMessage = (logType, key, error) => {
+  if (error.keyword === 'additionalProperties') {
+    const column = logType.columns.find(candidate => candidate.key === key);
+    return column ? 'is set by the server and cannot be given' : 'is not a known field';
+  }
+  if (error.keyword === 'enum') return `must be one of: ${error.params.allowedValues.join(', ')}`;
+  if (error.keyword === 'format') return FORMAT_MESSAGES[error.params.format] || error.message;
+  if (error.keyword === 'type') return `must be a ${error.params.type}`;
+  return error.message;
+};
+
+// Turn an Ajv error into { path, message, value } for the client
+const describeError = (logType, base, item, error) => {
+  if (error.keyword === 'required') {
+    return { path: `${base}.${error.params.missingProperty}`, message: 'is required' };
+  }
+  const key = error.params.additionalProperty || error.instancePath.slice(1);
+  return { path: `${base}.${key}`, message: describeMessage(logType, key, error), value: item[key] };
+};
+
+// Validate and coerce the `data` of a log request (an object or an array of
+// them). Returns the coerced data in the same shape. With `partial`, an empty
+// value clears an optional field (returned as null) instead of being dropped.
+// `path` names the data in error paths.
+const validateLogData = (logType, data, { partial = false, path = 'data' } = {}) => {
+  const isList = Array.isArray(data);
+  const items = isList ? data : [data];
+  const errors = [];
+  if (isList && !items.length) {
+    errors.push({ path, message: 'must contain at least one entry' });
+  }
+
+  const validate = getValidator(logType, partial);
+  const coerced = items.map((item, index) => {
+    const base = isList ? `${path}[${index}]` : path;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ path: base, message: 'must be an object' });
+      return item;
+    }
+
+    const values = {};
+    const cleared = {};
+    Object.entries(item).forEach(([key, value]) => {
+      const column = logType.columns.find(candidate => candidate.key === key && !candidate.generated && !candidate.serverSet);
+      if (!column) {
+        values[key] = value;
+      } else if (!isEmpty(value)) {
+        values[key] = coerceValue(column, value);
+      } else if (partial && column.required) {
+        errors.push({ path: `${base}.${key}`, message: 'is required and cannot be cleared', value });
+      } else if (partial) {
+        cleared[key] = null;
+      }
+    });
+
+    if (!validate(values)) {
+      errors.push(...validate.errors.map(error => describeError(logType, base, item, error)));
+    }
+    if (!partial) {
+      logType.columns
+        .filter(column => column.requiredUnless && isEmpty(values[column.key]) && isEmpty(values[column.requiredUnless]))
+        .forEach(column => errors.push({ path: `${base}.${column.key}`, message: `is required (or give ${column.requiredUnless})` }));
+    }
+    return { ...values, ...cleared };
+  });
+
+  if (errors.length) {
+    throw new ValidationError(errors);
+  }
+  return isList ? coerced : coerced[0];
+};
+
+module.exports = {
+  columnToProperty,
+  buildDataSchema,
+  validateLogData
+};
@@ -0,0 +1,40 @@
+// Workbook template for POST /api/spreadsheets
+//
+// A new workbook gets one tab per log type, with the header row and column
+// metadata from the registry, plus any extra tabs (e.g. Chat). Storage
+// backends turn the column metadata into formatting where they can.
+
+const { LOG_TYPES } = require('./log-types');
+
+const DEFAULT_TITLE = 'GPT to Sheet';
+
+// Column metadata a backend may use for formatting. Dropdowns also list the
+// default value (usually 'NA') so unfilled cells aren't flagged as invalid.
+const describeColumn = (column) => {
+  const options = column.options && typeof column.default === 'string' && !column.options.includes(column.default)
+    ? [...column.options, column.default]
+    : column.options;
+  return {
+    header: column.header,
+    type: column.type,
+    format: column.format || null,
+    options: options || null
+  };
+};
+
+// `extraSheets` is a list of { name, headers } for tabs outside the registry
+const buildWorkbookTemplate = (extraSheets = []) => [
+  ...Object.values(LOG_TYPES).map(logType => ({
+    name: logType.sheetName,
+    columns: logType.columns.map(describeColumn)
+  })),
+  ...extraSheets.map(({ name, headers }) => ({
+    name,
+    columns: headers.map(header => ({ header, type: 'string', format: null, options: null }))
+  }))
+];
+
+module.exports = {
+  DEFAULT_TITLE,
+  buildWorkbookTemplate
+};
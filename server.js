@@ -8,6 +8,7 @@ const { JWT } = require('google-auth-library');
 const { v4: uuidv4 } = require('uuid');
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const multer = require('multer');
 const { OpenAI } = require('openai');
 const { Configuration, OpenAIApi } = require('openai');
 const { GoogleAuth } = require('google-auth-library');
@@ -40,28 +41,85 @@ const { createHkdf: createHkdfLegacy } = require('crypto');
 const { createSecretKey: createSecretKeyLegacy } = require('crypto');
 const { createCipher: createCipherLegacy, createDecipher: createDecipherLegacy } = require('crypto');
 
+// Local modules
+const { LOG_TYPES, getLogType, getHeaders, buildRow, parseRow, getIdKey, getDateKey } = require('./lib/log-types');
+const { normalizeDate, filterEntries, queryEntries } = require('./lib/query');
+const { hasSummary, summarizeEntries } = require('./lib/summary');
+const { BUDGET_TYPE, getBudgetUsage, checkBudgets, describeAlerts } = require('./lib/budgets');
+const { parseSchedule } = require('./lib/schedule');
+const { listUpcoming, createRecurringStore, createRecurringScheduler } = require('./lib/recurring');
+const { FILE_TYPES, DRAFT_FIELDS, parseReceiptText, buildReceiptDraft, createReceiptFileStore } = require('./lib/receipts');
+const { createOcrEngine } = require('./lib/ocr');
+const { DEFAULT_FIELDS, readStatement, toTransactions, createMappingStore } = require('./lib/statements');
+const { parseRule, applyRules, suggestRules, createRuleStore } = require('./lib/rules');
+const { CURRENCY_FIELDS, normalizeCurrency, parseRates, readRateFile, convertTransaction, createRateStore } = require('./lib/exchange-rates');
+const { HttpError, ValidationError, isClientError } = require('./lib/errors');
+const { validateLogData } = require('./lib/validation');
+const { createOpenAIModel, createIngestor } = require('./lib/ingest');
+const { CHAT_TYPE, BACKUP_CHAT_TYPE, CHAT_HEADERS, inferRole, normalizeMessages, getChatMessages, sortThread, createThreadTracker } = require('./lib/chat');
+const { createIdempotencyStore, createIdempotencyMiddleware } = require('./lib/idempotency');
+const { createWriteQueue } = require('./lib/queue');
+const { createStorage } = require('./lib/storage');
+const { SUPABASE_MODES, createSupabaseStore } = require('./lib/supabase');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { DEFAULT_TITLE, buildWorkbookTemplate } = require('./lib/workbook');
+const { compareHeaders, planMigration, applyPlan, invertRenames, createMigrationLog } = require('./lib/migrations');
+const { createHeaderCache, createColumnMap } = require('./lib/header-map');
+const { createApiKeyStore, createAuthMiddleware, hasScope, assertScope, requireAdmin } = require('./lib/auth');
+const { createRouter } = require('./lib/routing');
+const { REPLICATION_MODES, getIdIndex, findMissingRows } = require('./lib/replication');
+const { createTokenCipher, createOAuthStore, createOAuthProvider, parseBasicAuth, describeUser } = require('./lib/oauth');
+
 // Environment configuration
 require("dotenv").config();
 
 // Express app setup
 const app = express();
 
-// Define default values
-const DEFAULT_SPREADSHEET_ID = '1zlC8E46a3lD6z6jNglA5IrrNIQv_5pLhRF0T7fOPhXs';
+// Define default values (OAuth users set their own default, see /api/me).
+// Routes in the routing config (see lib/routing.js) take precedence.
+const DEFAULT_SPREADSHEET_ID = process.env.DEFAULT_SPREADSHEET_ID || '1zlC8E46a3lD6z6jNglA5IrrNIQv_5pLhRF0T7fOPhXs';
+const BACKUP_SPREADSHEET_ID = process.env.BACKUP_SPREADSHEET_ID || '1m6e-HTb1W_trKMKgkkM-ItcuwJJW-Ab6lM_TKmOAee4';
 const DEFAULT_SHEET_NAME = 'Transactions';
 
-// Define sheet names for different endpoints
+// Default tab of each routable type (log types come from the registry)
 const SHEET_NAMES = {
-  transactions: 'Transactions',
-  workouts: 'Workouts',
-  food: 'Meals',
-  journal: 'Journal',
-  status: 'Status',
-  chat: 'Chat'  // Add chat sheet name
+  ...Object.fromEntries(Object.entries(LOG_TYPES).map(([type, logType]) => [type, logType.sheetName])),
+  chat: CHAT_TYPE.sheetName,
+  'chat-backup': BACKUP_CHAT_TYPE.sheetName,
+  budgets: BUDGET_TYPE.sheetName
+};
+
+// Local state (idempotency keys, etc.) lives here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// Which spreadsheets and tabs each type is written to
+const router = createRouter({
+  filePath: process.env.ROUTING_FILE || path.join(DATA_DIR, 'routing.json'),
+  inline: process.env.ROUTING_CONFIG,
+  types: Object.keys(SHEET_NAMES),
+  allowedSpreadsheets: process.env.ALLOWED_SPREADSHEETS ? process.env.ALLOWED_SPREADSHEETS.split(',').map(id => id.trim()) : undefined,
+  builtInRoutes: [
+    { types: ['chat-backup'], targets: [{ spreadsheetId: BACKUP_SPREADSHEET_ID }] },
+    { types: ['*'], targets: [{}] }
+  ]
+});
+
+// API keys scope both chat endpoints as `chat`, and budgets as `transactions`
+const scopeType = (type) => {
+  if (type === 'chat-backup') return 'chat';
+  if (type === 'budgets') return 'transactions';
+  return type;
+};
+
+// Map a sheet name back to its type for API key scoping (null if unknown)
+const getSheetType = (sheetName) => {
+  const type = router.findSheetType(sheetName) || Object.keys(SHEET_NAMES).find(candidate => SHEET_NAMES[candidate] === sheetName);
+  return type ? scopeType(type) : null;
 };
 
-// Add backup spreadsheet ID
-const BACKUP_SPREADSHEET_ID = '1m6e-HTb1W_trKMKgkkM-ItcuwJJW-Ab6lM_TKmOAee4';
+// How long a repeated Idempotency-Key / requestId replays the original response
+const IDEMPOTENCY_WINDOW_MS = Number(process.env.IDEMPOTENCY_WINDOW_MS) || 24 * 60 * 60 * 1000;
 
 // Enhanced CORS and security configuration for maximum compatibility
 app.use(cors({
@@ -129,12 +187,38 @@ app.use((req, res, next) => {
   next();
 });
 
-// Remove any authentication requirements for endpoints
-app.use((req, res, next) => {
-  // Skip authentication checks
-  next();
+// Require an API key (Authorization: Bearer or X-API-Key) on everything but
+// the public discovery routes. AUTH_DISABLED=true turns this off for local use.
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const apiKeyStore = createApiKeyStore({
+  filePath: process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json')
 });
 
+// Multi-user OAuth (see lib/oauth.js), enabled by setting OAUTH_CLIENT_ID
+const oauth = process.env.OAUTH_CLIENT_ID ? createOAuthProvider({
+  store: createOAuthStore({ filePath: path.join(DATA_DIR, 'oauth.json') }),
+  cipher: createTokenCipher(process.env.OAUTH_ENCRYPTION_KEY),
+  clients: { [process.env.OAUTH_CLIENT_ID]: process.env.OAUTH_CLIENT_SECRET },
+  redirectUris: (process.env.OAUTH_REDIRECT_URIS || '').split(',').map(uri => uri.trim()).filter(Boolean),
+  google: {
+    clientId: process.env.GOOGLE_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+    redirectUri: `${process.env.PUBLIC_URL}/oauth/google/callback`
+  }
+}) : null;
+if (AUTH_DISABLED) {
+  console.warn('⚠️ AUTH_DISABLED=true: all endpoints are open');
+} else if (!process.env.ADMIN_API_KEY && !apiKeyStore.list().length) {
+  console.warn('⚠️ No API keys configured; set ADMIN_API_KEY or add keys to the API keys file');
+}
+app.use(createAuthMiddleware({
+  store: apiKeyStore,
+  adminKey: process.env.ADMIN_API_KEY,
+  oauth,
+  disabled: AUTH_DISABLED,
+  publicPaths: ['/', '/health', '/openapi.json', '/oauth/authorize', '/oauth/google/callback', '/oauth/token', /^\/receipts\/[^/]+$/]
+}));
+
 // Add notification middleware with less verbose logging
 app.use((req, res, next) => {
   if (req.method === 'POST') {
@@ -146,6 +230,17 @@ app.use((req, res, next) => {
   next();
 });
 
+// Replay the original response for repeated Idempotency-Key / requestId values
+const idempotencyStore = createIdempotencyStore({
+  filePath: path.join(DATA_DIR, 'idempotency.jsonl'),
+  windowMs: IDEMPOTENCY_WINDOW_MS
+});
+app.use(createIdempotencyMiddleware(idempotencyStore, { paths: ['/api/log-', '/api/ingest', '/api/batch'] }));
+
+// Uploads are checked on their own routes, after the multipart body is parsed
+// (see parseUpload), so the file and form fields are part of the fingerprint
+const uploadIdempotency = createIdempotencyMiddleware(idempotencyStore, { paths: ['/api/receipts', '/api/statements/import'] });
+
 // Modify the response middleware to include notifications
 app.use((req, res, next) => {
   const originalJson = res.json;
@@ -158,6 +253,12 @@ app.use((req, res, next) => {
         transactionId: data.transactionId
       });
     }
+    // Requests with a user's OAuth token ran with that user's Google credentials
+    if (req.user && data?.results?.methods) {
+      data.results.methods.serviceAccount = false;
+      data.results.methods.oauth = data.results.success;
+      if (data.results.primaryMethod !== 'queue') data.results.primaryMethod = 'oauth';
+    }
     return originalJson.call(this, data);
   };
   next();
@@ -194,7 +295,11 @@ const getServiceAccountAuth = async () => {
       credentials.client_email,
       null,
       credentials.private_key,
-      ['https://www.googleapis.com/auth/spreadsheets']
+      [
+        'https://www.googleapis.com/auth/spreadsheets',
+        // Lets the service account share workbooks it creates
+        'https://www.googleapis.com/auth/drive.file'
+      ]
     );
 
     // Set the key algorithm
@@ -221,8 +326,586 @@ const getSheets = async () => {
   return sheetsApi;
 };
 
+// Drive API, used to share workbooks created by POST /api/spreadsheets
+let driveApi;
+const getDrive = async () => {
+  if (!driveApi) {
+    const auth = await getServiceAccountAuth();
+    driveApi = google.drive({ version: 'v3', auth, timeout: 30000 });
+  }
+  return driveApi;
+};
+
+// Standard `results` block included in every response. With `queue`, the
+// entry is safely queued even when the direct write did not go through.
+const buildResults = (success, { queue = false } = {}) => ({
+  methods: {
+    serviceAccount: success && SUPABASE_MODE !== 'only' && storage.method === 'serviceAccount',
+    oauth: false,
+    queue,
+    supabase: success && SUPABASE_MODE !== 'off'
+  },
+  primaryMethod: !success && queue ? 'queue' : SUPABASE_MODE === 'only' ? 'supabase' : storage.method,
+  success: success || queue
+});
+
+// Optional Supabase mirror for log entries (see lib/supabase.js)
+const SUPABASE_MODE = process.env.SUPABASE_MODE || 'off';
+if (!SUPABASE_MODES.includes(SUPABASE_MODE)) {
+  throw new Error(`Unknown SUPABASE_MODE: ${SUPABASE_MODE}`);
+}
+const supabase = SUPABASE_MODE === 'off' ? null : createSupabaseStore({
+  url: process.env.SUPABASE_URL,
+  key: process.env.SUPABASE_KEY,
+  tablePrefix: process.env.SUPABASE_TABLE_PREFIX
+});
+
+// Storage backend for all tabular data (see lib/storage)
+const storage = createStorage({
+  backend: process.env.STORAGE_BACKEND || 'sheets',
+  getSheets,
+  getDrive,
+  dataDir: DATA_DIR
+});
+console.log(`Using ${storage.name} storage backend`);
+
+// OAuth users always read and write their own Google Sheets; Supabase and the
+// configured backend only hold entries written with the service account
+const userStorages = new Map();
+const getStorage = (userId = null) => {
+  if (!userId) return storage;
+  if (!userStorages.has(userId)) {
+    userStorages.set(userId, createStorage({
+      backend: 'sheets',
+      getSheets: () => oauth.getSheets(userId),
+      getDrive: () => oauth.getDrive(userId)
+    }));
+  }
+  return userStorages.get(userId);
+};
+
+const supabaseOnly = (userId) => SUPABASE_MODE === 'only' && !userId;
+
+// Spreadsheet used when a request doesn't name one
+const getDefaultSpreadsheetId = (req) => {
+  if (!req.user) return DEFAULT_SPREADSHEET_ID;
+  if (!req.user.defaultSpreadsheetId) {
+    throw new HttpError(400, 'No spreadsheetId given and no default spreadsheet set; set one with PATCH /api/me');
+  }
+  return req.user.defaultSpreadsheetId;
+};
+
+// Routing namespace of the caller: `user:<id>` for OAuth users, `key:<id>` for API keys
+const getNamespace = (req) => req.user ? `user:${req.user.id}` : req.apiKey ? `key:${req.apiKey.id}` : null;
+
+// Where a request of `type` goes. The caller's `spreadsheetId` and
+// `sheetName`, if given, replace the primary target; any other targets still
+// get a copy of writes. Named spreadsheets must be in the routing allow-list,
+// except for OAuth users, who only reach their own sheets anyway.
+const resolveTargets = (req, type, { spreadsheetId, sheetName } = {}) => {
+  const [primary, ...copies] = router.resolve(type, getNamespace(req));
+  if (spreadsheetId) {
+    if (!req.user) router.assertAllowed(spreadsheetId);
+    primary.spreadsheetId = spreadsheetId;
+  }
+  if (sheetName) {
+    primary.sheetName = sheetName;
+  }
+  return [primary, ...copies].map(target => ({
+    spreadsheetId: target.spreadsheetId || getDefaultSpreadsheetId(req),
+    sheetName: target.sheetName || SHEET_NAMES[type]
+  }));
+};
+
+// The spreadsheet a read of `type` comes from (the primary target)
+const getSpreadsheetId = (req, type, spreadsheetId) => resolveTargets(req, type, { spreadsheetId })[0].spreadsheetId;
+
+// Vendor and category rules (see lib/rules.js), applied to every transaction
+// in prepareLogEntries, whichever endpoint it came from
+const transactionRules = createRuleStore({ filePath: path.join(DATA_DIR, 'transaction-rules.json') });
+
+// Exchange rates (see lib/exchange-rates.js). Amounts are written in the home
+// currency; transactions paid in another one are converted in prepareLogEntries.
+const HOME_CURRENCY = normalizeCurrency(process.env.HOME_CURRENCY || 'PHP');
+if (!/^[A-Z]{3}$/.test(HOME_CURRENCY)) {
+  throw new Error(`HOME_CURRENCY must be a three-letter currency code, not ${HOME_CURRENCY}`);
+}
+const exchangeRates = createRateStore({ filePath: path.join(DATA_DIR, 'exchange-rates.json'), homeCurrency: HOME_CURRENCY });
+
+const convertCurrency = (transaction, path) =>
+  convertTransaction(transaction, { homeCurrency: HOME_CURRENCY, findRate: exchangeRates.find, path });
+
+// Turn a log request into sheet rows. The data is validated and coerced
+// first (a 422 lists every invalid field). Transactions in another currency
+// are converted to the home currency, then go through the rules;
+// `appliedRules` lists what they changed, by item. A single object gets a TXN- ID; an
+// array is treated as one receipt (REC-) with an ID per item. IDs are minted
+// here, before queueing, so retries write the same IDs the client was given.
+// `id`, if given, is used in place of a new TXN- or REC- ID.
+// Every target (see resolveTargets) gets the same rows; the first is the primary.
+const prepareLogEntries = (type, { targets, data, userId = null, id = null }) => {
+  const logType = getLogType(type);
+  if (!logType) {
+    throw new Error(`Unknown log type: ${type}`);
+  }
+
+  const valid = validateLogData(logType, data);
+  const appliedRules = [];
+  const conversionErrors = [];
+  const items = (Array.isArray(valid) ? valid : [valid]).map((item, index) => {
+    if (type !== 'transactions') return item;
+    let converted = item;
+    try {
+      converted = convertCurrency(item, Array.isArray(valid) ? `data[${index}]` : 'data');
+    } catch (error) {
+      if (!error.errors) throw error;
+      conversionErrors.push(...error.errors);
+    }
+    const mapped = applyRules(transactionRules.list(userId), converted);
+    appliedRules.push(...mapped.applied.map(match => ({ item: index, ...match })));
+    return mapped.data;
+  });
+  if (conversionErrors.length) {
+    throw new ValidationError(conversionErrors);
+  }
+  const receiptId = Array.isArray(data) ? id || generateTransactionId('REC') : null;
+  const ids = items.map((item, index) => receiptId ? `${receiptId}-ITEM-${index + 1}` : id || generateTransactionId('TXN'));
+  const idKey = getIdKey(logType);
+  const rows = items.map((item, index) => buildRow(logType, item, { [idKey]: ids[index] }));
+
+  return {
+    type,
+    spreadsheetId: targets[0].spreadsheetId,
+    sheetName: targets[0].sheetName,
+    targets,
+    userId,
+    transactionId: receiptId || ids[0],
+    receiptId,
+    ids,
+    rows,
+    appliedRules
+  };
+};
+
+// Header rows of sheets written to recently (see lib/header-map.js). Entries
+// are dropped by migrations and refreshed by every full read of a sheet.
+const headerCache = createHeaderCache({ ttlMs: Number(process.env.HEADER_CACHE_TTL_MS) || 5 * 60 * 1000 });
+
+const headerCacheKey = (userId, spreadsheetId, sheetName) => [userId || '', spreadsheetId, sheetName].join('\u0000');
+
+// Work out where rows built for `headers` go in a sheet. An empty sheet gets
+// the header row and new columns are added at the end of a matching one;
+// otherwise values are mapped by header name. Headers are only rewritten after
+// a fresh read, never on the strength of a cached copy.
+const resolveColumnMap = async (target, { spreadsheetId, sheetName, headers, userId = null, cacheKey }) => {
+  const key = cacheKey || headerCacheKey(userId, spreadsheetId, sheetName);
+  let sheetHeaders = headerCache.get(key);
+  let status = sheetHeaders && compareHeaders(sheetHeaders, headers);
+  if (!sheetHeaders || status === 'empty' || status === 'extend') {
+    sheetHeaders = await target.readHeaders(spreadsheetId, sheetName);
+    status = compareHeaders(sheetHeaders, headers);
+  }
+
+  if (status === 'empty' || status === 'extend') {
+    await target.ensureHeaders(spreadsheetId, sheetName, headers);
+    sheetHeaders = headers;
+  }
+  headerCache.set(key, sheetHeaders);
+
+  const columnMap = createColumnMap(headers, sheetHeaders);
+  if (columnMap.missing.length === headers.length) {
+    throw new HttpError(409, `None of the expected columns are in ${sheetName}; preview a fix with POST /api/migrations`);
+  }
+  return columnMap;
+};
+
+// Warn about fields that were given a value but have no column to go in
+const describeUnwrittenFields = (logType, sheetName, missing, rows) => {
+  const fields = logType.columns.filter((column, index) => missing.includes(column.header) &&
+    rows.some(row => row[index] !== (column.default ?? 'NA')));
+  return fields.length
+    ? [`${sheetName} has no column for ${fields.map(column => column.key).join(', ')}; not written to the sheet`]
+    : [];
+};
+
+// Background copies of every log write (see lib/replication.js). Entries of
+// OAuth users stay in their own sheets and are not copied.
+const REPLICATION = process.env.REPLICATION || 'off';
+if (!REPLICATION_MODES.includes(REPLICATION)) {
+  throw new Error(`Unknown REPLICATION: ${REPLICATION}`);
+}
+if (REPLICATION !== 'off' && SUPABASE_MODE === 'only') {
+  throw new Error('REPLICATION copies the storage backend and cannot be used with SUPABASE_MODE=only');
+}
+const REPLICA_SPREADSHEET_ID = process.env.REPLICA_SPREADSHEET_ID || BACKUP_SPREADSHEET_ID;
+const replica = REPLICATION === 'off' ? null : createStorage({
+  backend: REPLICATION,
+  getSheets,
+  getDrive,
+  dataDir: path.join(DATA_DIR, 'replica')
+});
+
+const replicaCacheKey = (sheetName) => ['replica', REPLICA_SPREADSHEET_ID, sheetName].join('\u0000');
+
+// Append rows to the backup tab of the same name. The replication queue's handler.
+const copyToReplica = async ({ type, sheetName, rows }) => {
+  const columnMap = await resolveColumnMap(replica, {
+    spreadsheetId: REPLICA_SPREADSHEET_ID,
+    sheetName,
+    headers: getHeaders(getLogType(type)),
+    cacheKey: replicaCacheKey(sheetName)
+  });
+  try {
+    const response = await replica.append(REPLICA_SPREADSHEET_ID, sheetName, rows.map(columnMap.toSheet));
+    console.log(`Copied ${rows.length} ${type} row(s) to the backup:`, response.updatedRange);
+    return response;
+  } catch (error) {
+    if (error.pending) {
+      // Resolves if the timed-out append lands after all
+      error.lateResult = error.pending.then(late => ({ updatedRange: late.data.updates?.updatedRange }));
+      error.lateResult.catch(() => {});
+    }
+    throw error;
+  }
+};
+
+const replicationQueue = replica && createWriteQueue({
+  filePath: path.join(DATA_DIR, 'replication.jsonl'),
+  handler: copyToReplica,
+  baseDelayMs: Number(process.env.QUEUE_BASE_DELAY_MS) || undefined,
+  maxDelayMs: Number(process.env.QUEUE_MAX_DELAY_MS) || undefined,
+  maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || undefined
+});
+if (replicationQueue) {
+  replicationQueue.start();
+  console.log(`Replicating log writes to ${REPLICATION} backup ${REPLICA_SPREADSHEET_ID}`);
+}
+
+// Queue a copy of rows that reached the primary sheet and start it without
+// waiting; the job's entry IDs mark them as not yet in the backup
+const replicateRows = async ({ type, spreadsheetId, sheetName, rows }) => {
+  const index = getIdIndex(getLogType(type));
+  const job = await replicationQueue.enqueue({ type, sheetName, rows }, {
+    type,
+    spreadsheetId,
+    sheetName,
+    ids: rows.map(row => row[index])
+  });
+  replicationQueue.attempt(job.id).catch(error => console.error(`Replication job ${job.id} failed:`, error.message));
+};
+
+// Append prepared rows to every target's storage backend and/or Supabase.
+// This is the queue's handler, so it must be safe to call again for the same
+// job: each target is recorded as a completed step and skipped on retry.
+// Jobs queued before routing have no `targets` and a single 'storage' step.
+const writeLogRows = async ({ type, spreadsheetId, sheetName, targets, rows, userId = null }, context = {}) => {
+  const logType = getLogType(type);
+  const isComplete = context.isComplete || (() => false);
+  const complete = context.complete || (() => {});
+  const steps = targets
+    ? targets.map((target, index) => ({ ...target, step: index ? `storage:${index}` : 'storage' }))
+    : [{ spreadsheetId, sheetName, step: 'storage' }];
+  let response = { warnings: [] };
+
+  for (const { spreadsheetId: targetId, sheetName: targetSheet, step } of steps) {
+    if (supabaseOnly(userId) || isComplete(step)) continue;
+    const target = getStorage(userId);
+    const columnMap = await resolveColumnMap(target, { spreadsheetId: targetId, sheetName: targetSheet, headers: getHeaders(logType), userId });
+    let appended;
+    try {
+      appended = await target.append(targetId, targetSheet, rows.map(columnMap.toSheet));
+    } catch (error) {
+      logErrorDetails(error, `appending data to spreadsheet ${targetId}`);
+      const appendError = new Error(`Failed to append data to spreadsheet ${targetId}: ${error.message}`);
+      if (error.pending) {
+        // Resolves if the timed-out append lands after all
+        appendError.step = step;
+        appendError.lateResult = error.pending.then(late => ({ updatedRange: late.data.updates?.updatedRange }));
+        appendError.lateResult.catch(() => {});
+      }
+      throw appendError;
+    }
+    complete(step);
+    if (step === 'storage') response = { ...response, ...appended };
+    response.warnings.push(...describeUnwrittenFields(logType, targetSheet, columnMap.missing, rows));
+    console.log(`Appended ${rows.length} ${type} row(s) to ${targetId}:`, appended.updatedRange);
+  }
+
+  if (replicationQueue && !userId && !isComplete('replica')) {
+    await replicateRows({ type, spreadsheetId: steps[0].spreadsheetId, sheetName: steps[0].sheetName, rows });
+    complete('replica');
+  }
+
+  if (supabase && !userId && !isComplete('supabase')) {
+    await supabase.insert(type, rows.map(row => parseRow(logType, row)));
+    complete('supabase');
+    console.log(`Mirrored ${rows.length} ${type} row(s) to Supabase`);
+  }
+
+  return response;
+};
+
+// Rows of a batch grouped by spreadsheet, so each spreadsheet gets a single
+// append call. Every item's rows go to each of its targets.
+const groupBatchRows = (items) => {
+  const groups = new Map();
+  items.forEach(({ type, targets, rows }) => targets.forEach(({ spreadsheetId, sheetName }) => {
+    if (!groups.has(spreadsheetId)) groups.set(spreadsheetId, new Map());
+    const sheets = groups.get(spreadsheetId);
+    const key = `${type}\u0000${sheetName}`;
+    if (!sheets.has(key)) sheets.set(key, { type, sheetName, rows: [] });
+    sheets.get(key).rows.push(...rows);
+  }));
+  return [...groups].map(([spreadsheetId, sheets]) => ({ spreadsheetId, sheets: [...sheets.values()] }));
+};
+
+// Write the prepared items of a /api/batch request: one append per
+// spreadsheet, then Supabase and the backup. Like writeLogRows it records
+// each finished spreadsheet as a step, so a retry only writes what is left.
+const writeBatchRows = async ({ items, userId = null }, context = {}) => {
+  const isComplete = context.isComplete || (() => false);
+  const complete = context.complete || (() => {});
+  const warnings = [];
+
+  for (const { spreadsheetId, sheets } of supabaseOnly(userId) ? [] : groupBatchRows(items)) {
+    const step = `storage:${spreadsheetId}`;
+    if (isComplete(step)) continue;
+    const target = getStorage(userId);
+    const tabs = [];
+    for (const { type, sheetName, rows } of sheets) {
+      const logType = getLogType(type);
+      const columnMap = await resolveColumnMap(target, { spreadsheetId, sheetName, headers: getHeaders(logType), userId });
+      tabs.push({ sheetName, rows: rows.map(columnMap.toSheet) });
+      warnings.push(...describeUnwrittenFields(logType, sheetName, columnMap.missing, rows));
+    }
+    try {
+      await target.appendMany(spreadsheetId, tabs);
+    } catch (error) {
+      logErrorDetails(error, `appending batch to spreadsheet ${spreadsheetId}`);
+      const appendError = new Error(`Failed to append batch to spreadsheet ${spreadsheetId}: ${error.message}`);
+      if (error.pending) {
+        // Resolves if the timed-out append lands after all
+        appendError.step = step;
+        appendError.lateResult = error.pending.then(() => ({}));
+        appendError.lateResult.catch(() => {});
+      }
+      throw appendError;
+    }
+    complete(step);
+    console.log(`Appended batch to ${spreadsheetId}:`, tabs.map(tab => `${tab.rows.length} row(s) to ${tab.sheetName}`).join(', '));
+  }
+
+  if (supabase && !userId && !isComplete('supabase')) {
+    for (const { type, rows } of items) {
+      await supabase.insert(type, rows.map(row => parseRow(getLogType(type), row)));
+    }
+    complete('supabase');
+  }
+
+  if (replicationQueue && !userId && !isComplete('replica')) {
+    for (const { type, targets, rows } of items) {
+      await replicateRows({ type, spreadsheetId: targets[0].spreadsheetId, sheetName: targets[0].sheetName, rows });
+    }
+    complete('replica');
+  }
+
+  return { warnings };
+};
+
+// Delete the rows with these entry IDs from one sheet, bottom up so row
+// numbers stay valid. Used to roll back an all-or-nothing batch.
+const deleteRowsById = async ({ type, spreadsheetId, sheetName, ids, userId = null }) => {
+  const logType = getLogType(type);
+  const target = getStorage(userId);
+  const [sheetHeaders = [], ...rows] = await target.read(spreadsheetId, sheetName);
+  const columnMap = createColumnMap(getHeaders(logType), sheetHeaders);
+  const index = getIdIndex(logType);
+  const rowNumbers = rows
+    .map((row, offset) => ids.has(columnMap.fromSheet(row)[index]) ? offset + 2 : null)
+    .filter(Boolean);
+  for (const rowNumber of rowNumbers.reverse()) {
+    await target.deleteRow(spreadsheetId, sheetName, rowNumber);
+  }
+  headerCache.invalidate(headerCacheKey(userId, spreadsheetId, sheetName));
+  return rowNumbers.length;
+};
+
+// Undo the finished steps of a failed all-or-nothing batch. Resolves to the
+// errors of anything that could not be undone.
+const rollbackBatch = async ({ items, userId = null }, completedSteps) => {
+  const errors = [];
+  for (const { spreadsheetId, sheets } of groupBatchRows(items)) {
+    if (!completedSteps.includes(`storage:${spreadsheetId}`)) continue;
+    for (const { type, sheetName, rows } of sheets) {
+      const index = getIdIndex(getLogType(type));
+      try {
+        const deleted = await deleteRowsById({ type, spreadsheetId, sheetName, ids: new Set(rows.map(row => row[index])), userId });
+        console.log(`Rolled back ${deleted} ${type} row(s) in ${spreadsheetId}/${sheetName}`);
+      } catch (error) {
+        logErrorDetails(error, `rolling back batch in ${spreadsheetId}`);
+        errors.push(`${spreadsheetId}/${sheetName}: ${error.message}`);
+      }
+    }
+  }
+  if (completedSteps.includes('supabase')) {
+    for (const { type, ids } of items) {
+      try {
+        await Promise.all(ids.map(id => supabase.remove(type, id)));
+      } catch (error) {
+        errors.push(`Supabase ${type}: ${error.message}`);
+      }
+    }
+  }
+  return errors;
+};
+
+// Read a Budgets tab. A spreadsheet without one simply has no budgets.
+const readBudgetSheet = async ({ spreadsheetId, sheetName, userId = null }) => {
+  const target = getStorage(userId);
+  let rows;
+  try {
+    rows = await target.read(spreadsheetId, sheetName);
+  } catch (error) {
+    if ((await target.listSheets(spreadsheetId)).includes(sheetName)) throw error;
+    rows = [];
+  }
+  const [sheetHeaders = [], ...data] = rows;
+  const columnMap = createColumnMap(getHeaders(BUDGET_TYPE), sheetHeaders);
+  return {
+    sheetHeaders,
+    rows: data,
+    budgets: data.map(row => parseRow(BUDGET_TYPE, columnMap.fromSheet(row)))
+  };
+};
+
+// Locate a budget by ID; returns its 1-based sheet row number and the
+// sheet's other budgets as well
+const findBudget = async (budgetId, target) => {
+  const sheet = await readBudgetSheet(target);
+  const index = sheet.budgets.findIndex(budget => budget.budgetId === budgetId);
+  if (index === -1) {
+    throw new HttpError(404, `No budget found with ID ${budgetId}`);
+  }
+  return { rowNumber: index + 2, budget: sheet.budgets[index], row: sheet.rows[index], sheetHeaders: sheet.sheetHeaders, budgets: sheet.budgets };
+};
+
+// A category has at most one budget per period
+const assertNoDuplicateBudgets = (budgets, existing) => {
+  const keyOf = (budget) => `${String(budget.category).trim().toLowerCase()}\u0000${budget.period || 'Monthly'}`;
+  const taken = new Map(existing.map(budget => [keyOf(budget), budget.budgetId]));
+  budgets.forEach(budget => {
+    const owner = taken.get(keyOf(budget));
+    if (owner && owner !== budget.budgetId) {
+      throw new HttpError(409, `${budget.category} already has a ${(budget.period || 'Monthly').toLowerCase()} budget (${owner}); change it with PATCH /api/budgets/${owner}`);
+    }
+    taken.set(keyOf(budget), budget.budgetId);
+  });
+};
+
+// Remaining budget for the categories of newly logged transactions. Checking
+// is best effort: a failure becomes a warning and never fails the log request.
+const checkTransactionBudgets = async (req, result) => {
+  const logType = getLogType('transactions');
+  const added = result.rows.map(row => parseRow(logType, row));
+  if (!added.some(transaction => transaction.linkedBudgetCategory)) {
+    return { budgets: [], alerts: [], warnings: [] };
+  }
+
+  try {
+    const userId = req.user?.id;
+    const [target] = resolveTargets(req, 'budgets', { spreadsheetId: req.body.spreadsheetId });
+    const { budgets } = await readBudgetSheet({ ...target, userId });
+    const relevant = budgets.filter(budget => added.some(transaction =>
+      transaction.linkedBudgetCategory && budget.category &&
+      transaction.linkedBudgetCategory.trim().toLowerCase() === budget.category.trim().toLowerCase()));
+    if (!relevant.length) {
+      return { budgets: [], alerts: [], warnings: [] };
+    }
+
+    // Rows of this request may already be in the sheet; count them once
+    const ids = new Set(result.ids);
+    const existing = (await readLogEntries('transactions', { spreadsheetId: result.spreadsheetId, sheetName: result.sheetName, userId }))
+      .filter(transaction => !ids.has(transaction.transactionId));
+    const usages = checkBudgets(relevant, existing, added);
+    return { budgets: usages, alerts: describeAlerts(usages), warnings: [] };
+  } catch (error) {
+    logErrorDetails(error, 'checking budgets', req);
+    return { budgets: [], alerts: [], warnings: [`Could not check budgets: ${error.message}`] };
+  }
+};
+
+// Write-ahead queue: every log write is persisted before it is attempted
+const writeQueue = createWriteQueue({
+  filePath: path.join(DATA_DIR, 'queue.jsonl'),
+  handler: (payload, context) => payload.items ? writeBatchRows(payload, context) : writeLogRows(payload, context),
+  baseDelayMs: Number(process.env.QUEUE_BASE_DELAY_MS) || undefined,
+  maxDelayMs: Number(process.env.QUEUE_MAX_DELAY_MS) || undefined,
+  maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || undefined,
+  // Only storage outages are worth waiting out. Client errors, like a sheet
+  // without the expected columns (409) or a spreadsheet outside the routing
+  // allow-list (403), would fail the same way on every retry.
+  isPermanent: isClientError
+});
+writeQueue.start();
+
+// Make the first attempt at a queued write inline. A permanent failure goes
+// back to the caller; its job is dropped unless part of it was written, as the
+// caller will send the entry again once the problem is fixed.
+const attemptWrite = async (job) => {
+  try {
+    return await writeQueue.attempt(job.id);
+  } catch (error) {
+    if (!job.completedSteps.length) writeQueue.remove(job.id);
+    throw error;
+  }
+};
+
+// Shared write path for every /api/log-* endpoint: prepare, persist to the
+// queue, then make the first attempt inline. If that attempt fails with a
+// storage error the entry stays queued for the background worker and
+// `queued` is true; other errors are thrown.
+const appendLogEntries = async (type, options) => {
+  const prepared = prepareLogEntries(type, options);
+  const { rows, appliedRules, ...summary } = prepared;
+  const job = await writeQueue.enqueue(prepared, summary);
+  const attempted = await attemptWrite(job);
+
+  return {
+    ...prepared,
+    queueId: job.id,
+    queued: attempted.status !== 'done',
+    queueStatus: attempted.status,
+    error: attempted.lastError,
+    warnings: attempted.result?.warnings || []
+  };
+};
+
+// Response body shared by every /api/log-* endpoint
+const buildLogResponse = (logType, result) => ({
+  success: true,
+  message: result.queued
+    ? `${logType.label} queued; the write failed and will be retried in the background`
+    : `${logType.label} logged successfully`,
+  transactionId: result.transactionId,
+  receiptId: result.receiptId,
+  queueId: result.queueId,
+  queueStatus: result.queueStatus,
+  warnings: result.warnings,
+  results: buildResults(!result.queued, { queue: true })
+});
+
 // Get service account email
 app.get('/api/service-account', async (req, res) => {
+  // The local backend needs no Google credentials
+  if (storage.name === 'local') {
+    return res.json({
+      serviceAccount: null,
+      storage: storage.name,
+      success: true,
+      results: buildResults(true)
+    });
+  }
+
   try {
     const auth = await getServiceAccountAuth();
     res.json({
@@ -256,191 +939,1850 @@ app.get('/api/service-account', async (req, res) => {
   }
 });
 
-// Rename the existing endpoint
-app.post('/api/log-transactions', async (req, res) => {
+// Read a log type's sheet. Returns its header row, the raw data rows and the
+// rows parsed into typed objects, mapped by header name if columns have moved.
+const readLogSheet = async (type, { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, userId = null } = {}) => {
+  const logType = getLogType(type);
+  sheetName = sheetName || logType.sheetName;
+  const [sheetHeaders = [], ...rows] = await getStorage(userId).read(spreadsheetId, sheetName);
+  headerCache.set(headerCacheKey(userId, spreadsheetId, sheetName), sheetHeaders);
+
+  const columnMap = createColumnMap(getHeaders(logType), sheetHeaders);
+  return {
+    sheetHeaders,
+    rows,
+    entries: rows.map(row => parseRow(logType, columnMap.fromSheet(row)))
+  };
+};
+
+// Read every data row of a log type's sheet as typed objects
+const readLogEntries = async (type, { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, userId = null } = {}) => {
+  if (supabaseOnly(userId)) {
+    return supabase.select(type);
+  }
+  return (await readLogSheet(type, { spreadsheetId, sheetName, userId })).entries;
+};
+
+// Apply an edit to the Supabase copy. In dual mode the storage backend is the
+// source of truth, so a failed mirror edit is logged rather than surfaced.
+const syncSupabase = async (context, fn, userId = null) => {
+  if (!supabase || userId) return;
   try {
-    const sheets = await getSheets();
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = SHEET_NAMES.transactions, data } = req.body;
-    if (!data) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
-    }
+    await fn();
+  } catch (error) {
+    if (SUPABASE_MODE === 'only') throw error;
+    logErrorDetails(error, `${context} in Supabase`);
+  }
+};
 
-    console.log(`Attempting to log data to spreadsheet: ${spreadsheetId}, sheet: ${sheetName}`);
-    const auth = await getServiceAccountAuth();
-    await auth.authorize();
-    console.log('Service account authorized successfully');
-
-    // Define headers in the correct order
-    const headers = [
-      'Transaction ID', 'Date', 'Time', 'Account Name', 'Transaction Type', 
-      'Category', 'Allowances', 'Deductions', 'Items', 'Establishment', 
-      'Receipt Number', 'Amount', 'Payment Method', 'Card Used', 
-      'Linked Budget Category', 'Online Transaction ID', 'Mapped Online Vendor', 
-      'Reimbursable', 'Reimbursement Status', 'Interest Type', 'Tax Withheld', 
-      'Tax Deductible', 'Tax Category', 'Bank Identifier', 'Transaction Method', 
-      'Transfer Method', 'Reference ID', 'Notes', 'Processed'
-    ];
-
-    // First, check if headers exist with timeout handling
-    let headerResponse;
+// Locate a logged row by its generated ID. Returns the 1-based sheet row
+// number and the parsed entry, plus the raw row and the sheet's header row
+// when it was read from the sheet.
+const findLogEntry = async (type, id, { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, userId = null } = {}) => {
+  const sheet = supabaseOnly(userId)
+    ? { entries: await supabase.select(type), rows: [], sheetHeaders: [] }
+    : await readLogSheet(type, { spreadsheetId, sheetName, userId });
+  const idKey = getIdKey(getLogType(type));
+  const index = sheet.entries.findIndex(entry => entry[idKey] === id);
+  if (index === -1) {
+    throw new HttpError(404, `No ${type} entry found with ID ${id}`);
+  }
+  // +2: one for the header row, one because sheet rows are 1-based
+  return { rowNumber: index + 2, entry: sheet.entries[index], row: sheet.rows[index], sheetHeaders: sheet.sheetHeaders };
+};
+
+// Change only the given fields of a logged row
+const updateLogEntry = async (type, id, changes, { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, userId = null } = {}) => {
+  const logType = getLogType(type);
+  sheetName = sheetName || logType.sheetName;
+
+  changes = validateLogData(logType, changes, { partial: true });
+
+  const { rowNumber, entry, row: existing, sheetHeaders } = await findLogEntry(type, id, { spreadsheetId, sheetName, userId });
+  const idKey = getIdKey(logType);
+  let updated = { ...entry, ...changes };
+  if (type === 'transactions' && (CURRENCY_FIELDS.some(key => key in changes) ||
+      ('date' in changes && entry.exchangeRateDate) || ('amount' in changes && entry.currency))) {
+    // Work the amount out again from originalAmount unless it was given, and
+    // look the rate up again unless it was given: a rate from the table, or
+    // any rate once the currency changes, no longer applies. A new amount on
+    // its own is what the original amount came to, so the rate becomes the
+    // one they imply (and in the home currency, the original amount is it).
+    const currencyChanged = 'currency' in changes && normalizeCurrency(changes.currency) !== normalizeCurrency(entry.currency);
+    const amountOnly = 'amount' in changes && !('originalAmount' in changes) && !('exchangeRate' in changes);
+    updated = convertCurrency({
+      ...updated,
+      ...(!('amount' in changes) && updated.originalAmount !== null && { amount: null }),
+      ...(!('exchangeRate' in changes) && (entry.exchangeRateDate || currencyChanged || amountOnly) && { exchangeRate: null }),
+      ...(amountOnly && normalizeCurrency(updated.currency) === HOME_CURRENCY && { originalAmount: null })
+    });
+  }
+  const row = buildRow(logType, updated, { [idKey]: id });
+
+  const parsed = parseRow(logType, row);
+  if (!supabaseOnly(userId)) {
+    // Columns the registry doesn't know keep whatever the row already had
+    const columnMap = createColumnMap(getHeaders(logType), sheetHeaders);
+    await getStorage(userId).update(spreadsheetId, sheetName, rowNumber, columnMap.merge(existing, row));
+  }
+  await syncSupabase(`updating ${type} ${id}`, () => supabase.update(type, id, parsed), userId);
+
+  return parsed;
+};
+
+// Remove a logged row from the sheet entirely
+const deleteLogEntry = async (type, id, { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, userId = null } = {}) => {
+  const logType = getLogType(type);
+  sheetName = sheetName || logType.sheetName;
+
+  const { rowNumber, entry } = await findLogEntry(type, id, { spreadsheetId, sheetName, userId });
+
+  if (!supabaseOnly(userId)) {
+    await getStorage(userId).deleteRow(spreadsheetId, sheetName, rowNumber);
+  }
+  await syncSupabase(`deleting ${type} ${id}`, () => supabase.remove(type, id), userId);
+
+  return entry;
+};
+
+// Record of applied header migrations (see lib/migrations.js)
+const migrationLog = createMigrationLog({ filePath: path.join(DATA_DIR, 'migrations.jsonl') });
+
+// Rearrange a sheet's columns to match `headers`, moving data with them. With
+// `dryRun`, only report what would change.
+const migrateSheet = async ({ spreadsheetId, sheetName, headers, renames = {}, dryRun = false, userId = null, rollbackOf = null }) => {
+  const target = getStorage(userId);
+  const rows = await target.read(spreadsheetId, sheetName);
+  const plan = planMigration(rows, headers, { renames, keepEmptyColumns: !rollbackOf });
+  const summary = {
+    spreadsheetId,
+    sheetName,
+    before: plan.before,
+    after: plan.after,
+    changes: plan.changes,
+    rowCount: Math.max(0, rows.length - 1)
+  };
+  if (dryRun || !plan.changed) {
+    return { ...summary, applied: false, migrationId: null };
+  }
+
+  await target.writeRows(spreadsheetId, sheetName, applyPlan(rows.length ? rows : [[]], plan), plan.width);
+  headerCache.invalidate(headerCacheKey(userId, spreadsheetId, sheetName));
+  const record = await migrationLog.record({ ...summary, renames, userId, rollbackOf });
+  console.log(`Migrated ${sheetName} in ${spreadsheetId} (${record.id}):`, plan.changes.map(change => change.op).join(', '));
+  return { ...summary, applied: true, migrationId: record.id };
+};
+
+// Keys only see migrations of sheets they can access, OAuth users only their own
+const canSeeMigration = (req, record) => (record.userId || null) === (req.user?.id || null) &&
+  hasScope(req, { spreadsheetId: record.spreadsheetId, type: getSheetType(record.sheetName) });
+
+const parseRenames = (renames) => {
+  if (renames === undefined) return {};
+  if (!renames || typeof renames !== 'object' || Array.isArray(renames) ||
+      Object.values(renames).some(value => typeof value !== 'string')) {
+    throw new HttpError(400, 'renames must map old header names to new ones');
+  }
+  return renames;
+};
+
+// Register a POST /api/log-* route for every log type in the registry
+Object.entries(LOG_TYPES).forEach(([type, logType]) => {
+  app.post(logType.route, async (req, res) => {
     try {
-      const sheets = await getSheets();
-      headerResponse = await Promise.race([
-        sheets.spreadsheets.values.get({
-          spreadsheetId,
-          range: `${sheetName}!A1:AC1`
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout checking headers')), 15000))
-      ]);
+      const { data } = req.body;
+      if (!data) {
+        return res.status(400).json({ success: false, message: 'Missing required parameters' });
+      }
+      const targets = resolveTargets(req, type, req.body);
+      assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type });
+
+      console.log(`Attempting to log ${type} to:`, targets.map(target => `${target.spreadsheetId}/${target.sheetName}`).join(', '));
+      const result = await appendLogEntries(type, { targets, data, userId: req.user?.id });
+      const response = buildLogResponse(logType, result);
+      if (type === 'transactions') {
+        const { budgets, alerts, warnings } = await checkTransactionBudgets(req, result);
+        response.appliedRules = result.appliedRules;
+        response.budgets = budgets;
+        response.budgetAlerts = alerts;
+        response.warnings.push(...warnings);
+      }
+
+      // 202: accepted into the queue but not yet in the sheet
+      res.status(result.queued ? 202 : 200).json(response);
     } catch (error) {
-      logErrorDetails(error, 'checking spreadsheet headers');
-      throw new Error(`Failed to check spreadsheet headers: ${error.message}`);
-    }
-
-    // If no headers exist or they don't match, set them
-    if (!headerResponse.data.values || headerResponse.data.values[0].join('\t') !== headers.join('\t')) {
-      console.log('Setting headers in sheet');
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `${sheetName}!A1:AC1`,
-        valueInputOption: 'RAW',
-        requestBody: {
-          values: [headers]
-        }
+      if (isClientError(error)) {
+        return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+      }
+      logErrorDetails(error, `logging ${type}`, req);
+      res.status(500).json({
+        success: false,
+        message: `Failed to log ${logType.label.toLowerCase()}`,
+        error: error.message,
+        results: buildResults(false)
       });
     }
+  });
+});
 
-    // Convert data to array format
-    const values = Array.isArray(data) ? data : [data];
-    
-    // Generate receipt ID for bulk transactions or transaction ID for single transactions
-    const receiptId = Array.isArray(data) ? generateTransactionId('REC') : null;
-    
-    const rows = values.map((item, index) => {
-      // Generate transaction ID
-      const transactionId = Array.isArray(data) 
-        ? `${receiptId}-ITEM-${index + 1}`
-        : generateTransactionId('TXN');
-
-      console.log('Processing item:', item); // Debug log
-
-      // Return array in the same order as headers
-      return [
-        transactionId,                    // Transaction ID
-        item.date || 'NA',               // Date
-        item.time || 'NA',               // Time
-        item.accountName || 'NA',        // Account Name
-        item.transactionType || 'NA',    // Transaction Type
-        item.category || 'NA',           // Category
-        item.allowances || 'NA',         // Allowances
-        item.deductions || 'NA',         // Deductions
-        item.items || 'NA',              // Items
-        item.establishment || 'NA',       // Establishment
-        item.receiptNumber || 'NA',      // Receipt Number
-        item.amount || 0,                // Amount
-        item.paymentMethod || 'NA',      // Payment Method
-        item.cardUsed || 'NA',           // Card Used
-        item.linkedBudgetCategory || 'NA', // Linked Budget Category
-        item.onlineTransactionId || 'NA', // Online Transaction ID
-        item.mappedOnlineVendor || 'NA', // Mapped Online Vendor
-        item.reimbursable || 'NA',       // Reimbursable
-        item.reimbursementStatus || 'NA', // Reimbursement Status
-        item.interestType || 'NA',       // Interest Type
-        item.taxWithheld || 0,           // Tax Withheld
-        item.taxDeductible || 'NA',      // Tax Deductible
-        item.taxCategory || 'NA',        // Tax Category
-        item.bankIdentifier || 'NA',     // Bank Identifier
-        item.transactionMethod || 'NA',  // Transaction Method
-        item.transferMethod || 'NA',     // Transfer Method
-        item.referenceId || 'NA',        // Reference ID
-        item.notes || 'NA',              // Notes
-        item.processed || 'No'           // Processed
-      ];
+// Natural-language ingestion (see lib/ingest.js), enabled by setting OPENAI_API_KEY
+const ingestor = process.env.OPENAI_API_KEY ? createIngestor({
+  model: createOpenAIModel({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    model: process.env.INGEST_MODEL || undefined
+  })
+}) : null;
+
+const countEntries = (n) => `${n} entr${n === 1 ? 'y' : 'ies'}`;
+
+const requireIngest = (req, res, next) => {
+  if (!ingestor) {
+    return res.status(404).json({ success: false, message: 'Ingestion is not enabled on this server' });
+  }
+  next();
+};
+
+// Turn a free-form message into log entries and write them through the same
+// path as the /api/log-* routes. With `preview`, only return what was found.
+// Nothing is written unless every extracted entry is valid.
+app.post('/api/ingest', requireIngest, async (req, res) => {
+  try {
+    const { message, spreadsheetId, types = Object.keys(LOG_TYPES), today, preview = false } = req.body;
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ success: false, message: 'Missing required parameters. Please provide message.' });
+    }
+    const unknown = [].concat(types).filter(type => !getLogType(type));
+    if (unknown.length) {
+      throw new HttpError(400, `Unknown log type(s): ${unknown.join(', ')}`);
+    }
+    const targets = Object.fromEntries([].concat(types).map(type => [type, resolveTargets(req, type, { spreadsheetId })]));
+    const allowed = [].concat(types).filter(type => hasScope(req, { spreadsheetId: targets[type][0].spreadsheetId, type }));
+    if (!allowed.length) {
+      throw new HttpError(403, 'API key is not allowed to log any of these types to this spreadsheet');
+    }
+
+    const extracted = await ingestor.extract(message, { types: allowed, today });
+    if (!extracted.length) {
+      throw new HttpError(422, 'No log entries found in the message');
+    }
+
+    const errors = [];
+    const entries = extracted.map(({ type, data }, index) => {
+      try {
+        return { type, data: validateLogData(getLogType(type), data) };
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push(...error.errors.map(field => ({ ...field, path: `entries[${index}].${field.path}` })));
+        return { type, data };
+      }
     });
+    if (errors.length) {
+      return res.status(422).json({
+        success: false,
+        message: 'Some extracted entries are incomplete or invalid; add the missing details to the message and retry',
+        entries,
+        errors
+      });
+    }
 
-    console.log('Prepared rows for insertion:', rows);
-    
-    // Append data to sheet with timeout handling
-    let response;
-    try {
-      const sheets = await getSheets();
-      response = await Promise.race([
-        sheets.spreadsheets.values.append({
-          spreadsheetId,
-          range: `${sheetName}!A:AC`,
-          valueInputOption: 'RAW',
-          requestBody: {
-            values: rows
-          }
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout appending data')), 20000))
-      ]);
-    } catch (error) {
-      logErrorDetails(error, 'appending data to spreadsheet');
-      throw new Error(`Failed to append data to spreadsheet: ${error.message}`);
+    if (preview === true) {
+      return res.json({
+        success: true,
+        message: `Found ${countEntries(entries.length)}; nothing was written`,
+        preview: true,
+        entries,
+        results: buildResults(true)
+      });
     }
 
-    console.log('Data appended successfully:', response.data);
+    const written = [];
+    for (const { type, data } of entries) {
+      const result = await appendLogEntries(type, { targets: targets[type], data, userId: req.user?.id });
+      written.push({
+        type,
+        data,
+        transactionId: result.transactionId,
+        receiptId: result.receiptId,
+        queueId: result.queueId,
+        queueStatus: result.queueStatus,
+        warnings: result.warnings
+      });
+    }
+    const queued = written.some(entry => entry.queueStatus !== 'done');
+    console.log(`Ingested ${countEntries(written.length)}:`, written.map(entry => entry.type).join(', '));
 
-    res.json({
+    // 202: at least one entry is queued but not yet in the sheet
+    res.status(queued ? 202 : 200).json({
       success: true,
-      message: "Transaction logged successfully",
-      transactionId: Array.isArray(data) ? receiptId : rows[0][0],
-      receiptId: Array.isArray(data) ? receiptId : null,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: "serviceAccount",
-        success: true
-      }
+      message: queued
+        ? `${countEntries(written.length)} accepted; some writes failed and will be retried in the background`
+        : `Logged ${countEntries(written.length)}`,
+      preview: false,
+      entries: written,
+      results: buildResults(!queued, { queue: true })
     });
   } catch (error) {
-    console.error("Error logging data:", error);
-    console.error("Error details:", {
-      message: error.message,
-      code: error.code,
-      stack: error.stack
-    });
-    
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'ingesting message', req);
     res.status(500).json({
       success: false,
-      message: "Failed to log data",
+      message: 'Failed to ingest message',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: false,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: "serviceAccount",
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Get sheet data
-app.post('/api/get-sheet-data', async (req, res) => {
-  try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = DEFAULT_SHEET_NAME } = req.body;
+// Most entries one /api/batch request may hold
+const MAX_BATCH_ITEMS = 100;
 
-    console.log(`Attempting to get data from spreadsheet: ${spreadsheetId}, sheet: ${sheetName}`);
-    const auth = getServiceAccountAuth();
-    await auth.authorize();
-    console.log('Service account authorized successfully');
-    
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range: `${sheetName}!A:AC`  // Updated to include all 29 columns
-    });
-    
-    // Ensure all rows have exactly 29 columns
-    const data = (response.data.values || []).map(row => {
-      const paddedRow = [...row];
-      while (paddedRow.length < 29) {
+// Validate and prepare every item of a batch. Returns the prepared items and
+// a result per item; invalid or out-of-scope items get their errors instead.
+const prepareBatch = (req, items, defaults) => {
+  const prepared = [];
+  const results = items.map((item, index) => {
+    const path = `items[${index}]`;
+    const type = item && item.type;
+    try {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new ValidationError([{ path, message: 'must be an object' }]);
+      }
+      if (!getLogType(type)) {
+        throw new ValidationError([{ path: `${path}.type`, message: `must be one of: ${Object.keys(LOG_TYPES).join(', ')}`, value: type }]);
+      }
+      if (!item.data) {
+        throw new ValidationError([{ path: `${path}.data`, message: 'is required' }]);
+      }
+      const targets = resolveTargets(req, type, { spreadsheetId: item.spreadsheetId || defaults.spreadsheetId, sheetName: item.sheetName });
+      assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type });
+      const entry = prepareLogEntries(type, { targets, data: item.data, userId: req.user?.id });
+      prepared.push(entry);
+      return { index, type, status: 'valid', transactionId: entry.transactionId, receiptId: entry.receiptId, ids: entry.ids };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        const errors = error.errors.map(field => ({ ...field, path: field.path.startsWith(path) ? field.path : `${path}.${field.path}` }));
+        return { index, type, status: 'invalid', message: 'Invalid entry', errors };
+      }
+      if (isClientError(error)) {
+        return { index, type, status: error.statusCode === 403 ? 'forbidden' : 'invalid', message: error.message };
+      }
+      throw error;
+    }
+  });
+  return { prepared, results };
+};
+
+// Log entries of several types in one request, e.g.
+// { "items": [{ "type": "food", "data": {...} }, { "type": "status", "data": {...} }] }
+// Rows are grouped so each spreadsheet gets one append call. By default valid
+// items are written and invalid ones reported; with `atomic`, any invalid item
+// fails the whole batch and a failed write rolls back what was written.
+app.post('/api/batch', async (req, res) => {
+  try {
+    const { items, spreadsheetId, atomic = false } = req.body;
+    if (!Array.isArray(items) || !items.length) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters. Please provide a list of items.' });
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return res.status(400).json({ success: false, message: `A batch can hold at most ${MAX_BATCH_ITEMS} items` });
+    }
+
+    const { prepared, results } = prepareBatch(req, items, { spreadsheetId });
+    const rejected = results.filter(result => result.status !== 'valid');
+    const errors = rejected.flatMap(result => result.errors || [{ path: `items[${result.index}]`, message: result.message }]);
+    if (rejected.length && (atomic === true || !prepared.length)) {
+      const forbidden = rejected.every(result => result.status === 'forbidden');
+      return res.status(forbidden ? 403 : 422).json({
+        success: false,
+        message: atomic === true
+          ? 'Some items are invalid; nothing was written'
+          : 'No valid items; nothing was written',
+        items: results.map(result => result.status === 'valid' ? { ...result, status: 'skipped' } : result),
+        errors
+      });
+    }
+
+    const batch = { items: prepared.map(({ type, targets, ids, rows }) => ({ type, targets, ids, rows })), userId: req.user?.id || null };
+    const setStatus = (status) => results.forEach(result => {
+      if (result.status === 'valid') result.status = status;
+    });
+
+    if (atomic === true) {
+      // Written directly, not queued: a failure is final and undone
+      const completedSteps = [];
+      try {
+        const { warnings } = await writeBatchRows(batch, { isComplete: () => false, complete: (step) => completedSteps.push(step) });
+        setStatus('logged');
+        return res.json({
+          success: true,
+          message: `Logged ${countEntries(prepared.length)}`,
+          atomic: true,
+          items: results,
+          warnings,
+          results: buildResults(true)
+        });
+      } catch (error) {
+        // A timed-out append may still land; wait for it so it is undone too
+        if (error.lateResult) {
+          await error.lateResult.then(() => completedSteps.push(error.step), () => {});
+        }
+        const rollbackErrors = await rollbackBatch(batch, completedSteps);
+        setStatus(rollbackErrors.length ? 'failed' : 'rolled_back');
+        logErrorDetails(error, 'writing atomic batch', req);
+        return res.status(500).json({
+          success: false,
+          message: rollbackErrors.length
+            ? 'Batch failed and could not be fully rolled back; some entries may remain'
+            : 'Batch failed; everything written was rolled back',
+          error: error.message,
+          atomic: true,
+          items: results,
+          rollbackErrors,
+          results: buildResults(false)
+        });
+      }
+    }
+
+    const job = await writeQueue.enqueue(batch, {
+      type: 'batch',
+      spreadsheetId: prepared[0].spreadsheetId,
+      sheetName: prepared[0].sheetName,
+      transactionId: prepared[0].transactionId,
+      items: prepared.map(({ type, spreadsheetId: itemSpreadsheetId, transactionId }) => ({ type, spreadsheetId: itemSpreadsheetId, transactionId })),
+      userId: req.user?.id || null
+    });
+    const attempted = await attemptWrite(job);
+    const queued = attempted.status !== 'done';
+    setStatus(queued ? 'queued' : 'logged');
+    console.log(`Batch ${job.id}: ${countEntries(prepared.length)} ${queued ? 'queued' : 'logged'}, ${rejected.length} rejected`);
+
+    // 202: accepted into the queue but not yet in the sheets
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      message: [
+        queued
+          ? `${countEntries(prepared.length)} queued; the write failed and will be retried in the background`
+          : `Logged ${countEntries(prepared.length)}`,
+        rejected.length ? `${rejected.length} item(s) rejected` : null
+      ].filter(Boolean).join('; '),
+      atomic: false,
+      queueId: job.id,
+      queueStatus: attempted.status,
+      items: results,
+      errors: errors.length ? errors : undefined,
+      warnings: attempted.result?.warnings || [],
+      results: buildResults(!queued, { queue: true })
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'logging batch', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log batch',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Receipt uploads (see lib/receipts.js). The photo or PDF is read with local
+// OCR (lib/ocr.js) and kept under DATA_DIR/receipts; its link is public so
+// the sheet can open it, but the file name can't be guessed.
+const RECEIPT_MAX_BYTES = Number(process.env.RECEIPT_MAX_BYTES) || 10 * 1024 * 1024;
+const receiptFiles = createReceiptFileStore({ dir: path.join(DATA_DIR, 'receipts') });
+const ocr = createOcrEngine({
+  lang: process.env.OCR_LANG || undefined,
+  langPath: process.env.OCR_LANG_PATH || undefined,
+  cachePath: process.env.OCR_CACHE_PATH || path.join(DATA_DIR, 'ocr')
+});
+
+const receiptUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RECEIPT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => (FILE_TYPES[file.mimetype]
+    ? callback(null, true)
+    : callback(new HttpError(415, `Unsupported file type ${file.mimetype}; upload a JPEG, PNG, WebP, GIF, BMP, TIFF or PDF`)))
+}).single('file');
+
+// Parse the multipart body: the file goes to req.file, other fields to req.body
+const readReceiptUpload = (req, res) => new Promise((resolve, reject) => {
+  receiptUpload(req, res, (error) => {
+    if (!error) return resolve();
+    if (error.code === 'LIMIT_FILE_SIZE') return reject(new HttpError(413, `Receipt files can be at most ${RECEIPT_MAX_BYTES} bytes`));
+    reject(error instanceof multer.MulterError ? new HttpError(400, error.message) : error);
+  });
+});
+
+// Run an upload reader (readReceiptUpload, ...) as route middleware, ahead of
+// uploadIdempotency
+const parseUpload = (read) => (req, res, next) => read(req, res).then(() => next(), (error) => {
+  if (isClientError(error)) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  logErrorDetails(error, 'reading upload', req);
+  res.status(500).json({ success: false, message: 'Failed to read upload', error: error.message });
+});
+
+const getReceiptUrl = (req, fileName) =>
+  `${process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`}/receipts/${fileName}`;
+
+app.get('/receipts/:fileName', (req, res) => {
+  const filePath = receiptFiles.resolve(req.params.fileName);
+  if (!filePath) {
+    return res.status(404).json({ success: false, message: 'Receipt not found' });
+  }
+  res.sendFile(filePath);
+});
+
+// Read a receipt into a draft itemized transaction. With log=true the draft is
+// logged right away (as one REC- receipt); otherwise it is returned for the
+// user to confirm and send to /api/log-transactions.
+app.post('/api/receipts', parseUpload(readReceiptUpload), uploadIdempotency, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'Missing receipt; upload a photo or PDF in the "file" field' });
+    }
+    const logType = getLogType('transactions');
+    const targets = resolveTargets(req, 'transactions', req.body);
+    assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type: 'transactions' });
+
+    const text = await ocr.recognize(req.file.buffer, req.file.mimetype);
+    const receipt = parseReceiptText(text);
+    if (!receipt.items.length && receipt.total === null) {
+      return res.status(422).json({ success: false, message: 'No items or total could be read from the receipt', text });
+    }
+
+    // Logged right away, the file is named after the receipt's ID; a draft
+    // gets its IDs from /api/log-transactions later. The file is only saved
+    // once the rows linking to it are going to be returned or written.
+    const logNow = String(req.body.log) === 'true';
+    const receiptId = logNow ? generateTransactionId('REC') : null;
+    const fileName = receiptFiles.createFileName({ receiptId, mimeType: req.file.mimetype });
+    const receiptImage = getReceiptUrl(req, fileName);
+    const fields = Object.fromEntries(DRAFT_FIELDS
+      .filter(key => req.body[key] !== undefined && req.body[key] !== '')
+      .map(key => [key, req.body[key]]));
+    const draft = buildReceiptDraft(receipt, { fields, receiptImage });
+    console.log(`Read receipt ${fileName}: ${draft.length} item(s), total ${receipt.total}`);
+
+    let errors = [];
+    try {
+      validateLogData(logType, draft);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      errors = error.errors;
+    }
+    const read = { receiptImage, receipt, draft, text };
+
+    if (!logNow) {
+      receiptFiles.save(fileName, req.file.buffer);
+      return res.json({
+        success: true,
+        message: errors.length
+          ? 'Receipt read; fill in the missing details before logging it'
+          : `Read ${draft.length} item(s) from the receipt; nothing was logged`,
+        logged: false,
+        ...read,
+        errors,
+        warnings: receipt.checks.warnings,
+        results: buildResults(true)
+      });
+    }
+    if (errors.length) {
+      return res.status(422).json({
+        success: false,
+        message: 'The receipt is missing details; send them as form fields or confirm the draft with /api/log-transactions',
+        ...read,
+        errors
+      });
+    }
+
+    receiptFiles.save(fileName, req.file.buffer);
+    let result;
+    try {
+      result = await appendLogEntries('transactions', { targets, data: draft, userId: req.user?.id, id: receiptId });
+    } catch (error) {
+      receiptFiles.remove(fileName);
+      throw error;
+    }
+    const response = buildLogResponse(logType, result);
+    const { budgets, alerts, warnings } = await checkTransactionBudgets(req, result);
+    response.warnings.push(...receipt.checks.warnings, ...warnings);
+
+    // 202: accepted into the queue but not yet in the sheet
+    res.status(result.queued ? 202 : 200).json({ ...response, logged: true, ...read, appliedRules: result.appliedRules, budgets, budgetAlerts: alerts });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'reading receipt', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read receipt',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Statement import (see lib/statements.js). New rows are written as one
+// grouped batch through the write queue, like /api/batch.
+const STATEMENT_MAX_BYTES = Number(process.env.STATEMENT_MAX_BYTES) || 5 * 1024 * 1024;
+const statementMappings = createMappingStore({ filePath: path.join(DATA_DIR, 'statement-mappings.json') });
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: STATEMENT_MAX_BYTES, files: 1 }
+}).single('file');
+
+// Multipart bodies carry the statement in `file`; JSON bodies in `content`
+const readStatementUpload = (req, res) => new Promise((resolve, reject) => {
+  if (!req.is('multipart/form-data')) return resolve();
+  statementUpload(req, res, (error) => {
+    if (!error) return resolve();
+    if (error.code === 'LIMIT_FILE_SIZE') return reject(new HttpError(413, `Statements can be at most ${STATEMENT_MAX_BYTES} bytes`));
+    reject(error instanceof multer.MulterError ? new HttpError(400, error.message) : error);
+  });
+});
+
+// A saved mapping's name, or a mapping object (a JSON string in form fields)
+const resolveMapping = (mapping) => {
+  if (mapping === undefined || mapping === '') return undefined;
+  if (typeof mapping === 'string' && !mapping.trim().startsWith('{')) {
+    const saved = statementMappings.get(mapping);
+    if (!saved) throw new HttpError(404, `No saved mapping named ${mapping}`);
+    return saved;
+  }
+  if (typeof mapping === 'string') {
+    try {
+      return JSON.parse(mapping);
+    } catch (error) {
+      throw new HttpError(400, `mapping is not valid JSON: ${error.message}`);
+    }
+  }
+  return mapping;
+};
+
+// onlineTransactionId and referenceId values already logged to a sheet, or
+// waiting in the write queue to be
+const collectStatementIds = async (target, userId) => {
+  const logType = getLogType('transactions');
+  const entries = await readLogEntries('transactions', { ...target, userId });
+  writeQueue.list()
+    .filter(job => job.status !== 'done')
+    .flatMap(job => job.payload.items || [job.payload])
+    .filter(item => item.type === 'transactions')
+    .forEach(item => entries.push(...item.rows.map(row => parseRow(logType, row))));
+
+  const ids = { onlineTransactionId: new Set(), referenceId: new Set() };
+  entries.forEach(entry => Object.keys(ids).forEach(key => {
+    if (entry[key] && entry[key] !== 'NA') ids[key].add(String(entry[key]));
+  }));
+  return ids;
+};
+
+// Import a CSV, OFX or QIF statement into the Transactions sheet. Every row is
+// reported as new, existing (its onlineTransactionId or referenceId is already
+// logged), duplicate (repeated in the file) or unparseable. With dryRun,
+// nothing is written.
+app.post('/api/statements/import', parseUpload(readStatementUpload), uploadIdempotency, async (req, res) => {
+  try {
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, message: 'Missing statement; upload it in the "file" field or send its text as content' });
+    }
+    const { format, dateOrder, bank, accountName, spreadsheetId, sheetName } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const targets = resolveTargets(req, 'transactions', { spreadsheetId, sheetName });
+    assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type: 'transactions' });
+
+    const statement = readStatement(content, {
+      format: format || undefined,
+      fileName: req.file?.originalname,
+      mapping: resolveMapping(req.body.mapping),
+      dateOrder: dateOrder || undefined
+    });
+    const defaults = Object.fromEntries(DEFAULT_FIELDS
+      .filter(key => req.body[key] !== undefined && req.body[key] !== '')
+      .map(key => [key, req.body[key]]));
+    const transactions = toTransactions(statement, { bank, accountName, defaults });
+
+    const existing = await collectStatementIds(targets[0], req.user?.id);
+    const inFile = new Set();
+    const prepared = [];
+    const byLine = new Map(statement.rows.filter(row => row.error)
+      .map(row => [row.line, { line: row.line, status: 'unparseable', message: row.error }]));
+
+    transactions.forEach(({ line, data }) => {
+      const { onlineTransactionId, referenceId } = data;
+      if (existing.onlineTransactionId.has(onlineTransactionId) || existing.referenceId.has(referenceId)) {
+        byLine.set(line, { line, status: 'existing', onlineTransactionId, referenceId });
+        return;
+      }
+      if (onlineTransactionId && inFile.has(onlineTransactionId)) {
+        byLine.set(line, { line, status: 'duplicate', onlineTransactionId, referenceId });
+        return;
+      }
+      try {
+        const entry = prepareLogEntries('transactions', { targets, data, userId: req.user?.id });
+        if (onlineTransactionId) inFile.add(onlineTransactionId);
+        prepared.push(entry);
+        byLine.set(line, { line, status: 'new', transactionId: entry.transactionId, data, appliedRules: entry.appliedRules });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        byLine.set(line, { line, status: 'unparseable', message: 'Invalid transaction', errors: error.errors, data });
+      }
+    });
+
+    const rows = [...byLine.values()].sort((a, b) => a.line - b.line);
+    const summary = Object.fromEntries(['new', 'existing', 'duplicate', 'unparseable']
+      .map(status => [status, rows.filter(row => row.status === status).length]));
+    const described = `${summary.new} new, ${summary.existing} already logged, ${summary.duplicate} duplicate, ${summary.unparseable} unparseable`;
+    const response = {
+      format: statement.format,
+      account: statement.account,
+      mapping: statement.mapping,
+      dryRun,
+      summary,
+      rows
+    };
+
+    if (dryRun || !prepared.length) {
+      return res.json({
+        success: true,
+        message: `${dryRun ? 'Dry run' : 'Nothing to import'}: ${described}; nothing was written`,
+        ...response,
+        results: buildResults(true)
+      });
+    }
+
+    const batch = { items: prepared.map(({ type, targets: itemTargets, ids, rows: itemRows }) => ({ type, targets: itemTargets, ids, rows: itemRows })), userId: req.user?.id || null };
+    const job = await writeQueue.enqueue(batch, {
+      type: 'batch',
+      spreadsheetId: targets[0].spreadsheetId,
+      sheetName: targets[0].sheetName,
+      transactionId: prepared[0].transactionId,
+      items: prepared.map(({ type, spreadsheetId: itemSpreadsheetId, transactionId }) => ({ type, spreadsheetId: itemSpreadsheetId, transactionId })),
+      userId: req.user?.id || null
+    });
+    const attempted = await attemptWrite(job);
+    const queued = attempted.status !== 'done';
+    console.log(`Statement import ${job.id} (${statement.format}): ${described}${queued ? ' (queued)' : ''}`);
+
+    // 202: accepted into the queue but not yet in the sheet
+    res.status(queued ? 202 : 200).json({
+      success: true,
+      message: queued
+        ? `Import queued (${described}); the write failed and will be retried in the background`
+        : `Imported ${described}`,
+      ...response,
+      queueId: job.id,
+      queueStatus: attempted.status,
+      warnings: attempted.result?.warnings || [],
+      results: buildResults(!queued, { queue: true })
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'importing statement', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import statement',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+app.get('/api/statements/mappings', (req, res) => {
+  res.json({ success: true, mappings: statementMappings.list() });
+});
+
+// Save a CSV mapping under a name (e.g. a bank), to import with mapping=<name>
+app.put('/api/statements/mappings/:name', requireAdmin, (req, res) => {
+  try {
+    const mapping = statementMappings.set(req.params.name, req.body);
+    res.json({ success: true, message: `Mapping ${req.params.name} saved`, name: req.params.name, mapping });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'saving statement mapping', req);
+    res.status(500).json({ success: false, message: 'Failed to save mapping', error: error.message });
+  }
+});
+
+app.delete('/api/statements/mappings/:name', requireAdmin, (req, res) => {
+  if (!statementMappings.remove(req.params.name)) {
+    return res.status(404).json({ success: false, message: 'Mapping not found' });
+  }
+  res.json({ success: true, message: `Mapping ${req.params.name} deleted` });
+});
+
+// An OAuth user's rules are their own. Rules added with API keys are one set
+// that applies to everything logged with any key, to any spreadsheet. A key
+// needs access to transactions to see the rules, and changing the shared set
+// needs an admin key.
+const assertRuleScope = (req) =>
+  assertScope(req, { spreadsheetId: getSpreadsheetId(req, 'transactions'), type: 'transactions' });
+
+const assertRuleChange = (req) => {
+  assertRuleScope(req);
+  if (!req.user && req.apiKey && !req.apiKey.admin) {
+    throw new HttpError(403, 'Rules for API keys apply to every key; changing them needs an admin API key');
+  }
+};
+
+const findRule = (req) => {
+  const rule = transactionRules.get(req.params.ruleId);
+  if (!rule || (rule.userId || null) !== (req.user?.id || null)) {
+    throw new HttpError(404, 'Rule not found');
+  }
+  return rule;
+};
+
+const parsePosition = (position) => {
+  if (position === undefined) return undefined;
+  if (!Number.isInteger(position) || position < 0) {
+    throw new HttpError(400, 'position must be a whole number of 0 or more');
+  }
+  return position;
+};
+
+app.get('/api/rules', (req, res) => {
+  try {
+    assertRuleScope(req);
+    res.json({ success: true, rules: transactionRules.list(req.user?.id) });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'listing rules', req);
+    res.status(500).json({ success: false, message: 'Failed listing rules', error: error.message });
+  }
+});
+
+// Add a rule; it goes last unless `position` puts it ahead of others
+app.post('/api/rules', (req, res) => {
+  try {
+    assertRuleChange(req);
+    const { position, ...input } = req.body;
+    const rule = transactionRules.create({ ...parseRule(input), userId: req.user?.id || null }, { position: parsePosition(position) });
+    res.status(201).json({ success: true, message: `Rule ${rule.id} added`, rule });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'adding rule', req);
+    res.status(500).json({ success: false, message: 'Failed adding rule', error: error.message });
+  }
+});
+
+// What the rules would set on a transaction, without logging it
+app.post('/api/rules/test', (req, res) => {
+  try {
+    assertRuleScope(req);
+    const { data } = req.body;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters. Please provide data (one transaction).' });
+    }
+    const { data: mapped, applied } = applyRules(transactionRules.list(req.user?.id), data);
+    res.json({ success: true, data: mapped, appliedRules: applied });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'testing rules', req);
+    res.status(500).json({ success: false, message: 'Failed testing rules', error: error.message });
+  }
+});
+
+// Learn from history: rules suggested by the transactions already logged
+app.get('/api/rules/suggestions', async (req, res) => {
+  try {
+    const { spreadsheetId, sheetName } = req.query;
+    const minCount = req.query.minCount === undefined ? 3 : Number(req.query.minCount);
+    const minConfidence = req.query.minConfidence === undefined ? 0.8 : Number(req.query.minConfidence);
+    if (!Number.isInteger(minCount) || minCount < 1) {
+      throw new HttpError(400, 'minCount must be a whole number of 1 or more');
+    }
+    if (!(minConfidence > 0 && minConfidence <= 1)) {
+      throw new HttpError(400, 'minConfidence must be between 0 and 1');
+    }
+    const [target] = resolveTargets(req, 'transactions', { spreadsheetId, sheetName });
+    assertScope(req, { spreadsheetId: target.spreadsheetId, type: 'transactions' });
+
+    const transactions = await readLogEntries('transactions', { ...target, userId: req.user?.id });
+    const suggestions = suggestRules(transactions, transactionRules.list(req.user?.id), { minCount, minConfidence });
+    res.json({
+      success: true,
+      message: `${suggestions.length} rule(s) suggested from ${transactions.length} transaction(s); add the ones you want with POST /api/rules`,
+      suggestions
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'suggesting rules', req);
+    res.status(500).json({ success: false, message: 'Failed suggesting rules', error: error.message });
+  }
+});
+
+// Change a rule: fields given replace the old ones (match and set as a whole)
+app.patch('/api/rules/:ruleId', (req, res) => {
+  try {
+    assertRuleChange(req);
+    const rule = findRule(req);
+    const { position, ...changes } = req.body;
+    const { name, match, set, overwrite, enabled } = rule;
+    const fields = parseRule({ name, match, set, overwrite, enabled, ...changes });
+    const moveTo = parsePosition(position);
+    const updated = transactionRules.update(rule.id, fields);
+    if (moveTo !== undefined) transactionRules.move(rule.id, moveTo);
+    res.json({ success: true, message: `Rule ${rule.id} updated`, rule: updated });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'updating rule', req);
+    res.status(500).json({ success: false, message: 'Failed updating rule', error: error.message });
+  }
+});
+
+app.delete('/api/rules/:ruleId', (req, res) => {
+  try {
+    assertRuleChange(req);
+    const rule = findRule(req);
+    transactionRules.remove(rule.id);
+    res.json({ success: true, message: `Rule ${rule.id} deleted` });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'deleting rule', req);
+    res.status(500).json({ success: false, message: 'Failed deleting rule', error: error.message });
+  }
+});
+
+// Exchange rates used to convert transactions paid in other currencies. The
+// table is shared by everyone logging to this server; changing it needs an
+// admin key.
+const RATE_FILE_MAX_BYTES = 1024 * 1024;
+
+const rateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RATE_FILE_MAX_BYTES, files: 1 }
+}).single('file');
+
+const readRateUpload = (req, res) => new Promise((resolve, reject) => {
+  if (!req.is('multipart/form-data')) return resolve();
+  rateUpload(req, res, (error) => {
+    if (!error) return resolve();
+    if (error.code === 'LIMIT_FILE_SIZE') return reject(new HttpError(413, `Rate files can be at most ${RATE_FILE_MAX_BYTES} bytes`));
+    reject(error instanceof multer.MulterError ? new HttpError(400, error.message) : error);
+  });
+});
+
+// The table, optionally for one currency and a date range. With currency and
+// date, `rate` is the one a transaction on that date would use.
+app.get('/api/exchange-rates', (req, res) => {
+  const currency = req.query.currency ? normalizeCurrency(req.query.currency) : undefined;
+  const { from, to, date } = req.query;
+  if (date && !currency) {
+    return res.status(400).json({ success: false, message: 'date needs a currency' });
+  }
+  res.json({
+    success: true,
+    homeCurrency: HOME_CURRENCY,
+    rates: exchangeRates.list({ currency, from, to }),
+    ...(date && { rate: currency === HOME_CURRENCY ? { currency, date, rate: 1 } : exchangeRates.find(currency, date) })
+  });
+});
+
+// Add rates, or replace those held for the same currency and date
+app.post('/api/exchange-rates', requireAdmin, (req, res) => {
+  try {
+    const result = exchangeRates.upsert(parseRates(req.body.rates, { homeCurrency: HOME_CURRENCY }));
+    res.json({ success: true, message: `${result.added} rate(s) added, ${result.updated} updated`, ...result });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'saving exchange rates', req);
+    res.status(500).json({ success: false, message: 'Failed to save exchange rates', error: error.message });
+  }
+});
+
+// Add rates from a CSV or JSON file (multipart `file`, or `content` in JSON)
+app.post('/api/exchange-rates/import', requireAdmin, async (req, res) => {
+  try {
+    await readRateUpload(req, res);
+    const text = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({ success: false, message: 'Upload the rates as file, or send their text as content' });
+    }
+    const rates = readRateFile(text, { fileName: req.file?.originalname, homeCurrency: HOME_CURRENCY });
+    const result = exchangeRates.upsert(rates);
+    res.json({ success: true, message: `${result.added} rate(s) added, ${result.updated} updated`, ...result });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'importing exchange rates', req);
+    res.status(500).json({ success: false, message: 'Failed to import exchange rates', error: error.message });
+  }
+});
+
+// Remove a currency's rates, or only the one for ?date=
+app.delete('/api/exchange-rates/:currency', requireAdmin, (req, res) => {
+  const currency = normalizeCurrency(req.params.currency);
+  const removed = exchangeRates.remove(currency, req.query.date);
+  if (!removed) {
+    return res.status(404).json({ success: false, message: `No ${currency} rate${req.query.date ? ` for ${req.query.date}` : 's'} found` });
+  }
+  res.json({ success: true, message: `${removed} ${currency} rate(s) deleted`, removed });
+});
+
+// Recurring entries (see lib/recurring.js). Each occurrence goes through the
+// same write path as /api/log-*, to the targets resolved when the template
+// was added, with its date (and time, if the type has one) filled in.
+const recurringStore = createRecurringStore({ filePath: path.join(DATA_DIR, 'recurring.json') });
+
+const logOccurrence = async (template, occurrence, entryId) => {
+  // Already queued before a restart cut the run short
+  const queued = writeQueue.list().find(job => job.meta.transactionId === entryId);
+  if (queued) return { queueId: queued.id };
+
+  const logType = getLogType(template.type);
+  const dateKey = getDateKey(logType);
+  const [date, time] = occurrence.toISOString().slice(0, 19).split('T');
+  const fill = (item) => ({
+    ...item,
+    ...(dateKey ? { [dateKey]: date } : {}),
+    ...(logType.columns.some(column => column.key === 'time') && !item.time ? { time } : {}),
+    ...(template.type === 'transactions' && !item.referenceId ? { referenceId: template.id } : {})
+  });
+  const data = Array.isArray(template.data) ? template.data.map(fill) : fill(template.data);
+  const result = await appendLogEntries(template.type, { targets: template.targets, data, userId: template.userId, id: entryId });
+  return { queueId: result.queueId };
+};
+
+const recurringScheduler = createRecurringScheduler({
+  store: recurringStore,
+  run: logOccurrence,
+  pollMs: Number(process.env.RECURRING_POLL_MS) || undefined,
+  maxCatchUp: Number(process.env.RECURRING_MAX_CATCH_UP) || undefined
+});
+recurringScheduler.start();
+
+const canSeeTemplate = (req, template) => (template.userId || null) === (req.user?.id || null) &&
+  hasScope(req, { spreadsheetId: template.targets[0].spreadsheetId, type: template.type });
+
+// A template with its next occurrences. Paused templates resume from now, so
+// theirs are counted from now too.
+const describeTemplate = (template, count = 5) => ({
+  ...template,
+  upcoming: listUpcoming(template, { after: template.paused ? new Date() : undefined, limit: count }).map(date => date.toISOString())
+});
+
+const findTemplate = (req, res) => {
+  const template = recurringStore.get(req.params.templateId);
+  if (!template || !canSeeTemplate(req, template)) {
+    res.status(404).json({ success: false, message: `No recurring template found with ID ${req.params.templateId}` });
+    return null;
+  }
+  return template;
+};
+
+const parseCount = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
+    throw new HttpError(400, 'count must be a whole number from 1 to 100');
+  }
+  return count;
+};
+
+app.get('/api/recurring', (req, res) => {
+  const templates = recurringStore.list().filter(template => canSeeTemplate(req, template));
+  res.json({ success: true, count: templates.length, templates: templates.map(template => describeTemplate(template, 3)) });
+});
+
+// Add a recurring template. With `dryRun`, only validate it and preview its
+// first occurrences.
+app.post('/api/recurring', (req, res) => {
+  try {
+    const { type, data, schedule, name = '', startAt, spreadsheetId, sheetName, dryRun = false } = req.body;
+    const logType = getLogType(type);
+    if (!logType) {
+      return res.status(400).json({ success: false, message: `type must be one of: ${Object.keys(LOG_TYPES).join(', ')}` });
+    }
+    if (!data || !schedule) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    }
+    const start = startAt ? new Date(startAt) : new Date();
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({ success: false, message: 'startAt must be a date and time (ISO 8601)' });
+    }
+    const targets = resolveTargets(req, type, { spreadsheetId, sheetName });
+    assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type });
+
+    // The date is filled in per occurrence, so it isn't needed here
+    const dateKey = getDateKey(logType);
+    const withDate = (item) => item && typeof item === 'object' && !Array.isArray(item) && dateKey && item[dateKey] === undefined
+      ? { ...item, [dateKey]: start.toISOString().slice(0, 10) }
+      : item;
+    const valid = validateLogData(logType, Array.isArray(data) ? data.map(withDate) : withDate(data));
+    const withoutDate = ({ [dateKey]: omitted, ...item }) => item;
+    const fields = {
+      name: String(name),
+      type,
+      schedule: String(schedule).trim(),
+      startAt: start.toISOString(),
+      data: Array.isArray(valid) ? valid.map(withoutDate) : withoutDate(valid),
+      targets,
+      userId: req.user?.id || null
+    };
+    parseSchedule(fields.schedule, start);
+    const upcoming = listUpcoming(fields, { limit: 5 });
+    if (!upcoming.length) {
+      return res.status(400).json({ success: false, message: 'The schedule has no occurrences after startAt' });
+    }
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, template: fields, upcoming: upcoming.map(date => date.toISOString()) });
+    }
+    const template = recurringStore.create(fields);
+    res.status(201).json({ success: true, message: `Recurring template ${template.id} added`, template: describeTemplate(template) });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'adding recurring template', req);
+    res.status(500).json({ success: false, message: 'Failed to add recurring template', error: error.message });
+  }
+});
+
+// One template with its next `count` occurrences (default 10)
+app.get('/api/recurring/:templateId', (req, res) => {
+  try {
+    const template = findTemplate(req, res);
+    if (!template) return;
+    res.json({ success: true, template: describeTemplate(template, parseCount(req.query.count, 10)) });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'reading recurring template', req);
+    res.status(500).json({ success: false, message: 'Failed to read recurring template', error: error.message });
+  }
+});
+
+app.post('/api/recurring/:templateId/pause', (req, res) => {
+  const template = findTemplate(req, res);
+  if (!template) return;
+  recurringStore.update(template.id, { paused: true });
+  res.json({ success: true, message: `Recurring template ${template.id} paused`, template: describeTemplate(template) });
+});
+
+// Resume from now: occurrences that fell while paused are skipped
+app.post('/api/recurring/:templateId/resume', (req, res) => {
+  const template = findTemplate(req, res);
+  if (!template) return;
+  if (template.paused) {
+    recurringStore.update(template.id, { paused: false, lastOccurrenceAt: new Date().toISOString(), lastError: null });
+  }
+  res.json({ success: true, message: `Recurring template ${template.id} resumed`, template: describeTemplate(template) });
+});
+
+// Entries already logged stay in the sheet
+app.delete('/api/recurring/:templateId', (req, res) => {
+  const template = findTemplate(req, res);
+  if (!template) return;
+  recurringStore.remove(template.id);
+  res.json({ success: true, message: `Recurring template ${template.id} deleted`, template });
+});
+
+// List budgets with how much of each is used in the current period (or the
+// period containing ?date=YYYY-MM-DD)
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const { spreadsheetId: requested, sheetName: requestedSheet, date: requestedDate } = req.query;
+    const date = requestedDate ? normalizeDate(requestedDate) : new Date().toISOString().slice(0, 10);
+    if (!date) {
+      return res.status(400).json({ success: false, message: 'date must be a date (YYYY-MM-DD)' });
+    }
+    const [target] = resolveTargets(req, 'budgets', { spreadsheetId: requested, sheetName: requestedSheet });
+    assertScope(req, { spreadsheetId: target.spreadsheetId, type: 'transactions' });
+    const userId = req.user?.id;
+    const { budgets } = await readBudgetSheet({ ...target, userId });
+    const [transactionTarget] = resolveTargets(req, 'transactions', { spreadsheetId: requested });
+    const transactions = budgets.length ? await readLogEntries('transactions', { ...transactionTarget, userId }) : [];
+
+    res.json({
+      success: true,
+      date,
+      count: budgets.length,
+      budgets: budgets.map(budget => ({ ...budget, ...getBudgetUsage(budget, transactions, date) })),
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'listing budgets', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list budgets',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Add one budget, or several given as a list
+app.post('/api/budgets', async (req, res) => {
+  try {
+    const { data } = req.body;
+    if (!data) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    }
+    const [target] = resolveTargets(req, 'budgets', req.body);
+    assertScope(req, { spreadsheetId: target.spreadsheetId, type: 'transactions' });
+    const userId = req.user?.id;
+
+    const valid = [].concat(validateLogData(BUDGET_TYPE, data));
+    const created = valid.map(item => ({ ...item, budgetId: generateTransactionId('BUD') }));
+    const rows = created.map(budget => buildRow(BUDGET_TYPE, budget, budget));
+    const budgets = rows.map(row => parseRow(BUDGET_TYPE, row));
+    assertNoDuplicateBudgets(budgets, (await readBudgetSheet({ ...target, userId })).budgets);
+
+    const storageTarget = getStorage(userId);
+    const columnMap = await resolveColumnMap(storageTarget, { ...target, headers: getHeaders(BUDGET_TYPE), userId });
+    await storageTarget.append(target.spreadsheetId, target.sheetName, rows.map(columnMap.toSheet));
+
+    res.json({
+      success: true,
+      message: `Added ${budgets.length} budget(s)`,
+      budgets,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'adding budgets', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add budgets',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Change only the given fields of a budget
+app.patch('/api/budgets/:budgetId', async (req, res) => {
+  try {
+    const { data } = req.body;
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !Object.keys(data).length) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    }
+    const [target] = resolveTargets(req, 'budgets', req.body);
+    assertScope(req, { spreadsheetId: target.spreadsheetId, type: 'transactions' });
+    const userId = req.user?.id;
+    const { budgetId } = req.params;
+
+    const changes = validateLogData(BUDGET_TYPE, data, { partial: true });
+    const { rowNumber, budget, row: existing, sheetHeaders, budgets } = await findBudget(budgetId, { ...target, userId });
+    const row = buildRow(BUDGET_TYPE, { ...budget, ...changes }, { budgetId });
+    const updated = parseRow(BUDGET_TYPE, row);
+    assertNoDuplicateBudgets([updated], budgets);
+
+    const columnMap = createColumnMap(getHeaders(BUDGET_TYPE), sheetHeaders);
+    await getStorage(userId).update(target.spreadsheetId, target.sheetName, rowNumber, columnMap.merge(existing, row));
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      budget: updated,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, 'updating budget', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update budget',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+app.delete('/api/budgets/:budgetId', async (req, res) => {
+  try {
+    const [target] = resolveTargets(req, 'budgets', { ...req.query, ...req.body });
+    assertScope(req, { spreadsheetId: target.spreadsheetId, type: 'transactions' });
+    const userId = req.user?.id;
+
+    const { rowNumber, budget } = await findBudget(req.params.budgetId, { ...target, userId });
+    await getStorage(userId).deleteRow(target.spreadsheetId, target.sheetName, rowNumber);
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully',
+      budget,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'deleting budget', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Aggregate logged entries of one type by day, week or month, e.g.
+// GET /api/summary/transactions?from=2024-01-01&to=2024-03-31&groupBy=month&by=category
+app.get('/api/summary/:type', async (req, res, next) => {
+  const { type } = req.params;
+  const logType = getLogType(type);
+  if (!logType || !hasSummary(type)) {
+    return next();
+  }
+
+  try {
+    const { spreadsheetId: requested, sheetName: requestedSheet, groupBy, by, ...query } = req.query;
+    const [{ spreadsheetId, sheetName }] = resolveTargets(req, type, { spreadsheetId: requested, sheetName: requestedSheet });
+    assertScope(req, { spreadsheetId, type });
+    const entries = await readLogEntries(type, { spreadsheetId, sheetName, userId: req.user?.id });
+    const summary = summarizeEntries(type, logType, filterEntries(logType, entries, query), { groupBy, by });
+
+    res.json({
+      success: true,
+      type,
+      from: query.from || null,
+      to: query.to || null,
+      ...summary,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, `summarizing ${type}`, req);
+    res.status(500).json({
+      success: false,
+      message: `Failed to summarize ${logType.plural}`,
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Query logged entries of one type as typed objects, e.g.
+// GET /api/food?from=2024-05-07&to=2024-05-07&mealType=Lunch&sort=-date
+app.get('/api/:type', async (req, res, next) => {
+  const { type } = req.params;
+  const logType = getLogType(type);
+  if (!logType) {
+    return next();
+  }
+
+  try {
+    const { spreadsheetId: requested, sheetName: requestedSheet, ...query } = req.query;
+    const [{ spreadsheetId, sheetName }] = resolveTargets(req, type, { spreadsheetId: requested, sheetName: requestedSheet });
+    assertScope(req, { spreadsheetId, type });
+    const entries = await readLogEntries(type, { spreadsheetId, sheetName, userId: req.user?.id });
+    const { items, total, nextCursor } = queryEntries(logType, entries, query);
+
+    res.json({
+      success: true,
+      type,
+      count: items.length,
+      total,
+      items,
+      nextCursor,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, `querying ${type}`, req);
+    res.status(500).json({
+      success: false,
+      message: `Failed to query ${logType.plural}`,
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Look up a queued write by the queueId returned from /api/log-*
+const describeQueueJob = (job) => ({
+  queueId: job.id,
+  status: job.status,
+  type: job.meta.type,
+  transactionId: job.meta.transactionId,
+  receiptId: job.meta.receiptId,
+  spreadsheetId: job.meta.spreadsheetId,
+  sheetName: job.meta.sheetName,
+  targets: job.meta.targets || [{ spreadsheetId: job.meta.spreadsheetId, sheetName: job.meta.sheetName }],
+  items: job.meta.items,
+  attempts: job.attempts,
+  lastError: job.lastError,
+  nextAttemptAt: job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
+  createdAt: new Date(job.createdAt).toISOString(),
+  updatedAt: new Date(job.updatedAt).toISOString()
+});
+
+// Keys only see queued writes for spreadsheets and log types they can access,
+// and OAuth users only their own
+const canSeeJob = (req, job) => (job.meta.userId || null) === (req.user?.id || null) &&
+  (job.meta.items || [job.meta]).every(item => hasScope(req, { spreadsheetId: item.spreadsheetId, type: item.type }));
+
+const findQueueJob = (req, res) => {
+  const job = writeQueue.get(req.params.queueId);
+  if (!job || !canSeeJob(req, job)) {
+    res.status(404).json({ success: false, message: `No queued write found with ID ${req.params.queueId}` });
+    return null;
+  }
+  return job;
+};
+
+app.get('/api/queue', (req, res) => {
+  const visible = writeQueue.list().filter(job => canSeeJob(req, job));
+  const jobs = visible.filter(job => !req.query.status || job.status === req.query.status);
+  const counts = visible.reduce((acc, job) => {
+    acc[job.status] = (acc[job.status] || 0) + 1;
+    return acc;
+  }, {});
+  res.json({
+    success: true,
+    counts,
+    jobs: jobs.map(describeQueueJob)
+  });
+});
+
+app.get('/api/queue/:queueId', (req, res) => {
+  const job = findQueueJob(req, res);
+  if (!job) return;
+  res.json({ success: true, ...describeQueueJob(job) });
+});
+
+// Retry a write the worker gave up on
+app.post('/api/queue/:queueId/retry', async (req, res) => {
+  try {
+    if (!findQueueJob(req, res)) return;
+    const job = writeQueue.retry(req.params.queueId);
+    const attempted = await writeQueue.attempt(job.id);
+    res.json({ success: true, ...describeQueueJob(attempted) });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'retrying queued write', req);
+    res.status(500).json({ success: false, message: 'Failed to retry queued write', error: error.message });
+  }
+});
+
+// Update fields of one logged entry by ID, e.g.
+// PATCH /api/transactions/TXN-abc123 { "data": { "amount": 450 } }
+app.patch('/api/:type/:id', async (req, res, next) => {
+  const { type, id } = req.params;
+  const logType = getLogType(type);
+  if (!logType) {
+    return next();
+  }
+
+  try {
+    const { data } = req.body;
+    if (!data || typeof data !== 'object' || Array.isArray(data) || !Object.keys(data).length) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    }
+    const [{ spreadsheetId, sheetName }] = resolveTargets(req, type, req.body);
+    assertScope(req, { spreadsheetId, type });
+
+    const entry = await updateLogEntry(type, id, data, { spreadsheetId, sheetName, userId: req.user?.id });
+
+    res.json({
+      success: true,
+      message: `${logType.label} updated successfully`,
+      transactionId: id,
+      entry,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    logErrorDetails(error, `updating ${type}`, req);
+    res.status(500).json({
+      success: false,
+      message: `Failed to update ${logType.label.toLowerCase()}`,
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Delete one logged entry by ID
+app.delete('/api/:type/:id', async (req, res, next) => {
+  const { type, id } = req.params;
+  const logType = getLogType(type);
+  if (!logType) {
+    return next();
+  }
+
+  try {
+    const [{ spreadsheetId, sheetName }] = resolveTargets(req, type, { ...req.query, ...req.body });
+    assertScope(req, { spreadsheetId, type });
+    const entry = await deleteLogEntry(type, id, { spreadsheetId, sheetName, userId: req.user?.id });
+
+    res.json({
+      success: true,
+      message: `${logType.label} deleted successfully`,
+      transactionId: id,
+      entry,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, `deleting ${type}`, req);
+    res.status(500).json({
+      success: false,
+      message: `Failed to delete ${logType.label.toLowerCase()}`,
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// OAuth 2.0 endpoints for GPT Actions (see lib/oauth.js). Configure the GPT
+// with Authorization URL /oauth/authorize and Token URL /oauth/token.
+const requireOAuth = (req, res, next) => {
+  if (!oauth) {
+    return res.status(404).json({ success: false, message: 'OAuth is not enabled on this server' });
+  }
+  next();
+};
+
+app.get('/oauth/authorize', requireOAuth, (req, res) => {
+  try {
+    res.redirect(oauth.startAuthorization(req.query));
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, error: error.details?.error });
+    }
+    logErrorDetails(error, 'starting OAuth authorization', req);
+    res.status(500).json({ success: false, message: 'Failed to start authorization', error: error.message });
+  }
+});
+
+app.get('/oauth/google/callback', requireOAuth, async (req, res) => {
+  try {
+    res.redirect(await oauth.finishAuthorization(req.query));
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'completing Google authorization', req);
+    res.status(500).json({ success: false, message: 'Failed to complete Google authorization', error: error.message });
+  }
+});
+
+// Token errors follow RFC 6749 so OAuth clients can read them
+app.post('/oauth/token', requireOAuth, (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(oauth.exchangeToken(req.body, parseBasicAuth(req.get('Authorization'))));
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({
+        error: error.details?.error || 'invalid_request',
+        error_description: error.message
+      });
+    }
+    logErrorDetails(error, 'issuing OAuth token', req);
+    res.status(500).json({ error: 'server_error', error_description: error.message });
+  }
+});
+
+// The signed-in OAuth user and their default spreadsheet
+const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(400).json({ success: false, message: 'Only available with an OAuth access token' });
+  }
+  next();
+};
+
+app.get('/api/me', requireOAuth, requireUser, (req, res) => {
+  res.json({ success: true, user: describeUser(req.user) });
+});
+
+app.patch('/api/me', requireOAuth, requireUser, (req, res) => {
+  const { defaultSpreadsheetId } = req.body;
+  if (defaultSpreadsheetId !== null && typeof defaultSpreadsheetId !== 'string') {
+    return res.status(400).json({ success: false, message: 'defaultSpreadsheetId must be a string or null' });
+  }
+  const user = oauth.updateUser(req.user.id, { defaultSpreadsheetId });
+  res.json({ success: true, message: 'Default spreadsheet updated', user: describeUser(user) });
+});
+
+// Manage API keys (admin keys only). The plaintext key is only returned on creation.
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({ success: true, keys: apiKeyStore.list() });
+});
+
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+  const { name, spreadsheets, logTypes, admin } = req.body;
+  const key = apiKeyStore.create({ name, spreadsheets, logTypes, admin });
+  res.status(201).json({ success: true, message: 'API key created; store it now, it will not be shown again', ...key });
+});
+
+app.patch('/api/admin/keys/:keyId', requireAdmin, (req, res) => {
+  const key = apiKeyStore.update(req.params.keyId, req.body);
+  if (!key) {
+    return res.status(404).json({ success: false, message: `No API key found with ID ${req.params.keyId}` });
+  }
+  res.json({ success: true, ...key });
+});
+
+app.delete('/api/admin/keys/:keyId', requireAdmin, (req, res) => {
+  if (!apiKeyStore.remove(req.params.keyId)) {
+    return res.status(404).json({ success: false, message: `No API key found with ID ${req.params.keyId}` });
+  }
+  res.json({ success: true, message: 'API key deleted' });
+});
+
+// Spreadsheet routing (admin keys only). Reload after editing ROUTING_FILE;
+// an invalid config is rejected and the current one stays in place.
+app.get('/api/admin/routing', requireAdmin, (req, res) => {
+  res.json({ success: true, ...router.describe() });
+});
+
+app.post('/api/admin/routing/reload', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, message: 'Routing config reloaded', ...router.reload() });
+  } catch (error) {
+    res.status(400).json({ success: false, message: `Invalid routing config: ${error.message}` });
+  }
+});
+
+process.on('SIGHUP', () => {
+  try {
+    router.reload();
+  } catch (error) {
+    console.error(`Invalid routing config, keeping the current one: ${error.message}`);
+  }
+});
+
+// Compare every primary sheet of the given log types with the backup and copy
+// the rows it is missing. Rows whose copy is still queued are left to the
+// queue. Runs one at a time; each sheet is reported on its own, so one
+// unreadable sheet doesn't stop the rest.
+let lastReconcile = null;
+let reconcileChain = Promise.resolve();
+
+const runReconcile = async ({ types, dryRun }) => {
+  const startedAt = new Date().toISOString();
+  const inFlight = replicationQueue.list().filter(job => job.status !== 'done' && job.status !== 'failed');
+  const pendingIds = new Set(inFlight.flatMap(job => job.meta.ids || []));
+  const sheets = [];
+
+  for (const type of types) {
+    const logType = getLogType(type);
+    const seen = new Set();
+    for (const target of router.listPrimaryTargets(type)) {
+      const spreadsheetId = target.spreadsheetId || DEFAULT_SPREADSHEET_ID;
+      const sheetName = target.sheetName || logType.sheetName;
+      if (seen.has(`${spreadsheetId}/${sheetName}`)) continue;
+      seen.add(`${spreadsheetId}/${sheetName}`);
+
+      const report = { type, spreadsheetId, sheetName, missing: 0, copied: 0, missingIds: [] };
+      try {
+        const primaryRows = await storage.read(spreadsheetId, sheetName);
+        const backupRows = await replica.read(REPLICA_SPREADSHEET_ID, sheetName);
+        const missing = findMissingRows(logType, primaryRows, backupRows, pendingIds);
+        report.missing = missing.length;
+        report.missingIds = missing.map(row => row[getIdIndex(logType)]);
+        if (missing.length && !dryRun) {
+          await copyToReplica({ type, sheetName, rows: missing });
+          report.copied = missing.length;
+        }
+      } catch (error) {
+        logErrorDetails(error, `reconciling ${type} in ${spreadsheetId}`);
+        report.error = error.message;
+      }
+      sheets.push(report);
+    }
+  }
+
+  const result = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    dryRun,
+    missing: sheets.reduce((sum, sheet) => sum + sheet.missing, 0),
+    copied: sheets.reduce((sum, sheet) => sum + sheet.copied, 0),
+    queued: pendingIds.size,
+    sheets
+  };
+  if (!dryRun) lastReconcile = result;
+  console.log(`Reconciled the backup${dryRun ? ' (dry run)' : ''}: ${result.missing} missing, ${result.copied} copied`);
+  return result;
+};
+
+const reconcileReplica = ({ types = Object.keys(LOG_TYPES), dryRun = false } = {}) => {
+  const run = reconcileChain.then(() => runReconcile({ types, dryRun }));
+  reconcileChain = run.catch(() => {});
+  return run;
+};
+
+// Reconcile on a timer too (REPLICATION_RECONCILE_MS, default hourly; 0 turns it off)
+const RECONCILE_INTERVAL_MS = Number(process.env.REPLICATION_RECONCILE_MS ?? 60 * 60 * 1000);
+if (replicationQueue && RECONCILE_INTERVAL_MS > 0) {
+  setInterval(() => {
+    reconcileReplica().catch(error => console.error('Reconcile failed:', error));
+  }, RECONCILE_INTERVAL_MS).unref();
+}
+
+const requireReplication = (req, res, next) => {
+  if (!replicationQueue) {
+    return res.status(404).json({ success: false, message: 'Replication is not enabled on this server' });
+  }
+  next();
+};
+
+// Replication status (admin keys only): copies still queued or given up on,
+// and the result of the last reconcile
+app.get('/api/admin/replication', requireAdmin, requireReplication, (req, res) => {
+  const jobs = replicationQueue.list();
+  const counts = jobs.reduce((acc, job) => {
+    acc[job.status] = (acc[job.status] || 0) + 1;
+    return acc;
+  }, {});
+  res.json({
+    success: true,
+    mode: REPLICATION,
+    spreadsheetId: REPLICA_SPREADSHEET_ID,
+    counts,
+    unreplicated: jobs.filter(job => job.status !== 'done').map(job => ({
+      queueId: job.id,
+      status: job.status,
+      type: job.meta.type,
+      spreadsheetId: job.meta.spreadsheetId,
+      sheetName: job.meta.sheetName,
+      ids: job.meta.ids,
+      attempts: job.attempts,
+      lastError: job.lastError
+    })),
+    lastReconcile
+  });
+});
+
+// Fill gaps in the backup now. With dryRun, only report what is missing.
+app.post('/api/admin/replication/reconcile', requireAdmin, requireReplication, async (req, res) => {
+  try {
+    const { types = Object.keys(LOG_TYPES), dryRun = false } = req.body;
+    const unknown = [].concat(types).filter(type => !getLogType(type));
+    if (unknown.length) {
+      return res.status(400).json({ success: false, message: `Unknown log type(s): ${unknown.join(', ')}` });
+    }
+
+    const result = await reconcileReplica({ types: [].concat(types), dryRun: dryRun === true });
+    res.json({
+      success: true,
+      message: dryRun === true
+        ? `${result.missing} row(s) missing from the backup; nothing was copied`
+        : `Copied ${result.copied} missing row(s) to the backup`,
+      ...result
+    });
+  } catch (error) {
+    logErrorDetails(error, 'reconciling backup', req);
+    res.status(500).json({ success: false, message: 'Failed to reconcile backup', error: error.message });
+  }
+});
+
+// Create a new workbook with every log type's tab, headers and formatting,
+// ready to be used as `spreadsheetId`. With the service account, pass
+// `shareWith` emails or nobody else will be able to open it.
+app.post('/api/spreadsheets', async (req, res) => {
+  try {
+    const { title = DEFAULT_TITLE, shareWith = [] } = req.body;
+    const emails = Array.isArray(shareWith) ? shareWith : [shareWith];
+    if (typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ success: false, message: 'title must be a non-empty string' });
+    }
+    if (emails.some(email => typeof email !== 'string' || !email.includes('@'))) {
+      return res.status(400).json({ success: false, message: 'shareWith must be a list of email addresses' });
+    }
+
+    const tabs = buildWorkbookTemplate([{ name: SHEET_NAMES.chat, headers: CHAT_HEADERS }]);
+    const { spreadsheetId, spreadsheetUrl } = await getStorage(req.user?.id).createSpreadsheet(title.trim(), tabs, { shareWith: emails });
+    console.log(`Created spreadsheet ${spreadsheetId} (${title})`);
+
+    // Make the new workbook usable right away by whoever created it
+    if (req.user && !req.user.defaultSpreadsheetId) {
+      oauth.updateUser(req.user.id, { defaultSpreadsheetId: spreadsheetId });
+    } else if (req.apiKey && !req.user && !req.apiKey.spreadsheets.includes('*')) {
+      apiKeyStore.update(req.apiKey.id, { spreadsheets: [...req.apiKey.spreadsheets, spreadsheetId] });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Spreadsheet created successfully',
+      spreadsheetId,
+      spreadsheetUrl,
+      sheets: tabs.map(tab => tab.name),
+      sharedWith: emails,
+      results: buildResults(true)
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'creating spreadsheet', req);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create spreadsheet',
+      error: error.message,
+      results: buildResults(false)
+    });
+  }
+});
+
+// Get sheet data
+app.post('/api/get-sheet-data', async (req, res) => {
+  try {
+    const { sheetName = DEFAULT_SHEET_NAME } = req.body;
+    const spreadsheetId = getSpreadsheetId(req, getSheetType(sheetName), req.body.spreadsheetId);
+    assertScope(req, { spreadsheetId, type: getSheetType(sheetName) });
+
+    console.log(`Attempting to get data from spreadsheet: ${spreadsheetId}, sheet: ${sheetName}`);
+    const rows = await getStorage(req.user?.id).read(spreadsheetId, sheetName);
+    
+    // Ensure all rows have exactly 29 columns
+    const data = rows.map(row => {
+      const paddedRow = [...row];
+      while (paddedRow.length < 29) {
         paddedRow.push('NA');
       }
       return paddedRow.slice(0, 29);
@@ -451,6 +2793,9 @@ app.post('/api/get-sheet-data', async (req, res) => {
       data: data
     });
   } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     console.error("Error getting sheet data:", error);
     console.error("Error details:", {
       message: error.message,
@@ -460,17 +2805,9 @@ app.post('/api/get-sheet-data', async (req, res) => {
     
     res.status(500).json({
       success: false,
-      message: "Failed to get sheet data",
-      error: error.message,
-      results: {
-        methods: {
-          serviceAccount: false,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: "serviceAccount",
-        success: false
-      }
+      message: "Failed to get sheet data",
+      error: error.message,
+      results: buildResults(false)
     });
   }
 });
@@ -480,507 +2817,400 @@ app.get('/health', (req, res) => {
   res.status(200).send('OK');
 });
 
+// OpenAPI spec, with log paths generated from the registry
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec());
+});
+
 // Root path route
 app.get('/', (req, res) => {
   res.json({
     message: "GPT to Sheet API",
     endpoints: {
       logData: "POST /api/log-transactions",
+      logTypes: Object.values(LOG_TYPES).map(logType => `POST ${logType.route}`),
+      ingest: "POST /api/ingest",
+      batch: "POST /api/batch",
+      summary: "GET /api/summary/{type}",
+      budgets: "GET /api/budgets",
+      recurring: "GET /api/recurring",
+      receipts: "POST /api/receipts",
+      statements: "POST /api/statements/import",
+      rules: "GET /api/rules",
+      exchangeRates: "GET /api/exchange-rates",
+      logChat: "POST /api/log-chat",
+      chatThread: "GET /api/chat/{conversationId}",
       getSheetData: "POST /api/get-sheet-data",
-      serviceAccount: "GET /api/service-account"
+      createSpreadsheet: "POST /api/spreadsheets",
+      serviceAccount: "GET /api/service-account",
+      openapi: "GET /openapi.json"
     },
+    authentication: 'Send an API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"',
     defaults: {
-      spreadsheetId: DEFAULT_SPREADSHEET_ID,
       sheetName: DEFAULT_SHEET_NAME
     }
   });
 });
 
-// Add new endpoint for workouts
-app.post('/api/log-workouts', async (req, res) => {
+
+// Add new endpoint for setting headers
+app.post('/api/set-headers', async (req, res) => {
   try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = SHEET_NAMES.workouts, data } = req.body;
-    if (!data) {
+    const { sheetName, headers } = req.body;
+    if (!sheetName || !headers) {
       return res.status(400).json({ success: false, message: 'Missing required parameters' });
     }
+    if (!Array.isArray(headers) || headers.some(header => typeof header !== 'string')) {
+      return res.status(400).json({ success: false, message: 'headers must be a list of strings' });
+    }
+    const spreadsheetId = getSpreadsheetId(req, getSheetType(sheetName), req.body.spreadsheetId);
+    assertScope(req, { spreadsheetId, type: getSheetType(sheetName) });
 
-    const auth = await getServiceAccountAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Convert data to array format
-    const dataArray = Array.isArray(data) ? data : [data];
-    const workoutId = Array.isArray(data) ? `REC-${generateTransactionId()}` : `TXN-${generateTransactionId()}`;
-
-    // Define headers for workouts
-    const headers = [
-      'Date', 'Workout Type', 'Exercises', 'Sets', 'Reps', 
-      'Progression / Notes', 'Time / Duration', 'RPE', 
-      'Energy / Mood', 'Next Focus / Adjustment'
-    ];
-
-    // Map the data to match the headers
-    const values = dataArray.map(item => {
-      console.log('Processing workout:', item);
-      return [
-        item.date || 'NA',
-        item.workoutType || 'NA',
-        item.exercises || 'NA',
-        item.sets || 'NA',
-        item.reps || 'NA',
-        item.progression || 'NA',
-        item.duration || 'NA',
-        item.rpe || 'NA',
-        item.energy || 'NA',
-        item.nextFocus || 'NA'
-      ];
-    });
-
-    // Append data to sheet
-    const response = await sheets.spreadsheets.values.append({
+    // Migrate instead of clearing, so existing rows move with their columns
+    const migration = await migrateSheet({
       spreadsheetId,
-      range: `${sheetName}!A:J`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values
-      }
+      sheetName,
+      headers,
+      renames: parseRenames(req.body.renames),
+      dryRun: req.body.dryRun === true,
+      userId: req.user?.id
     });
 
-    console.log('Data appended successfully:', response.data);
-
     res.json({
       success: true,
-      message: 'Workout logged successfully',
-      transactionId: workoutId,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      message: migration.applied ? 'Headers set successfully' : 'No changes applied',
+      migration,
+      results: buildResults(true)
     });
-    } catch (error) {
-    console.error('Error logging workout:', error);
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error setting headers:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to log workout',
+      message: 'Failed to set headers',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Add new endpoint for food logging
-app.post('/api/log-food', async (req, res) => {
+// Migrate a sheet's header row without losing data. Pass `type` to migrate a
+// log type's sheet to the registry's headers, or `sheetName` and `headers`.
+// `dryRun: true` returns the diff without changing anything.
+app.post('/api/migrations', async (req, res) => {
   try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = SHEET_NAMES.food, data } = req.body;
-    if (!data) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    const { type, renames, dryRun = false } = req.body;
+    const logType = type ? getLogType(type) : null;
+    if (type && !logType) {
+      return res.status(400).json({ success: false, message: `Unknown log type: ${type}` });
     }
+    const primary = logType ? resolveTargets(req, type, req.body)[0] : null;
+    const {
+      sheetName = primary?.sheetName,
+      headers = logType ? getHeaders(logType) : undefined
+    } = req.body;
+    if (!sheetName || !Array.isArray(headers) || headers.some(header => typeof header !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Provide type, or sheetName and a list of headers' });
+    }
+    const spreadsheetId = primary ? primary.spreadsheetId : getSpreadsheetId(req, getSheetType(sheetName), req.body.spreadsheetId);
+    assertScope(req, { spreadsheetId, type: type || getSheetType(sheetName) });
 
-    const auth = await getServiceAccountAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Convert data to array format
-    const dataArray = Array.isArray(data) ? data : [data];
-    const mealId = Array.isArray(data) ? `REC-${generateTransactionId()}` : `TXN-${generateTransactionId()}`;
-
-    // Define headers for meals
-    const headers = [
-      'Date', 'Meal Type', 'Time Eaten', 'Food / Meal Description',
-      'Portion / Serving Size', 'Calories', 'Macros',
-      'Mood / Energy After Eating', 'Notes'
-    ];
-
-    // Map the data to match the headers
-    const values = dataArray.map(item => {
-      console.log('Processing meal:', item);
-      return [
-        item.date || 'NA',
-        item.mealType || 'NA',
-        item.timeEaten || 'NA',
-        item.description || 'NA',
-        item.portion || 'NA',
-        item.calories || 'NA',
-        item.macros || 'NA',
-        item.mood || 'NA',
-        item.notes || 'NA'
-      ];
-    });
-
-    // Append data to sheet
-    const response = await sheets.spreadsheets.values.append({
+    const migration = await migrateSheet({
       spreadsheetId,
-      range: `${sheetName}!A:I`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values
-      }
+      sheetName,
+      headers,
+      renames: parseRenames(renames),
+      dryRun: dryRun === true,
+      userId: req.user?.id
     });
 
-    console.log('Data appended successfully:', response.data);
-
     res.json({
       success: true,
-      message: 'Meal logged successfully',
-      transactionId: mealId,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      message: dryRun ? 'Dry run; nothing was changed' : migration.applied ? 'Sheet migrated successfully' : 'Headers already match; nothing to change',
+      dryRun: dryRun === true,
+      ...migration,
+      results: buildResults(true)
     });
   } catch (error) {
-    console.error('Error logging meal:', error);
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'migrating sheet', req);
     res.status(500).json({
       success: false,
-      message: 'Failed to log meal',
+      message: 'Failed to migrate sheet',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Add new endpoint for journal entries
-app.post('/api/log-journal', async (req, res) => {
+app.get('/api/migrations', (req, res) => {
+  const { spreadsheetId, sheetName } = req.query;
+  const migrations = migrationLog.list({ spreadsheetId, sheetName })
+    .filter(record => canSeeMigration(req, record))
+    .map(({ userId, ...record }) => record);
+  res.json({ success: true, migrations });
+});
+
+// Undo the latest migration of a sheet by migrating back to its old headers.
+// Columns it added are dropped if still empty, otherwise kept at the end.
+app.post('/api/migrations/:migrationId/rollback', async (req, res) => {
   try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = SHEET_NAMES.journal, data } = req.body;
-    if (!data) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    const record = migrationLog.get(req.params.migrationId);
+    if (!record || !canSeeMigration(req, record)) {
+      return res.status(404).json({ success: false, message: `No migration found with ID ${req.params.migrationId}` });
+    }
+    if (migrationLog.latest(record.spreadsheetId, record.sheetName).id !== record.id) {
+      return res.status(409).json({ success: false, message: 'Only the latest migration of a sheet can be rolled back' });
     }
 
-    const auth = await getServiceAccountAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Convert data to array format
-    const dataArray = Array.isArray(data) ? data : [data];
-    const entryId = Array.isArray(data) ? `REC-${generateTransactionId()}` : `TXN-${generateTransactionId()}`;
-
-    // Define headers for journal entries
-    const headers = [
-      'Date', 'What happened?', 'Where did I see God?',
-      'What is God teaching me?', 'How can I respond in faith?',
-      'Prayer / Conversation with God', 'Scripture', 'Gratitude'
-    ];
-
-    // Map the data to match the headers
-    const values = dataArray.map(item => {
-      console.log('Processing journal entry:', item);
-      return [
-        item.date || 'NA',
-        item.whatHappened || 'NA',
-        item.whereGod || 'NA',
-        item.teaching || 'NA',
-        item.response || 'NA',
-        item.prayer || 'NA',
-        item.scripture || 'NA',
-        item.gratitude || 'NA'
-      ];
-    });
-
-    // Append data to sheet
-    const response = await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetName}!A:G`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values
-      }
+    const dryRun = req.body.dryRun === true;
+    const migration = await migrateSheet({
+      spreadsheetId: record.spreadsheetId,
+      sheetName: record.sheetName,
+      headers: record.before,
+      renames: invertRenames(record.renames),
+      dryRun,
+      userId: req.user?.id,
+      rollbackOf: record.id
     });
 
-    console.log('Data appended successfully:', response.data);
-
     res.json({
       success: true,
-      message: 'Journal entry logged successfully',
-      transactionId: entryId,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      message: dryRun ? 'Dry run; nothing was changed' : `Migration ${record.id} rolled back`,
+      dryRun,
+      ...migration,
+      results: buildResults(true)
     });
   } catch (error) {
-    console.error('Error logging journal entry:', error);
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'rolling back migration', req);
     res.status(500).json({
       success: false,
-      message: 'Failed to log journal entry',
+      message: 'Failed to roll back migration',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Add new endpoint for status updates
-app.post('/api/log-status', async (req, res) => {
-  try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName = SHEET_NAMES.status, data } = req.body;
-    if (!data) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
-    }
+// Where each chat conversation is up to (see lib/chat.js)
+const chatThreads = createThreadTracker();
 
-    const auth = await getServiceAccountAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Convert data to array format
-    const dataArray = Array.isArray(data) ? data : [data];
-    const statusId = Array.isArray(data) ? `REC-${generateTransactionId()}` : `TXN-${generateTransactionId()}`;
-
-    // Define headers for status updates
-    const headers = [
-      'Date', 'Time / Time Block', 'Activity / Task',
-      'Category', 'Location', 'Mood', 'Energy Level',
-      'Focus Level', 'Notes / Observations'
-    ];
-
-    // Map the data to match the headers
-    const values = dataArray.map(item => {
-      console.log('Processing status update:', item);
-      return [
-        item.date || 'NA',
-        item.timeBlock || 'NA',
-        item.activity || 'NA',
-        item.category || 'NA',
-        item.location || 'NA',
-        item.mood || 'NA',
-        item.energyLevel || 'NA',
-        item.focusLevel || 'NA',
-        item.notes || 'NA'
-      ];
+const chatThreadKey = (chatType, userId, spreadsheetId, conversationId) =>
+  [chatType.schemaName, userId || '', spreadsheetId, conversationId].join('\u0000');
+
+// Read the messages of one conversation from a Chat tab, in thread order
+const readChatThread = async (chatType, { spreadsheetId, sheetName = chatType.sheetName, conversationId, userId = null }) => {
+  const [sheetHeaders = [], ...rows] = await getStorage(userId).read(spreadsheetId, sheetName);
+  const columnMap = createColumnMap(getHeaders(chatType), sheetHeaders);
+  return sortThread(rows
+    .map(row => parseRow(chatType, columnMap.fromSheet(row)))
+    .filter(entry => entry.conversationId === conversationId));
+};
+
+// Append chat rows to one target and return warnings about unwritten columns
+const writeChatRows = async (chatType, { spreadsheetId, sheetName, rows, userId = null }) => {
+  const target = getStorage(userId);
+  const columnMap = await resolveColumnMap(target, { spreadsheetId, sheetName, headers: getHeaders(chatType), userId });
+  const response = await target.append(spreadsheetId, sheetName, rows.map(columnMap.toSheet));
+  console.log(`Logged ${rows.length} chat message(s) to ${spreadsheetId}:`, response.updatedRange);
+  return columnMap.missing.length
+    ? [`${sheetName} has no column for ${columnMap.missing.join(', ')}; not written to the sheet`]
+    : [];
+};
+
+// Validate chat messages and append them to a conversation. Each message gets
+// a message ID and the next sequence number; its role is inferred from
+// `roleFrom` (sender or source) and its parent defaults to the message before.
+// Numbering follows the primary target; other targets get copies of the same
+// rows, and a failed copy is reported as a warning.
+const appendChatMessages = async (chatType, { targets, conversationId, messages, roleFrom, userId = null }) => {
+  const valid = [].concat(validateLogData(chatType, messages, { path: 'messages' }));
+  const [{ spreadsheetId, sheetName }, ...copies] = targets;
+
+  const loadPosition = async () => {
+    const thread = await readChatThread(chatType, { spreadsheetId, sheetName, conversationId, userId });
+    const last = thread.filter(entry => entry.sequence !== null).pop();
+    return { sequence: last ? last.sequence : 0, lastMessageId: last ? last.messageId : null };
+  };
+
+  return chatThreads.run(chatThreadKey(chatType, userId, spreadsheetId, conversationId), loadPosition, async (position) => {
+    const now = new Date().toISOString();
+    let { sequence, lastMessageId } = position;
+
+    const logged = valid.map(message => {
+      sequence += 1;
+      const role = message.role || inferRole(message[roleFrom]);
+      const entry = {
+        ...message,
+        timestamp: message.timestamp || now,
+        role,
+        parentMessageId: message.parentMessageId || lastMessageId,
+        conversationId,
+        messageId: generateTransactionId('MSG'),
+        sequence
+      };
+      if (roleFrom === 'sender' && !entry.sender) entry.sender = role;
+      lastMessageId = entry.messageId;
+      return entry;
     });
 
-    // Append data to sheet
-    const response = await sheets.spreadsheets.values.append({
-      spreadsheetId,
-      range: `${sheetName}!A:I`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values
+    const rows = logged.map(entry => buildRow(chatType, entry, entry));
+    const warnings = await writeChatRows(chatType, { spreadsheetId, sheetName, rows, userId });
+    for (const copy of copies) {
+      try {
+        warnings.push(...await writeChatRows(chatType, { ...copy, rows, userId }));
+      } catch (error) {
+        logErrorDetails(error, `copying chat messages to ${copy.spreadsheetId}`);
+        warnings.push(`Could not copy the messages to ${copy.spreadsheetId}: ${error.message}`);
       }
-    });
+    }
 
-    console.log('Data appended successfully:', response.data);
+    return {
+      position: { sequence, lastMessageId },
+      value: { messages: rows.map(row => parseRow(chatType, row)), warnings }
+    };
+  });
+};
+
+// Add new endpoint for chat logging backup
+app.post('/api/log-chat-backup', async (req, res) => {
+  try {
+    const { data } = req.body;
+    if (!data) {
+      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    }
+    const targets = resolveTargets(req, 'chat-backup', req.body);
+    assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type: 'chat' });
+    const conversationId = String(req.body.conversationId || generateTransactionId('CHAT'));
+
+    const result = await appendChatMessages(BACKUP_CHAT_TYPE, {
+      targets,
+      conversationId,
+      messages: normalizeMessages(data),
+      roleFrom: 'source',
+      userId: req.user?.id
+    });
 
     res.json({
       success: true,
-      message: 'Status update logged successfully',
-      transactionId: statusId,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      message: 'Chat backup logged successfully',
+      chatId: conversationId,
+      conversationId,
+      messages: result.messages,
+      warnings: result.warnings,
+      results: buildResults(true)
     });
   } catch (error) {
-    console.error('Error logging status update:', error);
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    console.error('Error logging chat backup:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to log status update',
+      message: 'Failed to log chat backup',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Add new endpoint for setting headers
-app.post('/api/set-headers', async (req, res) => {
+// Log one or more messages of a conversation. Send `conversationId` with every
+// call of the same chat; without one a new conversation is started and its ID
+// returned. Accepts `messages`, one message as top-level fields, or the
+// original { message, sender } form.
+app.post('/api/log-chat', async (req, res) => {
   try {
-    const { spreadsheetId = DEFAULT_SPREADSHEET_ID, sheetName, headers } = req.body;
-    if (!sheetName || !headers) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
+    const messages = getChatMessages(req.body);
+    if (!messages) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required parameters. Please provide message and sender, or messages.'
+      });
     }
+    const targets = resolveTargets(req, 'chat', req.body);
+    assertScope(req, { spreadsheetId: targets[0].spreadsheetId, type: 'chat' });
+    const conversationId = String(req.body.conversationId || generateTransactionId('CONV'));
 
-    const auth = await getServiceAccountAuth();
-    const sheets = google.sheets({ version: 'v4', auth });
-
-    // Clear existing data
-    await sheets.spreadsheets.values.clear({
-      spreadsheetId,
-      range: `${sheetName}!A:Z`
-    });
-
-    // Set new headers
-    const response = await sheets.spreadsheets.values.update({
-      spreadsheetId,
-      range: `${sheetName}!A1`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: [headers]
+    let result;
+    try {
+      result = await appendChatMessages(CHAT_TYPE, { targets, conversationId, messages, roleFrom: 'sender', userId: req.user?.id });
+    } catch (error) {
+      if (isClientError(error)) throw error;
+      logErrorDetails(error, 'logging chat message', req);
+      // The append may still land after the timeout; let a retry replay it
+      if (error.pending && res.locals.idempotencyKey) {
+        res.locals.lateResponse = error.pending.then(() => ({
+          success: true,
+          message: 'Chat message logged successfully',
+          conversationId,
+          results: buildResults(true)
+        }));
       }
-    });
+      throw new Error(`Failed to log chat message: ${error.message}`);
+    }
 
     res.json({
       success: true,
-      message: 'Headers set successfully',
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      message: 'Chat message logged successfully',
+      timestamp: result.messages[0].timestamp,
+      conversationId,
+      messages: result.messages,
+      warnings: result.warnings,
+      results: buildResults(true)
     });
   } catch (error) {
-    console.error('Error setting headers:', error);
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, errors: error.errors });
+    }
+    console.error('Error logging chat message:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to set headers',
+      message: 'Failed to log chat message',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
 
-// Add new endpoint for chat logging backup
-app.post('/api/log-chat-backup', async (req, res) => {
+// Reconstruct a whole conversation in order. `backup=true` reads the backup
+// spreadsheet written by /api/log-chat-backup.
+app.get('/api/chat/:conversationId', async (req, res) => {
   try {
-    const { data } = req.body;
-    if (!data) {
-      return res.status(400).json({ success: false, message: 'Missing required parameters' });
-    }
-
-    const sheets = await getSheets();
-
-    // Convert data to array format
-    const dataArray = Array.isArray(data) ? data : [data];
-    const chatId = Array.isArray(data) ? `CHAT-${generateTransactionId()}` : `CHAT-${generateTransactionId()}`;
-
-    // Define headers for chat logs
-    const headers = [
-      'Chat ID', 'Timestamp', 'Message Type', 'Message Content', 
-      'Source', 'Status', 'Notes'
-    ];
-
-    // First, check if headers exist
-    const headerResponse = await sheets.spreadsheets.values.get({
-      spreadsheetId: BACKUP_SPREADSHEET_ID,
-      range: `${SHEET_NAMES.chat}!A1:G1`
-    });
-
-    // If no headers exist or they don't match, set them
-    if (!headerResponse.data.values || headerResponse.data.values[0].join('\t') !== headers.join('\t')) {
-      console.log('Setting headers in chat sheet');
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: BACKUP_SPREADSHEET_ID,
-        range: `${SHEET_NAMES.chat}!A1:G1`,
-        valueInputOption: 'RAW',
-        requestBody: {
-          values: [headers]
-        }
-      });
+    const backup = req.query.backup === 'true';
+    const chatType = backup ? BACKUP_CHAT_TYPE : CHAT_TYPE;
+    const [{ spreadsheetId, sheetName }] = resolveTargets(req, backup ? 'chat-backup' : 'chat', req.query);
+    assertScope(req, { spreadsheetId, type: 'chat' });
+
+    const { conversationId } = req.params;
+    const messages = await readChatThread(chatType, { spreadsheetId, sheetName, conversationId, userId: req.user?.id });
+    if (!messages.length) {
+      throw new HttpError(404, `No messages found for conversation ${conversationId}`);
     }
 
-    // Map the data to match the headers
-    const values = dataArray.map(item => {
-      console.log('Processing chat message:', item);
-      return [
-        chatId,                                    // Chat ID
-        new Date().toISOString(),                 // Timestamp
-        item.type || 'message',                   // Message Type
-        item.content || item.message || 'NA',     // Message Content
-        item.source || 'user',                    // Source
-        item.status || 'logged',                  // Status
-        item.notes || 'Backup log entry'          // Notes
-      ];
-    });
-
-    // Append data to sheet
-    const response = await sheets.spreadsheets.values.append({
-      spreadsheetId: BACKUP_SPREADSHEET_ID,
-      range: `${SHEET_NAMES.chat}!A:G`,
-      valueInputOption: 'RAW',
-      requestBody: {
-        values: values
-      }
-    });
-
-    console.log('Chat backup logged successfully:', response.data);
-
     res.json({
       success: true,
-      message: 'Chat backup logged successfully',
-      chatId: chatId,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: true
-      }
+      conversationId,
+      count: messages.length,
+      messages,
+      results: buildResults(true)
     });
   } catch (error) {
-    console.error('Error logging chat backup:', error);
+    if (isClientError(error)) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logErrorDetails(error, 'reading chat thread', req);
     res.status(500).json({
       success: false,
-      message: 'Failed to log chat backup',
+      message: 'Failed to read conversation',
       error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: 'serviceAccount',
-        success: false
-      }
+      results: buildResults(false)
     });
   }
 });
@@ -1024,108 +3254,3 @@ const server = app.listen(PORT, () => {
 server.timeout = 120000; // 120 second timeout for mobile clients
 server.keepAliveTimeout = 65000; // Keep-alive timeout
 server.headersTimeout = 66000; // Headers timeout must be > keepAliveTimeout
-
-// Add new endpoint for automatic chat logging
-app.post('/api/log-chat', async (req, res) => {
-  try {
-    const { message, sender } = req.body;
-    if (!message || !sender) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Missing required parameters. Please provide message and sender.'
-      });
-    }
-
-    const sheets = await getSheets();
-    const timestamp = new Date().toISOString();
-
-    // Define headers for chat logs (simple 3-column format)
-    const headers = ['Timestamp', 'Sender', 'Message'];
-
-    // First, check if headers exist
-    try {
-      const headerResponse = await Promise.race([
-        sheets.spreadsheets.values.get({
-          spreadsheetId: DEFAULT_SPREADSHEET_ID,
-          range: `${SHEET_NAMES.chat}!A1:C1`
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout checking headers')), 15000))
-      ]);
-
-      // If no headers exist or they don't match, set them
-      if (!headerResponse.data.values || headerResponse.data.values[0].join('\t') !== headers.join('\t')) {
-        console.log('Setting headers in chat sheet');
-        await sheets.spreadsheets.values.update({
-          spreadsheetId: DEFAULT_SPREADSHEET_ID,
-          range: `${SHEET_NAMES.chat}!A1:C1`,
-          valueInputOption: 'RAW',
-          requestBody: {
-            values: [headers]
-          }
-        });
-      }
-    } catch (error) {
-      // If the sheet doesn't exist yet, we'll create it by appending data
-      console.log('Chat sheet may not exist yet, will create it with data');
-    }
-
-    // Prepare the chat message row
-    const row = [
-      timestamp,               // Timestamp
-      sender,                  // Sender (me/gpt)
-      message                  // Message content
-    ];
-
-    // Append data to sheet
-    try {
-      const response = await Promise.race([
-        sheets.spreadsheets.values.append({
-          spreadsheetId: DEFAULT_SPREADSHEET_ID,
-          range: `${SHEET_NAMES.chat}!A:C`,
-          valueInputOption: 'RAW',
-          requestBody: {
-            values: [row]
-          }
-        }),
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout appending data')), 20000))
-      ]);
-
-      console.log('Chat message logged successfully:', response.data);
-
-      res.json({
-        success: true,
-        message: 'Chat message logged successfully',
-        timestamp: timestamp,
-        results: {
-          methods: {
-            serviceAccount: true,
-            oauth: false,
-            queue: false
-          },
-          primaryMethod: "serviceAccount",
-          success: true
-        }
-      });
-    } catch (error) {
-      logErrorDetails(error, 'logging chat message', req);
-      throw new Error(`Failed to log chat message: ${error.message}`);
-    }
-  } catch (error) {
-    console.error('Error logging chat message:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to log chat message',
-      error: error.message,
-      results: {
-        methods: {
-          serviceAccount: true,
-          oauth: false,
-          queue: false
-        },
-        primaryMethod: "serviceAccount",
-        success: false
-      }
-    });
-  }
-});
-
@@ -1,6 +1,14 @@
 const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 
-const BASE_URL = 'https://gpt-to-sheet.onrender.com';
+// Point at a local server (e.g. STORAGE_BACKEND=local npm start) with BASE_URL=http://localhost:3000
+const BASE_URL = process.env.BASE_URL || 'https://gpt-to-sheet.onrender.com';
+
+// Sent with every request; use a key with access to all log types
+if (process.env.API_KEY) {
+  axios.defaults.headers.common.Authorization = `Bearer ${process.env.API_KEY}`;
+}
 
 async function testEndpoints() {
   try {
@@ -21,7 +29,7 @@ async function testEndpoints() {
         date: new Date().toISOString().split('T')[0],
         time: new Date().toTimeString().split(' ')[0],
         accountName: 'Test Account',
-        transactionType: 'Test',
+        transactionType: 'Expense',
         amount: 100,
         category: 'Test Category'
       }
@@ -42,7 +50,7 @@ async function testEndpoints() {
     const workoutData = {
       data: {
         date: new Date().toISOString().split('T')[0],
-        workoutType: 'Test Workout',
+        workoutType: 'Push',
         exercises: 'Test Exercise',
         sets: 3,
         reps: 10
@@ -56,7 +64,7 @@ async function testEndpoints() {
     const foodData = {
       data: {
         date: new Date().toISOString().split('T')[0],
-        mealType: 'Test Meal',
+        mealType: 'Lunch',
         description: 'Test Food',
         calories: 500
       }
@@ -90,6 +98,44 @@ async function testEndpoints() {
     const statusResponse = await axios.post(`${BASE_URL}/api/log-status`, statusData);
     console.log('Log status endpoint:', statusResponse.data.success ? '✅ OK' : '❌ Failed');
 
+    // Test recurring entries endpoint (dryRun: previews without adding the template)
+    console.log('\nTesting recurring entries endpoint...');
+    const recurringResponse = await axios.post(`${BASE_URL}/api/recurring`, {
+      type: 'transactions',
+      schedule: 'FREQ=MONTHLY;BYDAY=-1FR',
+      data: { transactionType: 'Expense', amount: 100, category: 'Test Category' },
+      dryRun: true
+    });
+    console.log('Recurring entries endpoint:', recurringResponse.data.upcoming?.length ? '✅ OK' : '❌ Failed');
+
+    // Test receipt upload endpoint (a preview; nothing is logged without log=true)
+    console.log('\nTesting receipt upload endpoint...');
+    const receiptForm = new FormData();
+    receiptForm.append('file', new Blob([fs.readFileSync(path.join(__dirname, 'test/fixtures/receipt.pdf'))], { type: 'application/pdf' }), 'receipt.pdf');
+    const receiptResponse = await axios.post(`${BASE_URL}/api/receipts`, receiptForm);
+    console.log('Receipt upload endpoint:', receiptResponse.data.draft?.length ? '✅ OK' : '❌ Failed');
+
+    // Test statement import endpoint (dryRun: reads the file without logging it)
+    console.log('\nTesting statement import endpoint...');
+    const statementForm = new FormData();
+    statementForm.append('file', new Blob([fs.readFileSync(path.join(__dirname, 'test/fixtures/bank-dmy.csv'))]), 'bank-dmy.csv');
+    statementForm.append('dryRun', 'true');
+    const statementResponse = await axios.post(`${BASE_URL}/api/statements/import`, statementForm);
+    console.log('Statement import endpoint:', statementResponse.data.summary?.new === 4 ? '✅ OK' : '❌ Failed');
+
+    // Test rules endpoints (the test call shows what the rules would set, without logging)
+    console.log('\nTesting rules endpoints...');
+    const rulesResponse = await axios.get(`${BASE_URL}/api/rules`);
+    const ruleTestResponse = await axios.post(`${BASE_URL}/api/rules/test`, {
+      data: { establishment: 'Test Establishment', amount: 100 }
+    });
+    console.log('Rules endpoints:', Array.isArray(rulesResponse.data.rules) && Array.isArray(ruleTestResponse.data.appliedRules) ? '✅ OK' : '❌ Failed');
+
+    // Test exchange rates endpoint
+    console.log('\nTesting exchange rates endpoint...');
+    const ratesResponse = await axios.get(`${BASE_URL}/api/exchange-rates`);
+    console.log('Exchange rates endpoint:', ratesResponse.data.homeCurrency && Array.isArray(ratesResponse.data.rates) ? '✅ OK' : '❌ Failed');
+
   } catch (error) {
     console.error('Error testing endpoints:', error.message);
     if (error.response) {
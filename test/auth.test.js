@@ -0,0 +1,152 @@
+// API keys (lib/auth.js): the hashed key store, the middleware that checks
+// Bearer and X-API-Key headers, and spreadsheet / log type scopes.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createApiKeyStore, createAuthMiddleware, hasScope, assertScope, requireAdmin, secretsEqual } = require('../lib/auth');
+
+// A key file in a temporary directory, removed after `run`
+const withKeyFile = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+  try {
+    return await run(path.join(dir, 'api-keys.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// An app with the middleware in front of /api/whoami, /health and an admin route
+const startApp = async (options) => {
+  const app = express();
+  app.use(createAuthMiddleware(options));
+  app.get('/health', (req, res) => res.json({ ok: true }));
+  app.get('/api/whoami', (req, res) => res.json({ id: req.apiKey && req.apiKey.id }));
+  app.get('/api/admin/keys', requireAdmin, (req, res) => res.json({ admin: true }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const get = async (route, headers = {}) => {
+    const response = await fetch(base + route, { headers });
+    return { status: response.status, authenticate: response.headers.get('WWW-Authenticate'), body: await response.json() };
+  };
+  return { get, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+test('store: created keys are returned once and only their hash is saved', () => withKeyFile(async (filePath) => {
+  const store = createApiKeyStore({ filePath });
+  const created = store.create({ name: 'My GPT', spreadsheets: 'sheet-1', logTypes: ['food'] });
+  assert.match(created.key, /^gts_/);
+  assert.deepEqual([created.spreadsheets, created.logTypes, created.admin, created.disabled], [['sheet-1'], ['food'], false, false]);
+
+  const saved = fs.readFileSync(filePath, 'utf8');
+  assert.ok(!saved.includes(created.key));
+  assert.equal(store.authenticate(created.key).id, created.id);
+  assert.equal(store.authenticate('gts_wrong'), null);
+  // Hashes never leave the store
+  assert.ok(!('keyHash' in store.list()[0]));
+
+  // A restart reads the same keys back
+  assert.equal(createApiKeyStore({ filePath }).authenticate(created.key).id, created.id);
+}));
+
+test('store: plaintext keys in a hand-edited file are hashed on load', () => withKeyFile(async (filePath) => {
+  fs.writeFileSync(filePath, JSON.stringify({ keys: [{ id: 'key-1', name: 'Hand made', key: 'secret-1' }] }));
+  const store = createApiKeyStore({ filePath });
+  assert.deepEqual(store.list().map(({ id, spreadsheets, logTypes }) => [id, spreadsheets, logTypes]), [['key-1', ['*'], ['*']]]);
+  assert.equal(store.authenticate('secret-1').id, 'key-1');
+  assert.ok(!fs.readFileSync(filePath, 'utf8').includes('secret-1'));
+}));
+
+test('store: keys can be updated, disabled and removed', () => withKeyFile(async (filePath) => {
+  const store = createApiKeyStore({ filePath });
+  const { key, id } = store.create();
+  assert.deepEqual(store.update(id, { name: 'Renamed', logTypes: 'transactions' }).logTypes, ['transactions']);
+  assert.equal(store.update('key-missing', { name: 'x' }), null);
+
+  store.update(id, { disabled: true });
+  assert.equal(store.authenticate(key), null);
+  store.update(id, { disabled: false });
+  assert.equal(store.authenticate(key).name, 'Renamed');
+
+  assert.equal(store.remove(id), true);
+  assert.equal(store.remove(id), false);
+  assert.equal(store.authenticate(key), null);
+}));
+
+test('middleware: keys are read from Bearer or X-API-Key, and missing or bad keys get a 401', () => withKeyFile(async (filePath) => {
+  const store = createApiKeyStore({ filePath });
+  const { key, id } = store.create();
+  const app = await startApp({ store, adminKey: 'admin-secret', publicPaths: ['/health'] });
+  try {
+    assert.deepEqual((await app.get('/api/whoami', { Authorization: `Bearer ${key}` })).body, { id });
+    assert.deepEqual((await app.get('/api/whoami', { 'X-API-Key': key })).body, { id });
+    assert.deepEqual((await app.get('/api/whoami', { Authorization: 'Bearer admin-secret' })).body, { id: 'admin' });
+    assert.equal((await app.get('/health')).status, 200);
+
+    const missing = await app.get('/api/whoami');
+    assert.deepEqual([missing.status, missing.authenticate, missing.body.message], [401, 'Bearer', 'Missing API key']);
+    const invalid = await app.get('/api/whoami', { Authorization: 'Bearer gts_wrong' });
+    assert.deepEqual([invalid.status, invalid.body.message], [401, 'Invalid API key']);
+    assert.match(invalid.authenticate, /invalid_token/);
+
+    // Only admin keys reach the admin routes
+    const forbidden = await app.get('/api/admin/keys', { 'X-API-Key': key });
+    assert.deepEqual([forbidden.status, forbidden.body.message], [403, 'Admin API key required']);
+    assert.equal((await app.get('/api/admin/keys', { 'X-API-Key': 'admin-secret' })).status, 200);
+    // Near misses of the admin key are just invalid keys
+    assert.equal((await app.get('/api/whoami', { 'X-API-Key': 'admin-secre' })).status, 401);
+    assert.equal((await app.get('/api/whoami', { 'X-API-Key': 'admin-secret2' })).status, 401);
+  } finally {
+    await app.close();
+  }
+}));
+
+test('middleware: with auth disabled every request goes through without a key', () => withKeyFile(async (filePath) => {
+  const app = await startApp({ store: createApiKeyStore({ filePath }), disabled: true });
+  try {
+    assert.deepEqual(await app.get('/api/whoami'), { status: 200, authenticate: null, body: { id: null } });
+    assert.equal((await app.get('/api/admin/keys')).status, 200);
+  } finally {
+    await app.close();
+  }
+}));
+
+test('secrets of any length are compared without throwing', () => {
+  assert.equal(secretsEqual('admin-secret', 'admin-secret'), true);
+  assert.equal(secretsEqual('admin-secre', 'admin-secret'), false);
+  assert.equal(secretsEqual('x'.repeat(500), 'admin-secret'), false);
+  assert.equal(secretsEqual(undefined, 'admin-secret'), false);
+});
+
+test('scopes: spreadsheets and log types are allow-lists, and raw access needs every type', () => {
+  const req = { apiKey: { spreadsheets: ['sheet-1'], logTypes: ['food'] } };
+  assert.equal(hasScope(req, { spreadsheetId: 'sheet-1', type: 'food' }), true);
+  assert.equal(hasScope(req, { spreadsheetId: 'sheet-1', type: 'transactions' }), false);
+  assert.equal(hasScope(req, { spreadsheetId: 'sheet-2', type: 'food' }), false);
+  assert.throws(() => assertScope(req, { spreadsheetId: 'sheet-2', type: 'food' }),
+    { statusCode: 403, message: 'API key is not allowed to access spreadsheet sheet-2' });
+  assert.throws(() => assertScope(req, { spreadsheetId: 'sheet-1' }),
+    { statusCode: 403, message: 'API key is not allowed raw sheet access' });
+
+  const everything = { apiKey: { spreadsheets: ['*'], logTypes: ['*'] } };
+  assert.doesNotThrow(() => assertScope(everything, { spreadsheetId: 'any' }));
+  // No key at all means auth is disabled
+  assert.equal(hasScope({ apiKey: null }, { spreadsheetId: 'any', type: 'food' }), true);
+});
+
+test('middleware: in OAuth mode a user access token is accepted as a full-scope key', () => withKeyFile(async (filePath) => {
+  const oauth = { authenticate: (token) => token === 'gta_user' ? { id: 'user-1', email: 'user@example.com' } : null };
+  const app = await startApp({ store: createApiKeyStore({ filePath }), oauth });
+  try {
+    assert.deepEqual((await app.get('/api/whoami', { Authorization: 'Bearer gta_user' })).body, { id: 'user:user-1' });
+    assert.equal((await app.get('/api/admin/keys', { Authorization: 'Bearer gta_user' })).status, 403);
+    assert.equal((await app.get('/api/whoami', { Authorization: 'Bearer gta_other' })).status, 401);
+  } finally {
+    await app.close();
+  }
+}));
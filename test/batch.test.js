@@ -0,0 +1,100 @@
+// POST /api/batch, against the server running on the local storage backend:
+// partial batches, and all-or-nothing batches that roll back a failed write.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseCsv } = require('../lib/csv');
+
+// Runs server.js with its data in a temporary directory; `run` gets a `post`
+// helper and the data directory. The server is stopped afterwards.
+const withServer = async (run) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, STORAGE_BACKEND: 'local', AUTH_DISABLED: 'true', DEFAULT_SPREADSHEET_ID: 'main' },
+    stdio: 'ignore'
+  });
+  const base = `http://127.0.0.1:${port}`;
+  try {
+    for (let tries = 0; ; tries++) {
+      try {
+        await fetch(`${base}/health`);
+        break;
+      } catch (error) {
+        if (tries > 100) throw error;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    const post = async (body) => {
+      const response = await fetch(`${base}/api/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+    return await run(post, dataDir);
+  } finally {
+    server.kill();
+    await new Promise(resolve => server.once('exit', resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+// Data rows of a local tab, or null when it was never written
+const readTab = (dataDir, spreadsheetId, sheetName) => {
+  const file = path.join(dataDir, 'sheets', encodeURIComponent(spreadsheetId), `${encodeURIComponent(sheetName)}.csv`);
+  return fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')).slice(1) : null;
+};
+
+const meal = { date: '2024-05-07', mealType: 'Lunch', description: 'Rice bowl' };
+const status = { date: '2024-05-07', activity: 'Walk' };
+
+test('a batch writes the valid items and reports the invalid ones', () => withServer(async (post, dataDir) => {
+  const { status: code, body } = await post({ items: [
+    { type: 'food', data: meal },
+    { type: 'status', data: status },
+    { type: 'food', data: { mealType: 'Brunch' } }
+  ] });
+  assert.equal(code, 200);
+  assert.deepEqual(body.items.map(item => item.status), ['logged', 'logged', 'invalid']);
+  assert.deepEqual(body.errors.map(error => error.path), ['items[2].data.date', 'items[2].data.mealType']);
+  assert.equal(readTab(dataDir, 'main', 'Meals').length, 1);
+  assert.equal(readTab(dataDir, 'main', 'Status').length, 1);
+}));
+
+test('a sheet without the expected columns is a 409, not a queued write', () => withServer(async (post, dataDir) => {
+  fs.mkdirSync(path.join(dataDir, 'sheets', 'main'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'sheets', 'main', 'Meals.csv'), 'Foo,Bar\n');
+
+  const { status: code, body } = await post({ items: [{ type: 'food', data: meal }] });
+  assert.equal(code, 409);
+  assert.match(body.message, /None of the expected columns are in Meals/);
+  assert.deepEqual(readTab(dataDir, 'main', 'Meals'), []);
+}));
+
+test('an atomic batch with an invalid item writes nothing', () => withServer(async (post, dataDir) => {
+  const { status: code, body } = await post({ atomic: true, items: [{ type: 'food', data: meal }, { type: 'journal', data: {} }] });
+  assert.equal(code, 422);
+  assert.deepEqual(body.items.map(item => item.status), ['skipped', 'invalid']);
+  assert.equal(readTab(dataDir, 'main', 'Meals'), null);
+}));
+
+test('an atomic batch that fails part way rolls back what it wrote', () => withServer(async (post, dataDir) => {
+  // A file where the second spreadsheet's folder should be makes its write fail
+  fs.mkdirSync(path.join(dataDir, 'sheets'), { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'sheets', 'broken'), '');
+
+  const { status: code, body } = await post({ atomic: true, items: [
+    { type: 'food', data: meal },
+    { type: 'status', data: status, spreadsheetId: 'broken' }
+  ] });
+  assert.equal(code, 500);
+  assert.equal(body.message, 'Batch failed; everything written was rolled back');
+  assert.deepEqual(body.items.map(item => item.status), ['rolled_back', 'rolled_back']);
+  assert.deepEqual(readTab(dataDir, 'main', 'Meals'), []);
+}));
@@ -0,0 +1,70 @@
+// Budgets (lib/budgets.js): usage within a budget's period, and the alerts
+// for transactions that go over it.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBudgetUsage, checkBudgets, describeAlerts } = require('../lib/budgets');
+
+const groceries = { budgetId: 'BUD-1', category: 'Groceries', period: 'Monthly', limit: 100 };
+
+const spend = (date, amount, fields = {}) => ({ date, amount, transactionType: 'Expense', linkedBudgetCategory: 'groceries', ...fields });
+
+test('usage counts the period\'s expenses and deductions against the limit plus allowances', () => {
+  const usage = getBudgetUsage(groceries, [
+    spend('2024-05-02', 40),
+    spend('2024-05-20', 30, { deductions: '5 fee' }),
+    spend('2024-05-21', 500, { transactionType: 'Income', allowances: '20' }),
+    spend('2024-04-30', 70),
+    spend('2024-05-03', 80, { linkedBudgetCategory: 'Dining' })
+  ], '2024-05-15');
+  assert.deepEqual(usage, {
+    budgetId: 'BUD-1',
+    category: 'Groceries',
+    period: 'Monthly',
+    periodLabel: '2024-05',
+    start: '2024-05-01',
+    end: '2024-05-31',
+    limit: 100,
+    allowances: 20,
+    spent: 75,
+    remaining: 45,
+    percentUsed: 62.5,
+    overBudget: false
+  });
+});
+
+test('every transaction but Income and Transfers is spending, untyped ones included', () => {
+  const usage = getBudgetUsage(groceries, [
+    spend('2024-05-02', 10),
+    spend('2024-05-03', 20, { transactionType: 'NA' }),
+    spend('2024-05-04', 30, { transactionType: undefined }),
+    spend('2024-05-05', 40, { transactionType: 'transfer' }),
+    spend('2024-05-06', 50, { transactionType: 'Income' })
+  ], '2024-05-15');
+  assert.deepEqual([usage.spent, usage.remaining], [60, 40]);
+});
+
+test('weekly budgets run Monday to Sunday', () => {
+  const weekly = { ...groceries, period: 'Weekly', limit: 50 };
+  const usage = getBudgetUsage(weekly, [spend('2024-05-05', 10), spend('2024-05-06', 20), spend('2024-05-12', 35)], '2024-05-08');
+  assert.deepEqual([usage.start, usage.end, usage.spent, usage.overBudget], ['2024-05-06', '2024-05-12', 55, true]);
+});
+
+test('new transactions report the budgets they touch, and which they took over the limit', () => {
+  const dining = { budgetId: 'BUD-2', category: 'Dining', period: 'Monthly', limit: 10 };
+  const existing = [spend('2024-05-02', 90), spend('2024-05-02', 15, { linkedBudgetCategory: 'Dining' })];
+  const usages = checkBudgets([groceries, dining], existing, [
+    spend('2024-05-10', 20),
+    spend('2024-06-01', 5),
+    spend('2024-05-11', 1, { linkedBudgetCategory: 'Dining' })
+  ]);
+  assert.deepEqual(usages.map(({ category, periodLabel, spent, overBudget, crossed }) => [category, periodLabel, spent, overBudget, crossed]), [
+    ['Groceries', '2024-05', 110, true, true],
+    ['Groceries', '2024-06', 5, false, false],
+    ['Dining', '2024-05', 16, true, false]
+  ]);
+  assert.deepEqual(describeAlerts(usages), [
+    'Groceries is now over its monthly budget: 110 spent of 100 (2024-05)',
+    'Dining is over its monthly budget: 16 spent of 10 (2024-05)'
+  ]);
+});
@@ -0,0 +1,68 @@
+// Chat threads (lib/chat.js): request shapes, role inference, thread order,
+// the per-conversation position tracker, and validating chat messages.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CHAT_TYPE, BACKUP_CHAT_TYPE, CHAT_HEADERS, inferRole, getChatMessages, normalizeMessages, sortThread, createThreadTracker } = require('../lib/chat');
+const { getHeaders } = require('../lib/log-types');
+const { validateLogData } = require('../lib/validation');
+
+test('both layouts keep their original columns first', () => {
+  assert.deepEqual(CHAT_HEADERS.slice(0, 4), ['Timestamp', 'Sender', 'Message', 'Conversation ID']);
+  assert.deepEqual(getHeaders(BACKUP_CHAT_TYPE).slice(0, 7), ['Chat ID', 'Timestamp', 'Message Type', 'Message Content', 'Source', 'Status', 'Notes']);
+  assert.deepEqual(CHAT_HEADERS.slice(4), getHeaders(BACKUP_CHAT_TYPE).slice(7));
+});
+
+test('messages come from `messages` or from top-level fields', () => {
+  assert.deepEqual(getChatMessages({ message: 'hi', sender: 'me', conversationId: 'c1' }), { content: 'hi', sender: 'me' });
+  assert.deepEqual(getChatMessages({ content: 'hi', role: 'user', promptTokens: 3 }), { content: 'hi', role: 'user', promptTokens: 3 });
+  assert.deepEqual(getChatMessages({ messages: [{ message: 'a' }, { content: 'b', role: 'assistant' }] }), [{ content: 'a' }, { content: 'b', role: 'assistant' }]);
+  assert.equal(getChatMessages({ conversationId: 'c1' }), null);
+  assert.deepEqual(normalizeMessages(['x']), ['x']);
+});
+
+test('roles are inferred from sender labels', () => {
+  assert.deepEqual(['GPT', 'chatgpt', 'bot', 'tool', 'system', 'me', '', undefined].map(inferRole),
+    ['assistant', 'assistant', 'assistant', 'tool', 'system', 'user', 'user', 'user']);
+});
+
+test('threads sort by sequence, with unnumbered rows after by timestamp', () => {
+  const sorted = sortThread([
+    { sequence: null, timestamp: '2024-05-01T10:00:00Z', content: 'old b' },
+    { sequence: 2, timestamp: '2024-05-02T00:00:00Z', content: 'second' },
+    { sequence: null, timestamp: '2024-05-01T09:00:00Z', content: 'old a' },
+    { sequence: 1, timestamp: '2024-05-03T00:00:00Z', content: 'first' }
+  ]);
+  assert.deepEqual(sorted.map(entry => entry.content), ['first', 'second', 'old a', 'old b']);
+});
+
+test('chat messages are validated, with timestamps coerced to ISO 8601', () => {
+  const [message] = validateLogData(CHAT_TYPE, [{ content: 'hi', timestamp: '2024-05-01 10:00:00Z', role: 'Assistant', promptTokens: '12' }], { path: 'messages' });
+  assert.deepEqual(message, { content: 'hi', timestamp: '2024-05-01T10:00:00.000Z', role: 'assistant', promptTokens: 12 });
+  assert.throws(() => validateLogData(CHAT_TYPE, [{ content: 'hi', timestamp: 'whenever', role: 'robot' }], { path: 'messages' }), {
+    statusCode: 422,
+    message: 'Invalid data: messages[0].timestamp must be a date and time (ISO 8601); messages[0].role must be one of: user, assistant, tool, system'
+  });
+});
+
+test('the tracker numbers one conversation at a time and reloads after a failure', async () => {
+  const tracker = createThreadTracker();
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    return { sequence: 0, lastMessageId: null };
+  };
+  const next = (id) => async (position) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const sequence = position.sequence + 1;
+    return { position: { sequence, lastMessageId: id }, value: { sequence, parent: position.lastMessageId } };
+  };
+
+  const results = await Promise.all([tracker.run('c1', load, next('m1')), tracker.run('c1', load, next('m2'))]);
+  assert.deepEqual(results, [{ sequence: 1, parent: null }, { sequence: 2, parent: 'm1' }]);
+  assert.equal(loads, 1);
+
+  await assert.rejects(tracker.run('c1', load, async () => { throw new Error('write failed'); }), /write failed/);
+  assert.deepEqual(await tracker.run('c1', load, next('m3')), { sequence: 1, parent: null });
+  assert.equal(loads, 2);
+});
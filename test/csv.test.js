@@ -0,0 +1,30 @@
+// CSV reading and writing (lib/csv.js): quoting, line numbers, and the blank
+// rows storage keeps and imports skip.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvLines, serializeCsv } = require('../lib/csv');
+
+test('cells with commas, quotes and newlines survive a round trip', () => {
+  const rows = [['Date', 'Notes'], ['2024-05-01', 'said "hi", left\nearly'], ['', 'x'], [null, 12]];
+  const text = serializeCsv(rows);
+  assert.equal(text, 'Date,Notes\n2024-05-01,"said ""hi"", left\nearly"\n,x\n,12\n');
+  assert.deepEqual(parseCsv(text), [['Date', 'Notes'], ['2024-05-01', 'said "hi", left\nearly'], ['', 'x'], ['', '12']]);
+  assert.deepEqual(parseCsv('a,b\r\nc,d'), [['a', 'b'], ['c', 'd']]);
+});
+
+test('parseCsv keeps blank rows, so row numbers match the file', () => {
+  assert.deepEqual(parseCsv('a\n\n,\nb'), [['a'], [''], ['', ''], ['b']]);
+});
+
+test('parseCsvLines: other delimiters, the line each row starts on, and no blank rows', () => {
+  const rows = parseCsvLines('a,"b, c","say ""hi"""\r\n"two\nlines",x,\r\n\r\n,,\nlast,1,2', ',');
+  assert.deepEqual(rows, [
+    { line: 1, values: ['a', 'b, c', 'say "hi"'] },
+    { line: 2, values: ['two\nlines', 'x', ''] },
+    { line: 6, values: ['last', '1', '2'] }
+  ]);
+  assert.deepEqual(parseCsvLines('a;"b;c"\n1;2', ';').map(({ values }) => values), [['a', 'b;c'], ['1', '2']]);
+  // A quote inside a field is just a character
+  assert.deepEqual(parseCsvLines('5" pipe,x').map(({ values }) => values), [['5" pipe', 'x']]);
+});
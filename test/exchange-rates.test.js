@@ -0,0 +1,138 @@
+// Exchange rates (lib/exchange-rates.js): checking rates, reading rate files,
+// converting transactions to the home currency and the rate table.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ExchangeRateError, parseRates, readRateFile, convertTransaction, createRateStore } = require('../lib/exchange-rates');
+const { ValidationError } = require('../lib/errors');
+
+const HOME = 'PHP';
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// A rate table in a temporary directory, removed after `run`
+const withStore = (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-rates-'));
+  try {
+    return run(createRateStore({ filePath: path.join(dir, 'rates.json'), homeCurrency: HOME }), path.join(dir, 'rates.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('rates are checked and normalized', () => {
+  assert.deepEqual(parseRates([{ currency: ' usd ', date: '2024-05-01', rate: '1,056.25' }], { homeCurrency: HOME }), [
+    { currency: 'USD', date: '2024-05-01', rate: 1056.25 }
+  ]);
+
+  const cases = [
+    [[], /rates must be a non-empty array/],
+    [{ currency: 'USD' }, /rates must be a non-empty array/],
+    [['USD'], /rates\[0\] must be an object/],
+    [[{ currency: 'US', date: '2024-05-01', rate: 1 }], /rates\[0\].currency must be a three-letter currency code/],
+    [[{ currency: 'php', date: '2024-05-01', rate: 1 }], /is the home currency \(PHP\)/],
+    [[{ currency: 'USD', date: '2024-02-30', rate: 1 }], /rates\[0\].date must be a date/],
+    [[{ currency: 'USD', date: '05/01/2024', rate: 1 }], /rates\[0\].date must be a date/],
+    [[{ currency: 'USD', date: '2024-05-01', rate: 0 }], /rates\[0\].rate must be a positive number/],
+    [[{ currency: 'USD', date: '2024-05-01', rate: 'abc' }], /rates\[0\].rate must be a positive number/]
+  ];
+  cases.forEach(([input, message]) => assert.throws(() => parseRates(input, { homeCurrency: HOME }), error =>
+    error instanceof ExchangeRateError && error.statusCode === 400 && message.test(error.message)));
+});
+
+test('rate files: CSV with recognized headers, and JSON', () => {
+  assert.deepEqual(readRateFile(fixture('rates.csv'), { fileName: 'rates.csv', homeCurrency: HOME }), [
+    { currency: 'USD', date: '2024-05-01', rate: 56.25 },
+    { currency: 'USD', date: '2024-05-15', rate: 57.1 },
+    { currency: 'JPY', date: '2024-05-01', rate: 0.3612 },
+    { currency: 'EUR', date: '2024-05-01', rate: 60.875 }
+  ]);
+
+  const json = '[{ "currency": "usd", "date": "2024-05-01", "rate": 56 }]';
+  assert.deepEqual(readRateFile(json, { homeCurrency: HOME }), [{ currency: 'USD', date: '2024-05-01', rate: 56 }]);
+  assert.deepEqual(readRateFile(`{ "rates": ${json} }`, { fileName: 'rates.json', homeCurrency: HOME }), [
+    { currency: 'USD', date: '2024-05-01', rate: 56 }
+  ]);
+});
+
+test('rate files that cannot be read name the problem', () => {
+  const cases = [
+    // Errors in a CSV name its line rather than the row's index
+    [fixture('rates-bad-date.csv'), /^Line 3: date must be a date \(YYYY-MM-DD\)$/],
+    ['currency,date\nUSD,2024-05-01', /missing rate$/],
+    ['currency,date,rate\n', /no rates below its header row/],
+    ['{ "rates": [', /The file is not valid JSON/],
+    ['{ "usd": 56 }', /rates must be a non-empty array/]
+  ];
+  cases.forEach(([text, message]) => assert.throws(() => readRateFile(text, { homeCurrency: HOME }), error =>
+    error instanceof ExchangeRateError && message.test(error.message)));
+});
+
+test('conversions: table rates, given rates, implied rates and the home currency', () => withStore(store => {
+  store.upsert(readRateFile(fixture('rates.csv'), { homeCurrency: HOME }));
+  const convert = (transaction) => convertTransaction({ date: '2024-05-20', ...transaction }, { homeCurrency: HOME, findRate: store.find });
+
+  const cases = [
+    // The latest rate on or before the date
+    [{ date: '2024-05-10', amount: 10, currency: 'usd' }, { amount: 562.5, currency: 'USD', originalAmount: 10, exchangeRate: 56.25, exchangeRateDate: '2024-05-01' }],
+    [{ date: '2024-05-15', originalAmount: 10, currency: 'USD' }, { amount: 571, currency: 'USD', originalAmount: 10, exchangeRate: 57.1, exchangeRateDate: '2024-05-15' }],
+    [{ amount: 1000, currency: 'JPY' }, { amount: 361.2, currency: 'JPY', originalAmount: 1000, exchangeRate: 0.3612, exchangeRateDate: '2024-05-01' }],
+    // A rate given with the transaction wins over the table
+    [{ amount: 10, currency: 'USD', exchangeRate: 58 }, { amount: 580, currency: 'USD', originalAmount: 10, exchangeRate: 58, exchangeRateDate: null }],
+    // What the card was charged implies the rate
+    [{ amount: 575, originalAmount: 10, currency: 'USD' }, { amount: 575, currency: 'USD', originalAmount: 10, exchangeRate: 57.5, exchangeRateDate: null }],
+    [{ amount: 100, currency: 'php' }, { amount: 100, currency: 'PHP', originalAmount: 100, exchangeRate: 1, exchangeRateDate: null }],
+    [{ amount: 100, originalAmount: 100 }, { amount: 100, currency: 'PHP', originalAmount: 100, exchangeRate: 1, exchangeRateDate: null }]
+  ];
+  cases.forEach(([transaction, expected]) => {
+    const { date, ...converted } = convert(transaction);
+    assert.deepEqual(converted, expected, JSON.stringify(transaction));
+    assert.equal(date, transaction.date || '2024-05-20');
+  });
+
+  // Nothing to convert
+  assert.deepEqual(convert({ amount: 100 }), { date: '2024-05-20', amount: 100 });
+}));
+
+test('conversions that fail are validation errors on the item', () => withStore(store => {
+  store.upsert([{ currency: 'USD', date: '2024-05-01', rate: 56.25 }]);
+  const cases = [
+    [{ date: '2024-04-30', amount: 10, currency: 'USD' }, 'currency', /no exchange rate on or before 2024-04-30/],
+    [{ amount: 10, currency: 'EUR' }, 'currency', /no exchange rate/],
+    [{ amount: 10, currency: 'US' }, 'currency', /three-letter currency code/],
+    [{ amount: 10, currency: 'USD', exchangeRate: -1 }, 'exchangeRate', /must be a positive number/],
+    [{ amount: 10, originalAmount: 0, currency: 'USD' }, 'originalAmount', /must not be 0/],
+    [{ amount: 100, originalAmount: 90, currency: 'PHP' }, 'originalAmount', /must equal amount when the currency is the home currency \(PHP\)/],
+    [{ amount: 100, exchangeRate: 2 }, 'exchangeRate', /can only be given with currency or originalAmount/]
+  ];
+  cases.forEach(([transaction, field, message]) => assert.throws(
+    () => convertTransaction({ date: '2024-05-20', ...transaction }, { homeCurrency: HOME, findRate: store.find, path: 'items[1]' }),
+    error => error instanceof ValidationError && error.statusCode === 422 &&
+      error.errors.length === 1 && error.errors[0].path === `items[1].${field}` && message.test(error.errors[0].message),
+    JSON.stringify(transaction)
+  ));
+}));
+
+test('rate table: upserts, lookups, removal and its home currency', () => withStore((store, filePath) => {
+  assert.deepEqual(store.upsert(readRateFile(fixture('rates.csv'), { homeCurrency: HOME })), { added: 4, updated: 0 });
+  assert.deepEqual(store.upsert([{ currency: 'USD', date: '2024-05-15', rate: 57.2 }, { currency: 'USD', date: '2024-04-01', rate: 55.9 }]), { added: 1, updated: 1 });
+
+  assert.deepEqual(store.list().map(({ currency, date }) => `${currency} ${date}`), [
+    'EUR 2024-05-01', 'JPY 2024-05-01', 'USD 2024-04-01', 'USD 2024-05-01', 'USD 2024-05-15'
+  ]);
+  assert.deepEqual(store.list({ currency: 'USD', from: '2024-05-01', to: '2024-05-10' }).map(({ rate }) => rate), [56.25]);
+  assert.equal(store.find('USD', '2024-05-14').rate, 56.25);
+  assert.equal(store.find('USD', '2024-06-01').rate, 57.2);
+  assert.equal(store.find('USD', '2024-03-31'), null);
+
+  assert.equal(store.remove('USD', '2024-04-01'), 1);
+  assert.equal(store.remove('USD', '2024-04-01'), 0);
+  assert.equal(store.remove('JPY'), 1);
+
+  const reloaded = createRateStore({ filePath, homeCurrency: HOME });
+  assert.deepEqual(reloaded.list().map(({ currency, rate }) => [currency, rate]), [['EUR', 60.875], ['USD', 56.25], ['USD', 57.2]]);
+  assert.throws(() => createRateStore({ filePath, homeCurrency: 'USD' }), /holds rates to PHP, but HOME_CURRENCY is USD/);
+}));
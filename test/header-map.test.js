@@ -0,0 +1,41 @@
+// Header-aware column mapping (lib/header-map.js): positional and by-name
+// column maps, and the header row cache.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createHeaderCache, createColumnMap } = require('../lib/header-map');
+
+const expected = ['Date', 'Amount', 'Notes'];
+
+test('rows are written as they are when the sheet is in registry order', () => {
+  for (const headers of [[], ['Date', 'Amount'], ['Date', 'Amount', 'Notes', 'Extra']]) {
+    const map = createColumnMap(expected, headers);
+    assert.equal(map.positional, true, headers.join());
+    assert.deepEqual(map.toSheet(['d', 1, 'n']), ['d', 1, 'n']);
+  }
+});
+
+test('a reordered sheet gets each value in the column with the same header', () => {
+  const map = createColumnMap(expected, ['Notes', 'Mine', 'Date']);
+  assert.equal(map.positional, false);
+  assert.deepEqual(map.missing, ['Amount']);
+  assert.deepEqual(map.toSheet(['d', 1, 'n']), ['n', '', 'd']);
+  assert.deepEqual(map.fromSheet(['n', 'x', 'd']), ['d', undefined, 'n']);
+  // Columns the registry doesn't know keep their value on update
+  assert.deepEqual(map.merge(['old', 'keep me', 'old'], ['d', 1, 'n']), ['n', 'keep me', 'd']);
+});
+
+test('cached header rows expire after the TTL and can be invalidated', async () => {
+  const cache = createHeaderCache({ ttlMs: 30 });
+  const headers = ['Date'];
+  cache.set('s1:Transactions', headers);
+  headers.push('changed');
+  assert.deepEqual(cache.get('s1:Transactions'), ['Date']);
+
+  cache.invalidate('s1:Transactions');
+  assert.equal(cache.get('s1:Transactions'), null);
+
+  cache.set('s1:Meals', ['Date']);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(cache.get('s1:Meals'), null);
+});
@@ -0,0 +1,212 @@
+// Idempotency keys (lib/idempotency.js): the JSONL store and the middleware
+// that replays the first successful response for a key.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createIdempotencyStore, createIdempotencyMiddleware } = require('../lib/idempotency');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+
+// An app with the middleware in front of POST /api/log-test, whose behaviour
+// each test supplies. Returns a `post` helper and a `close` function.
+const startApp = async (store, handler, options) => {
+  const app = express();
+  app.use(express.json());
+  app.use(createIdempotencyMiddleware(store, options));
+  app.post('/api/log-test', handler);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/log-test`;
+  const post = async (body, key) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, replayed: response.headers.get('Idempotent-Replayed'), body: await response.json() };
+  };
+  return { post, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+test('store keeps records across restarts and drops expired ones', async () => {
+  const dir = tempDir();
+  try {
+    const filePath = path.join(dir, 'keys.jsonl');
+    const store = createIdempotencyStore({ filePath, windowMs: 60000 });
+    store.set('a', { fingerprint: 'f', status: 200, body: { ok: 1 } });
+    store.set('b', { fingerprint: 'f', status: 200, body: { ok: 2 } });
+    // Let the serialized appends finish
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    lines[0].createdAt = Date.now() - 120000;
+    fs.writeFileSync(filePath, lines.map(line => JSON.stringify(line)).join('\n') + '\nnot json\n');
+
+    const reloaded = createIdempotencyStore({ filePath, windowMs: 60000 });
+    assert.equal(reloaded.get('a'), null);
+    assert.deepEqual(reloaded.get('b').body, { ok: 2 });
+    // The file is rewritten without the expired and unreadable lines
+    assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 1);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a repeated key replays the first response without running the handler again', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    res.json({ success: true, call: calls });
+  });
+  try {
+    const first = await app.post({ data: { amount: 1 } }, 'key-1');
+    const again = await app.post({ data: { amount: 1 } }, 'key-1');
+    assert.deepEqual([first.status, first.body, first.replayed], [200, { success: true, call: 1 }, null]);
+    assert.deepEqual([again.status, again.body, again.replayed], [200, { success: true, call: 1 }, 'true']);
+
+    // requestId in the body works like the header and isn't part of the fingerprint
+    await app.post({ requestId: 'req-1', data: { amount: 2 } });
+    assert.deepEqual((await app.post({ requestId: 'req-1', data: { amount: 2 } })).body.call, 2);
+
+    const reused = await app.post({ data: { amount: 99 } }, 'key-1');
+    assert.equal(reused.status, 422);
+    assert.match(reused.body.message, /different request body/);
+
+    // Without a key every request goes through
+    await app.post({ data: { amount: 1 } });
+    assert.equal(calls, 3);
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('failed responses are not stored, so a retry runs again', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    if (calls === 1) return res.status(500).json({ success: false });
+    res.json({ success: true });
+  });
+  try {
+    assert.equal((await app.post({ data: {} }, 'key-2')).status, 500);
+    assert.equal((await app.post({ data: {} }, 'key-2')).status, 200);
+    assert.equal(calls, 2);
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a retry that arrives while the original is running waits for it', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    setTimeout(() => res.json({ success: true, call: calls }), 100);
+  });
+  try {
+    const [first, retry] = await Promise.all([
+      app.post({ data: {} }, 'key-3'),
+      new Promise(resolve => setTimeout(resolve, 20)).then(() => app.post({ data: {} }, 'key-3'))
+    ]);
+    assert.equal(calls, 1);
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(retry.replayed, 'true');
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a late success after a timeout is what retries get', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    res.locals.lateResponse = new Promise(resolve => setTimeout(() => resolve({ success: true, late: true }), 50));
+    res.status(504).json({ success: false, message: 'Timeout' });
+  });
+  try {
+    assert.equal((await app.post({ data: {} }, 'key-4')).status, 504);
+    const retry = await app.post({ data: {} }, 'key-4');
+    assert.deepEqual([retry.status, retry.body], [200, { success: true, late: true }]);
+    assert.equal(calls, 1);
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('only POSTs under the configured paths are covered', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    res.json({ success: true });
+  }, { paths: ['/api/ingest'] });
+  try {
+    await app.post({ data: {} }, 'key-5');
+    assert.equal((await app.post({ data: {} }, 'key-5')).replayed, null);
+    assert.equal(calls, 2);
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('when the original fails, only one waiting retry runs again', async () => {
+  const dir = tempDir();
+  let calls = 0;
+  const app = await startApp(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), (req, res) => {
+    calls++;
+    const call = calls;
+    setTimeout(() => call === 1 ? res.status(500).json({ success: false }) : res.json({ success: true, call }), 100);
+  });
+  try {
+    const delayed = () => new Promise(resolve => setTimeout(resolve, 20)).then(() => app.post({ data: {} }, 'key-6'));
+    const [first, ...retries] = await Promise.all([app.post({ data: {} }, 'key-6'), delayed(), delayed()]);
+    assert.equal(first.status, 500);
+    assert.equal(calls, 2);
+    assert.deepEqual(retries.map(retry => retry.body), [{ success: true, call: 2 }, { success: true, call: 2 }]);
+  } finally {
+    await app.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('an uploaded file is part of the fingerprint', async () => {
+  const dir = tempDir();
+  const app = express();
+  app.use(express.json());
+  // Stands in for multer: the file content comes from a header
+  app.use((req, res, next) => {
+    req.file = { originalname: 'receipt.jpg', mimetype: 'image/jpeg', buffer: Buffer.from(req.get('X-File') || '') };
+    next();
+  });
+  app.use(createIdempotencyMiddleware(createIdempotencyStore({ filePath: path.join(dir, 'keys.jsonl') }), { paths: ['/api/receipts'] }));
+  app.post('/api/receipts', (req, res) => res.json({ success: true }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const upload = (file) => fetch(`http://127.0.0.1:${server.address().port}/api/receipts`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'key-7', 'X-File': file },
+    body: JSON.stringify({ log: true })
+  });
+  try {
+    assert.equal((await upload('photo-1')).status, 200);
+    assert.equal((await upload('photo-1')).headers.get('Idempotent-Replayed'), 'true');
+    assert.equal((await upload('photo-2')).status, 422);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,83 @@
+// Natural-language ingestion (lib/ingest.js): the tools offered to the model,
+// turning its calls into entries, and the OpenAI client against a local
+// Chat Completions stand-in.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createIngestor, createOpenAIModel } = require('../lib/ingest');
+
+// A model that records what it was asked and answers with `calls`
+const fakeModel = (calls) => {
+  const requests = [];
+  return {
+    name: 'fake',
+    requests,
+    extract: async (request) => {
+      requests.push(request);
+      return calls;
+    }
+  };
+};
+
+test('the model gets one function per allowed type and the date to resolve against', async () => {
+  const model = fakeModel([]);
+  const ingestor = createIngestor({ model });
+  assert.deepEqual(await ingestor.extract('nothing here', { types: ['transactions', 'food'], today: '2024-05-07' }), []);
+  assert.equal(ingestor.model, 'fake');
+
+  const [{ system, message, tools }] = model.requests;
+  assert.equal(message, 'nothing here');
+  assert.match(system, /Today is 2024-05-07/);
+  assert.deepEqual(tools.map(tool => tool.function.name), ['log_transactions', 'log_food']);
+  assert.deepEqual(tools[0].function.parameters.required, ['date']);
+});
+
+test('calls become typed entries; unknown functions and bad arguments are errors', async () => {
+  const ingestor = createIngestor({ model: fakeModel([
+    { name: 'log_transactions', arguments: '{"date":"2024-05-07","amount":450}' },
+    { name: 'log_food', arguments: { date: '2024-05-07', mealType: 'Lunch' } }
+  ]) });
+  assert.deepEqual(await ingestor.extract('spent 450 on lunch'), [
+    { type: 'transactions', data: { date: '2024-05-07', amount: 450 } },
+    { type: 'food', data: { date: '2024-05-07', mealType: 'Lunch' } }
+  ]);
+
+  const notAllowed = createIngestor({ model: fakeModel([{ name: 'log_food', arguments: '{}' }]) });
+  await assert.rejects(notAllowed.extract('lunch', { types: ['transactions'] }), /Model called unknown function log_food/);
+  const broken = createIngestor({ model: fakeModel([{ name: 'log_food', arguments: '{"date":' }]) });
+  await assert.rejects(broken.extract('lunch'), /Model returned invalid arguments for log_food/);
+});
+
+test('the OpenAI model sends the tools and reads back the tool calls', async () => {
+  let request;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      request = { url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) };
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: [
+          { id: 'call-1', type: 'function', function: { name: 'log_food', arguments: '{"mealType":"Lunch"}' } }
+        ] } }]
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const model = createOpenAIModel({ apiKey: 'sk-test', baseURL: `http://127.0.0.1:${server.address().port}/v1` });
+    const tools = [{ type: 'function', function: { name: 'log_food', parameters: {} } }];
+    assert.deepEqual(await model.extract({ system: 'sys', message: 'lunch', tools }), [{ name: 'log_food', arguments: '{"mealType":"Lunch"}' }]);
+
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.authorization, 'Bearer sk-test');
+    assert.deepEqual([request.body.model, request.body.temperature, request.body.tool_choice], ['gpt-4o-mini', 0, 'auto']);
+    assert.deepEqual(request.body.messages, [{ role: 'system', content: 'sys' }, { role: 'user', content: 'lunch' }]);
+    assert.deepEqual(request.body.tools, tools);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
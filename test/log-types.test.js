@@ -0,0 +1,100 @@
+// The log-type registry (lib/log-types.js) and the OpenAPI paths generated
+// from it (lib/openapi.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  LOG_TYPES,
+  columnLetter,
+  getLogType,
+  getHeaders,
+  getDataRange,
+  getHeaderRange,
+  buildRow,
+  getIdKey
+} = require('../lib/log-types');
+const { buildOpenApiSpec } = require('../lib/openapi');
+const { HttpError, isClientError } = require('../lib/errors');
+
+test('column letters', () => {
+  const cases = [[1, 'A'], [26, 'Z'], [27, 'AA'], [29, 'AC'], [52, 'AZ'], [53, 'BA'], [702, 'ZZ'], [703, 'AAA']];
+  cases.forEach(([n, letter]) => assert.equal(columnLetter(n), letter, String(n)));
+});
+
+test('every log type has a route, a sheet and uniquely keyed columns', () => {
+  const routes = new Set();
+  Object.entries(LOG_TYPES).forEach(([type, logType]) => {
+    assert.equal(getLogType(type), logType);
+    assert.match(logType.route, /^\/api\/log-[a-z]+$/, type);
+    assert.ok(!routes.has(logType.route), `${type} reuses ${logType.route}`);
+    routes.add(logType.route);
+    ['sheetName', 'label', 'plural', 'tag', 'operationId', 'schemaName'].forEach(field =>
+      assert.equal(typeof logType[field], 'string', `${type}.${field}`));
+
+    const keys = logType.columns.map(column => column.key);
+    assert.equal(new Set(keys).size, keys.length, `${type} has duplicate keys`);
+    logType.columns.forEach(column =>
+      assert.ok(['string', 'number', 'date', 'time'].includes(column.type), `${type}.${column.key}`));
+  });
+  assert.equal(getLogType('nope'), null);
+});
+
+test('ranges cover every column', () => {
+  const transactions = getLogType('transactions');
+  assert.equal(getHeaders(transactions).length, 34);
+  assert.equal(getHeaders(transactions)[0], 'Transaction ID');
+  assert.equal(getDataRange(transactions), 'Transactions!A:AH');
+  assert.equal(getHeaderRange(transactions), 'Transactions!A1:AH1');
+  assert.equal(getDataRange(getLogType('food'), 'Lunches'), 'Lunches!A:J');
+});
+
+test('rows follow column order, with defaults for missing and empty fields', () => {
+  const workouts = getLogType('workouts');
+  assert.deepEqual(buildRow(workouts, { date: '2024-05-01', workoutType: 'Push', sets: 3, reps: '', rpe: null }), [
+    '2024-05-01', 'Push', 'NA', 3, 'NA', 'NA', 'NA', 'NA', 'NA', 'NA', 'NA'
+  ]);
+  assert.equal(buildRow(workouts, { workoutId: 'mine' }, { workoutId: 'WRK-1' }).at(-1), 'WRK-1');
+
+  const transactions = getLogType('transactions');
+  const row = buildRow(transactions, { transactionId: 'client-id', amount: 0, notes: 'x' }, { transactionId: 'TXN-1' });
+  const at = (key) => row[transactions.columns.findIndex(column => column.key === key)];
+  // Generated fields come from the server, never from the request
+  assert.equal(at('transactionId'), 'TXN-1');
+  assert.equal(at('amount'), 0);
+  assert.equal(at('taxWithheld'), 0);
+  assert.equal(at('processed'), 'No');
+  assert.equal(at('notes'), 'x');
+  assert.equal(at('category'), 'NA');
+});
+
+test('every type has one generated ID column; types other than transactions keep it last', () => {
+  Object.entries(LOG_TYPES).forEach(([type, logType]) => {
+    const generated = logType.columns.filter(column => column.generated);
+    assert.equal(generated.length, 1, type);
+    assert.equal(getIdKey(logType), generated[0].key);
+    assert.ok(generated[0].filterable, type);
+    if (type !== 'transactions') assert.equal(logType.columns.at(-1), generated[0], type);
+  });
+  assert.equal(getIdKey(getLogType('transactions')), 'transactionId');
+  assert.equal(getIdKey(getLogType('food')), 'mealId');
+});
+
+test('HTTP errors below 500 are client errors', () => {
+  const error = new HttpError(404, 'No transactions entry found with ID TXN-1', { id: 'TXN-1' });
+  assert.ok(error instanceof Error);
+  assert.deepEqual([error.statusCode, error.message, error.details], [404, 'No transactions entry found with ID TXN-1', { id: 'TXN-1' }]);
+  assert.equal(isClientError(error), true);
+  assert.equal(isClientError(new HttpError(503, 'Unavailable')), false);
+  assert.equal(isClientError(new Error('boom')), false);
+});
+
+test('openapi.json is up to date with the registry', () => {
+  const spec = buildOpenApiSpec();
+  assert.deepEqual(spec, require('../openapi.json'), 'run npm run openapi');
+
+  Object.values(LOG_TYPES).forEach(logType => {
+    assert.equal(spec.paths[logType.route].post.operationId, logType.operationId);
+    const properties = Object.keys(spec.components.schemas[logType.schemaName].properties);
+    assert.deepEqual(properties, logType.columns.filter(column => !column.generated && !column.serverSet).map(column => column.key));
+  });
+});
@@ -0,0 +1,79 @@
+// Header migrations (lib/migrations.js): comparing header rows, planning and
+// applying a layout change, rolling it back, and the migration log.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareHeaders, planMigration, applyPlan, invertRenames, createMigrationLog } = require('../lib/migrations');
+
+const rows = [
+  ['Date', 'Amount', 'Shop', 'Old notes'],
+  ['2024-05-01', '10', 'Cafe', 'paid cash'],
+  ['2024-05-02', '20', 'Bakery']
+];
+
+test('header rows are compared against what a write expects', () => {
+  assert.equal(compareHeaders([], ['Date', 'Amount']), 'empty');
+  assert.equal(compareHeaders(['', ''], ['Date']), 'empty');
+  assert.equal(compareHeaders(['Date', 'Amount', 'Retired'], ['Date', 'Amount']), 'match');
+  assert.equal(compareHeaders(['Date'], ['Date', 'Amount']), 'extend');
+  assert.equal(compareHeaders(['Amount', 'Date'], ['Date', 'Amount']), 'mismatch');
+});
+
+test('a migration moves, renames, adds and retires columns with their data', () => {
+  const plan = planMigration(rows, ['Amount', 'Date', 'Establishment', 'Notes'], { renames: { Shop: 'Establishment' } });
+  assert.deepEqual(plan.changes, [
+    { op: 'move', header: 'Amount', from: 'B', to: 'A' },
+    { op: 'move', header: 'Date', from: 'A', to: 'B' },
+    { op: 'rename', from: 'C', to: 'C', fromHeader: 'Shop', header: 'Establishment' },
+    { op: 'add', header: 'Notes', to: 'D' },
+    { op: 'retire', header: 'Old notes', from: 'D', to: 'E' }
+  ]);
+  assert.equal(plan.changed, true);
+  assert.equal(plan.width, 5);
+  assert.deepEqual(applyPlan(rows, plan), [
+    ['Amount', 'Date', 'Establishment', 'Notes', 'Old notes'],
+    ['10', '2024-05-01', 'Cafe', '', 'paid cash'],
+    ['20', '2024-05-02', 'Bakery', '', '']
+  ]);
+
+  assert.equal(planMigration(rows, ['Date', 'Amount', 'Shop', 'Old notes']).changed, false);
+});
+
+test('a rollback restores the old layout and drops added columns that are still empty', () => {
+  const forward = planMigration(rows, ['Amount', 'Date', 'Establishment', 'Notes'], { renames: { Shop: 'Establishment' } });
+  const migrated = applyPlan(rows, forward);
+
+  const back = planMigration(migrated, forward.before, { renames: invertRenames({ Shop: 'Establishment' }), keepEmptyColumns: false });
+  assert.deepEqual(back.changes[0], { op: 'drop', header: 'Notes', from: 'D' });
+  assert.deepEqual(applyPlan(migrated, back), [rows[0], rows[1], [...rows[2], '']]);
+
+  // An added column that has since been filled in is retired instead
+  migrated[1][3] = 'new note';
+  const keeps = planMigration(migrated, forward.before, { renames: invertRenames({ Shop: 'Establishment' }), keepEmptyColumns: false });
+  assert.deepEqual(keeps.after, [...forward.before, 'Notes']);
+});
+
+test('the log records migrations across restarts and finds the latest per sheet', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  try {
+    const filePath = path.join(dir, 'migrations.jsonl');
+    const log = createMigrationLog({ filePath });
+    const first = await log.record({ spreadsheetId: 's1', sheetName: 'Transactions', before: ['A'], after: ['B'] });
+    await log.record({ spreadsheetId: 's1', sheetName: 'Meals', before: [], after: ['C'] });
+    const second = await log.record({ spreadsheetId: 's1', sheetName: 'Transactions', before: ['B'], after: ['C'] });
+    assert.match(first.id, /^MIG-/);
+    fs.appendFileSync(filePath, 'not json\n');
+
+    const reloaded = createMigrationLog({ filePath });
+    assert.equal(reloaded.list().length, 3);
+    assert.deepEqual(reloaded.list({ sheetName: 'Transactions' }).map(entry => entry.id), [first.id, second.id]);
+    assert.equal(reloaded.latest('s1', 'Transactions').id, second.id);
+    assert.equal(reloaded.latest('s2', 'Transactions'), null);
+    assert.deepEqual(reloaded.get(first.id).after, ['B']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,143 @@
+// Multi-user OAuth (lib/oauth.js): token encryption, the user store and the
+// authorize / callback / token flow, with Google's token calls stubbed out.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OAuth2Client } = require('google-auth-library');
+const {
+  OAuthError,
+  createTokenCipher,
+  createOAuthStore,
+  createOAuthProvider,
+  parseBasicAuth,
+  describeUser
+} = require('../lib/oauth');
+
+const REDIRECT_URI = 'https://chatgpt.com/aip/g-123/oauth/callback';
+
+// A provider with one client and a store in a temporary directory, removed after `run`
+const withProvider = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oauth-'));
+  try {
+    const store = createOAuthStore({ filePath: path.join(dir, 'oauth.json') });
+    const provider = createOAuthProvider({
+      store,
+      cipher: createTokenCipher('test-secret'),
+      clients: { 'gpt-client': 'gpt-secret' },
+      google: { clientId: 'google-id', clientSecret: 'google-secret', redirectUri: 'http://localhost/oauth/google/callback' }
+    });
+    return await run(provider, store, dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// Google answers the code exchange with the returned account, which a test
+// may change between logins
+const stubGoogle = (t) => {
+  const account = { sub: 'google-sub-1', refreshToken: 'google-refresh' };
+  t.mock.method(OAuth2Client.prototype, 'getToken', async () => ({ tokens: { access_token: 'google-access', refresh_token: account.refreshToken } }));
+  t.mock.method(OAuth2Client.prototype, 'getTokenInfo', async () => ({ sub: account.sub, email: 'user@example.com' }));
+  return account;
+};
+
+// Runs the browser part of the flow and returns the authorization code
+const authorize = async (provider, state = 'gpt-state') => {
+  const consentUrl = new URL(provider.startAuthorization({ response_type: 'code', client_id: 'gpt-client', redirect_uri: REDIRECT_URI, state }));
+  const redirect = new URL(await provider.finishAuthorization({ code: 'google-code', state: consentUrl.searchParams.get('state') }));
+  assert.equal(redirect.searchParams.get('state'), state);
+  return redirect.searchParams.get('code');
+};
+
+test('encrypted tokens round trip, and tampering is detected', () => {
+  const cipher = createTokenCipher('secret');
+  const encrypted = cipher.encrypt('refresh-token');
+  assert.notEqual(encrypted, cipher.encrypt('refresh-token'));
+  assert.equal(cipher.decrypt(encrypted), 'refresh-token');
+  assert.throws(() => createTokenCipher('other').decrypt(encrypted));
+  assert.throws(() => createTokenCipher(''), /OAUTH_ENCRYPTION_KEY is required/);
+});
+
+test('Basic auth credentials are decoded', () => {
+  const header = `Basic ${Buffer.from('gpt%20client:s3cr:et').toString('base64')}`;
+  assert.deepEqual(parseBasicAuth(header), { clientId: 'gpt client', clientSecret: 's3cr:et' });
+  assert.equal(parseBasicAuth('Bearer abc'), null);
+  assert.equal(parseBasicAuth(`Basic ${Buffer.from('no-separator').toString('base64')}`), null);
+  assert.equal(parseBasicAuth(`Basic ${Buffer.from('gpt-client:bad%E0').toString('base64')}`), null);
+  assert.equal(parseBasicAuth(`Basic ${Buffer.from('%:secret').toString('base64')}`), null);
+});
+
+test('authorize checks the client, redirect URI and response type before sending the user to Google', () => withProvider(async (provider) => {
+  const request = { response_type: 'code', client_id: 'gpt-client', redirect_uri: REDIRECT_URI, state: 's' };
+  const consentUrl = new URL(provider.startAuthorization(request));
+  assert.equal(consentUrl.host, 'accounts.google.com');
+  assert.equal(consentUrl.searchParams.get('access_type'), 'offline');
+  assert.match(consentUrl.searchParams.get('scope'), /auth\/spreadsheets/);
+
+  assert.throws(() => provider.startAuthorization({ ...request, client_id: 'other' }), { code: 'invalid_client' });
+  assert.throws(() => provider.startAuthorization({ ...request, redirect_uri: 'https://evil.example/callback' }), { code: 'invalid_request' });
+  assert.throws(() => provider.startAuthorization({ ...request, response_type: 'token' }), { code: 'unsupported_response_type' });
+  await assert.rejects(provider.finishAuthorization({ code: 'x', state: 'never-started' }), { statusCode: 400 });
+}));
+
+test('a declined consent sends access_denied back to the GPT', () => withProvider(async (provider) => {
+  const consentUrl = new URL(provider.startAuthorization({ response_type: 'code', client_id: 'gpt-client', redirect_uri: REDIRECT_URI, state: 'st' }));
+  const redirect = await provider.finishAuthorization({ error: 'access_denied', state: consentUrl.searchParams.get('state') });
+  assert.equal(redirect, `${REDIRECT_URI}?error=access_denied&state=st`);
+}));
+
+test('codes are exchanged once for tokens that authenticate the user', (t) => withProvider(async (provider, store, dir) => {
+  stubGoogle(t);
+  const code = await authorize(provider);
+
+  assert.throws(() => provider.exchangeToken({ grant_type: 'authorization_code', code, client_id: 'gpt-client', client_secret: 'wrong' }),
+    (error) => error instanceof OAuthError && error.code === 'invalid_client' && error.statusCode === 401);
+  assert.throws(() => provider.exchangeToken({ grant_type: 'authorization_code', code, client_id: 'gpt-client' }), { code: 'invalid_client' });
+  assert.throws(() => provider.exchangeToken({ grant_type: 'authorization_code', code, client_id: 'toString', client_secret: 'x' }), { code: 'invalid_client' });
+
+  const tokens = provider.exchangeToken({ grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI },
+    { clientId: 'gpt-client', clientSecret: 'gpt-secret' });
+  assert.deepEqual([tokens.token_type, tokens.expires_in], ['Bearer', 3600]);
+  const user = provider.authenticate(tokens.access_token);
+  assert.deepEqual(describeUser(user), { id: user.id, email: 'user@example.com', defaultSpreadsheetId: null, createdAt: user.createdAt });
+  assert.equal(provider.authenticate(tokens.refresh_token), null);
+
+  // Used codes are gone
+  assert.throws(() => provider.exchangeToken({ grant_type: 'authorization_code', code, client_id: 'gpt-client', client_secret: 'gpt-secret' }),
+    { code: 'invalid_grant' });
+
+  // The file holds the Google token encrypted and only hashes of ours
+  const saved = fs.readFileSync(path.join(dir, 'oauth.json'), 'utf8');
+  ['google-refresh', tokens.access_token, tokens.refresh_token].forEach(secret => assert.ok(!saved.includes(secret)));
+  assert.equal(createOAuthStore({ filePath: path.join(dir, 'oauth.json') }).getUser(user.id).email, 'user@example.com');
+}));
+
+test('refresh tokens issue new access tokens; other grants are rejected', (t) => withProvider(async (provider) => {
+  stubGoogle(t);
+  const client = { client_id: 'gpt-client', client_secret: 'gpt-secret' };
+  const first = provider.exchangeToken({ grant_type: 'authorization_code', code: await authorize(provider), ...client });
+
+  const refreshed = provider.exchangeToken({ grant_type: 'refresh_token', refresh_token: first.refresh_token, ...client });
+  assert.notEqual(refreshed.access_token, first.access_token);
+  assert.equal(refreshed.refresh_token, first.refresh_token);
+  assert.equal(provider.authenticate(refreshed.access_token).id, provider.authenticate(first.access_token).id);
+
+  assert.throws(() => provider.exchangeToken({ grant_type: 'refresh_token', refresh_token: 'gtr_unknown', ...client }), { code: 'invalid_grant' });
+  assert.throws(() => provider.exchangeToken({ grant_type: 'password', ...client }), { code: 'unsupported_grant_type' });
+}));
+
+test('logging in again keeps the same user and their settings', (t) => withProvider(async (provider) => {
+  const account = stubGoogle(t);
+  const client = { client_id: 'gpt-client', client_secret: 'gpt-secret' };
+  const first = provider.authenticate(provider.exchangeToken({ grant_type: 'authorization_code', code: await authorize(provider), ...client }).access_token);
+  provider.updateUser(first.id, { defaultSpreadsheetId: 'sheet-1' });
+
+  // Google leaves out the refresh token on a repeat consent
+  account.refreshToken = undefined;
+  const again = provider.authenticate(provider.exchangeToken({ grant_type: 'authorization_code', code: await authorize(provider), ...client }).access_token);
+  assert.deepEqual([again.id, again.defaultSpreadsheetId, again.refreshToken], [first.id, 'sheet-1', first.refreshToken]);
+  assert.equal(provider.updateUser('user-missing', {}), null);
+}));
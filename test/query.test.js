@@ -0,0 +1,99 @@
+// Reading rows back for GET /api/{type}: parseRow (lib/log-types.js) and the
+// filters, sorting and cursors of lib/query.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLogType, buildRow, parseRow } = require('../lib/log-types');
+const { QueryError, normalizeDate, filterEntries, queryEntries } = require('../lib/query');
+
+const transactions = getLogType('transactions');
+
+const entry = (fields) => parseRow(transactions, buildRow(transactions, fields, { transactionId: fields.id }));
+
+const entries = [
+  entry({ id: 'TXN-1', date: '2024-05-01', category: 'Food', amount: 120, accountName: 'Wallet' }),
+  entry({ id: 'TXN-2', date: '5/3/2024', category: 'food', amount: 45.5 }),
+  entry({ id: 'TXN-3', date: '2024-05-02T09:00:00Z', category: 'Transport', amount: 300 }),
+  entry({ id: 'TXN-4', category: 'Food', amount: 'abc' }),
+  entry({ id: 'TXN-5', date: '2024-04-30', category: 'Bills', amount: 900 })
+];
+
+const ids = (result) => result.items.map(item => item.transactionId);
+
+const assertQueryError = (query, message) => assert.throws(() => queryEntries(transactions, entries, query), error =>
+  error instanceof QueryError && error.statusCode === 400 && message.test(error.message));
+
+test('rows parse back into typed values, with placeholders as null', () => {
+  assert.deepEqual(
+    Object.entries(entries[0]).filter(([, value]) => value !== null),
+    [['transactionId', 'TXN-1'], ['date', '2024-05-01'], ['accountName', 'Wallet'], ['category', 'Food'], ['amount', 120], ['taxWithheld', 0], ['processed', 'No']]
+  );
+  assert.equal(entries[3].amount, null);
+  assert.equal(entries[3].date, null);
+  assert.equal(parseRow(transactions, ['TXN-9']).amount, null);
+});
+
+test('dates normalize to YYYY-MM-DD', () => {
+  assert.equal(normalizeDate('2024-05-07'), '2024-05-07');
+  assert.equal(normalizeDate('2024-05-07T23:30:00Z'), '2024-05-07');
+  assert.equal(normalizeDate('5/7/2024'), '2024-05-07');
+  assert.equal(normalizeDate('May 7, 2024'), '2024-05-07');
+  assert.equal(normalizeDate('someday'), null);
+  assert.equal(normalizeDate(''), null);
+});
+
+test('date ranges are inclusive and skip rows without a date', () => {
+  assert.deepEqual(ids(queryEntries(transactions, entries, { from: '2024-05-01', to: '2024-05-02' })), ['TXN-1', 'TXN-3']);
+  assert.deepEqual(ids(queryEntries(transactions, entries, { from: '2024-05-02' })), ['TXN-2', 'TXN-3']);
+  assert.deepEqual(ids(queryEntries(transactions, entries, { to: '2024-04-30' })), ['TXN-5']);
+  assertQueryError({ from: 'yesterday-ish' }, /from\/to must be dates/);
+});
+
+test('filters match filterable columns without regard to case', () => {
+  assert.deepEqual(ids(queryEntries(transactions, entries, { category: 'FOOD' })), ['TXN-1', 'TXN-2', 'TXN-4']);
+  assert.deepEqual(ids(queryEntries(transactions, entries, { category: 'food', accountName: 'wallet' })), ['TXN-1']);
+  // Not filterable, so ignored
+  assert.equal(queryEntries(transactions, entries, { notes: 'x' }).total, 5);
+  // Summaries filter without paging or sorting
+  assert.deepEqual(filterEntries(transactions, entries, { category: 'food', sort: '-amount', limit: '1' }).map(item => item.transactionId), ['TXN-1', 'TXN-2', 'TXN-4']);
+});
+
+test('sorting by date and number, with empty values last either way', () => {
+  assert.deepEqual(ids(queryEntries(transactions, entries, { sort: 'date' })), ['TXN-5', 'TXN-1', 'TXN-3', 'TXN-2', 'TXN-4']);
+  assert.deepEqual(ids(queryEntries(transactions, entries, { sort: '-date' })), ['TXN-2', 'TXN-3', 'TXN-1', 'TXN-5', 'TXN-4']);
+  assert.deepEqual(ids(queryEntries(transactions, entries, { sort: '-amount' })), ['TXN-5', 'TXN-3', 'TXN-1', 'TXN-2', 'TXN-4']);
+  assertQueryError({ sort: 'colour' }, /Unknown sort field: colour/);
+});
+
+test('cursors page through the results', () => {
+  const first = queryEntries(transactions, entries, { sort: 'amount', limit: '2' });
+  assert.deepEqual(ids(first), ['TXN-2', 'TXN-1']);
+  assert.equal(first.total, 5);
+
+  const second = queryEntries(transactions, entries, { sort: 'amount', limit: '2', cursor: first.nextCursor });
+  assert.deepEqual(ids(second), ['TXN-3', 'TXN-5']);
+  const third = queryEntries(transactions, entries, { sort: 'amount', limit: '2', cursor: second.nextCursor });
+  assert.deepEqual(ids(third), ['TXN-4']);
+  assert.equal(third.nextCursor, null);
+
+  assert.equal(queryEntries(transactions, entries).items.length, 5);
+  assertQueryError({ limit: '0' }, /limit must be a positive integer/);
+  assertQueryError({ limit: '2.5' }, /limit must be a positive integer/);
+  assertQueryError({ cursor: 'not-a-cursor' }, /Invalid cursor/);
+  assertQueryError({ cursor: Buffer.from('{"offset":-1}').toString('base64url') }, /Invalid cursor/);
+});
+
+test('page size is capped', () => {
+  const many = Array.from({ length: 600 }, (_, index) => entry({ id: `TXN-${index}`, date: '2024-05-01' }));
+  const result = queryEntries(transactions, many, { limit: '1000' });
+  assert.equal(result.items.length, 500);
+  assert.ok(result.nextCursor);
+});
+
+test('repeated or nested parameters are rejected', () => {
+  assertQueryError({ sort: ['date', 'amount'] }, /sort must be given once/);
+  assertQueryError({ category: ['Food', 'Bills'] }, /category must be given once/);
+  assertQueryError({ from: { gt: '2024-05-01' } }, /from must be given once/);
+  // Parameters that aren't read are left alone
+  assert.equal(queryEntries(transactions, entries, { notes: ['a', 'b'] }).total, 5);
+});
@@ -0,0 +1,199 @@
+// The write-ahead queue (lib/queue.js): attempts, backoff, late results,
+// retries and replaying the JSONL file after a restart.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWriteQueue } = require('../lib/queue');
+
+// A queue file in a temporary directory, removed after `run`
+const withQueueFile = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-'));
+  try {
+    return await run(path.join(dir, 'queue.jsonl'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+test('a job is on disk before it is attempted, and done once the write succeeds', () => withQueueFile(async (filePath) => {
+  const written = [];
+  const queue = createWriteQueue({ filePath, handler: async (payload) => {
+    written.push(payload);
+    return { rows: payload.rows.length };
+  } });
+
+  const job = await queue.enqueue({ rows: [['a'], ['b']] }, { type: 'transactions' });
+  assert.match(job.id, /^Q-/);
+  assert.equal(job.status, 'pending');
+  assert.match(fs.readFileSync(filePath, 'utf8'), new RegExp(`"id":"${job.id}"`));
+
+  const attempted = await queue.attempt(job.id);
+  assert.deepEqual([attempted.status, attempted.attempts, attempted.result], ['done', 1, { rows: 2 }]);
+  assert.equal(written.length, 1);
+  // A done job isn't written again
+  await queue.attempt(job.id);
+  assert.equal(written.length, 1);
+  assert.equal(await queue.attempt('Q-missing'), null);
+}));
+
+test('failed attempts back off, then give up after maxAttempts', () => withQueueFile(async (filePath) => {
+  const queue = createWriteQueue({ filePath, baseDelayMs: 1000, maxAttempts: 2, handler: async () => {
+    throw new Error('Sheets unavailable');
+  } });
+
+  const job = await queue.enqueue({ rows: [] });
+  const before = Date.now();
+  await queue.attempt(job.id);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.lastError, 'Sheets unavailable');
+  // 1s for the first failure, plus up to 20% jitter
+  assert.ok(job.nextAttemptAt >= before + 1000 && job.nextAttemptAt <= Date.now() + 1200);
+
+  // Not due yet
+  await queue.tick();
+  assert.equal(job.attempts, 1);
+
+  await queue.attempt(job.id);
+  assert.deepEqual([job.status, job.attempts, job.nextAttemptAt], ['failed', 2, null]);
+  assert.deepEqual(queue.list({ status: 'failed' }), [job]);
+
+  // A manual retry puts it back in line with a fresh count
+  queue.retry(job.id);
+  assert.deepEqual([job.status, job.attempts], ['pending', 0]);
+}));
+
+test('an error isPermanent accepts fails the job at once and is handed back', () => withQueueFile(async (filePath) => {
+  let attempts = 0;
+  const queue = createWriteQueue({
+    filePath,
+    isPermanent: (error) => error.statusCode === 409,
+    handler: async () => {
+      attempts++;
+      throw Object.assign(new Error('None of the expected columns are in Meals'), { statusCode: 409 });
+    }
+  });
+
+  const job = await queue.enqueue({ rows: [] });
+  await assert.rejects(queue.attempt(job.id), { statusCode: 409 });
+  assert.deepEqual([job.status, job.lastError, job.nextAttemptAt], ['failed', 'None of the expected columns are in Meals', null]);
+  // The worker doesn't pick it up again, and doesn't stop over it either
+  await queue.tick();
+  assert.equal(attempts, 1);
+
+  // A removed job is gone after a restart too
+  const other = await queue.enqueue({ rows: [] });
+  assert.equal(queue.remove(job.id), true);
+  assert.equal(queue.remove(job.id), false);
+  await settle();
+  const restarted = createWriteQueue({ filePath, handler: async () => {} });
+  assert.deepEqual(restarted.list().map(entry => entry.id), [other.id]);
+}));
+
+test('a timed-out write waits for its late result instead of being retried', () => withQueueFile(async (filePath) => {
+  let finish;
+  const queue = createWriteQueue({ filePath, handler: async () => {
+    const error = new Error('Timeout appending data');
+    error.lateResult = new Promise(resolve => { finish = resolve; });
+    throw error;
+  } });
+
+  const job = await queue.enqueue({ rows: [] });
+  await queue.attempt(job.id);
+  assert.equal(job.status, 'verifying');
+  // Still in flight: no second attempt
+  await queue.attempt(job.id);
+  assert.equal(job.attempts, 1);
+
+  finish({ updatedRange: 'Transactions!A2:AC2' });
+  await settle();
+  assert.deepEqual([job.status, job.result], ['done', { updatedRange: 'Transactions!A2:AC2' }]);
+}));
+
+test('steps finished before a failure are skipped when the job is retried', () => withQueueFile(async (filePath) => {
+  const written = [];
+  let mirrorUp = false;
+  const queue = createWriteQueue({ filePath, handler: async (payload, context) => {
+    for (const step of ['sheets', 'supabase']) {
+      if (context.isComplete(step)) continue;
+      if (step === 'supabase' && !mirrorUp) throw new Error('Supabase unavailable');
+      written.push(step);
+      context.complete(step);
+    }
+    return { written: written.length };
+  } });
+
+  const job = await queue.enqueue({ rows: [] });
+  await queue.attempt(job.id);
+  assert.deepEqual([job.status, job.completedSteps], ['pending', ['sheets']]);
+
+  mirrorUp = true;
+  job.nextAttemptAt = Date.now();
+  await queue.tick();
+  assert.equal(job.status, 'done');
+  assert.deepEqual(written, ['sheets', 'supabase']);
+
+  // The finished steps are in the file too, so a restart doesn't repeat them
+  await settle();
+  const restarted = createWriteQueue({ filePath, handler: async () => {} });
+  assert.deepEqual(restarted.get(job.id).completedSteps, ['sheets', 'supabase']);
+}));
+
+test('a late result for one step marks only that step done', () => withQueueFile(async (filePath) => {
+  let finish;
+  const queue = createWriteQueue({ filePath, handler: async (payload, context) => {
+    if (!context.isComplete('sheets')) {
+      const error = new Error('Timeout appending data');
+      error.step = 'sheets';
+      error.lateResult = new Promise(resolve => { finish = resolve; });
+      throw error;
+    }
+    return { mirrored: true };
+  } });
+
+  const job = await queue.enqueue({ rows: [] });
+  await queue.attempt(job.id);
+  finish({});
+  await settle();
+  assert.deepEqual([job.status, job.completedSteps], ['pending', ['sheets']]);
+
+  await queue.tick();
+  assert.deepEqual([job.status, job.result], ['done', { mirrored: true }]);
+}));
+
+test('tick runs due jobs oldest first', () => withQueueFile(async (filePath) => {
+  const order = [];
+  const queue = createWriteQueue({ filePath, handler: async (payload) => order.push(payload.n) });
+  await queue.enqueue({ n: 1 });
+  await queue.enqueue({ n: 2 });
+  await queue.enqueue({ n: 3 });
+
+  await queue.tick();
+  assert.deepEqual(order, [1, 2, 3]);
+  assert.equal(queue.list({ status: 'done' }).length, 3);
+}));
+
+test('a restart replays the file and retries jobs caught mid-attempt', () => withQueueFile(async (filePath) => {
+  const queue = createWriteQueue({ filePath, handler: () => new Promise(() => {}) });
+  const stuck = await queue.enqueue({ n: 1 });
+  const waiting = await queue.enqueue({ n: 2 });
+  queue.attempt(stuck.id);
+  await settle();
+  assert.equal(queue.get(stuck.id).status, 'processing');
+  fs.appendFileSync(filePath, 'not json\n');
+
+  const written = [];
+  const restarted = createWriteQueue({ filePath, handler: async (payload) => written.push(payload.n) });
+  assert.deepEqual(restarted.list().map(job => [job.id, job.status]), [[stuck.id, 'pending'], [waiting.id, 'pending']]);
+  assert.equal(restarted.get(stuck.id).attempts, 1);
+
+  // The file is compacted to one line per job
+  assert.equal(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 2);
+
+  await restarted.tick();
+  assert.deepEqual(written, [1, 2]);
+}));
@@ -0,0 +1,124 @@
+// Reading receipts into items and totals (lib/receipts.js). Of lib/ocr.js only
+// PDFs with a text layer are covered; photos need Tesseract's language data.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseReceiptText, buildReceiptDraft, createReceiptFileStore } = require('../lib/receipts');
+const { PDF_TYPE, createOcrEngine } = require('../lib/ocr');
+
+const fixture = (name, encoding = 'utf8') => fs.readFileSync(path.join(__dirname, 'fixtures', name), encoding);
+
+test('grocery receipt: quantities, a coupon, a trailing-minus credit and separate tax', () => {
+  const receipt = parseReceiptText(fixture('grocery-receipt.txt'));
+
+  assert.equal(receipt.merchant, 'FRESH MART #042');
+  assert.equal(receipt.date, '2024-05-07');
+  assert.equal(receipt.time, '18:45:00');
+  assert.equal(receipt.receiptNumber, '88812-A');
+  assert.deepEqual(receipt.items, [
+    { quantity: 2, description: 'Milk 1L', amount: 5.98 },
+    { quantity: 1, description: 'Bread', amount: 2.49 },
+    { quantity: 2, description: 'Eggs Dozen', amount: 6, discount: 1 },
+    { quantity: 1, description: 'Bananas', amount: 1.2 },
+    { quantity: 1, description: 'Returned Jam', amount: -3.5 }
+  ]);
+  assert.deepEqual([receipt.subtotal, receipt.tax, receipt.total], [12.17, 0.73, 12.9]);
+  assert.deepEqual(receipt.checks, { itemsTotal: 12.17, expected: 12.17, matches: true, warnings: [] });
+});
+
+test('cafe receipt: day-first date, unit prices and tax included in the prices', () => {
+  const receipt = parseReceiptText(fixture('cafe-receipt.txt'));
+
+  assert.equal(receipt.merchant, 'Kape Tayo Cafe');
+  assert.equal(receipt.date, '2024-05-13');
+  assert.equal(receipt.receiptNumber, '000123');
+  assert.deepEqual(receipt.items, [
+    { quantity: 1, description: 'Latte', amount: 150 },
+    { quantity: 2, description: 'Ensaymada', amount: 90 }
+  ]);
+  assert.equal(receipt.tax, 25.71);
+  assert.equal(receipt.checks.matches, true);
+});
+
+test('a PDF receipt is read from its text layer', async () => {
+  const receipt = parseReceiptText(await createOcrEngine().recognize(fixture('receipt.pdf', null), PDF_TYPE));
+
+  assert.equal(receipt.merchant, 'FRESH MART GROCERY');
+  assert.equal(receipt.receiptNumber, '004512');
+  assert.deepEqual(receipt.items.map(item => [item.description, item.quantity, item.amount]), [
+    ['Milk 1L', 2, 5.98], ['Bread', 1, 2.49], ['Apples', 3, 1], ['Coffee Beans', 2, 17]
+  ]);
+  assert.deepEqual([receipt.subtotal, receipt.tax, receipt.total], [26.47, 2.12, 28.59]);
+  assert.equal(receipt.checks.matches, true);
+});
+
+const dates = [
+  ['05/07/2024', '2024-05-07'],
+  ['13/05/2024', '2024-05-13'],
+  ['05-07-24', '2024-05-07'],
+  ['2024.05.07', '2024-05-07'],
+  ['1 March 2024', '2024-03-01'],
+  ['May 7, 2024', '2024-05-07'],
+  ['02/30/2024', null],
+  ['2024-02-30', null]
+];
+
+dates.forEach(([text, expected]) => {
+  test(`date ${text} reads as ${expected}`, () => {
+    assert.equal(parseReceiptText(`Corner Store\n${text}\nSoap 1.00\nTotal 1.00`).date, expected);
+  });
+});
+
+test('items that do not add up are flagged', () => {
+  const receipt = parseReceiptText('Shop\nCoffee 3.00\nCake 4.00\nTotal 9.00');
+  assert.equal(receipt.checks.matches, false);
+  assert.deepEqual(receipt.checks.warnings, ['Items add up to 7, but the receipt says 9; some lines may have been misread']);
+});
+
+test('a receipt without items or total says so', () => {
+  const receipt = parseReceiptText('Thank you for shopping');
+  assert.deepEqual(receipt.items, []);
+  assert.deepEqual(receipt.checks.warnings, ['No line items found', 'No total found']);
+});
+
+test('the draft adds separate tax as an item, and given fields win', () => {
+  const draft = buildReceiptDraft(parseReceiptText(fixture('grocery-receipt.txt')), {
+    fields: { establishment: 'Fresh Mart', paymentMethod: 'Cash' },
+    receiptImage: 'https://example.com/receipts/REC-1.jpg'
+  });
+
+  assert.equal(draft.length, 6);
+  assert.deepEqual(draft.map(item => [item.items, item.amount]), [
+    ['2 x Milk 1L', 5.98], ['Bread', 2.49], ['2 x Eggs Dozen', 6], ['Bananas', 1.2], ['Returned Jam', -3.5], ['Tax', 0.73]
+  ]);
+  assert.ok(draft.every(item => item.establishment === 'Fresh Mart' && item.paymentMethod === 'Cash' &&
+    item.transactionType === 'Expense' && item.receiptImage === 'https://example.com/receipts/REC-1.jpg'));
+});
+
+test('the draft of a receipt with only a total is one row', () => {
+  const draft = buildReceiptDraft(parseReceiptText('Gas Station\nTotal 45.00'));
+  assert.deepEqual(draft.map(item => [item.items, item.amount]), [['Gas Station', 45]]);
+});
+
+test('stored receipt files resolve by name only', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+  try {
+    const store = createReceiptFileStore({ dir });
+    const fileName = store.createFileName({ receiptId: 'REC-abc', mimeType: 'application/pdf' });
+    assert.match(fileName, /^REC-abc-[0-9a-f]{24}\.pdf$/);
+    assert.match(store.createFileName({ mimeType: 'image/jpeg' }), /^receipt-[0-9a-f]{24}\.jpg$/);
+    // Nothing is written until the file is saved
+    assert.equal(store.resolve(fileName), null);
+    store.save(fileName, Buffer.from('%PDF'));
+
+    assert.equal(store.resolve(fileName), path.join(dir, fileName));
+    ['../secret.pdf', 'REC-abc.pdf', `${fileName}/..`, '..%2Fsecret.pdf'].forEach(name => assert.equal(store.resolve(name), null, name));
+    store.remove(fileName);
+    assert.equal(store.resolve(fileName), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,37 @@
+// Backup replication (lib/replication.js): finding the primary rows a backup
+// is missing, matched by entry ID.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLogType, getHeaders } = require('../lib/log-types');
+const { getIdIndex, findMissingRows } = require('../lib/replication');
+
+const food = getLogType('food');
+const headers = getHeaders(food);
+
+// A food row in registry order with the given ID and description
+const meal = (id, description) => headers.map(header => {
+  if (header === 'Meal ID') return id;
+  if (header === 'Food / Meal Description') return description;
+  return header === 'Date' ? '2024-05-01' : 'NA';
+});
+
+test('the ID column is found in registry order', () => {
+  assert.equal(headers[getIdIndex(food)], 'Meal ID');
+  assert.equal(getIdIndex(getLogType('transactions')), 0);
+});
+
+test('rows missing from the backup are found, skipping queued copies and rows without an ID', () => {
+  const primary = [headers, meal('MEAL-1', 'rice'), meal('MEAL-2', 'soup'), meal('MEAL-3', 'tea'), meal('', 'old row')];
+  const backup = [headers, meal('MEAL-1', 'rice')];
+  const missing = findMissingRows(food, primary, backup, new Set(['MEAL-3']));
+  assert.deepEqual(missing, [meal('MEAL-2', 'soup')]);
+  assert.deepEqual(findMissingRows(food, primary, []).map(row => row[getIdIndex(food)]), ['MEAL-1', 'MEAL-2', 'MEAL-3']);
+});
+
+test('a backup tab with its columns in another order is matched by header name', () => {
+  const reordered = [...headers].reverse();
+  const backup = [reordered, [...meal('MEAL-1', 'rice')].reverse()];
+  const missing = findMissingRows(food, [headers, meal('MEAL-1', 'rice'), meal('MEAL-2', 'soup')], backup);
+  assert.deepEqual(missing, [meal('MEAL-2', 'soup')]);
+});
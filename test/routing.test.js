@@ -0,0 +1,91 @@
+// Spreadsheet routing (lib/routing.js): matching routes by type and namespace,
+// fan-out targets, the allow-list and reloading the config.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRouter } = require('../lib/routing');
+
+const types = ['transactions', 'food', 'chat', 'chat-backup'];
+const builtInRoutes = [
+  { types: ['chat-backup'], targets: [{ spreadsheetId: 'backup-sheet' }] },
+  { types: ['*'], targets: [{}] }
+];
+
+const router = (config, options = {}) => createRouter({ inline: JSON.stringify(config), types, builtInRoutes, ...options });
+
+test('the first route matching the type and namespace wins, then the built-in routes', () => {
+  const routes = router({
+    routes: [
+      { namespaces: ['key:key-1'], types: ['transactions'], targets: [{ spreadsheetId: 'key-1-sheet' }] },
+      { types: 'transactions', targets: [{ spreadsheetId: 'main' }, { spreadsheetId: 'mirror', sheetName: 'Transactions Backup' }] }
+    ]
+  });
+  assert.deepEqual(routes.resolve('transactions', 'key:key-1'), [{ spreadsheetId: 'key-1-sheet', sheetName: null }]);
+  assert.deepEqual(routes.resolve('transactions', 'key:key-2'), [
+    { spreadsheetId: 'main', sheetName: null },
+    { spreadsheetId: 'mirror', sheetName: 'Transactions Backup' }
+  ]);
+  assert.deepEqual(routes.resolve('chat-backup'), [{ spreadsheetId: 'backup-sheet', sheetName: null }]);
+  // The caller's default spreadsheet and the type's own tab
+  assert.deepEqual(routes.resolve('food'), [{ spreadsheetId: null, sheetName: null }]);
+  assert.equal(routes.findSheetType('Transactions Backup'), 'transactions');
+  assert.equal(routes.findSheetType('Meals'), null);
+});
+
+test('jobs walk the primary target of every route a type can reach', () => {
+  const routes = router({
+    routes: [
+      { namespaces: ['key:key-1'], types: ['food'], targets: [{ spreadsheetId: 'key-1-sheet' }, { spreadsheetId: 'copy' }] },
+      { types: ['*'], targets: [{ spreadsheetId: 'main' }] },
+      { types: ['food'], targets: [{ spreadsheetId: 'unreachable' }] }
+    ]
+  });
+  assert.deepEqual(routes.listPrimaryTargets('food'), [
+    { spreadsheetId: 'key-1-sheet', sheetName: null },
+    { spreadsheetId: 'main', sheetName: null }
+  ]);
+  assert.deepEqual(router({}).listPrimaryTargets('chat-backup'), [{ spreadsheetId: 'backup-sheet', sheetName: null }]);
+});
+
+test('named spreadsheets must be allowed or be a route target', () => {
+  const routes = router({ allowedSpreadsheets: ['own'], routes: [{ types: ['food'], targets: [{ spreadsheetId: 'food-sheet' }] }] });
+  assert.equal(routes.isAllowed('own'), true);
+  assert.equal(routes.isAllowed('food-sheet'), true);
+  assert.equal(routes.isAllowed('backup-sheet'), true);
+  assert.throws(() => routes.assertAllowed('elsewhere'), { statusCode: 403, message: 'Spreadsheet elsewhere is not in the routing allow-list' });
+
+  assert.equal(router({}).isAllowed('anything'), true);
+  // The environment's list applies when the config has none
+  assert.equal(router({}, { allowedSpreadsheets: ['env-sheet'] }).isAllowed('anything'), false);
+});
+
+test('invalid configs are rejected with the offending path', () => {
+  assert.throws(() => router([]), /Routing config must be an object/);
+  assert.throws(() => router({ routes: [{ types: ['journal'], targets: [{}] }] }), /routes\[0\]\.types has unknown type\(s\): journal/);
+  assert.throws(() => router({ routes: [{ types: ['food'], targets: [] }] }), /routes\[0\]\.targets must be a non-empty list/);
+  assert.throws(() => router({ routes: [{ targets: [{ spreadsheetId: '' }] }] }), /routes\[0\]\.targets\[0\]\.spreadsheetId must be a non-empty string/);
+});
+
+test('the routing file is reloaded, and a broken file keeps the previous config', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+  try {
+    const filePath = path.join(dir, 'routing.json');
+    fs.writeFileSync(filePath, JSON.stringify({ routes: [{ types: ['food'], targets: [{ spreadsheetId: 'food-1' }] }] }));
+    const routes = createRouter({ filePath, types, builtInRoutes });
+    assert.equal(routes.resolve('food')[0].spreadsheetId, 'food-1');
+    assert.equal(routes.describe().source, filePath);
+
+    fs.writeFileSync(filePath, JSON.stringify({ routes: [{ types: ['food'], targets: [{ spreadsheetId: 'food-2' }] }] }));
+    routes.reload();
+    assert.equal(routes.resolve('food')[0].spreadsheetId, 'food-2');
+
+    fs.writeFileSync(filePath, JSON.stringify({ routes: [{ types: ['food'], targets: 'food-3' }] }));
+    assert.throws(() => routes.reload(), /targets must be a non-empty list/);
+    assert.equal(routes.resolve('food')[0].spreadsheetId, 'food-2');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
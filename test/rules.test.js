@@ -0,0 +1,183 @@
+// Vendor and category rules (lib/rules.js): checking rules, matching,
+// applying them in order, suggestions and the rule store.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleError, parseRule, matchesRule, applyRules, suggestRules, createRuleStore } = require('../lib/rules');
+
+const rule = (match, set, options = {}) => ({ id: options.id || 'RUL-test', ...parseRule({ match, set, ...options }) });
+
+test('rules are checked and trimmed to their known parts', () => {
+  assert.deepEqual(parseRule({
+    name: 'Jollibee',
+    match: { establishment: 'jollibee', amount: { max: 1000 } },
+    set: { category: ' Food ' },
+    extra: true
+  }), {
+    name: 'Jollibee',
+    match: { establishment: { contains: 'jollibee' }, amount: { max: 1000 } },
+    set: { category: 'Food' },
+    overwrite: true,
+    enabled: true
+  });
+
+  const cases = [
+    [null, /must be an object with match and set/],
+    [{ match: {}, set: { category: 'Food' } }, /match must name at least one of/],
+    [{ match: { notes: 'x' }, set: { category: 'Food' } }, /can't match on notes/],
+    [{ match: { establishment: 'x' }, set: {} }, /set must give at least one of/],
+    [{ match: { establishment: 'x' }, set: { amount: '5' } }, /can't set amount/],
+    [{ match: { establishment: 'x' }, set: { category: ' ' } }, /set.category must be a non-empty string/],
+    [{ match: { establishment: 'x' }, set: { category: 'Food' }, overwrite: 'no' }, /overwrite and enabled must be true or false/],
+    [{ match: { establishment: { like: 'a' } }, set: { category: 'Food' } }, /match.establishment must be a string, or one of/],
+    [{ match: { establishment: { regex: '(' } }, set: { category: 'Food' } }, /match.establishment.regex is not a valid regular expression/],
+    [{ match: { establishment: { regex: '^(a+)+$' } }, set: { category: 'Food' } }, /match.establishment.regex can't repeat a group/],
+    [{ match: { items: { regex: '(a|ab)*c' } }, set: { category: 'Food' } }, /match.items.regex can't repeat a group/],
+    [{ match: { items: { regex: '((?:a*)b){2,}' } }, set: { category: 'Food' } }, /match.items.regex can't repeat a group/],
+    [{ match: { items: { regex: 'x'.repeat(201) } }, set: { category: 'Food' } }, /match.items.regex can be at most 200 characters/],
+    [{ match: { establishment: { contains: 'a', glob: 'b' } }, set: { category: 'Food' } }, /must be a string, or one of/],
+    [{ match: { establishment: { glob: '' } }, set: { category: 'Food' } }, /match.establishment.glob must be a non-empty string/],
+    [{ match: { establishment: { glob: '*'.repeat(201) } }, set: { category: 'Food' } }, /can be at most 200 characters/],
+    [{ match: { amount: { min: 'ten' } }, set: { category: 'Food' } }, /match.amount must be/],
+    [{ match: { amount: { above: 1 } }, set: { category: 'Food' } }, /match.amount must be/],
+    [{ match: { amount: { min: 10, max: 5 } }, set: { category: 'Food' } }, /min must not be greater than/]
+  ];
+  cases.forEach(([input, message]) => assert.throws(() => parseRule(input), error =>
+    error instanceof RuleError && error.statusCode === 400 && message.test(error.message)));
+});
+
+test('text conditions: contains, startsWith and glob, without regard to case', () => {
+  const cases = [
+    [{ contains: 'JOLLIBEE' }, 'Jollibee Makati #123', true],
+    [{ contains: 'mcdo' }, 'Jollibee', false],
+    [{ startsWith: 'gc-' }, 'GC-000123', true],
+    [{ startsWith: 'gc-' }, 'XGC-000123', false],
+    [{ glob: 'grab*food' }, 'GrabFood', true],
+    [{ glob: 'grab*food' }, 'Grab Express Food', true],
+    [{ glob: 'grab*' }, 'Grab', true],
+    [{ glob: 'grab*food' }, 'GrabFood Refund', false],
+    [{ glob: 'sm ?' }, 'SM 1', true],
+    [{ glob: 'sm ?' }, 'SM 12', false],
+    [{ glob: '*.com' }, 'amazon.com', true],
+    [{ glob: '*a*a*a*a*b' }, 'a'.repeat(5000), false]
+  ];
+  cases.forEach(([condition, establishment, expected]) => assert.equal(
+    matchesRule({ match: { establishment: condition } }, { establishment }), expected, `${JSON.stringify(condition)} ${establishment}`));
+
+  assert.equal(matchesRule({ match: { establishment: { contains: 'x' } } }, { establishment: 'NA' }), false);
+  assert.equal(matchesRule({ match: { items: { contains: 'x' } } }, {}), false);
+});
+
+test('regex conditions ignore case and only look at the start of long values', () => {
+  const cases = [
+    [{ regex: '^gc-\\d+$' }, 'GC-000123', true],
+    [{ regex: '^gc-\\d+$' }, 'GC-000123 refund', false],
+    [{ regex: '(grab|foodpanda) ?food' }, 'FoodPanda Food', true],
+    [{ regex: 'jollibee$' }, 'x'.repeat(2000) + 'Jollibee', false],
+    [{ regex: 'jollibee' }, 'Jollibee' + 'x'.repeat(2000), true]
+  ];
+  cases.forEach(([condition, onlineTransactionId, expected]) => assert.equal(
+    matchesRule(rule({ onlineTransactionId: condition }, { category: 'Food' }), { onlineTransactionId }), expected, condition.regex));
+
+  // Optional groups, escaped parentheses and classes can still hold quantifiers
+  ['(a+)?b', '\\(a+\\)+', '[(+]+', '(?<code>[a-z]+)-\\d+', '(ab)+'].forEach(regex =>
+    assert.doesNotThrow(() => parseRule({ match: { items: { regex } }, set: { category: 'Food' } }), regex));
+});
+
+test('every condition must hold, amounts included', () => {
+  const coffee = rule({ establishment: 'starbucks', amount: { min: 100, max: 300 } }, { category: 'Coffee' });
+
+  assert.equal(matchesRule(coffee, { establishment: 'Starbucks BGC', amount: 180 }), true);
+  assert.equal(matchesRule(coffee, { establishment: 'Starbucks BGC', amount: '300' }), true);
+  assert.equal(matchesRule(coffee, { establishment: 'Starbucks BGC', amount: 1200 }), false);
+  assert.equal(matchesRule(coffee, { establishment: 'Starbucks BGC' }), false);
+  assert.equal(matchesRule(coffee, { establishment: 'Tim Hortons', amount: 180 }), false);
+});
+
+test('rules apply in order: the first to set a field wins it, and overwrite: false only fills gaps', () => {
+  const rules = [
+    rule({ establishment: 'grab' }, { mappedOnlineVendor: 'Grab' }, { id: 'RUL-1', name: 'grab' }),
+    rule({ establishment: 'grabfood' }, { mappedOnlineVendor: 'GrabFood', category: 'Food' }, { id: 'RUL-2', name: 'grabfood' }),
+    rule({ establishment: 'grab' }, { category: 'Transport', taxCategory: 'None' }, { id: 'RUL-3', overwrite: false }),
+    rule({ establishment: 'grab' }, { linkedBudgetCategory: 'Off' }, { id: 'RUL-4', enabled: false })
+  ];
+
+  const { data, applied } = applyRules(rules, { establishment: 'GrabFood', category: 'Snacks', amount: 250 });
+  assert.deepEqual(data, {
+    establishment: 'GrabFood',
+    category: 'Food',
+    amount: 250,
+    mappedOnlineVendor: 'Grab',
+    taxCategory: 'None'
+  });
+  assert.deepEqual(applied, [
+    { ruleId: 'RUL-1', name: 'grab', fields: ['mappedOnlineVendor'] },
+    { ruleId: 'RUL-2', name: 'grabfood', fields: ['category'] },
+    { ruleId: 'RUL-3', name: '', fields: ['taxCategory'] }
+  ]);
+
+  assert.deepEqual(applyRules(rules, { establishment: 'Jollibee' }), { data: { establishment: 'Jollibee' }, applied: [] });
+});
+
+test('suggestions come from establishments logged often enough with the same values', () => {
+  const logged = [
+    ...['JOLLIBEE MAKATI #123', 'Jollibee Makati #45', 'jollibee makati', 'JOLLIBEE MAKATI No. 7'].map(establishment =>
+      ({ establishment, category: 'Food', linkedBudgetCategory: 'Dining' })),
+    { establishment: 'Jollibee Makati', category: 'Snacks', linkedBudgetCategory: 'Dining' },
+    ...['Meralco', 'MERALCO', 'Meralco'].map((establishment, index) => ({ establishment, category: ['Bills', 'Utilities', 'Bills'][index] })),
+    { establishment: 'Shell', category: 'Gas' },
+    { establishment: '7', category: 'Misc' }
+  ];
+
+  assert.deepEqual(suggestRules(logged), [{
+    name: 'jollibee makati',
+    match: { establishment: { contains: 'jollibee makati' } },
+    set: { category: 'Food', linkedBudgetCategory: 'Dining' },
+    support: 5,
+    confidence: { category: 0.8, linkedBudgetCategory: 1 },
+    examples: ['JOLLIBEE MAKATI #123', 'Jollibee Makati #45', 'jollibee makati', 'JOLLIBEE MAKATI No. 7', 'Jollibee Makati']
+  }]);
+
+  assert.deepEqual(suggestRules(logged, [], { minConfidence: 0.6 }).map(({ name, set }) => [name, set]), [
+    ['jollibee makati', { category: 'Food', linkedBudgetCategory: 'Dining' }],
+    ['meralco', { category: 'Bills' }]
+  ]);
+
+  // Fields an existing rule already sets are left out
+  const existing = [rule({ establishment: 'jollibee' }, { linkedBudgetCategory: 'Dining' })];
+  assert.deepEqual(suggestRules(logged, existing)[0].set, { category: 'Food' });
+});
+
+test('rule store keeps each user\'s rules in order', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+  try {
+    const filePath = path.join(dir, 'rules.json');
+    const store = createRuleStore({ filePath });
+    const a = store.create({ name: 'a', userId: null });
+    const b = store.create({ name: 'b', userId: null });
+    const mine = store.create({ name: 'mine', userId: 'user-1' });
+    const c = store.create({ name: 'c', userId: null }, { position: 0 });
+    assert.match(a.id, /^RUL-/);
+
+    assert.deepEqual(store.list().map(entry => entry.name), ['c', 'a', 'b']);
+    assert.deepEqual(store.list('user-1').map(entry => entry.name), ['mine']);
+
+    store.move(c.id, 5);
+    store.move(b.id, 0);
+    assert.deepEqual(store.list().map(entry => entry.name), ['b', 'a', 'c']);
+    assert.equal(store.move('RUL-missing', 0), null);
+
+    store.update(a.id, { enabled: false });
+    assert.equal(store.remove(mine.id), true);
+    assert.equal(store.remove(mine.id), false);
+
+    const reloaded = createRuleStore({ filePath });
+    assert.deepEqual(reloaded.list().map(entry => [entry.name, entry.enabled]), [['b', undefined], ['a', false], ['c', undefined]]);
+    assert.deepEqual(reloaded.list('user-1'), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
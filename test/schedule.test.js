@@ -0,0 +1,155 @@
+// Cron and RRULE schedules (lib/schedule.js) and catching up on recurring
+// entries (lib/recurring.js). Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScheduleError, parseSchedule, listOccurrences } = require('../lib/schedule');
+const { listUpcoming, createRecurringStore, createRecurringScheduler } = require('../lib/recurring');
+
+const at = (text) => new Date(`${text}Z`);
+const iso = (dates) => dates.map(date => date.toISOString().slice(0, 16));
+
+const occurrences = (schedule, start, options = {}) =>
+  iso(listOccurrences(parseSchedule(schedule, at(start)), at(start), { limit: 5, ...options }));
+
+const cases = [
+  {
+    name: 'cron on the 1st of every month',
+    schedule: '0 9 1 * *',
+    start: '2024-01-15T00:00',
+    expected: ['2024-02-01T09:00', '2024-03-01T09:00', '2024-04-01T09:00', '2024-05-01T09:00', '2024-06-01T09:00']
+  },
+  {
+    name: 'cron with both day fields restricted matches either',
+    schedule: '30 8 13 * 5',
+    start: '2024-09-01T00:00',
+    expected: ['2024-09-06T08:30', '2024-09-13T08:30', '2024-09-20T08:30', '2024-09-27T08:30', '2024-10-04T08:30']
+  },
+  {
+    name: 'cron steps and 7 as Sunday',
+    schedule: '*/30 6 * * 7',
+    start: '2024-06-01T00:00',
+    expected: ['2024-06-02T06:00', '2024-06-02T06:30', '2024-06-09T06:00', '2024-06-09T06:30', '2024-06-16T06:00']
+  },
+  {
+    name: 'BYDAY ordinal: last Friday of the month',
+    schedule: 'FREQ=MONTHLY;BYDAY=-1FR;BYHOUR=18;BYMINUTE=0',
+    start: '2024-01-01T00:00',
+    expected: ['2024-01-26T18:00', '2024-02-23T18:00', '2024-03-29T18:00', '2024-04-26T18:00', '2024-05-31T18:00']
+  },
+  {
+    name: 'BYDAY ordinal: first Monday, every other month',
+    schedule: 'RRULE:FREQ=MONTHLY;INTERVAL=2;BYDAY=1MO',
+    start: '2024-01-01T07:00',
+    expected: ['2024-01-01T07:00', '2024-03-04T07:00', '2024-05-06T07:00', '2024-07-01T07:00', '2024-09-02T07:00']
+  },
+  {
+    name: 'BYDAY ordinal in a yearly rule counts within the year',
+    schedule: 'FREQ=YEARLY;BYDAY=20MO',
+    start: '2024-01-01T09:00',
+    expected: ['2024-05-13T09:00', '2025-05-19T09:00', '2026-05-18T09:00', '2027-05-17T09:00', '2028-05-15T09:00']
+  },
+  {
+    name: 'negative BYMONTHDAY counts back from the month end',
+    schedule: 'FREQ=MONTHLY;BYMONTHDAY=-1',
+    start: '2024-01-10T12:00',
+    expected: ['2024-01-31T12:00', '2024-02-29T12:00', '2024-03-31T12:00', '2024-04-30T12:00', '2024-05-31T12:00']
+  },
+  {
+    name: 'weekly on two days, every second week',
+    schedule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH',
+    start: '2024-07-01T08:00',
+    expected: ['2024-07-01T08:00', '2024-07-04T08:00', '2024-07-15T08:00', '2024-07-18T08:00', '2024-07-29T08:00']
+  },
+  {
+    name: 'COUNT stops the rule',
+    schedule: 'FREQ=DAILY;COUNT=3',
+    start: '2024-03-01T10:00',
+    expected: ['2024-03-01T10:00', '2024-03-02T10:00', '2024-03-03T10:00']
+  },
+  {
+    name: 'UNTIL is inclusive',
+    schedule: 'FREQ=DAILY;UNTIL=20240303T100000Z',
+    start: '2024-03-01T10:00',
+    expected: ['2024-03-01T10:00', '2024-03-02T10:00', '2024-03-03T10:00']
+  }
+];
+
+cases.forEach(({ name, schedule, start, expected }) => {
+  test(name, () => {
+    assert.deepEqual(occurrences(schedule, start), expected);
+  });
+});
+
+test('COUNT is counted from the start, not from `after`', () => {
+  assert.deepEqual(occurrences('FREQ=DAILY;COUNT=3', '2024-03-01T10:00', { after: at('2024-03-01T10:00') }),
+    ['2024-03-02T10:00', '2024-03-03T10:00']);
+  assert.deepEqual(occurrences('FREQ=DAILY;COUNT=3', '2024-03-01T10:00', { after: at('2024-03-03T10:00') }), []);
+});
+
+test('invalid schedules throw a ScheduleError', () => {
+  ['', '0 9 * *', '60 * * * *', '0 9 31 2-x *', 'FREQ=HOURLY', 'FREQ=DAILY;BYDAY=1MO', 'FREQ=MONTHLY;COUNT=0', 'FREQ=DAILY;FOO=1']
+    .forEach(schedule => assert.throws(() => parseSchedule(schedule, at('2024-01-01T00:00')), ScheduleError, schedule));
+});
+
+test('a rule that never matches ends instead of looping', () => {
+  assert.deepEqual(occurrences('FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30', '2024-01-01T00:00'), []);
+});
+
+test('catch-up logs missed occurrences once, and no more than COUNT', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recurring-'));
+  try {
+    const store = createRecurringStore({ filePath: path.join(dir, 'recurring.json') });
+    const template = store.create({ type: 'transactions', schedule: 'FREQ=WEEKLY;COUNT=4', startAt: '2024-01-01T09:00:00.000Z', data: {} });
+    const logged = [];
+    const scheduler = createRecurringScheduler({ store, run: async (current, occurrence, entryId) => { logged.push(entryId); } });
+
+    await scheduler.tick();
+    await scheduler.tick();
+
+    assert.deepEqual(logged, ['0101', '0108', '0115', '0122'].map(day => `${template.id}-2024${day}0900`));
+    assert.equal(store.get(template.id).runs, 4);
+    assert.deepEqual(listUpcoming(store.get(template.id)), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('catch-up is limited per check and resumes on the next one', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recurring-'));
+  try {
+    const store = createRecurringStore({ filePath: path.join(dir, 'recurring.json') });
+    store.create({ type: 'status', schedule: 'FREQ=DAILY;COUNT=5', startAt: '2024-01-01T00:00:00.000Z', data: {} });
+    let runs = 0;
+    const scheduler = createRecurringScheduler({ store, maxCatchUp: 2, run: async () => { runs++; } });
+
+    await scheduler.tick();
+    assert.equal(runs, 2);
+    await scheduler.tick();
+    await scheduler.tick();
+    await scheduler.tick();
+    assert.equal(runs, 5);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a rejected occurrence pauses the template', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recurring-'));
+  try {
+    const store = createRecurringStore({ filePath: path.join(dir, 'recurring.json') });
+    const template = store.create({ type: 'food', schedule: '0 12 * * *', startAt: '2024-01-01T00:00:00.000Z', data: {} });
+    const rejected = Object.assign(new Error('Invalid data'), { statusCode: 422 });
+    const scheduler = createRecurringScheduler({ store, run: async () => { throw rejected; } });
+
+    await scheduler.tick();
+    assert.equal(store.get(template.id).paused, true);
+    assert.equal(store.get(template.id).lastError, 'Invalid data');
+    assert.equal(store.get(template.id).runs, 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
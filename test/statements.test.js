@@ -0,0 +1,215 @@
+// Reading bank and e-wallet statements (lib/statements.js): CSV with and
+// without a mapping, OFX SGML, QIF, and the transactions they become.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  StatementError,
+  parseAmount,
+  parseDate,
+  parseMapping,
+  readStatement,
+  toTransactions,
+  createMappingStore
+} = require('../lib/statements');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+test('amounts: separators, symbols, parentheses, DR/CR and a trailing minus', () => {
+  const cases = [
+    ['1,234.50', 1234.5],
+    ['-12', -12],
+    ['+7.25', 7.25],
+    ['.5', 0.5],
+    ['(12.00)', -12],
+    ['12.00 DR', -12],
+    ['12.00 Dr.', -12],
+    ['12.00 CR', 12],
+    ['50.00-', -50],
+    ['₱450', 450],
+    ['$ 1,000.00', 1000],
+    ['USD 20', 20],
+    ['', null],
+    [undefined, null],
+    ['n/a', null],
+    ['1.2.3', null]
+  ];
+  cases.forEach(([value, expected]) => assert.equal(parseAmount(value), expected, String(value)));
+});
+
+test('dates: each order, two-digit years, compact dates and impossible days', () => {
+  const cases = [
+    ['05/07/2024', 'MDY', '2024-05-07'],
+    ['05/07/2024', 'DMY', '2024-07-05'],
+    ['2024-05-07', 'DMY', '2024-05-07'],
+    ['24.05.07', 'YMD', '2024-05-07'],
+    ["05/07'24", 'MDY', '2024-05-07'],
+    ['20240507', undefined, '2024-05-07'],
+    ['05/07/2024 14:30', 'MDY', '2024-05-07'],
+    ['02/30/2024', 'MDY', null],
+    ['15/05/2024', 'MDY', null],
+    ['20241301', undefined, null],
+    ['15 Jan 2024', 'MDY', '15 Jan 2024']
+  ];
+  cases.forEach(([value, order, expected]) => assert.equal(parseDate(value, order), expected, `${value} ${order}`));
+  assert.equal(parseDate('', 'MDY'), null);
+});
+
+test('CSV without a mapping: account lines above the header, debit/credit columns, day-first dates', () => {
+  const statement = readStatement(fixture('bank-dmy.csv'), { fileName: 'bank-dmy.csv' });
+
+  assert.equal(statement.format, 'csv');
+  assert.deepEqual(statement.mapping, {
+    date: 'Posting Date',
+    description: 'Description',
+    debit: 'Debit',
+    credit: 'Credit',
+    reference: 'Reference No.'
+  });
+  assert.deepEqual(statement.rows.map(row => row.error || [row.line, row.date, row.amount, row.description, row.sourceId]), [
+    [5, '2024-05-02', -150, 'JOLLIBEE MAKATI, #123', 'REF001'],
+    [6, '2024-05-15', 25000, 'SALARY', 'REF002'],
+    [7, '2024-05-15', 25000, 'SALARY', null],
+    // A debit written with a trailing minus is still money out
+    [8, '2024-05-20', -50, 'Card fee', 'REF003'],
+    'Unreadable date ""'
+  ]);
+});
+
+test('CSV dates: an explicit order wins over detection', () => {
+  const statement = readStatement(fixture('bank-dmy.csv'), { fileName: 'bank-dmy.csv', dateOrder: 'MDY' });
+
+  assert.equal(statement.rows[0].date, '2024-02-05');
+  assert.equal(statement.rows[1].error, 'Unreadable date "15/05/2024"');
+});
+
+test('CSV with a mapping: unrecognized headers, semicolons and a bank name', () => {
+  const text = fixture('wallet.csv');
+  assert.throws(() => readStatement(text, { fileName: 'wallet.csv' }), /send a mapping/);
+
+  const mapping = { date: 'Txn Date', description: 'Details', amount: 'Amount', reference: 'Ref', bank: 'GCash' };
+  const statement = readStatement(text, { fileName: 'wallet.csv', mapping });
+  assert.equal(statement.account.bank, 'GCash');
+  assert.deepEqual(statement.rows.map(row => [row.date, row.amount, row.description, row.sourceId]), [
+    ['2024-05-03', 1000, 'Load from bank', 'W1'],
+    ['2024-05-04', -120.5, 'Coffee', 'W2'],
+    ['2024-05-05', -75, 'Split "A" bill', 'W3']
+  ]);
+
+  const inverted = readStatement(text, { fileName: 'wallet.csv', mapping: { ...mapping, invert: true } });
+  assert.deepEqual(inverted.rows.map(row => row.amount), [-1000, 120.5, 75]);
+
+  assert.throws(
+    () => readStatement(text, { fileName: 'wallet.csv', mapping: { date: 'Posted', amount: 'Amount' } }),
+    /no header row with the mapping's columns \(Posted, Amount\)/
+  );
+});
+
+test('mappings are checked before use', () => {
+  const cases = [
+    [null, /must be an object/],
+    [{ date: 'Date' }, /needs a date column and an amount column/],
+    [{ date: 'Date', amount: 'Amount', payee: 'Payee' }, /Unknown mapping field\(s\): payee/],
+    [{ date: 'Date', amount: ' ' }, /must be header names: amount/],
+    [{ date: 'Date', amount: 'Amount', dateOrder: 'DDMM' }, /dateOrder must be one of: YMD, MDY, DMY/],
+    [{ date: 'Date', amount: 'Amount', invert: 'yes' }, /invert must be true or false/],
+    [{ date: 'Date', amount: 'Amount', delimiter: ';;' }, /delimiter must be a single character/]
+  ];
+  cases.forEach(([mapping, message]) => assert.throws(() => parseMapping(mapping), error =>
+    error instanceof StatementError && error.statusCode === 400 && message.test(error.message)));
+  assert.deepEqual(parseMapping({ date: 'Date', debit: 'Out', credit: 'In' }), { date: 'Date', debit: 'Out', credit: 'In' });
+});
+
+test('OFX SGML: account, currency, FITIDs, posting times and transfers', () => {
+  const statement = readStatement(fixture('checking.ofx'), { fileName: 'checking.ofx' });
+
+  assert.equal(statement.format, 'ofx');
+  assert.deepEqual(statement.account, { bank: '021000021', accountId: '55501234', currency: 'USD' });
+  assert.deepEqual(statement.rows.map(row => [row.date, row.time, row.amount, row.description, row.memo, row.sourceId, row.transfer]), [
+    ['2024-05-05', '12:00:00', -20, 'Corner Diner', 'Lunch', 'F1', false],
+    ['2024-05-10', null, 1500, 'Payroll', null, 'F2', false],
+    ['2024-05-12', null, -300, 'To savings', null, 'F3', true]
+  ]);
+
+  const transactions = toTransactions(statement);
+  assert.deepEqual(transactions[0].data, {
+    date: '2024-05-05',
+    time: '12:00:00',
+    accountName: '55501234',
+    transactionType: 'Expense',
+    establishment: 'Corner Diner',
+    amount: 20,
+    currency: 'USD',
+    bankIdentifier: '021000021',
+    onlineTransactionId: 'F1',
+    transactionMethod: 'DEBIT',
+    referenceId: transactions[0].data.referenceId,
+    notes: 'Lunch'
+  });
+  assert.deepEqual(transactions.map(({ data }) => data.transactionType), ['Expense', 'Income', 'Transfer']);
+});
+
+test('QIF: two-digit years, categories, [Account] transfers and unreadable dates', () => {
+  const statement = readStatement(fixture('card.qif'));
+
+  assert.equal(statement.format, 'qif');
+  assert.deepEqual(statement.rows.map(row => row.error || [row.line, row.date, row.amount, row.description, row.category, row.transfer]), [
+    [2, '2024-05-07', -45.1, 'Gas Station', 'Auto:Fuel', false],
+    [8, '2024-05-09', -1200, 'Furniture Store', null, false],
+    [13, '2024-05-20', 500, 'Payment', null, true],
+    'Unreadable date "02/30/2024"'
+  ]);
+
+  const transactions = toTransactions(statement, { accountName: 'Visa', defaults: { category: 'Misc', paymentMethod: 'Card' } });
+  assert.equal(transactions.length, 3);
+  // Defaults fill gaps but don't replace what the statement says
+  assert.deepEqual(transactions.map(({ data }) => data.category), ['Auto:Fuel', 'Misc', 'Misc']);
+  assert.deepEqual(transactions.map(({ data }) => data.notes), [undefined, 'Desk', undefined]);
+});
+
+test('referenceIds: stable across imports, distinct for look-alike rows and per account', () => {
+  const text = fixture('bank-dmy.csv');
+  const ids = (options) => toTransactions(readStatement(text, { fileName: 'bank-dmy.csv' }), options)
+    .map(({ data }) => data.referenceId);
+
+  const first = ids({ bank: 'BPI', accountName: 'Savings' });
+  assert.deepEqual(ids({ bank: 'BPI', accountName: 'Savings' }), first);
+  assert.ok(first.every(id => /^STM-[0-9a-f]{16}$/.test(id)));
+  assert.equal(new Set(first).size, first.length);
+  assert.notDeepEqual(ids({ bank: 'BPI', accountName: 'Checking' }), first);
+
+  const twin = { line: 1, date: '2024-05-01', amount: -5, description: 'Jeepney', sourceId: null };
+  const statement = { account: { bank: null, accountId: null, currency: null }, rows: [twin, { ...twin, line: 2 }] };
+  const [a, b] = toTransactions(statement).map(({ data }) => data.referenceId);
+  assert.notEqual(a, b);
+  assert.deepEqual(toTransactions(statement).map(({ data }) => data.referenceId), [a, b]);
+});
+
+test('statements that cannot be read', () => {
+  assert.throws(() => readStatement('  \n'), /The statement is empty/);
+  assert.throws(() => readStatement('a,b', { format: 'xlsx' }), /format must be one of: csv, ofx, qif/);
+  assert.throws(() => readStatement('a,b', { dateOrder: 'YDM' }), /dateOrder must be one of/);
+  assert.throws(() => readStatement('hello', { format: 'ofx' }), /Not an OFX file/);
+  assert.throws(() => readStatement('^\n^', { format: 'qif' }), /Not a QIF file/);
+});
+
+test('mapping store keeps checked mappings in its file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statements-'));
+  try {
+    const filePath = path.join(dir, 'mappings.json');
+    const store = createMappingStore({ filePath });
+    assert.throws(() => store.set('bad', { date: 'Date' }), StatementError);
+    store.set('gcash', { date: 'Txn Date', amount: 'Amount' });
+
+    const reloaded = createMappingStore({ filePath });
+    assert.deepEqual(reloaded.list(), { gcash: { date: 'Txn Date', amount: 'Amount' } });
+    assert.equal(reloaded.remove('gcash'), true);
+    assert.equal(reloaded.remove('gcash'), false);
+    assert.equal(reloaded.get('gcash'), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
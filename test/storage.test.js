@@ -0,0 +1,187 @@
+// Storage backends (lib/storage): the local CSV backend end to end, and the
+// Sheets backend against a stand-in for the Sheets API client.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { createLocalStorage } = require('../lib/storage/local');
+const { createSheetsStorage, withTimeout } = require('../lib/storage/sheets');
+
+// A local backend in a temporary directory, removed after `run`
+const withLocalStorage = async (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  try {
+    return await run(createLocalStorage({ dir }), dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// Records every call and answers like the Sheets v4 API
+const fakeSheetsClient = (values = []) => {
+  const calls = [];
+  const record = (name, response = {}) => async (request) => {
+    calls.push([name, request]);
+    return { data: response };
+  };
+  return {
+    calls,
+    spreadsheets: {
+      get: record('get', { sheets: [{ properties: { sheetId: 7, title: 'Transactions' } }, { properties: { sheetId: 9, title: 'Meals' } }] }),
+      create: record('create', {
+        spreadsheetId: 'new-sheet',
+        spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/new-sheet',
+        sheets: [{ properties: { sheetId: 11, title: 'Transactions' } }]
+      }),
+      batchUpdate: record('batchUpdate'),
+      values: {
+        get: record('values.get', { values }),
+        batchUpdate: record('values.batchUpdate'),
+        update: record('values.update'),
+        append: record('values.append', { updates: { updatedRange: 'Transactions!A5:C6' } }),
+        clear: record('values.clear')
+      }
+    }
+  };
+};
+
+test('local backend: headers, appends, reads, updates and deletes', () => withLocalStorage(async (storage) => {
+  assert.equal(await storage.ensureHeaders('sheet-1', 'Transactions', ['ID', 'Amount', 'Notes']), true);
+  assert.equal(await storage.ensureHeaders('sheet-1', 'Transactions', ['ID', 'Amount', 'Notes']), false);
+
+  const { updatedRange } = await storage.append('sheet-1', 'Transactions', [['TXN-1', 10, 'NA'], ['TXN-2', 20, '']]);
+  assert.equal(updatedRange, 'Transactions!A2:A3');
+  // Values come back as strings with trailing empty cells dropped, like Sheets
+  assert.deepEqual(await storage.read('sheet-1', 'Transactions'), [['ID', 'Amount', 'Notes'], ['TXN-1', '10', 'NA'], ['TXN-2', '20']]);
+
+  await storage.update('sheet-1', 'Transactions', 2, ['TXN-1', 15, 'fixed']);
+  await storage.deleteRow('sheet-1', 'Transactions', 3);
+  assert.deepEqual(await storage.read('sheet-1', 'Transactions'), [['ID', 'Amount', 'Notes'], ['TXN-1', '15', 'fixed']]);
+
+  // A migration rewrites the whole sheet
+  await storage.writeRows('sheet-1', 'Transactions', [['Amount', 'ID'], ['15', 'TXN-1', '']], 3);
+  assert.deepEqual(await storage.readHeaders('sheet-1', 'Transactions'), ['Amount', 'ID']);
+  assert.deepEqual(await storage.read('sheet-1', 'Transactions'), [['Amount', 'ID'], ['15', 'TXN-1']]);
+
+  await storage.clear('sheet-1', 'Transactions');
+  assert.deepEqual(await storage.read('sheet-1', 'Transactions'), []);
+  assert.deepEqual(await storage.read('sheet-1', 'Missing'), []);
+}));
+
+test('local backend: concurrent appends all land, and odd names are kept apart', () => withLocalStorage(async (storage, dir) => {
+  await Promise.all(Array.from({ length: 20 }, (_, index) => storage.append('a/b', 'Food & Drinks', [[`row-${index}`]])));
+  const rows = await storage.read('a/b', 'Food & Drinks');
+  assert.equal(rows.length, 20);
+  assert.deepEqual(new Set(rows.map(row => row[0])).size, 20);
+
+  await storage.append('a/b', 'Status', [['x']]);
+  assert.deepEqual((await storage.listSheets('a/b')).sort(), ['Food & Drinks', 'Status']);
+  assert.deepEqual(await storage.listSheets('nothing-here'), []);
+  // The spreadsheet ID can't reach outside the data directory
+  assert.deepEqual(fs.readdirSync(dir), [encodeURIComponent('a/b')]);
+}));
+
+test('sheets backend: ranges and requests sent to the Sheets API', async () => {
+  const client = fakeSheetsClient([['ID', 'Amount']]);
+  const storage = createSheetsStorage({ getSheets: async () => client });
+
+  assert.equal(await storage.ensureHeaders('s1', 'Transactions', ['ID', 'Amount']), false);
+  assert.equal(await storage.ensureHeaders('s1', 'Transactions', ['ID', 'Amount', 'Notes']), true);
+  assert.deepEqual(await storage.append('s1', 'Transactions', [['a', 1], ['b', 2, 'c']]), { updatedRange: 'Transactions!A5:C6' });
+  await storage.update('s1', 'Transactions', 4, ['a', 1, 'x']);
+  await storage.deleteRow('s1', 'Meals', 3);
+  await storage.writeRows('s1', 'Transactions', [['ID'], ['a', 1]], 3);
+  await assert.rejects(storage.deleteRow('s1', 'Journal', 3), /Sheet not found: Journal/);
+
+  const requests = client.calls.map(([name, request]) => [name, request.range || request.requestBody?.requests?.[0].deleteDimension.range]);
+  assert.deepEqual(requests, [
+    ['values.get', 'Transactions!A1:B1'],
+    ['values.get', 'Transactions!A1:C1'],
+    ['values.update', 'Transactions!A1:C1'],
+    ['values.append', 'Transactions!A:C'],
+    ['values.update', 'Transactions!A4:C4'],
+    ['get', undefined],
+    ['batchUpdate', { sheetId: 9, dimension: 'ROWS', startIndex: 2, endIndex: 3 }],
+    ['values.update', 'Transactions!A1:C2'],
+    ['get', undefined]
+  ]);
+  // Cells of the old layout are blanked
+  assert.deepEqual(client.calls[7][1].requestBody.values, [['ID', '', ''], ['a', 1, '']]);
+  assert.deepEqual(await storage.listSheets('s1'), ['Transactions', 'Meals']);
+});
+
+test('appending to several tabs at once', () => withLocalStorage(async (storage) => {
+  assert.deepEqual(await storage.appendMany('s1', [{ sheetName: 'Meals', rows: [['a'], ['b']] }, { sheetName: 'Status', rows: [['c']] }]), { appended: 3 });
+  assert.deepEqual(await storage.read('s1', 'Meals'), [['a'], ['b']]);
+  assert.deepEqual(await storage.read('s1', 'Status'), [['c']]);
+}));
+
+test('local backend: a new workbook is a set of header-only tabs', () => withLocalStorage(async (storage) => {
+  const tabs = [{ name: 'Transactions', columns: [{ header: 'ID' }, { header: 'Amount' }] }, { name: 'Chat', columns: [{ header: 'Message' }] }];
+  const { spreadsheetId, spreadsheetUrl } = await storage.createSpreadsheet('Budget', tabs);
+  assert.match(spreadsheetId, /^local-[0-9a-f]{16}$/);
+  assert.equal(spreadsheetUrl, null);
+  assert.deepEqual((await storage.listSheets(spreadsheetId)).sort(), ['Chat', 'Transactions']);
+  assert.deepEqual(await storage.read(spreadsheetId, 'Transactions'), [['ID', 'Amount']]);
+}));
+
+test('sheets backend: a multi-tab append is one batchUpdate of appendCells', async () => {
+  const client = fakeSheetsClient();
+  const storage = createSheetsStorage({ getSheets: async () => client });
+  await storage.appendMany('s1', [{ sheetName: 'Transactions', rows: [['TXN-1', 5, '']] }, { sheetName: 'Meals', rows: [['x']] }]);
+  const [, [, { requestBody }]] = client.calls;
+  assert.deepEqual(requestBody.requests.map(request => request.appendCells.sheetId), [7, 9]);
+  assert.deepEqual(requestBody.requests[0].appendCells.rows, [{ values: [{ userEnteredValue: { stringValue: 'TXN-1' } }, { userEnteredValue: { numberValue: 5 } }, {}] }]);
+  await assert.rejects(storage.appendMany('s1', [{ sheetName: 'Journal', rows: [] }]), /Sheet not found: Journal/);
+});
+
+test('sheets backend: a new workbook gets headers, formats and dropdowns, and is shared', async () => {
+  const client = fakeSheetsClient();
+  const permissions = [];
+  const drive = { permissions: { create: async (request) => permissions.push(request) } };
+  const storage = createSheetsStorage({ getSheets: async () => client, getDrive: async () => drive });
+
+  const columns = [
+    { header: 'Date', type: 'date', format: null, options: null },
+    { header: 'Amount', type: 'number', format: 'currency', options: null },
+    { header: 'Type', type: 'string', format: null, options: ['Income', 'NA'] }
+  ];
+  const created = await storage.createSpreadsheet('Budget', [{ name: 'Transactions', columns }], { shareWith: ['me@example.com'] });
+  assert.deepEqual(created, { spreadsheetId: 'new-sheet', spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/new-sheet' });
+
+  const call = (name) => client.calls.find(([callName]) => callName === name)[1];
+  assert.deepEqual(call('create').requestBody.sheets[0].properties.gridProperties, { frozenRowCount: 1, columnCount: 26 });
+  assert.deepEqual(call('values.batchUpdate').requestBody.data, [{ range: 'Transactions!A1:C1', values: [['Date', 'Amount', 'Type']] }]);
+
+  const requests = call('batchUpdate').requestBody.requests;
+  assert.equal(requests.length, 4);
+  assert.equal(requests[0].repeatCell.cell.userEnteredFormat.textFormat.bold, true);
+  assert.deepEqual(requests[1].repeatCell.cell.userEnteredFormat.numberFormat, { type: 'DATE', pattern: 'yyyy-mm-dd' });
+  assert.equal(requests[2].repeatCell.cell.userEnteredFormat.numberFormat.type, 'CURRENCY');
+  assert.deepEqual(requests[3].setDataValidation.range, { sheetId: 11, startRowIndex: 1, startColumnIndex: 2, endColumnIndex: 3 });
+  assert.equal(requests[3].setDataValidation.rule.strict, false);
+
+  assert.deepEqual(permissions, [{ fileId: 'new-sheet', sendNotificationEmail: false, requestBody: { type: 'user', role: 'writer', emailAddress: 'me@example.com' } }]);
+});
+
+test('timeouts keep the call that is still running', async () => {
+  const slow = new Promise(resolve => setTimeout(() => resolve('late'), 30));
+  const error = await withTimeout(slow, 5, 'Timeout appending data').catch(caught => caught);
+  assert.equal(error.message, 'Timeout appending data');
+  assert.equal(await error.pending, 'late');
+  assert.equal(await withTimeout(Promise.resolve('fast'), 50, 'Timeout'), 'fast');
+});
+
+test('the backend is chosen by name', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  try {
+    assert.equal(createStorage({ backend: 'local', dataDir: dir }).name, 'local');
+    assert.equal(createStorage({ getSheets: async () => null }).name, 'sheets');
+    assert.throws(() => createStorage({ backend: 'sqlite', dataDir: dir }), /Unknown STORAGE_BACKEND: sqlite/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
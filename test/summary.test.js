@@ -0,0 +1,76 @@
+// Summaries (lib/summary.js): reading numbers out of free-text columns,
+// grouping by day, ISO week or month, and breakdowns.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLogType } = require('../lib/log-types');
+const { QueryError } = require('../lib/query');
+const { readScore, readMacros, readVolume, summarizeEntries } = require('../lib/summary');
+
+test('scores, macros and workout volume are read from free text', () => {
+  assert.deepEqual(['7', '7/10', '6-8', 'tired', null].map(readScore), [7, 7, 7, null, null]);
+
+  assert.deepEqual(readMacros('30g protein, 45g carbs, 20g fat'), { protein: 30, carbs: 45, fat: 20 });
+  assert.deepEqual(readMacros('P30 C45 F20'), { protein: 30, carbs: 45, fat: 20 });
+  assert.deepEqual(readMacros('30/45/20'), { protein: 30, carbs: 45, fat: 20 });
+  assert.deepEqual(readMacros('protein: 25'), { protein: 25, carbs: null, fat: null });
+  assert.equal(readMacros('lots'), null);
+
+  assert.equal(readVolume('3', '10'), 30);
+  assert.equal(readVolume('3x10', null), 30);
+  assert.equal(readVolume('3', '8-12'), 30);
+  assert.equal(readVolume('NA', '10, 10, 8'), 28);
+  assert.equal(readVolume('some', 'many'), null);
+});
+
+test('spending is grouped by month with income, expense and net', () => {
+  const entries = [
+    { date: '2024-05-01', amount: 1000, transactionType: 'Income', category: 'Salary' },
+    { date: '2024-05-03', amount: 12.5, transactionType: 'Expense', category: 'Food' },
+    { date: '2024-05-20', amount: 7.5, transactionType: 'Expense', category: 'Food' },
+    { date: '2024-06-02', amount: 40, transactionType: 'Transfer', category: null },
+    { date: 'someday', amount: 5, transactionType: 'Expense' }
+  ];
+  const summary = summarizeEntries('transactions', getLogType('transactions'), entries, { by: 'category' });
+  assert.equal(summary.undated, 1);
+  assert.deepEqual(summary.totals.breakdown.map(row => [row.key, row.count, row.total]), [['Salary', 1, 1000], [null, 1, 40], ['Food', 2, 20]]);
+  assert.deepEqual(summary.periods.map(({ period, start, end, count, income, expense, transfer, net }) => [period, start, end, count, income, expense, transfer, net]), [
+    ['2024-05', '2024-05-01', '2024-05-31', 3, 1000, 20, 0, 980],
+    ['2024-06', '2024-06-01', '2024-06-30', 1, 0, 0, 40, 0]
+  ]);
+});
+
+test('weeks are ISO weeks, Monday to Sunday', () => {
+  const entries = [{ date: '2024-12-30' }, { date: '2025-01-05' }, { date: '2021-01-03' }];
+  const summary = summarizeEntries('journal', getLogType('journal'), entries, { groupBy: 'week' });
+  assert.deepEqual(summary.periods.map(({ period, start, end, count }) => [period, start, end, count]), [
+    ['2020-W53', '2020-12-28', '2021-01-03', 1],
+    ['2025-W01', '2024-12-30', '2025-01-05', 2]
+  ]);
+});
+
+test('food and workouts report per-day calories, macros, volume and unreadable values', () => {
+  const food = summarizeEntries('food', getLogType('food'), [
+    { date: '2024-05-01', calories: '650 kcal', macros: 'P30 C45 F20' },
+    { date: '2024-05-01', calories: '1,200', macros: null },
+    { date: '2024-05-02', calories: 'some', macros: '10/20/5' }
+  ], { groupBy: 'day' });
+  assert.deepEqual(food.totals, {
+    count: 3, calories: 1850, caloriesPerDay: 925, protein: 40, carbs: 65, fat: 25, days: 2, unparsed: { calories: 1, macros: 1 }
+  });
+
+  const workouts = summarizeEntries('workouts', getLogType('workouts'), [
+    { date: '2024-05-01', workoutType: 'Push', sets: '3', reps: '10', rpe: '8' },
+    { date: '2024-05-02', workoutType: 'Legs', sets: '4x5', reps: null, rpe: '6-8' }
+  ], { by: 'workoutType' });
+  assert.deepEqual([workouts.totals.volume, workouts.totals.averageRpe], [50, 7.5]);
+  assert.deepEqual(workouts.totals.breakdown.map(row => row.key), ['Push', 'Legs']);
+});
+
+test('groupBy and by are checked', () => {
+  const transactions = getLogType('transactions');
+  assert.throws(() => summarizeEntries('transactions', transactions, [], { groupBy: 'year' }), (error) =>
+    error instanceof QueryError && /groupBy must be one of: day, week, month/.test(error.message));
+  assert.throws(() => summarizeEntries('transactions', transactions, [], { by: 'notes' }), /by must be one of: category/);
+  assert.throws(() => summarizeEntries('journal', getLogType('journal'), [], { by: 'date' }), /can't be broken down/);
+});
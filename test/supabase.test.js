@@ -0,0 +1,80 @@
+// The Supabase mirror (lib/supabase.js): the generated schema, and the
+// PostgREST requests the store sends, against a local stand-in server.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createSupabaseStore, buildSchemaSql, toSnakeCase } = require('../lib/supabase');
+
+// A PostgREST stand-in that records requests and answers with `respond(request)`
+const startPostgrest = async (respond) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: decodeURIComponent(req.url), prefer: req.headers.prefer, body: body ? JSON.parse(body) : null };
+      requests.push(request);
+      const { status = 200, json = [] } = respond(request) || {};
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+test('column names are snake_case', () => {
+  assert.equal(toSnakeCase('linkedBudgetCategory'), 'linked_budget_category');
+  assert.equal(toSnakeCase('date'), 'date');
+});
+
+test('schema: one table per log type, keyed by its ID column', () => {
+  const sql = buildSchemaSql('app_');
+  assert.match(sql, /create table if not exists app_transactions \(\n {2}transaction_id text primary key,\n {2}date text,/);
+  assert.match(sql, /^ {2}amount numeric,$/m);
+  assert.match(sql, /create table if not exists app_food \([^)]*meal_id text primary key,\n {2}created_at timestamptz not null default now\(\)\n\);/);
+  assert.equal(sql.match(/create table/g).length, 5);
+});
+
+test('store: upserts on the ID, reads in order, updates and deletes by ID', async () => {
+  const postgrest = await startPostgrest(({ method }) => method === 'GET'
+    ? { json: [{ transaction_id: 'TXN-1', amount: 5, linked_budget_category: 'Dining', created_at: '2024-05-01T00:00:00Z' }] }
+    : { status: 201, json: [] });
+  try {
+    const store = createSupabaseStore({ url: postgrest.url, key: 'service-key' });
+    await store.insert('transactions', [{ transactionId: 'TXN-1', amount: 5, linkedBudgetCategory: 'Dining' }]);
+    const [entry] = await store.select('transactions');
+    await store.update('transactions', 'TXN-1', { amount: 6 });
+    await store.remove('food', 'MEAL-1');
+
+    assert.deepEqual(
+      [entry.transactionId, entry.amount, entry.linkedBudgetCategory, entry.category, 'created_at' in entry],
+      ['TXN-1', 5, 'Dining', null, false]
+    );
+    const [insert, select, update, remove] = postgrest.requests;
+    assert.equal(insert.method, 'POST');
+    assert.match(insert.url, /^\/rest\/v1\/log_transactions\?on_conflict=transaction_id/);
+    assert.match(insert.prefer, /resolution=merge-duplicates/);
+    assert.deepEqual(insert.body, [{ transaction_id: 'TXN-1', amount: 5, linked_budget_category: 'Dining' }]);
+    assert.equal(select.url, '/rest/v1/log_transactions?select=*&order=created_at.asc');
+    assert.deepEqual([update.method, update.url, update.body], ['PATCH', '/rest/v1/log_transactions?transaction_id=eq.TXN-1', { amount: 6 }]);
+    assert.deepEqual([remove.method, remove.url], ['DELETE', '/rest/v1/log_food?meal_id=eq.MEAL-1']);
+  } finally {
+    await postgrest.close();
+  }
+});
+
+test('store: errors returned by Supabase are thrown', async () => {
+  const postgrest = await startPostgrest(() => ({ status: 404, json: { message: 'relation "log_status" does not exist' } }));
+  try {
+    const store = createSupabaseStore({ url: postgrest.url, key: 'service-key', tablePrefix: 'log_' });
+    await assert.rejects(store.insert('status', [{ statusId: 'S-1' }]), /Supabase insert into status failed: relation "log_status" does not exist/);
+  } finally {
+    await postgrest.close();
+  }
+});
@@ -0,0 +1,80 @@
+// Log data validation (lib/validation.js): coercion of numbers, dates, times
+// and options, and the 422 field errors for everything else.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getLogType } = require('../lib/log-types');
+const { buildDataSchema, validateLogData } = require('../lib/validation');
+const { ValidationError } = require('../lib/errors');
+
+const transactions = getLogType('transactions');
+const food = getLogType('food');
+
+// The field errors of a ValidationError, as "path message"
+const fieldErrors = (run) => {
+  try {
+    run();
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.statusCode, 422);
+    return error.errors.map(({ path, message }) => `${path} ${message}`);
+  }
+  assert.fail('expected a ValidationError');
+};
+
+test('values are coerced where the intent is clear', () => {
+  const data = validateLogData(transactions, {
+    date: 'May 7, 2024',
+    time: '8:30 pm',
+    amount: '$1,234.50',
+    taxWithheld: 0,
+    transactionType: 'expense',
+    reimbursable: true
+  });
+  assert.deepEqual(data, { date: '2024-05-07', time: '20:30:00', amount: 1234.5, taxWithheld: 0, transactionType: 'Expense', reimbursable: 'Yes' });
+  assert.equal(validateLogData(transactions, { date: '2024-05-07T10:00:00Z', amount: '-12' }).date, '2024-05-07');
+  assert.equal(validateLogData(food, { date: '2024-05-07', mealType: 'Lunch', timeEaten: '14:05' }).timeEaten, '14:05:00');
+});
+
+test('every invalid field is reported with its path', () => {
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, [
+    { date: '2024-05-07', amount: 5 },
+    { date: '05/07/2024', amount: 'lots', amout: 5, transactionType: 'Gift', time: '25:00' },
+    { amount: 'NA' }
+  ])), [
+    'data[1].amout is not a known field',
+    'data[1].date must be a date (YYYY-MM-DD)',
+    'data[1].time must be a time (HH:mm:ss, or e.g. 8:30 AM)',
+    'data[1].transactionType must be one of: Income, Expense, Transfer',
+    'data[1].amount must be a number',
+    'data[2].date is required',
+    'data[2].amount is required (or give originalAmount)'
+  ]);
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, { date: '2024-02-30', amount: 1, transactionId: 'TXN-1' })), [
+    'data.transactionId is set by the server and cannot be given',
+    'data.date must be a date (YYYY-MM-DD)'
+  ]);
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, { date: '2024-05-07', amount: 1, exchangeRateDate: '2024-05-01' })), [
+    'data.exchangeRateDate is set by the server and cannot be given'
+  ]);
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, [])), ['data must contain at least one entry']);
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, ['x'])), ['data[0] must be an object']);
+});
+
+test('partial updates need nothing, and clearing an optional field returns null', () => {
+  assert.deepEqual(validateLogData(transactions, { notes: '', amount: '7' }, { partial: true }), { amount: 7, notes: null });
+  assert.deepEqual(fieldErrors(() => validateLogData(transactions, { date: '' }, { partial: true })), [
+    'data.date is required and cannot be cleared'
+  ]);
+});
+
+test('the data schema lists required fields and option enums', () => {
+  const schema = buildDataSchema(transactions);
+  // amount is checked separately, since originalAmount can stand in for it
+  assert.deepEqual(schema.required, ['date']);
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.properties.transactionType.enum, ['Income', 'Expense', 'Transfer']);
+  assert.deepEqual(schema.properties.taxWithheld, { type: 'number', description: 'Tax withheld amount', format: 'float' });
+  assert.ok(!('transactionId' in schema.properties));
+  assert.ok(!('required' in buildDataSchema(transactions, { partial: true })));
+});
@@ -0,0 +1,23 @@
+// The workbook template for POST /api/spreadsheets (lib/workbook.js).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOG_TYPES } = require('../lib/log-types');
+const { buildWorkbookTemplate } = require('../lib/workbook');
+
+test('one tab per log type with its headers, then the extra tabs', () => {
+  const template = buildWorkbookTemplate([{ name: 'Chat', headers: ['Timestamp', 'Message'] }]);
+  assert.deepEqual(template.map(tab => tab.name), [...Object.values(LOG_TYPES).map(logType => logType.sheetName), 'Chat']);
+  assert.deepEqual(template[0].columns.map(column => column.header), LOG_TYPES.transactions.columns.map(column => column.header));
+  assert.deepEqual(template.at(-1).columns[1], { header: 'Message', type: 'string', format: null, options: null });
+});
+
+test('columns carry formats, and dropdowns include the default value', () => {
+  const [transactions] = buildWorkbookTemplate();
+  const column = (header) => transactions.columns.find(candidate => candidate.header === header);
+  assert.deepEqual(column('Amount'), { header: 'Amount', type: 'number', format: 'currency', options: null });
+  assert.deepEqual(column('Transaction Type').options, ['Income', 'Expense', 'Transfer', 'NA']);
+  // 'No' is already one of the options
+  assert.deepEqual(column('Processed').options, ['Yes', 'No']);
+  assert.equal(column('Date').type, 'date');
+});